@@ -14,6 +14,21 @@ const categoryRoutes = require('./routes/categories');
 const usersRoutes = require('./routes/users');
 const instancesRoutes = require('./routes/instances');
 const toolsRoutes = require('./routes/tools');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const locationRoutes = require('./routes/locations');
+const cycleCountRoutes = require('./routes/cycleCounts');
+const settingRoutes = require('./routes/settings');
+const scheduledJobRoutes = require('./routes/scheduledJobs');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
+const customerRoutes = require('./routes/customers');
+const projectRoutes = require('./routes/projects');
+const maintenanceOrderRoutes = require('./routes/maintenanceOrders');
+const maintenancePlanRoutes = require('./routes/maintenancePlans');
+const contractorRoutes = require('./routes/contractors');
+const toolReservationRoutes = require('./routes/toolReservations');
+const vendorReturnRoutes = require('./routes/vendorReturns');
+const tagTemplateRoutes = require('./routes/tagTemplates');
 
 const app = express();
 
@@ -66,6 +81,21 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/instances', instancesRoutes);
 app.use('/api/tools', toolsRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/cycle-counts', cycleCountRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/scheduled-jobs', scheduledJobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/maintenance-orders', maintenanceOrderRoutes);
+app.use('/api/maintenance-plans', maintenancePlanRoutes);
+app.use('/api/contractors', contractorRoutes);
+app.use('/api/tool-reservations', toolReservationRoutes);
+app.use('/api/vendor-returns', vendorReturnRoutes);
+app.use('/api/tag-templates', tagTemplateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,140 @@
+/**
+ * Customer/project backfill (reusable).
+ *
+ * Before the Customer and Project models existed, tags only carried free-text
+ * `customer_name` / `project_name`. This creates a Customer for every distinct
+ * customer name (names that only differ in case/punctuation share one record,
+ * named after the most used spelling), a Project for every distinct project
+ * name under it, and links the tags to them.
+ *
+ * Internal "Maintenance - ..." tags created by tool returns aren't customers
+ * and are left unlinked.
+ *
+ * Safe to call on every backend boot:
+ *   - Idempotent (only tags without a customer_id are touched).
+ *   - Never throws out of the call site; it logs and resolves.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Project = require('../models/Project');
+
+const MAINTENANCE_PREFIX = /^Maintenance - /;
+
+async function runCustomerBackfill({ dryRun = false, logger = console } = {}) {
+  const conn = mongoose.connection;
+  if (!conn || conn.readyState !== 1 || !conn.db) {
+    logger.warn('[customer-backfill] Skipped: no active MongoDB connection.');
+    return { skipped: true };
+  }
+
+  const tags = conn.db.collection('tags');
+
+  let customersCreated = 0;
+  let projectsCreated = 0;
+  let tagsLinked = 0;
+
+  try {
+    const groups = await tags.aggregate([
+      {
+        $match: {
+          customer_id: null,
+          customer_name: { $type: 'string', $not: MAINTENANCE_PREFIX }
+        }
+      },
+      {
+        $group: {
+          _id: { customer_name: '$customer_name', project_name: { $ifNull: ['$project_name', ''] } },
+          count: { $sum: 1 }
+        }
+      },
+      // Most used spellings first, so they become the record names
+      { $sort: { count: -1 } }
+    ]).toArray();
+
+    const customers = new Map();
+    const projects = new Map();
+
+    for (const group of groups) {
+      const { customer_name: customerName, project_name: projectName } = group._id;
+      const customerKey = Customer.normalizeName(customerName);
+      if (!customerKey) continue;
+
+      let customer = customers.get(customerKey);
+      if (customer === undefined) {
+        customer = await Customer.findByName(customerName);
+        if (!customer) {
+          customersCreated += 1;
+          if (!dryRun) {
+            customer = await Customer.create({
+              name: customerName.trim(),
+              notes: 'Created from existing tag customer names',
+              created_by: 'system',
+              last_updated_by: 'system'
+            });
+          }
+        }
+        customers.set(customerKey, customer);
+      }
+
+      let project = null;
+      const projectKey = Customer.normalizeName(projectName);
+      if (projectKey) {
+        const mapKey = `${customerKey}|${projectKey}`;
+        project = projects.get(mapKey);
+        if (project === undefined) {
+          project = customer
+            ? await Project.findOne({ customer_id: customer._id, name_key: projectKey })
+            : null;
+          if (!project) {
+            projectsCreated += 1;
+            if (!dryRun) {
+              project = await Project.create({
+                customer_id: customer._id,
+                name: projectName.trim(),
+                created_by: 'system',
+                last_updated_by: 'system'
+              });
+            }
+          }
+          projects.set(mapKey, project);
+        }
+      }
+
+      if (dryRun) {
+        tagsLinked += group.count;
+        continue;
+      }
+
+      const filter = { customer_id: null, customer_name: customerName };
+      if (projectName) {
+        filter.project_name = projectName;
+      } else {
+        filter.$or = [{ project_name: '' }, { project_name: null }];
+      }
+      const result = await tags.updateMany(filter, {
+        $set: {
+          customer_id: customer._id,
+          project_id: project ? project._id : null
+        }
+      });
+      tagsLinked += result.modifiedCount;
+    }
+
+    if (customersCreated > 0 || projectsCreated > 0 || tagsLinked > 0) {
+      logger.log(
+        `[customer-backfill] ${dryRun ? 'DRY RUN ' : ''}` +
+        `customersCreated=${customersCreated} projectsCreated=${projectsCreated} tagsLinked=${tagsLinked}`
+      );
+    } else {
+      logger.log('[customer-backfill] Nothing to backfill (all tags are linked to customers).');
+    }
+
+    return { skipped: false, customersCreated, projectsCreated, tagsLinked, dryRun };
+  } catch (err) {
+    logger.error('[customer-backfill] Failed:', err);
+    return { skipped: false, error: err.message };
+  }
+}
+
+module.exports = { runCustomerBackfill };
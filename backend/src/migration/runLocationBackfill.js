@@ -0,0 +1,106 @@
+/**
+ * Location backfill (reusable).
+ *
+ * Before the Location model existed, `instance.location` was free text
+ * ('HQ', 'Main Warehouse', 'Warehouse A - Shelf B2', ...). This creates a
+ * Location for every distinct value still in use and rewrites the
+ * instances to the location code, so validation and per-location reporting
+ * have something to work with.
+ *
+ * Safe to call on every backend boot:
+ *   - Idempotent (values that are already a known code are left alone).
+ *   - Always makes sure an HQ location exists and that one location is the
+ *     default, because Instance.location defaults to 'HQ'.
+ *   - Never throws out of the call site; it logs and resolves.
+ */
+
+const mongoose = require('mongoose');
+
+function toCode(value) {
+  return String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+async function runLocationBackfill({ dryRun = false, logger = console } = {}) {
+  const conn = mongoose.connection;
+  if (!conn || conn.readyState !== 1 || !conn.db) {
+    logger.warn('[location-backfill] Skipped: no active MongoDB connection.');
+    return { skipped: true };
+  }
+
+  const locations = conn.db.collection('locations');
+  const instances = conn.db.collection('instances');
+
+  let created = 0;
+  let instancesUpdated = 0;
+
+  try {
+    const existing = await locations.find({}, { projection: { code: 1 } }).toArray();
+    const knownCodes = new Set(existing.map(loc => loc.code));
+    const now = new Date();
+
+    const ensureLocation = async (code, name) => {
+      if (knownCodes.has(code)) return;
+      knownCodes.add(code);
+      created += 1;
+      if (!dryRun) {
+        await locations.insertOne({
+          code,
+          name,
+          type: 'warehouse',
+          is_active: true,
+          is_default: false,
+          address: '',
+          notes: 'Created from existing instance locations',
+          created_by: 'system',
+          last_updated_by: 'system',
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+    };
+
+    await ensureLocation('HQ', 'HQ');
+
+    const values = await instances.distinct('location');
+    for (const value of values) {
+      const code = toCode(value) || 'HQ';
+      await ensureLocation(code, value && String(value).trim() ? String(value).trim() : code);
+
+      if (value !== code) {
+        const filter = value === null || value === undefined || value === ''
+          ? { $or: [{ location: null }, { location: '' }] }
+          : { location: value };
+        if (dryRun) {
+          instancesUpdated += await instances.countDocuments(filter);
+        } else {
+          const result = await instances.updateMany(filter, { $set: { location: code } });
+          instancesUpdated += result.modifiedCount;
+        }
+      }
+    }
+
+    if (!dryRun && !(await locations.findOne({ is_default: true }))) {
+      await locations.updateOne({ code: 'HQ' }, { $set: { is_default: true, updatedAt: now } });
+    }
+
+    if (created > 0 || instancesUpdated > 0) {
+      logger.log(
+        `[location-backfill] ${dryRun ? 'DRY RUN ' : ''}` +
+        `created=${created} instancesUpdated=${instancesUpdated}`
+      );
+    } else {
+      logger.log('[location-backfill] Nothing to backfill (all instance locations are known codes).');
+    }
+
+    return { skipped: false, created, instancesUpdated, dryRun };
+  } catch (err) {
+    logger.error('[location-backfill] Failed:', err);
+    return { skipped: false, error: err.message };
+  }
+}
+
+module.exports = { runLocationBackfill };
@@ -0,0 +1,105 @@
+/**
+ * Tool condition migration (reusable).
+ *
+ * Tool condition used to be tracked with stand-in tags: returning a damaged
+ * tool (or changing its condition) created an active "Maintenance - ..." tag
+ * with a `project_name` of "Tool condition: needs_maintenance|broken" and
+ * parked the instances on it. Condition now lives on the instance itself, with
+ * a MaintenanceOrder per out-of-service tool.
+ *
+ * For every active condition tag this sets the condition on its instances,
+ * takes them off the tag, opens a maintenance order for each and closes the
+ * tag with a system note.
+ *
+ * Safe to call on every backend boot:
+ *   - Idempotent (closed tags are not matched again).
+ *   - Never throws out of the call site; it logs and resolves.
+ */
+
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Instance = require('../models/Instance');
+const MaintenanceOrder = require('../models/MaintenanceOrder');
+
+const CONDITION_TAG = /^Tool condition:/;
+
+// Condition from the tag's project name, falling back to the tag type
+const conditionForTag = (tag) => {
+  const named = tag.project_name.replace(CONDITION_TAG, '').trim();
+  if (named === 'broken' || named === 'needs_maintenance') return named;
+  return tag.tag_type === 'broken' ? 'broken' : 'needs_maintenance';
+};
+
+async function runToolConditionMigration({ dryRun = false, logger = console } = {}) {
+  const conn = mongoose.connection;
+  if (!conn || conn.readyState !== 1 || !conn.db) {
+    logger.warn('[tool-condition-migration] Skipped: no active MongoDB connection.');
+    return { skipped: true };
+  }
+
+  let tagsClosed = 0;
+  let ordersOpened = 0;
+
+  try {
+    const tags = await Tag.find({ status: 'active', project_name: CONDITION_TAG }).lean();
+
+    for (const tag of tags) {
+      const condition = conditionForTag(tag);
+      const instances = await Instance.find({ tag_id: tag._id });
+
+      tagsClosed += 1;
+      ordersOpened += instances.length;
+      if (dryRun) continue;
+
+      await Instance.updateMany({ tag_id: tag._id }, { $set: { tag_id: null } });
+
+      for (const instance of instances) {
+        await MaintenanceOrder.openForInstance(instance, {
+          condition,
+          issue: `Migrated from condition tag (${tag.customer_name})`,
+          source: 'migration',
+          sourceTagId: tag._id,
+          fromState: tag.tag_type,
+          openedBy: 'system'
+        });
+      }
+
+      await Tag.updateOne(
+        { _id: tag._id },
+        {
+          $set: {
+            status: 'fulfilled',
+            fulfilled_date: new Date(),
+            fulfilled_by: 'system',
+            last_updated_by: 'system',
+            'sku_items.$[].selected_instance_ids': [],
+            'sku_items.$[].remaining_quantity': 0
+          },
+          $push: {
+            notes: {
+              message: `Tool condition is now tracked on the tools. Opened ${instances.length} maintenance order(s).`,
+              author: 'system',
+              kind: 'system'
+            }
+          }
+        }
+      );
+    }
+
+    if (tagsClosed > 0) {
+      logger.log(
+        `[tool-condition-migration] ${dryRun ? 'DRY RUN ' : ''}` +
+        `tagsClosed=${tagsClosed} ordersOpened=${ordersOpened}`
+      );
+    } else {
+      logger.log('[tool-condition-migration] Nothing to migrate (no active tool condition tags).');
+    }
+
+    return { skipped: false, tagsClosed, ordersOpened, dryRun };
+  } catch (err) {
+    logger.error('[tool-condition-migration] Failed:', err);
+    return { skipped: false, error: err.message };
+  }
+}
+
+module.exports = { runToolConditionMigration };
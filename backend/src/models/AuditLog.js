@@ -22,7 +22,7 @@ const auditLogSchema = new mongoose.Schema({
   entity_type: {
     type: String,
     required: true,
-    enum: ['customer', 'category', 'sku', 'item', 'tag', 'inventory', 'user', 'system'],
+    enum: ['customer', 'category', 'sku', 'item', 'tag', 'inventory', 'user', 'system', 'purchase_order', 'location', 'cycle_count', 'scheduled_job', 'webhook', 'project', 'maintenance_plan', 'contractor', 'tool_reservation', 'instance', 'vendor_return', 'customer_return', 'tag_template'],
     index: true
   },
   
@@ -177,13 +177,16 @@ auditLogSchema.statics.logInventoryMovement = function(movementData) {
     user_name,
     action: `Moved ${quantity} items from ${from_status} to ${to_status}`,
     description: `Inventory movement: ${quantity} units of SKU ${sku_id} moved from ${from_status} to ${to_status}${reason ? `. Reason: ${reason}` : ''}`,
-    metadata: {
-      item_id,
-      tag_id,
-      from_status,
-      to_status,
-      quantity,
-      reason
+    // metadata only keeps its fixed keys, so the movement itself goes in changes
+    changes: {
+      after: {
+        item_id,
+        tag_id,
+        from_status,
+        to_status,
+        quantity,
+        reason
+      }
     },
     category: 'business'
   });
@@ -315,6 +318,15 @@ auditLogSchema.statics.getUserActivity = function(userId, limit = 50) {
     .limit(limit);
 };
 
+// Publish matching entries to webhook subscribers. Fire-and-forget so a slow
+// or failing endpoint never holds up (or breaks) the request that logged it.
+auditLogSchema.post('save', function(doc) {
+  const { dispatchAuditEvent } = require('../utils/webhooks');
+  dispatchAuditEvent(doc).catch(error => {
+    console.error('Webhook dispatch error (non-fatal):', error.message);
+  });
+});
+
 // Indexes for performance
 auditLogSchema.index({ timestamp: -1 });
 auditLogSchema.index({ event_type: 1, timestamp: -1 });
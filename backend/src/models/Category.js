@@ -30,6 +30,11 @@ const categorySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Every SKU in a serialized category tracks its units by asset tag / serial number
+  is_serialized: {
+    type: Boolean,
+    default: false
+  },
   // Whether this category is active
   status: {
     type: String,
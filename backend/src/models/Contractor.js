@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Customer = require('./Customer');
+
+// Contractor model - someone tools are loaned to. Tool checkouts link to a contractor
+// (Tag.contractor_id) and returns are recorded on the tag (Tag.returns), which is where
+// the on-time and damage history comes from.
+const contractorSchema = new mongoose.Schema({
+  // Display name (the person or crew tools are handed to)
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Normalized name for lookups from free-text checkout names
+  name_key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Contact info
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Blocked contractors can't check out tools
+  status: {
+    type: String,
+    enum: ['active', 'blocked'],
+    default: 'active',
+    index: true
+  },
+  blocked_reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Most tool instances they may hold at once (null = no limit)
+  max_tools_out: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+contractorSchema.pre('validate', function(next) {
+  this.name_key = Customer.normalizeName(this.name);
+  next();
+});
+
+// Static method to find the contractor a free-text name belongs to
+contractorSchema.statics.findByName = function(name) {
+  const key = Customer.normalizeName(name);
+  return key ? this.findOne({ name_key: key }) : Promise.resolve(null);
+};
+
+// Static method to find a contractor by name, registering it if there isn't one
+contractorSchema.statics.findOrCreateByName = async function(name, createdBy) {
+  const existing = await this.findByName(name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ name: name.trim(), created_by: createdBy, last_updated_by: createdBy });
+  } catch (error) {
+    // Lost a race with another request registering the same contractor
+    if (error.code === 11000) return this.findByName(name);
+    throw error;
+  }
+};
+
+// Method to count the tool instances this contractor currently holds
+contractorSchema.methods.countToolsOut = async function() {
+  const Tag = mongoose.model('Tag');
+  const Instance = mongoose.model('Instance');
+
+  const activeTags = await Tag.find({ contractor_id: this._id, status: 'active' }).select('_id');
+  return Instance.countDocuments({ tag_id: { $in: activeTags.map(tag => tag._id) } });
+};
+
+// Method to check a new checkout of `quantity` tools is allowed. Throws with err.code when not.
+contractorSchema.methods.assertCanCheckout = async function(quantity) {
+  if (this.status === 'blocked') {
+    const err = new Error(`${this.name} is blocked from checking out tools${this.blocked_reason ? `: ${this.blocked_reason}` : ''}`);
+    err.code = 'CONTRACTOR_BLOCKED';
+    throw err;
+  }
+
+  if (this.max_tools_out !== null && this.max_tools_out !== undefined) {
+    const toolsOut = await this.countToolsOut();
+    if (toolsOut + quantity > this.max_tools_out) {
+      const err = new Error(
+        `${this.name} has ${toolsOut} tool(s) out; checking out ${quantity} more would exceed their limit of ${this.max_tools_out}`
+      );
+      err.code = 'CONTRACTOR_LIMIT';
+      throw err;
+    }
+  }
+};
+
+// Static method to summarize return history for contractors: on-time rate and tools returned
+// damaged. Returns a Map keyed by contractor id.
+contractorSchema.statics.getReturnStats = async function(contractorIds) {
+  const Tag = mongoose.model('Tag');
+
+  const stats = await Tag.aggregate([
+    { $match: { contractor_id: { $in: contractorIds } } },
+    { $unwind: '$returns' },
+    {
+      $group: {
+        _id: '$contractor_id',
+        returns: { $sum: 1 },
+        on_time_returns: { $sum: { $cond: ['$returns.on_time', 1, 0] } },
+        tools_returned: { $sum: { $size: '$returns.instance_ids' } },
+        tools_returned_broken: {
+          $sum: { $cond: [{ $eq: ['$returns.condition', 'broken'] }, { $size: '$returns.instance_ids' }, 0] }
+        },
+        tools_returned_needing_maintenance: {
+          $sum: { $cond: [{ $eq: ['$returns.condition', 'needs_maintenance'] }, { $size: '$returns.instance_ids' }, 0] }
+        }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(stat => [stat._id.toString(), {
+    returns: stat.returns,
+    on_time_returns: stat.on_time_returns,
+    late_returns: stat.returns - stat.on_time_returns,
+    on_time_rate: stat.returns > 0 ? Math.round((stat.on_time_returns / stat.returns) * 1000) / 10 : null,
+    tools_returned: stat.tools_returned,
+    tools_returned_broken: stat.tools_returned_broken,
+    tools_returned_needing_maintenance: stat.tools_returned_needing_maintenance
+  }]));
+};
+
+module.exports = mongoose.model('Contractor', contractorSchema);
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// Customer model - who tags are reserved for, installed at or loaned to.
+// Tag.customer_name is kept as a display copy of the customer's name.
+const customerSchema = new mongoose.Schema({
+  // Display name
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Other spellings that resolve to this customer (filled in by merges)
+  aliases: {
+    type: [String],
+    default: []
+  },
+
+  // Normalized name + aliases, used to match free-text names to a customer
+  match_keys: {
+    type: [String],
+    default: [],
+    index: { unique: true }
+  },
+
+  // Contact details
+  contact_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+    index: true
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// "Smith, J." and "smith j" are the same name; "John Smith" still needs a merge
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+customerSchema.pre('validate', function(next) {
+  this.aliases = [...new Set(this.aliases.map(alias => alias.trim()).filter(Boolean))];
+  this.match_keys = [...new Set([this.name, ...this.aliases].map(normalizeName).filter(Boolean))];
+  next();
+});
+
+customerSchema.statics.normalizeName = normalizeName;
+
+// Static method to find the customer a free-text name (or alias) belongs to
+customerSchema.statics.findByName = function(name) {
+  const key = normalizeName(name);
+  return key ? this.findOne({ match_keys: key }) : Promise.resolve(null);
+};
+
+// Static method to find a customer by name, creating it if there isn't one
+customerSchema.statics.findOrCreateByName = async function(name, createdBy) {
+  const existing = await this.findByName(name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ name: name.trim(), created_by: createdBy, last_updated_by: createdBy });
+  } catch (error) {
+    // Lost a race with another request creating the same customer
+    if (error.code === 11000) return this.findByName(name);
+    throw error;
+  }
+};
+
+// Static method to resolve the customer/project a tag should point at.
+// Accepts ids or free-text names; unknown names create the customer/project.
+customerSchema.statics.resolveTagLink = async function({ customer_id, customer_name, project_id, project_name }, username) {
+  const Project = mongoose.model('Project');
+
+  let customer;
+  if (customer_id) {
+    customer = await this.findById(customer_id);
+    if (!customer) {
+      const err = new Error('Customer not found');
+      err.code = 'CUSTOMER_NOT_FOUND';
+      throw err;
+    }
+  } else {
+    customer = await this.findOrCreateByName(customer_name, username);
+  }
+
+  let project = null;
+  if (project_id) {
+    project = await Project.findById(project_id);
+    if (!project) {
+      const err = new Error('Project not found');
+      err.code = 'PROJECT_NOT_FOUND';
+      throw err;
+    }
+    if (!project.customer_id.equals(customer._id)) {
+      const err = new Error(`Project ${project.name} belongs to a different customer`);
+      err.code = 'PROJECT_CUSTOMER_MISMATCH';
+      throw err;
+    }
+  } else if (project_name && project_name.trim()) {
+    project = await Project.findOrCreateByName(customer._id, project_name, username);
+  }
+
+  return {
+    customer_id: customer._id,
+    customer_name: customer.name,
+    project_id: project ? project._id : null,
+    project_name: project ? project.name : ''
+  };
+};
+
+// Static method to fold duplicate customers into one. Tags, projects and returns move to
+// the target (projects with the same name are merged too) and the duplicates'
+// names become aliases of the target.
+customerSchema.statics.mergeInto = async function(target, sources, mergedBy) {
+  const Tag = mongoose.model('Tag');
+  const Project = mongoose.model('Project');
+
+  const sourceIds = sources.map(source => source._id);
+  const aliases = sources.flatMap(source => [source.name, ...source.aliases]);
+
+  const tagResult = await Tag.updateMany(
+    { customer_id: { $in: sourceIds } },
+    { $set: { customer_id: target._id, customer_name: target.name, last_updated_by: mergedBy } }
+  );
+  await mongoose.model('CustomerReturn').updateMany(
+    { customer_id: { $in: sourceIds } },
+    { $set: { customer_id: target._id, customer_name: target.name } }
+  );
+
+  let projectsMoved = 0;
+  let projectsMerged = 0;
+  const sourceProjects = await Project.find({ customer_id: { $in: sourceIds } });
+  for (const project of sourceProjects) {
+    const match = await Project.findOne({ customer_id: target._id, name_key: project.name_key });
+    if (match) {
+      await Project.mergeInto(match, [project], mergedBy);
+      projectsMerged += 1;
+    } else {
+      project.customer_id = target._id;
+      project.last_updated_by = mergedBy;
+      await project.save();
+      projectsMoved += 1;
+    }
+  }
+
+  // The duplicates go before the target takes over their match keys
+  await this.deleteMany({ _id: { $in: sourceIds } });
+  target.aliases = [...target.aliases, ...aliases];
+  target.last_updated_by = mergedBy;
+  await target.save();
+
+  return {
+    customers_merged: sources.length,
+    tags_moved: tagResult.modifiedCount,
+    projects_moved: projectsMoved,
+    projects_merged: projectsMerged
+  };
+};
+
+// Indexes for efficient queries
+customerSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+
+// Condition a returned unit comes back in, and the tag type it is routed to (null = back to stock)
+const RETURN_CONDITIONS = {
+  resellable: null,
+  imperfect: 'imperfect',
+  broken: 'broken'
+};
+
+// Returned unit schema - a fulfilled instance restored from the ledger
+const returnedItemSchema = new mongoose.Schema({
+  // Restored instance (keeps the id it had before it was fulfilled)
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true
+  },
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  condition: {
+    type: String,
+    enum: Object.keys(RETURN_CONDITIONS),
+    required: true
+  },
+  // Original cost and date, carried over from the fulfillment snapshot
+  acquisition_cost: {
+    type: Number,
+    default: 0
+  },
+  acquisition_date: {
+    type: Date
+  },
+  serial_number: {
+    type: String,
+    default: null
+  },
+  asset_tag: {
+    type: String,
+    default: null
+  },
+  // Broken/imperfect tag the unit was put on (null when it went back to stock)
+  destination_tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// CustomerReturn model - units a customer sent back after their tag was fulfilled.
+// Each unit is restored as the instance it was (original cost and date) rather than new stock.
+const customerReturnSchema = new mongoose.Schema({
+  // Human readable return number (CR-YYYYMMDD-###)
+  return_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  // Fulfilled tag the units came from, and its customer/project
+  tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    required: true,
+    index: true
+  },
+  customer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
+  customer_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  project_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  project_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  items: {
+    type: [returnedItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+
+  // Location the units were put back to
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+customerReturnSchema.statics.RETURN_CONDITIONS = RETURN_CONDITIONS;
+
+// Static method to list the units fulfilled on a tag that haven't come back yet,
+// from the tag's fulfillment snapshots in the stock ledger
+customerReturnSchema.statics.getReturnableItems = async function(tagId) {
+  const StockMovement = mongoose.model('StockMovement');
+  const Instance = mongoose.model('Instance');
+
+  const movements = await StockMovement.find({ source_type: 'tag', source_id: tagId, movement_type: 'tag_fulfill' })
+    .sort({ occurred_at: 1 });
+  const fulfilled = movements.flatMap(movement => movement.instances.map(snapshot => ({
+    ...snapshot.toObject(),
+    sku_id: movement.sku_id,
+    fulfilled_at: movement.occurred_at
+  })));
+
+  const ids = fulfilled.map(item => item.instance_id);
+  const [onHand, returned] = await Promise.all([
+    Instance.find(Instance.includingOffHand({ _id: { $in: ids } })).distinct('_id'),
+    this.find({ 'items.instance_id': { $in: ids } }).distinct('items.instance_id')
+  ]);
+  const back = new Set([...onHand, ...returned].map(String));
+
+  return fulfilled.filter(item => !back.has(item.instance_id.toString()));
+};
+
+// Static method to take units back from a fulfilled tag. Each item picks a fulfilled unit by
+// instance_id or by serial number / asset tag and gives its condition: resellable units go back
+// to stock, imperfect and broken ones onto a new tag of that type for the same customer.
+// Instances are restored with their original id, cost and date. Saves the return.
+// Throws with err.code NOT_FULFILLED_ON_TAG or DUPLICATE_IDENTIFIER.
+customerReturnSchema.statics.restoreFromTag = async function(tag, { items, location, notes = '', returnedBy }) {
+  const Instance = mongoose.model('Instance');
+  const Tag = mongoose.model('Tag');
+  const StockMovement = mongoose.model('StockMovement');
+
+  const returnable = await this.getReturnableItems(tag._id);
+  const picked = items.map(item => {
+    const code = item.serial_number && String(item.serial_number).trim().toUpperCase();
+    const match = returnable.find(entry => (item.instance_id
+      ? entry.instance_id.toString() === item.instance_id.toString()
+      : code && [entry.serial_number, entry.asset_tag].some(value => value && value.toUpperCase() === code)));
+    if (!match) {
+      const err = new Error(`${item.instance_id || item.serial_number} was not fulfilled on this tag or has already been returned`);
+      err.code = 'NOT_FULFILLED_ON_TAG';
+      throw err;
+    }
+    return { snapshot: match, condition: item.condition };
+  });
+
+  const repeated = picked.filter((entry, index) => picked.findIndex(other =>
+    other.snapshot.instance_id.equals(entry.snapshot.instance_id)) !== index);
+  if (repeated.length > 0) {
+    const err = new Error(`Instance ${repeated[0].snapshot.instance_id} is listed more than once`);
+    err.code = 'NOT_FULFILLED_ON_TAG';
+    throw err;
+  }
+
+  // Identifiers may have been reused since the unit left
+  const serials = picked.map(entry => entry.snapshot.serial_number).filter(Boolean);
+  const assetTags = picked.map(entry => entry.snapshot.asset_tag).filter(Boolean);
+  const taken = serials.length || assetTags.length
+    ? await Instance.find(Instance.includingOffHand({
+      $or: [{ serial_number: { $in: serials } }, { asset_tag: { $in: assetTags } }]
+    })).select('serial_number asset_tag')
+    : [];
+  if (taken.length > 0) {
+    const err = new Error(`Already in use by another unit: ${taken.map(instance => instance.serial_number || instance.asset_tag).join(', ')}`);
+    err.code = 'DUPLICATE_IDENTIFIER';
+    throw err;
+  }
+
+  const customerReturn = new this({
+    return_number: await this.generateReturnNumber(),
+    tag_id: tag._id,
+    customer_id: tag.customer_id,
+    customer_name: tag.customer_name,
+    project_id: tag.project_id,
+    project_name: tag.project_name,
+    items: [],
+    location: location || '',
+    notes,
+    created_by: returnedBy
+  });
+
+  const restored = [];
+  for (const { snapshot, condition } of picked) {
+    const [data] = await Instance.assignIdentifiers(snapshot.sku_id, [{
+      _id: snapshot.instance_id,
+      sku_id: snapshot.sku_id,
+      acquisition_date: snapshot.acquisition_date,
+      acquisition_cost: snapshot.acquisition_cost,
+      location: location || snapshot.location || 'HQ',
+      supplier: snapshot.supplier,
+      reference_number: snapshot.reference_number,
+      purchase_order_id: snapshot.purchase_order_id,
+      serial_number: snapshot.serial_number || undefined,
+      asset_tag: snapshot.asset_tag || undefined,
+      notes: `Returned by ${tag.customer_name} (${customerReturn.return_number})`,
+      added_by: returnedBy
+    }]);
+    const instance = await Instance.create(data);
+    restored.push(instance);
+
+    customerReturn.items.push({
+      instance_id: instance._id,
+      sku_id: instance.sku_id,
+      condition,
+      acquisition_cost: instance.acquisition_cost,
+      acquisition_date: instance.acquisition_date,
+      serial_number: instance.serial_number || null,
+      asset_tag: instance.asset_tag || null
+    });
+  }
+
+  await StockMovement.recordInstances(restored, {
+    movement_type: 'customer_return',
+    from_state: 'fulfilled',
+    to_state: 'available',
+    reason: `Returned by ${tag.customer_name}${notes ? `: ${notes}` : ''}`,
+    source_type: 'customer_return',
+    source_id: customerReturn._id,
+    source_reference: customerReturn.return_number,
+    performed_by: returnedBy
+  });
+
+  // Imperfect and broken units go onto a tag of that type for the customer
+  for (const [condition, tagType] of Object.entries(RETURN_CONDITIONS)) {
+    const routed = customerReturn.items.filter(item => item.condition === condition);
+    if (!tagType || routed.length === 0) continue;
+
+    const skuIds = [...new Set(routed.map(item => item.sku_id.toString()))];
+    const destination = new Tag({
+      customer_id: tag.customer_id,
+      customer_name: tag.customer_name,
+      project_id: tag.project_id,
+      project_name: tag.project_name,
+      tag_type: tagType,
+      sku_items: skuIds.map(skuId => ({
+        sku_id: skuId,
+        selected_instance_ids: routed.filter(item => item.sku_id.toString() === skuId).map(item => item.instance_id),
+        selection_method: 'manual'
+      })),
+      notes: [{
+        message: `Customer return ${customerReturn.return_number} from tag ${tag._id}${notes ? `: ${notes}` : ''}`,
+        author: returnedBy,
+        kind: 'system'
+      }],
+      status: 'active',
+      created_by: returnedBy,
+      last_updated_by: returnedBy
+    });
+    await destination.save();
+    await destination.assignInstances();
+    await destination.save();
+
+    routed.forEach(item => { item.destination_tag_id = destination._id; });
+  }
+
+  await customerReturn.save();
+
+  tag.addNote(`${customerReturn.items.length} item(s) returned (${customerReturn.return_number})`, returnedBy, { kind: 'system' });
+  await tag.save();
+
+  return customerReturn;
+};
+
+// Static method to generate the next return number (CR-YYYYMMDD-###)
+customerReturnSchema.statics.generateReturnNumber = async function(date = new Date()) {
+  const prefix = `CR-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ return_number: new RegExp(`^${prefix}`) })
+    .sort({ return_number: -1 })
+    .select('return_number');
+
+  const nextSequence = latest ? parseInt(latest.return_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Indexes for efficient queries
+customerReturnSchema.index({ 'items.instance_id': 1 });
+
+module.exports = mongoose.model('CustomerReturn', customerReturnSchema);
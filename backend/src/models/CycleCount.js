@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+
+// Count line schema - one SKU in a count session
+const countLineSchema = new mongoose.Schema({
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  // Available instances in scope when last refreshed
+  expected_quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What staff physically counted (null = not counted yet)
+  counted_quantity: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // counted - expected
+  variance: {
+    type: Number,
+    default: 0
+  },
+  // Average acquisition cost of the available instances (SKU unit cost if there are none)
+  unit_cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Variance valued at Instance.acquisition_cost (estimated until posted, actual afterwards)
+  variance_value: {
+    type: Number,
+    default: 0
+  },
+  counted_by: {
+    type: String,
+    default: null
+  },
+  counted_at: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Instances created or retired when the count was posted
+  adjustment_instance_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance'
+  }]
+}, {
+  _id: true
+});
+
+// CycleCount model - a physical count session for a category and/or location
+const cycleCountSchema = new mongoose.Schema({
+  // Human readable count number (CC-YYYYMMDD-###)
+  count_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  // What is being counted - at least one of these is set
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  location: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'posted', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+
+  lines: {
+    type: [countLineSchema],
+    default: []
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  submitted_date: { type: Date, default: null },
+  submitted_by: { type: String, default: null },
+  approved_date: { type: Date, default: null },
+  approved_by: { type: String, default: null },
+  cancelled_date: { type: Date, default: null },
+  cancelled_by: { type: String, default: null },
+  cancel_reason: { type: String, trim: true, default: '' },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Instance filter for available stock in this count's scope
+cycleCountSchema.methods.getInstanceFilter = function(skuId) {
+  const filter = { sku_id: skuId, tag_id: null };
+  if (this.location) filter.location = this.location;
+  return filter;
+};
+
+// Method to build the initial count sheet from the SKUs in scope
+cycleCountSchema.methods.populateLines = async function() {
+  const SKU = mongoose.model('SKU');
+  const Instance = mongoose.model('Instance');
+
+  let skuIds;
+  if (this.category_id) {
+    skuIds = await SKU.find({ category_id: this.category_id, status: 'active' }).distinct('_id');
+  } else {
+    skuIds = await Instance.find({ location: this.location }).distinct('sku_id');
+  }
+
+  this.lines = skuIds.map(skuId => ({ sku_id: skuId }));
+  await this.refreshVariances();
+  return this;
+};
+
+// Method to check a SKU belongs to this count before accepting a count for it
+cycleCountSchema.methods.isInScope = function(sku) {
+  if (!this.category_id) return true;
+  const categoryId = sku.category_id?._id || sku.category_id;
+  return !!categoryId && categoryId.toString() === this.category_id.toString();
+};
+
+// Method to record a counted quantity ('set' replaces, 'add' increments - one per barcode scan)
+cycleCountSchema.methods.recordCount = function(sku, quantity, { mode = 'set', countedBy, notes } = {}) {
+  if (this.status !== 'open') {
+    throw new Error(`Counts can only be entered while the count is open (current status: ${this.status})`);
+  }
+  if (!this.isInScope(sku)) {
+    const err = new Error(`SKU ${sku.sku_code} is not part of this count`);
+    err.code = 'OUT_OF_SCOPE';
+    throw err;
+  }
+
+  let line = this.lines.find(l => l.sku_id.toString() === sku._id.toString());
+  if (!line) {
+    this.lines.push({ sku_id: sku._id });
+    line = this.lines[this.lines.length - 1];
+  }
+
+  line.counted_quantity = mode === 'add'
+    ? (line.counted_quantity || 0) + quantity
+    : quantity;
+  line.counted_by = countedBy;
+  line.counted_at = new Date();
+  if (notes !== undefined) line.notes = notes;
+  this.last_updated_by = countedBy;
+
+  return line;
+};
+
+// Method to recompute expected quantities, variances and values from current Instances
+cycleCountSchema.methods.refreshVariances = async function() {
+  const SKU = mongoose.model('SKU');
+  const Instance = mongoose.model('Instance');
+
+  const skus = await SKU.find({ _id: { $in: this.lines.map(line => line.sku_id) } }).select('unit_cost');
+  const skuCosts = new Map(skus.map(sku => [sku._id.toString(), sku.unit_cost || 0]));
+
+  for (const line of this.lines) {
+    const available = await Instance.find(this.getInstanceFilter(line.sku_id))
+      .sort({ acquisition_date: 1 })
+      .select('acquisition_cost');
+
+    line.expected_quantity = available.length;
+    line.unit_cost = available.length > 0
+      ? available.reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0) / available.length
+      : skuCosts.get(line.sku_id.toString()) || 0;
+
+    if (line.counted_quantity === null || line.counted_quantity === undefined) {
+      line.variance = 0;
+      line.variance_value = 0;
+      continue;
+    }
+
+    line.variance = line.counted_quantity - line.expected_quantity;
+    if (line.variance < 0) {
+      // Shrinkage is valued at the instances that will actually be retired (FIFO)
+      line.variance_value = -available
+        .slice(0, Math.abs(line.variance))
+        .reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0);
+    } else {
+      line.variance_value = line.variance * line.unit_cost;
+    }
+  }
+
+  return this;
+};
+
+// Method to summarise the count
+cycleCountSchema.methods.getSummary = function() {
+  const counted = this.lines.filter(line => line.counted_quantity !== null && line.counted_quantity !== undefined);
+  const withVariance = counted.filter(line => line.variance !== 0);
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    total_lines: this.lines.length,
+    counted_lines: counted.length,
+    uncounted_lines: this.lines.length - counted.length,
+    lines_with_variance: withVariance.length,
+    units_over: withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance, 0),
+    units_short: withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + Math.abs(line.variance), 0),
+    value_over: round(withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance_value, 0)),
+    value_short: round(Math.abs(withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + line.variance_value, 0))),
+    net_variance_value: round(withVariance.reduce((sum, line) => sum + line.variance_value, 0))
+  };
+};
+
+// Method to lock counting and hand the count to an approver
+cycleCountSchema.methods.submit = async function(submittedBy) {
+  if (this.status !== 'open') {
+    throw new Error(`Only open counts can be submitted (current status: ${this.status})`);
+  }
+  await this.refreshVariances();
+  this.status = 'submitted';
+  this.submitted_date = new Date();
+  this.submitted_by = submittedBy;
+  this.last_updated_by = submittedBy;
+  return this;
+};
+
+// Method to post the variances - creates Instances for found units and disposes of short ones as
+// lost, with a cycle count reason.
+// Uncounted lines are left alone.
+cycleCountSchema.methods.post = async function(approvedBy) {
+  const Instance = mongoose.model('Instance');
+  const Inventory = mongoose.model('Inventory');
+  const Location = mongoose.model('Location');
+  const StockMovement = mongoose.model('StockMovement');
+
+  if (this.status !== 'submitted') {
+    throw new Error(`Only submitted counts can be approved (current status: ${this.status})`);
+  }
+
+  // Stock may have moved since submission - variances are always against current availability
+  await this.refreshVariances();
+
+  const reason = `Cycle count ${this.count_number}`;
+  const location = this.location || await Location.getDefaultCode();
+  const adjustments = [];
+
+  for (const line of this.lines) {
+    if (line.counted_quantity === null || line.counted_quantity === undefined || line.variance === 0) {
+      continue;
+    }
+
+    if (line.variance > 0) {
+      // Found units of serialized SKUs get generated asset tags; serials can be added later
+      const instances = await Instance.insertMany(await Instance.assignIdentifiers(line.sku_id,
+        Array.from({ length: line.variance }, () => ({
+          sku_id: line.sku_id,
+          acquisition_date: new Date(),
+          acquisition_cost: line.unit_cost,
+          location,
+          reference_number: this.count_number,
+          notes: reason,
+          added_by: approvedBy
+        }))
+      ));
+      line.adjustment_instance_ids = instances.map(instance => instance._id);
+
+      await StockMovement.record({
+        movement_type: 'cycle_count',
+        sku_id: line.sku_id,
+        from_state: 'external',
+        to_state: 'available',
+        to_location: location,
+        instances,
+        source_type: 'cycle_count',
+        source_id: this._id,
+        source_reference: this.count_number,
+        reason,
+        performed_by: approvedBy
+      });
+    } else {
+      const instances = await Instance.find(this.getInstanceFilter(line.sku_id))
+        .sort({ acquisition_date: 1 })
+        .limit(Math.abs(line.variance));
+      line.adjustment_instance_ids = instances.map(instance => instance._id);
+      line.variance_value = -instances.reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0);
+
+      // Short units are written off as lost, so they keep their record for valuation history and
+      // show up in shrinkage reporting (dispose() records the movement)
+      for (const instance of instances) {
+        await instance.dispose({
+          disposition: 'lost',
+          reason,
+          reportedBy: this.submitted_by || approvedBy,
+          approvedBy,
+          source: { source_type: 'cycle_count', source_id: this._id, source_reference: this.count_number }
+        });
+        await instance.save();
+      }
+    }
+
+    // Keep the inventory counters in step
+    await Inventory.refreshCounts(line.sku_id, approvedBy);
+
+    adjustments.push({
+      sku_id: line.sku_id,
+      variance: line.variance,
+      variance_value: line.variance_value,
+      instance_ids: line.adjustment_instance_ids
+    });
+  }
+
+  this.status = 'posted';
+  this.approved_date = new Date();
+  this.approved_by = approvedBy;
+  this.last_updated_by = approvedBy;
+
+  return adjustments;
+};
+
+// Method to cancel the count without adjusting anything
+cycleCountSchema.methods.cancel = function(cancelledBy, reason = '') {
+  if (!['open', 'submitted'].includes(this.status)) {
+    throw new Error(`Cannot cancel a ${this.status} count`);
+  }
+  this.status = 'cancelled';
+  this.cancelled_date = new Date();
+  this.cancelled_by = cancelledBy;
+  this.cancel_reason = reason;
+  this.last_updated_by = cancelledBy;
+  return this;
+};
+
+// Static method to generate the next count number (CC-YYYYMMDD-###)
+cycleCountSchema.statics.generateCountNumber = async function(date = new Date()) {
+  const prefix = `CC-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ count_number: new RegExp(`^${prefix}`) })
+    .sort({ count_number: -1 })
+    .select('count_number');
+
+  const nextSequence = latest ? parseInt(latest.count_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Indexes for efficient queries
+cycleCountSchema.index({ status: 1, createdAt: -1 });
+cycleCountSchema.index({ 'lines.sku_id': 1 });
+
+module.exports = mongoose.model('CycleCount', cycleCountSchema);
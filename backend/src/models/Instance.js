@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Ways an instance can leave stock while keeping its record
+const DISPOSITIONS = ['lost', 'stolen', 'scrapped', 'returned_to_vendor', 'donated'];
+
 // Instance model - tracks individual product instances with acquisition cost
 const instanceSchema = new mongoose.Schema({
   // Reference to the SKU this instance belongs to
@@ -54,6 +57,137 @@ const instanceSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Purchase order this instance was received against (null for ad-hoc stock)
+  purchase_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null,
+    index: true
+  },
+
+  // Manufacturer serial number of this unit (optional, unique across all instances)
+  serial_number: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+
+  // Internal asset tag label (required for serialized SKUs, generated as AT-###### when not given)
+  asset_tag: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
+
+  // Working condition (tools). Out-of-service instances stay untagged but can't be
+  // tagged or lent until a maintenance order brings them back to functional.
+  condition: {
+    type: String,
+    enum: ['functional', 'needs_maintenance', 'broken'],
+    default: 'functional',
+    index: true
+  },
+  condition_updated_at: {
+    type: Date,
+    default: null
+  },
+  condition_updated_by: {
+    type: String,
+    default: null
+  },
+
+  // Open maintenance work order for this instance (null when none)
+  maintenance_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceOrder',
+    default: null,
+    index: true
+  },
+
+  // Lifetime number of tool checkouts (maintenance plans count service intervals from it)
+  checkout_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Disposal (lost, stolen, written off, ...). Disposed instances keep their record for
+  // valuation history and shrinkage reporting but are no longer on hand.
+  disposition: {
+    type: String,
+    enum: [...DISPOSITIONS, null],
+    default: null,
+    index: true
+  },
+  disposed_at: {
+    type: Date,
+    default: null
+  },
+  // Who reported it and who approved the write-off
+  disposition_reported_by: {
+    type: String,
+    default: null
+  },
+  disposition_approved_by: {
+    type: String,
+    default: null
+  },
+  disposition_reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Money got back (insurance, vendor credit, scrap sale)
+  recovered_value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Contractor holding the instance when it was lost (for shrinkage by contractor)
+  disposition_contractor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contractor',
+    default: null,
+    index: true
+  },
+  // Tag the instance was on when it was disposed of
+  disposition_tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+
+  // Vendor return (RMA) the unit went back on, or came in on as a replacement
+  vendor_return_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorReturn',
+    default: null,
+    index: true
+  },
+
+  // Component units: the kit instance they are built into. Kitted units are off hand for their
+  // own SKU - the kit is on hand instead - until disassembly clears this again.
+  kit_instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    default: null,
+    index: true
+  },
+
+  // Kit instances: when the kit was assembled from components, and when it was taken apart
+  // again (a disassembled kit keeps its record but is off hand)
+  assembled_at: {
+    type: Date,
+    default: null
+  },
+  disassembled_at: {
+    type: Date,
+    default: null
+  },
+
   // Optional notes for this specific instance
   notes: {
     type: String,
@@ -70,9 +204,202 @@ const instanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to check if instance is available (not tagged)
+// Blank identifiers are left unset so the sparse unique indexes ignore them.
+// New instances of a serialized SKU must carry an asset tag.
+instanceSchema.pre('validate', async function() {
+  ['serial_number', 'asset_tag'].forEach(field => {
+    if (typeof this[field] === 'string' && this[field].trim() === '') this[field] = undefined;
+  });
+
+  if (this.isNew && !this.asset_tag && this.sku_id) {
+    const SKU = mongoose.model('SKU');
+    if (await SKU.isSerialized(this.sku_id)) {
+      this.invalidate('asset_tag', 'Asset tag is required for instances of a serialized SKU');
+    }
+  }
+});
+
+// Fields that take an instance off hand while set: disposed units, components built into a kit
+// and kits that were taken apart
+const OFF_HAND_FIELDS = ['disposition', 'kit_instance_id', 'disassembled_at'];
+
+// Whether a query filter (including $and/$or/$nor branches) says anything about a field
+function mentionsField(filter, field) {
+  if (!filter || typeof filter !== 'object') return false;
+  return Object.entries(filter).some(([key, value]) => key === field ||
+    (['$and', '$or', '$nor'].includes(key) && Array.isArray(value) && value.some(branch => mentionsField(branch, field))));
+}
+
+// Off-hand instances aren't in stock, so reads leave them out unless the filter (or the first
+// $match of an aggregation) asks about that field - e.g. `{ disposition: { $ne: null } }`.
+instanceSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  for (const field of OFF_HAND_FIELDS) {
+    if (!mentionsField(this.getFilter(), field)) {
+      this.where({ [field]: null });
+    }
+  }
+});
+
+instanceSchema.pre('aggregate', function() {
+  const [firstStage] = this.pipeline();
+  const match = firstStage && firstStage.$match;
+  const unmentioned = OFF_HAND_FIELDS.filter(field => !(match && mentionsField(match, field)));
+  if (unmentioned.length > 0) {
+    this.pipeline().unshift({ $match: Object.fromEntries(unmentioned.map(field => [field, null])) });
+  }
+});
+
+// Conditions that take an instance out of service
+const OUT_OF_SERVICE_CONDITIONS = ['needs_maintenance', 'broken'];
+
+instanceSchema.statics.OUT_OF_SERVICE_CONDITIONS = OUT_OF_SERVICE_CONDITIONS;
+instanceSchema.statics.DISPOSITIONS = DISPOSITIONS;
+
+// Static method to build the filter for instances that are on hand (not disposed of, kitted or
+// taken apart) - for $lookup pipelines and updates, which the read hooks above don't cover
+instanceSchema.statics.onHandFilter = function(filter = {}) {
+  return { ...filter, ...Object.fromEntries(OFF_HAND_FIELDS.map(field => [field, null])) };
+};
+
+// Static method to build a filter that also matches off-hand instances, for identifier checks -
+// serial numbers and asset tags stay taken while a unit is disposed of or built into a kit
+instanceSchema.statics.includingOffHand = function(filter = {}) {
+  return { ...filter, $and: OFF_HAND_FIELDS.map(field => ({ $or: [{ [field]: null }, { [field]: { $ne: null } }] })) };
+};
+
+// Static method to build the filter for instances that can be tagged (on hand, untagged and in service)
+instanceSchema.statics.availableFilter = function(filter = {}) {
+  return this.onHandFilter({ ...filter, tag_id: null, condition: { $nin: OUT_OF_SERVICE_CONDITIONS } });
+};
+
+// Static method to build an aggregation expression that is true for available (untagged, in service)
+// instances, for $cond/$filter counts over units that are already on hand. `path` points at the
+// instance, e.g. '$$this.' inside a $filter.
+instanceSchema.statics.availableExpression = function(path = '$') {
+  return {
+    $and: [
+      { $eq: [`${path}tag_id`, null] },
+      { $not: [{ $in: [`${path}condition`, OUT_OF_SERVICE_CONDITIONS] }] }
+    ]
+  };
+};
+
+// Method to check if instance is available (on hand, not tagged and in service)
 instanceSchema.methods.isAvailable = function() {
-  return this.tag_id === null || this.tag_id === undefined;
+  return (this.tag_id === null || this.tag_id === undefined) &&
+    !OUT_OF_SERVICE_CONDITIONS.includes(this.condition) &&
+    OFF_HAND_FIELDS.every(field => !this[field]);
+};
+
+// Static method to look an instance up by id whether or not it has been disposed of
+instanceSchema.statics.findByIdIncludingDisposed = function(id) {
+  return this.findOne({ _id: id, disposition: { $in: [null, ...DISPOSITIONS] } });
+};
+
+// Method to dispose of the instance (lost, stolen, scrapped, returned to vendor, donated).
+// An instance on a tag comes off it (a tag left empty is cancelled) and the tag's contractor
+// is recorded against the loss. Records the ledger movement - against `source` (e.g. a cycle
+// count) when given, else the tag; the caller saves.
+// Throws with err.code ALREADY_DISPOSED or INVALID_DISPOSITION.
+instanceSchema.methods.dispose = async function({
+  disposition,
+  reason = '',
+  recoveredValue = 0,
+  disposedAt = new Date(),
+  reportedBy,
+  approvedBy,
+  contractorId = null,
+  source = null
+}) {
+  const Tag = mongoose.model('Tag');
+  const StockMovement = mongoose.model('StockMovement');
+
+  if (this.disposition) {
+    const err = new Error(`Instance was already disposed of (${this.disposition})`);
+    err.code = 'ALREADY_DISPOSED';
+    throw err;
+  }
+  if (!DISPOSITIONS.includes(disposition)) {
+    const err = new Error(`Disposition must be one of: ${DISPOSITIONS.join(', ')}`);
+    err.code = 'INVALID_DISPOSITION';
+    throw err;
+  }
+
+  const tag = this.tag_id ? await Tag.findById(this.tag_id) : null;
+  const fromState = tag
+    ? tag.tag_type
+    : (OUT_OF_SERVICE_CONDITIONS.includes(this.condition) ? this.condition : 'available');
+
+  if (tag) {
+    const instanceId = this._id.toString();
+    const item = tag.sku_items.find(skuItem => skuItem.selected_instance_ids.some(id => id.toString() === instanceId));
+    if (item) {
+      item.selected_instance_ids = item.selected_instance_ids.filter(id => id.toString() !== instanceId);
+      item.staged_instance_ids = (item.staged_instance_ids || []).filter(id => id.toString() !== instanceId);
+    }
+    tag.last_updated_by = approvedBy;
+    tag.addNote(`${this.asset_tag || this.serial_number || instanceId} written off as ${disposition.replace(/_/g, ' ')}` +
+      `${reason ? `: ${reason}` : ''}`, approvedBy, { kind: 'system' });
+    if (tag.getTotalRemainingQuantity() === 0 && tag.getTotalBackorderedQuantity() === 0 &&
+      ['active', 'staged'].includes(tag.status)) {
+      tag.cancel(approvedBy, 'every item was disposed of');
+    }
+    await tag.save();
+  }
+
+  this.disposition = disposition;
+  this.disposed_at = disposedAt;
+  this.disposition_reported_by = reportedBy || approvedBy;
+  this.disposition_approved_by = approvedBy;
+  this.disposition_reason = reason;
+  this.recovered_value = recoveredValue;
+  this.disposition_contractor_id = contractorId || tag?.contractor_id || null;
+  this.disposition_tag_id = tag ? tag._id : null;
+  this.tag_id = null;
+
+  await StockMovement.recordInstances([this], {
+    movement_type: 'disposal',
+    from_state: fromState,
+    to_state: 'disposed',
+    reason: `${disposition.replace(/_/g, ' ')}${reason ? `: ${reason}` : ''}`,
+    ...(source || (tag && { source_type: 'tag', source_id: tag._id, source_reference: tag.customer_name })),
+    performed_by: approvedBy,
+    occurred_at: disposedAt
+  });
+
+  return this;
+};
+
+// Method to bring a disposed instance back into stock (e.g. a lost tool turns up).
+// The disposal details stay in the ledger; the caller saves.
+instanceSchema.methods.reinstate = async function(reinstatedBy, reason = '') {
+  const StockMovement = mongoose.model('StockMovement');
+
+  if (!this.disposition) {
+    const err = new Error('Instance has not been disposed of');
+    err.code = 'NOT_DISPOSED';
+    throw err;
+  }
+
+  const previous = this.disposition;
+  this.disposition = null;
+  this.disposed_at = null;
+  this.disposition_reported_by = null;
+  this.disposition_approved_by = null;
+  this.disposition_reason = '';
+  this.recovered_value = 0;
+  this.disposition_contractor_id = null;
+  this.disposition_tag_id = null;
+
+  await StockMovement.recordInstances([this], {
+    movement_type: 'disposal_reversal',
+    from_state: 'disposed',
+    to_state: OUT_OF_SERVICE_CONDITIONS.includes(this.condition) ? this.condition : 'available',
+    reason: `Reinstated after ${previous.replace(/_/g, ' ')}${reason ? `: ${reason}` : ''}`,
+    performed_by: reinstatedBy
+  });
+
+  return this;
 };
 
 // Method to tag this instance
@@ -92,10 +419,8 @@ instanceSchema.methods.releaseFromTag = function() {
 
 // Static method to find available instances for a SKU (FIFO - oldest first)
 instanceSchema.statics.findAvailableForSKU = function(skuId, limit = null) {
-  let query = this.find({ 
-    sku_id: skuId, 
-    tag_id: null 
-  }).sort({ acquisition_date: 1 }); // Oldest first (FIFO)
+  let query = this.find(this.availableFilter({ sku_id: skuId }))
+    .sort({ acquisition_date: 1 }); // Oldest first (FIFO)
   
   if (limit) {
     query = query.limit(limit);
@@ -108,10 +433,8 @@ instanceSchema.statics.findAvailableForSKU = function(skuId, limit = null) {
 instanceSchema.statics.findAvailableByCost = function(skuId, costCriteria, limit = null) {
   const sortOrder = costCriteria === 'lowest' ? 1 : -1;
   
-  let query = this.find({ 
-    sku_id: skuId, 
-    tag_id: null 
-  }).sort({ acquisition_cost: sortOrder, acquisition_date: 1 }); // Secondary sort by date
+  let query = this.find(this.availableFilter({ sku_id: skuId }))
+    .sort({ acquisition_cost: sortOrder, acquisition_date: 1 }); // Secondary sort by date
   
   if (limit) {
     query = query.limit(limit);
@@ -129,16 +452,13 @@ instanceSchema.statics.findByTag = function(tagId) {
 
 // Static method to count available instances for a SKU
 instanceSchema.statics.countAvailableForSKU = function(skuId) {
-  return this.countDocuments({ 
-    sku_id: skuId, 
-    tag_id: null 
-  });
+  return this.countDocuments(this.availableFilter({ sku_id: skuId }));
 };
 
 // Static method to get cost summary for available instances of a SKU
 instanceSchema.statics.getCostSummaryForSKU = function(skuId) {
   return this.aggregate([
-    { $match: { sku_id: new mongoose.Types.ObjectId(skuId), tag_id: null } },
+    { $match: this.availableFilter({ sku_id: new mongoose.Types.ObjectId(skuId) }) },
     {
       $group: {
         _id: null,
@@ -154,6 +474,132 @@ instanceSchema.statics.getCostSummaryForSKU = function(skuId) {
   ]);
 };
 
+// Static method to generate the next `count` asset tags (AT-000001, AT-000002, ...)
+instanceSchema.statics.generateAssetTags = async function(count) {
+  const latest = await this.findOne(this.includingOffHand({ asset_tag: /^AT-\d+$/ }))
+    .sort({ asset_tag: -1 })
+    .select('asset_tag');
+
+  const start = latest ? parseInt(latest.asset_tag.slice(3), 10) + 1 : 1;
+  return Array.from({ length: count }, (_, i) => `AT-${String(start + i).padStart(6, '0')}`);
+};
+
+// Static method to fill in serial numbers and asset tags on instance data about to be created.
+// serialNumbers/assetTags are optional, but when given there must be one per instance.
+// Serialized SKUs get generated asset tags for any not supplied (or already on the data).
+// Throws with err.code IDENTIFIER_COUNT_MISMATCH or DUPLICATE_IDENTIFIER.
+instanceSchema.statics.assignIdentifiers = async function(skuId, instancesData, { serialNumbers = [], assetTags = [] } = {}) {
+  const SKU = mongoose.model('SKU');
+
+  const clean = (values, transform = value => value) => (values || [])
+    .map(value => transform(String(value || '').trim()));
+  const serials = clean(serialNumbers);
+  const tags = clean(assetTags, value => value.toUpperCase());
+
+  for (const [label, values] of [['serial numbers', serials], ['asset tags', tags]]) {
+    if (values.length > 0 && values.length !== instancesData.length) {
+      const err = new Error(`Expected ${instancesData.length} ${label} but got ${values.length}`);
+      err.code = 'IDENTIFIER_COUNT_MISMATCH';
+      throw err;
+    }
+    const given = values.filter(Boolean);
+    const repeated = given.filter((value, index) => given.indexOf(value) !== index);
+    if (repeated.length > 0) {
+      const err = new Error(`Duplicate ${label}: ${[...new Set(repeated)].join(', ')}`);
+      err.code = 'DUPLICATE_IDENTIFIER';
+      throw err;
+    }
+  }
+
+  const taken = serials.some(Boolean) || tags.some(Boolean)
+    ? await this.find(this.includingOffHand({
+      $or: [
+        { serial_number: { $in: serials.filter(Boolean) } },
+        { asset_tag: { $in: tags.filter(Boolean) } }
+      ]
+    })).select('serial_number asset_tag')
+    : [];
+  if (taken.length > 0) {
+    const err = new Error(`Already in use: ${taken.map(instance =>
+      (serials.includes(instance.serial_number) ? instance.serial_number : instance.asset_tag)).join(', ')}`);
+    err.code = 'DUPLICATE_IDENTIFIER';
+    throw err;
+  }
+
+  const missingTags = instancesData.filter((data, i) => !tags[i] && !data.asset_tag).length;
+  const generated = missingTags > 0 && await SKU.isSerialized(skuId)
+    ? await this.generateAssetTags(missingTags)
+    : [];
+
+  return instancesData.map((data, i) => {
+    const assetTag = tags[i] || data.asset_tag || generated.shift();
+    return {
+      ...data,
+      ...(serials[i] && { serial_number: serials[i] }),
+      ...(assetTag && { asset_tag: assetTag })
+    };
+  });
+};
+
+// Static method to give existing instances without an asset tag one (when a SKU or category
+// becomes serialized). Returns how many were tagged.
+instanceSchema.statics.backfillAssetTags = async function(filter) {
+  const untagged = await this.find({ ...filter, asset_tag: { $in: [null, ''] } })
+    .sort({ acquisition_date: 1 })
+    .select('_id');
+  if (untagged.length === 0) return 0;
+
+  const tags = await this.generateAssetTags(untagged.length);
+  await this.bulkWrite(untagged.map((instance, i) => ({
+    updateOne: { filter: { _id: instance._id }, update: { $set: { asset_tag: tags[i] } } }
+  })));
+  return untagged.length;
+};
+
+// Static method to find an instance by serial number or asset tag (scan lookups)
+instanceSchema.statics.findByIdentifier = function(code) {
+  const value = String(code || '').trim();
+  if (!value) return Promise.resolve(null);
+  return this.findOne({ $or: [{ serial_number: value }, { asset_tag: value.toUpperCase() }] });
+};
+
+// Static method to resolve serial numbers / asset tags of a SKU to its instances (in the
+// order given). Throws with err.code IDENTIFIER_NOT_FOUND listing any that don't match.
+instanceSchema.statics.resolveIdentifiers = async function(skuId, codes) {
+  const values = [...new Set((codes || []).map(code => String(code || '').trim()).filter(Boolean))];
+  const instances = await this.find({
+    sku_id: skuId,
+    $or: [
+      { serial_number: { $in: values } },
+      { asset_tag: { $in: values.map(value => value.toUpperCase()) } }
+    ]
+  });
+
+  const matched = values.map(value => instances.find(instance =>
+    instance.serial_number === value || instance.asset_tag === value.toUpperCase()));
+  const missing = values.filter((_, i) => !matched[i]);
+  if (missing.length > 0) {
+    const err = new Error(`No instance of SKU ${skuId} with serial number or asset tag: ${missing.join(', ')}`);
+    err.code = 'IDENTIFIER_NOT_FOUND';
+    throw err;
+  }
+  return [...new Map(matched.map(instance => [instance._id.toString(), instance])).values()];
+};
+
+// Static method to turn `serial_numbers` on request sku_items into manual instance selections
+// (so checkout/tagging picks those exact units). Items without serials are left alone.
+instanceSchema.statics.applySerialSelections = async function(skuItems) {
+  for (const item of skuItems) {
+    if (!Array.isArray(item.serial_numbers) || item.serial_numbers.length === 0) continue;
+    const instances = await this.resolveIdentifiers(item.sku_id, item.serial_numbers);
+    item.selected_instance_ids = instances.map(instance => instance._id.toString());
+    item.selection_method = 'manual';
+    item.quantity = instances.length;
+    delete item.serial_numbers;
+  }
+  return skuItems;
+};
+
 // Indexes for efficient queries
 instanceSchema.index({ sku_id: 1, tag_id: 1 }); // Compound index for availability queries
 instanceSchema.index({ sku_id: 1, acquisition_date: 1 }); // For FIFO queries
@@ -66,6 +66,26 @@ const inventorySchema = new mongoose.Schema({
     min: 0
   },
   
+  // Per-location thresholds (location = Location.code); SKU-wide levels above still apply overall
+  location_levels: [{
+    location: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true
+    },
+    minimum_stock_level: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    reorder_point: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  
   
   // Valuation
   total_value: {
@@ -132,9 +152,20 @@ inventorySchema.pre('save', function(next) {
   this.total_quantity = availableQty + reservedQty + brokenQty + loanedQty;
   
   // Update stock status flags
+  const wasOutOfStock = this.is_out_of_stock;
+  const wasLowStock = this.is_low_stock;
   this.is_out_of_stock = this.available_quantity === 0;
   this.is_low_stock = this.available_quantity <= this.minimum_stock_level && this.available_quantity > 0;
   this.is_overstock = this.maximum_stock_level && this.total_quantity > this.maximum_stock_level;
+
+  // Remember threshold crossings for the post-save alert (new records start empty, so skip them)
+  if (!this.isNew && this.is_active) {
+    if (this.is_out_of_stock && !wasOutOfStock) {
+      this.$locals.stockAlert = 'Out of Stock';
+    } else if (this.is_low_stock && !wasLowStock && !wasOutOfStock) {
+      this.$locals.stockAlert = 'Low Stock';
+    }
+  }
   
   // Calculate total value if we have cost data
   if (this.average_cost > 0) {
@@ -144,6 +175,43 @@ inventorySchema.pre('save', function(next) {
   next();
 });
 
+// Log low/out-of-stock crossings (published to webhook subscribers from AuditLog)
+// and notify the users who asked for low-stock alerts
+inventorySchema.post('save', async function(doc) {
+  const alert = doc.$locals.stockAlert;
+  if (!alert) return;
+  delete doc.$locals.stockAlert;
+
+  try {
+    await mongoose.model('AuditLog').logEvent({
+      event_type: 'warning',
+      entity_type: 'inventory',
+      entity_id: doc.sku_id._id || doc.sku_id,
+      user_id: 'system',
+      user_name: doc.last_updated_by || 'System',
+      action: alert,
+      description: `${alert}: ${doc.available_quantity} available (minimum ${doc.minimum_stock_level}, reorder point ${doc.reorder_point})`,
+      changes: {
+        after: {
+          available_quantity: doc.available_quantity,
+          minimum_stock_level: doc.minimum_stock_level,
+          reorder_point: doc.reorder_point
+        }
+      },
+      category: 'business',
+      severity: alert === 'Out of Stock' ? 'high' : 'medium',
+      status: 'warning'
+    });
+  } catch (error) {
+    console.error('Failed to log stock alert:', error.message);
+  }
+
+  const { notifyLowStock } = require('../utils/notifications');
+  notifyLowStock(doc, alert).catch(error => {
+    console.error('Low stock notification error (non-fatal):', error.message);
+  });
+});
+
 // Method to update inventory levels
 inventorySchema.methods.updateQuantities = function(updates, updatedBy = 'System') {
   const { available, reserved, broken, loaned } = updates;
@@ -263,6 +331,11 @@ inventorySchema.methods.needsReorder = function() {
   return this.available_quantity <= this.reorder_point;
 };
 
+// Method to get thresholds for a single location
+inventorySchema.methods.getLocationLevel = function(locationCode) {
+  return (this.location_levels || []).find(level => level.location === String(locationCode).toUpperCase()) || null;
+};
+
 // Method to get inventory summary
 inventorySchema.methods.getSummary = function() {
   return {
@@ -280,6 +353,42 @@ inventorySchema.methods.getSummary = function() {
   };
 };
 
+// Static method to recount a SKU's quantities from its instances (creating the inventory record if needed).
+// Tagged units count by tag type - broken and imperfect as broken, loaned as loaned, the rest as reserved -
+// and untagged units that are out of service as broken; pre('save') adds them up to the total.
+// Disposed instances don't count.
+inventorySchema.statics.refreshCounts = async function(skuId, updatedBy = 'System') {
+  const Instance = mongoose.model('Instance');
+
+  let inventory = await this.findOne({ sku_id: skuId });
+  if (!inventory) {
+    inventory = new this({ sku_id: skuId, last_updated_by: updatedBy });
+  }
+
+  const [availableInstances, outOfServiceInstances, byTagType] = await Promise.all([
+    Instance.countDocuments(Instance.availableFilter({ sku_id: skuId })),
+    Instance.countDocuments({ sku_id: skuId, tag_id: null, condition: { $in: Instance.OUT_OF_SERVICE_CONDITIONS } }),
+    Instance.aggregate([
+      { $match: { sku_id: new mongoose.Types.ObjectId(skuId.toString()), tag_id: { $ne: null } } },
+      { $lookup: { from: 'tags', localField: 'tag_id', foreignField: '_id', as: 'tag' } },
+      { $group: { _id: { $ifNull: [{ $first: '$tag.tag_type' }, 'reserved'] }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const tagged = Object.fromEntries(byTagType.map(entry => [entry._id, entry.count]));
+  const broken = (tagged.broken || 0) + (tagged.imperfect || 0);
+  const loaned = tagged.loaned || 0;
+  const totalTagged = byTagType.reduce((sum, entry) => sum + entry.count, 0);
+
+  inventory.available_quantity = availableInstances;
+  inventory.reserved_quantity = totalTagged - broken - loaned;
+  inventory.broken_quantity = broken + outOfServiceInstances;
+  inventory.loaned_quantity = loaned;
+  inventory.last_updated_by = updatedBy;
+  await inventory.save();
+  return inventory;
+};
+
 // Static method to get low stock items
 inventorySchema.statics.getLowStockItems = function() {
   return this.find({ is_low_stock: true, is_active: true })
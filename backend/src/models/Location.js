@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Location model - warehouses, trailers and other places stock can physically sit.
+// Instance.location stores the location code.
+const locationSchema = new mongoose.Schema({
+  // Short unique code stored on instances (e.g. HQ, TRAILER-2)
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 50,
+    index: true
+  },
+
+  // Display name
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  type: {
+    type: String,
+    enum: ['warehouse', 'trailer', 'job_site', 'vehicle', 'showroom', 'other'],
+    default: 'warehouse',
+    index: true
+  },
+
+  is_active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Where new stock lands when no location is given
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Turn a free-text location ("Warehouse A") into a code ("WAREHOUSE-A")
+locationSchema.statics.toCode = function(value) {
+  return String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Static method to get the code new stock should default to
+locationSchema.statics.getDefaultCode = async function() {
+  const defaultLocation = await this.findOne({ is_active: true, is_default: true }).select('code');
+  return defaultLocation ? defaultLocation.code : 'HQ';
+};
+
+// Static method to validate a location given by code or name and return its code.
+// Until the first location is set up we accept any value so existing installs keep working.
+locationSchema.statics.resolveCode = async function(value) {
+  const configured = await this.estimatedDocumentCount();
+  if (!value || !String(value).trim()) {
+    return configured > 0 ? this.getDefaultCode() : 'HQ';
+  }
+
+  const trimmed = String(value).trim();
+  if (configured === 0) {
+    return trimmed;
+  }
+
+  const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const location = await this.findOne({
+    is_active: true,
+    $or: [
+      { code: trimmed.toUpperCase() },
+      { name: new RegExp(`^${escaped}$`, 'i') }
+    ]
+  }).select('code');
+
+  if (!location) {
+    const err = new Error(`Unknown or inactive location: ${trimmed}`);
+    err.code = 'INVALID_LOCATION';
+    throw err;
+  }
+
+  return location.code;
+};
+
+// Method to get stock counts at this location
+locationSchema.methods.getStockSummary = async function() {
+  const Instance = mongoose.model('Instance');
+  const [summary] = await Instance.aggregate([
+    { $match: { location: this.code } },
+    {
+      $group: {
+        _id: null,
+        total_quantity: { $sum: 1 },
+        available_quantity: { $sum: { $cond: [Instance.availableExpression(), 1, 0] } },
+        total_value: { $sum: '$acquisition_cost' },
+        sku_ids: { $addToSet: '$sku_id' }
+      }
+    }
+  ]);
+
+  return {
+    total_quantity: summary?.total_quantity || 0,
+    available_quantity: summary?.available_quantity || 0,
+    total_value: summary?.total_value || 0,
+    sku_count: summary?.sku_ids.length || 0
+  };
+};
+
+// Indexes for efficient queries
+locationSchema.index({ is_active: 1, type: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes. repaired and scrapped close the order.
+const STATUS_TRANSITIONS = {
+  opened: ['in_repair', 'awaiting_parts', 'repaired', 'scrapped'],
+  in_repair: ['awaiting_parts', 'repaired', 'scrapped'],
+  awaiting_parts: ['in_repair', 'repaired', 'scrapped'],
+  repaired: [],
+  scrapped: []
+};
+
+const OUT_OF_SERVICE = ['needs_maintenance', 'broken'];
+
+// History entry schema - every status change, cost change or note on the order
+const historyEntrySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Repair cost after this entry (when it changed)
+  repair_cost: {
+    type: Number,
+    default: null
+  },
+  changed_by: {
+    type: String,
+    required: true
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: true
+});
+
+// MaintenanceOrder model - a repair work order for one tool instance.
+// While an order is open the instance is out of service (Instance.condition).
+const maintenanceOrderSchema = new mongoose.Schema({
+  // Human readable order number (MO-YYYYMMDD-###)
+  order_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  // Tool being repaired. Scrapped instances are disposed of and left out of normal reads, so the
+  // SKU is kept too.
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true,
+    index: true
+  },
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'opened',
+    index: true
+  },
+
+  // Condition the tool was reported in
+  reported_condition: {
+    type: String,
+    enum: OUT_OF_SERVICE,
+    required: true
+  },
+
+  // What's wrong with it
+  issue: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Where the order came from
+  source: {
+    type: String,
+    enum: ['manual', 'tool_return', 'migration'],
+    default: 'manual'
+  },
+  // Loan the tool came back from, for tool returns
+  source_tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+
+  // Repair details
+  vendor: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  repair_cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  history: {
+    type: [historyEntrySchema],
+    default: []
+  },
+
+  closed_at: {
+    type: Date,
+    default: null
+  },
+  closed_by: {
+    type: String,
+    default: null
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+maintenanceOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Method to check if the order is still open
+maintenanceOrderSchema.methods.isOpen = function() {
+  return !['repaired', 'scrapped'].includes(this.status);
+};
+
+// Method to update repair details and/or move the order to a new status.
+// Repaired puts the tool back in service; scrapped writes it off (disposition 'scrapped').
+maintenanceOrderSchema.methods.applyUpdate = async function({ status, vendor, repair_cost, notes, condition }, updatedBy) {
+  const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
+
+  if (!this.isOpen()) {
+    const err = new Error(`Maintenance order ${this.order_number} is ${this.status} and can no longer be changed`);
+    err.code = 'ORDER_CLOSED';
+    throw err;
+  }
+
+  const statusChanged = status !== undefined && status !== this.status;
+  if (statusChanged && !STATUS_TRANSITIONS[this.status].includes(status)) {
+    const err = new Error(`Cannot move a maintenance order from ${this.status} to ${status}`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+
+  const costChanged = repair_cost !== undefined && Number(repair_cost) !== this.repair_cost;
+  if (vendor !== undefined) this.vendor = vendor;
+  if (costChanged) this.repair_cost = Number(repair_cost);
+  if (statusChanged) this.status = status;
+
+  this.history.push({
+    status: this.status,
+    notes: notes || '',
+    repair_cost: costChanged ? this.repair_cost : null,
+    changed_by: updatedBy
+  });
+  this.last_updated_by = updatedBy;
+
+  const instance = await Instance.findById(this.instance_id);
+  if (statusChanged && !this.isOpen()) {
+    this.closed_at = new Date();
+    this.closed_by = updatedBy;
+
+    if (instance && this.status === 'repaired') {
+      const previousCondition = instance.condition;
+      instance.condition = 'functional';
+      instance.condition_updated_at = new Date();
+      instance.condition_updated_by = updatedBy;
+      instance.maintenance_order_id = null;
+      await instance.save();
+
+      await StockMovement.recordInstances([instance], {
+        movement_type: 'status_move',
+        from_state: previousCondition,
+        to_state: 'available',
+        reason: `Repaired (${this.order_number})`,
+        performed_by: updatedBy
+      });
+    } else if (instance && this.status === 'scrapped') {
+      // Written off like any other disposal, so it keeps its record and shows up as shrinkage
+      await instance.dispose({
+        disposition: 'scrapped',
+        reason: `${this.order_number}${notes ? `: ${notes}` : ''}`,
+        reportedBy: updatedBy,
+        approvedBy: updatedBy
+      });
+      instance.maintenance_order_id = null;
+      await instance.save();
+    }
+  } else if (instance && condition && condition !== instance.condition) {
+    // Still open - e.g. a tool waiting for repair turned out to be broken
+    const previousCondition = instance.condition;
+    instance.condition = condition;
+    instance.condition_updated_at = new Date();
+    instance.condition_updated_by = updatedBy;
+    await instance.save();
+
+    await StockMovement.recordInstances([instance], {
+      movement_type: 'status_move',
+      from_state: previousCondition,
+      to_state: condition,
+      reason: `Condition changed (${this.order_number})`,
+      performed_by: updatedBy
+    });
+  }
+
+  return this;
+};
+
+// Static method to take an instance out of service and open (or reuse) its maintenance order
+maintenanceOrderSchema.statics.openForInstance = async function(instance, {
+  condition,
+  issue = '',
+  source = 'manual',
+  sourceTagId = null,
+  fromState,
+  openedBy
+}) {
+  const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
+
+  let order = instance.maintenance_order_id
+    ? await this.findById(instance.maintenance_order_id)
+    : null;
+
+  if (order && order.isOpen()) {
+    order.history.push({
+      status: order.status,
+      notes: `Reported ${condition}${issue ? `: ${issue}` : ''}`,
+      changed_by: openedBy
+    });
+    order.last_updated_by = openedBy;
+    await order.save();
+  } else {
+    order = await this.create({
+      order_number: await this.generateOrderNumber(),
+      instance_id: instance._id,
+      sku_id: instance.sku_id._id || instance.sku_id,
+      reported_condition: condition,
+      issue,
+      source,
+      source_tag_id: sourceTagId,
+      history: [{ status: 'opened', notes: issue, changed_by: openedBy }],
+      created_by: openedBy,
+      last_updated_by: openedBy
+    });
+  }
+
+  const previousState = fromState ||
+    (OUT_OF_SERVICE.includes(instance.condition) ? instance.condition : 'available');
+  await Instance.updateOne(
+    { _id: instance._id },
+    {
+      $set: {
+        condition,
+        condition_updated_at: new Date(),
+        condition_updated_by: openedBy,
+        maintenance_order_id: order._id
+      }
+    }
+  );
+
+  if (previousState !== condition) {
+    await StockMovement.recordInstances([instance], {
+      movement_type: 'status_move',
+      from_state: previousState,
+      to_state: condition,
+      source_type: sourceTagId ? 'tag' : 'manual',
+      source_id: sourceTagId,
+      reason: `${condition === 'broken' ? 'Broken' : 'Needs maintenance'} (${order.order_number})`,
+      performed_by: openedBy
+    });
+  }
+
+  return order;
+};
+
+// Static method to generate the next order number (MO-YYYYMMDD-###)
+maintenanceOrderSchema.statics.generateOrderNumber = async function(date = new Date()) {
+  const prefix = `MO-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ order_number: new RegExp(`^${prefix}`) })
+    .sort({ order_number: -1 })
+    .select('order_number');
+
+  const nextSequence = latest ? parseInt(latest.order_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Indexes for efficient queries
+maintenanceOrderSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MaintenanceOrder', maintenanceOrderSchema);
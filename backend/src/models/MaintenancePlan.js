@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MaintenancePlan model - preventive service or calibration interval for a tool SKU
+// (every instance) or a single instance. Due after interval_days and/or interval_checkouts,
+// whichever comes first, counted from the last ServiceRecord (or acquisition).
+const maintenancePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // What the plan covers - exactly one of these is set
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    default: null,
+    index: true
+  },
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    default: null,
+    index: true
+  },
+
+  // Calendar interval (days between services)
+  interval_days: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Usage interval (checkouts between services)
+  interval_checkouts: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // How early a tool shows as due before it becomes overdue
+  lead_days: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  lead_checkouts: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+
+  // What checkout does with an overdue tool: warn, or refuse it
+  enforcement: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
+
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+maintenancePlanSchema.pre('validate', function(next) {
+  if (!this.sku_id === !this.instance_id) {
+    this.invalidate('sku_id', 'A maintenance plan covers either a SKU or a single instance');
+  }
+  if (!this.interval_days && !this.interval_checkouts) {
+    this.invalidate('interval_days', 'Set interval_days and/or interval_checkouts');
+  }
+  next();
+});
+
+// Method to work out where an instance stands against this plan
+maintenancePlanSchema.methods.evaluate = function(instance, lastService, now = new Date()) {
+  const servicedAt = lastService ? lastService.serviced_at : null;
+  const since = servicedAt || instance.acquisition_date || instance.createdAt;
+  const checkoutsSinceService = (instance.checkout_count || 0) - (lastService ? lastService.checkout_count : 0);
+
+  const dueDate = this.interval_days ? new Date(since.getTime() + this.interval_days * DAY_MS) : null;
+  const checkoutsRemaining = this.interval_checkouts ? this.interval_checkouts - checkoutsSinceService : null;
+
+  let status = 'ok';
+  if ((dueDate && dueDate <= now) || (checkoutsRemaining !== null && checkoutsRemaining <= 0)) {
+    status = 'overdue';
+  } else if (
+    (dueDate && dueDate.getTime() - now.getTime() <= this.lead_days * DAY_MS) ||
+    (checkoutsRemaining !== null && checkoutsRemaining <= this.lead_checkouts)
+  ) {
+    status = 'due';
+  }
+
+  return {
+    plan_id: this._id,
+    plan_name: this.name,
+    enforcement: this.enforcement,
+    instance_id: instance._id,
+    sku_id: instance.sku_id._id || instance.sku_id,
+    last_serviced_at: servicedAt,
+    due_date: dueDate,
+    checkouts_since_service: checkoutsSinceService,
+    checkouts_remaining: checkoutsRemaining,
+    status
+  };
+};
+
+// Static method to evaluate every active plan that applies to the given instances.
+// Returns one entry per instance and plan.
+maintenancePlanSchema.statics.getServiceStatus = async function(instances, { now = new Date() } = {}) {
+  if (instances.length === 0) return [];
+  const ServiceRecord = mongoose.model('ServiceRecord');
+
+  const instanceIds = instances.map(instance => instance._id);
+  const skuIds = [...new Set(instances.map(instance => (instance.sku_id._id || instance.sku_id).toString()))];
+
+  const plans = await this.find({
+    active: true,
+    $or: [{ sku_id: { $in: skuIds } }, { instance_id: { $in: instanceIds } }]
+  });
+  if (plans.length === 0) return [];
+
+  const latest = await ServiceRecord.getLatestFor(instanceIds);
+  const results = [];
+  for (const instance of instances) {
+    const skuId = (instance.sku_id._id || instance.sku_id).toString();
+    plans
+      .filter(plan => (plan.sku_id && plan.sku_id.toString() === skuId) ||
+        (plan.instance_id && plan.instance_id.equals(instance._id)))
+      .forEach(plan => {
+        results.push(plan.evaluate(instance, latest.get(`${instance._id}|${plan._id}`), now));
+      });
+  }
+  return results;
+};
+
+// Static method to find the instances covered by a set of plans
+maintenancePlanSchema.statics.findCoveredInstances = function(plans, filter = {}) {
+  const Instance = mongoose.model('Instance');
+  const skuIds = plans.filter(plan => plan.sku_id).map(plan => plan.sku_id);
+  const instanceIds = plans.filter(plan => plan.instance_id).map(plan => plan.instance_id);
+
+  return Instance.find({
+    ...filter,
+    $or: [{ sku_id: { $in: skuIds } }, { _id: { $in: instanceIds } }]
+  });
+};
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
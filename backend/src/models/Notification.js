@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Notification model - a user's in-app inbox entry (and its email copy, if any)
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  username: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // What happened
+  type: {
+    type: String,
+    required: true,
+    enum: ['low_stock', 'tag_ready', 'overdue_tool', 'overdue_tool_escalation', 'reservation_unfilled', 'backorder_allocated', 'bug_report_reply'],
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Frontend path to open when the notification is clicked
+  link: {
+    type: String,
+    default: null
+  },
+
+  // Record the notification is about
+  entity_type: {
+    type: String,
+    enum: ['sku', 'tag', 'bug_report', 'tool_reservation', null],
+    default: null
+  },
+  entity_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Unread while null
+  read_at: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // Email channel outcome
+  email_status: {
+    type: String,
+    enum: ['not_requested', 'sent', 'failed', 'not_configured'],
+    default: 'not_requested'
+  },
+  email_error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user_id: 1, read_at: 1, createdAt: -1 });
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ user_id: userId, read_at: null });
+};
+
+// Static method to mark notifications read (all of the user's when ids is empty)
+notificationSchema.statics.markRead = async function(userId, ids = []) {
+  const filter = { user_id: userId, read_at: null };
+  if (ids.length > 0) {
+    filter._id = { $in: ids };
+  }
+  const result = await this.updateMany(filter, { $set: { read_at: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Project model - a job for a customer (a bathroom remodel, a model home, ...).
+// Tag.project_name is kept as a display copy of the project's name.
+const projectSchema = new mongoose.Schema({
+  customer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+
+  // Display name
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Normalized name, unique per customer
+  name_key: {
+    type: String,
+    required: true
+  },
+
+  // Job site address
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'on_hold', 'completed', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+
+  start_date: {
+    type: Date,
+    default: null
+  },
+  end_date: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.pre('validate', function(next) {
+  this.name_key = mongoose.model('Customer').normalizeName(this.name);
+  next();
+});
+
+// Static method to find a customer's project by name, creating it if there isn't one
+projectSchema.statics.findOrCreateByName = async function(customerId, name, createdBy) {
+  const nameKey = mongoose.model('Customer').normalizeName(name);
+  const existing = await this.findOne({ customer_id: customerId, name_key: nameKey });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      customer_id: customerId,
+      name: name.trim(),
+      created_by: createdBy,
+      last_updated_by: createdBy
+    });
+  } catch (error) {
+    if (error.code === 11000) return this.findOne({ customer_id: customerId, name_key: nameKey });
+    throw error;
+  }
+};
+
+// Static method to fold duplicate projects into one; their tags move to the target
+projectSchema.statics.mergeInto = async function(target, sources, mergedBy) {
+  const Tag = mongoose.model('Tag');
+  const sourceIds = sources.map(source => source._id);
+
+  const tagResult = await Tag.updateMany(
+    { project_id: { $in: sourceIds } },
+    { $set: { project_id: target._id, project_name: target.name, last_updated_by: mergedBy } }
+  );
+  await this.deleteMany({ _id: { $in: sourceIds } });
+
+  return { projects_merged: sources.length, tags_moved: tagResult.modifiedCount };
+};
+
+// Indexes for efficient queries
+projectSchema.index({ customer_id: 1, name_key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,503 @@
+const mongoose = require('mongoose');
+
+// Receipt schema - one entry per delivery booked against a line
+const receiptSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Instances created by this receipt
+  instance_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance'
+  }],
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  received_by: {
+    type: String,
+    required: true
+  },
+  received_date: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: true
+});
+
+// Line item schema - what we ordered for a single SKU
+const lineItemSchema = new mongoose.Schema({
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  quantity_ordered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantity_received: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Agreed cost per unit - becomes Instance.acquisition_cost on receipt
+  unit_cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Supplier's own part number for this SKU
+  supplier_sku: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  receipts: {
+    type: [receiptSchema],
+    default: []
+  }
+}, {
+  _id: true
+});
+
+// Purchase order model - tracks what was ordered from a supplier and what has arrived
+const purchaseOrderSchema = new mongoose.Schema({
+  // Human-readable PO number (also written to Instance.reference_number)
+  po_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  supplier_name: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed'],
+    default: 'draft',
+    index: true
+  },
+
+  line_items: {
+    type: [lineItemSchema],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'Purchase order must contain at least one line item'
+    }
+  },
+
+  expected_date: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Lifecycle tracking
+  sent_date: {
+    type: Date,
+    default: null
+  },
+  sent_by: {
+    type: String,
+    default: null
+  },
+  closed_date: {
+    type: Date,
+    default: null
+  },
+  closed_by: {
+    type: String,
+    default: null
+  },
+  close_reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware to keep receiving status in step with line quantities
+purchaseOrderSchema.pre('save', function(next) {
+  if (['sent', 'partially_received', 'received'].includes(this.status)) {
+    const totalReceived = this.line_items.reduce((sum, line) => sum + line.quantity_received, 0);
+    if (this.isFullyReceived()) {
+      this.status = 'received';
+    } else if (totalReceived > 0) {
+      this.status = 'partially_received';
+    }
+  }
+  next();
+});
+
+// Method to check whether every line has been received in full
+purchaseOrderSchema.methods.isFullyReceived = function() {
+  return this.line_items.every(line => line.quantity_received >= line.quantity_ordered);
+};
+
+// Method to get outstanding quantity for a line
+purchaseOrderSchema.methods.getOutstandingQuantity = function(line) {
+  return Math.max(0, line.quantity_ordered - line.quantity_received);
+};
+
+// Method to get total order value
+purchaseOrderSchema.methods.getTotalValue = function() {
+  return this.line_items.reduce((sum, line) => sum + (line.quantity_ordered * line.unit_cost), 0);
+};
+
+// Method to get value still outstanding
+purchaseOrderSchema.methods.getOutstandingValue = function() {
+  return this.line_items.reduce((sum, line) => sum + (this.getOutstandingQuantity(line) * line.unit_cost), 0);
+};
+
+// Method to check if the PO can accept deliveries
+purchaseOrderSchema.methods.canReceive = function() {
+  return ['sent', 'partially_received'].includes(this.status);
+};
+
+// Method to mark the PO as sent to the supplier
+purchaseOrderSchema.methods.markSent = function(sentBy) {
+  if (this.status !== 'draft') {
+    throw new Error(`Only draft purchase orders can be sent (current status: ${this.status})`);
+  }
+  this.status = 'sent';
+  this.sent_date = new Date();
+  this.sent_by = sentBy;
+  this.last_updated_by = sentBy;
+};
+
+// Method to receive stock against a line - creates Instances at the PO cost.
+// serialNumbers/assetTags (optional, one per unit) identify serialized units.
+purchaseOrderSchema.methods.receiveLine = async function(lineId, quantity, { location, notes, serialNumbers, assetTags, receivedBy }) {
+  const Instance = mongoose.model('Instance');
+
+  if (!this.canReceive()) {
+    throw new Error(`Cannot receive against a purchase order with status ${this.status}`);
+  }
+
+  const line = this.line_items.id(lineId);
+  if (!line) {
+    const err = new Error(`Line item ${lineId} not found on purchase order ${this.po_number}`);
+    err.code = 'LINE_NOT_FOUND';
+    throw err;
+  }
+
+  const outstanding = this.getOutstandingQuantity(line);
+  if (quantity > outstanding) {
+    throw new Error(`Cannot receive ${quantity} units - only ${outstanding} outstanding on line ${lineId}`);
+  }
+
+  const acquisitionDate = new Date();
+  const instancesData = await Instance.assignIdentifiers(line.sku_id, Array.from({ length: quantity }, () => ({
+    _id: new mongoose.Types.ObjectId(),
+    sku_id: line.sku_id,
+    acquisition_date: acquisitionDate,
+    acquisition_cost: line.unit_cost,
+    location: location || 'HQ',
+    supplier: this.supplier_name,
+    reference_number: this.po_number,
+    purchase_order_id: this._id,
+    notes: notes || '',
+    added_by: receivedBy
+  })), { serialNumbers, assetTags });
+  let instances;
+  try {
+    instances = await Instance.insertMany(instancesData);
+  } catch (error) {
+    // An identifier taken in the meantime stops the insert part way; don't leave half a line behind
+    await Instance.deleteMany({ _id: { $in: instancesData.map(data => data._id) } });
+    throw error;
+  }
+
+  line.quantity_received += quantity;
+  line.receipts.push({
+    quantity,
+    instance_ids: instances.map(instance => instance._id),
+    location: location || 'HQ',
+    notes: notes || '',
+    received_by: receivedBy
+  });
+  this.last_updated_by = receivedBy;
+
+  return { line, instances };
+};
+
+// Method to close the PO (e.g. supplier cancelled the remainder)
+purchaseOrderSchema.methods.close = function(closedBy, reason = '') {
+  if (this.status === 'closed') {
+    throw new Error('Purchase order is already closed');
+  }
+  this.status = 'closed';
+  this.closed_date = new Date();
+  this.closed_by = closedBy;
+  this.close_reason = reason;
+  this.last_updated_by = closedBy;
+};
+
+// Static method to generate the next PO number (PO-YYYYMMDD-###)
+purchaseOrderSchema.statics.generatePONumber = async function(date = new Date()) {
+  const prefix = `PO-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ po_number: new RegExp(`^${prefix}`) })
+    .sort({ po_number: -1 })
+    .select('po_number');
+
+  const nextSequence = latest ? parseInt(latest.po_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Static method to summarise outstanding quantities per supplier
+purchaseOrderSchema.statics.getOutstandingBySupplier = function(supplierName = null) {
+  const match = { status: { $in: ['sent', 'partially_received'] } };
+  if (supplierName) {
+    match.supplier_name = supplierName;
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$line_items' },
+    {
+      $project: {
+        po_number: 1,
+        supplier_name: 1,
+        expected_date: 1,
+        sku_id: '$line_items.sku_id',
+        line_id: '$line_items._id',
+        unit_cost: '$line_items.unit_cost',
+        quantity_ordered: '$line_items.quantity_ordered',
+        quantity_received: '$line_items.quantity_received',
+        quantity_outstanding: {
+          $max: [0, { $subtract: ['$line_items.quantity_ordered', '$line_items.quantity_received'] }]
+        }
+      }
+    },
+    { $match: { quantity_outstanding: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: 'skus',
+        localField: 'sku_id',
+        foreignField: '_id',
+        as: 'sku'
+      }
+    },
+    { $unwind: { path: '$sku', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: '$supplier_name',
+        purchase_orders: { $addToSet: '$po_number' },
+        total_outstanding_quantity: { $sum: '$quantity_outstanding' },
+        total_outstanding_value: { $sum: { $multiply: ['$quantity_outstanding', '$unit_cost'] } },
+        next_expected_date: { $min: '$expected_date' },
+        lines: {
+          $push: {
+            po_id: '$_id',
+            po_number: '$po_number',
+            line_id: '$line_id',
+            sku_id: '$sku_id',
+            sku_code: '$sku.sku_code',
+            sku_name: '$sku.name',
+            quantity_ordered: '$quantity_ordered',
+            quantity_received: '$quantity_received',
+            quantity_outstanding: '$quantity_outstanding',
+            unit_cost: '$unit_cost',
+            expected_date: '$expected_date'
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        supplier_name: '$_id',
+        purchase_orders: 1,
+        total_outstanding_quantity: 1,
+        total_outstanding_value: { $round: ['$total_outstanding_value', 2] },
+        next_expected_date: 1,
+        lines: 1
+      }
+    },
+    { $sort: { supplier_name: 1 } }
+  ]);
+};
+
+// Static method to suggest reorder quantities grouped by supplier.
+// Uses real-time instance counts: stock that is already promised on active reserved
+// tags but not yet backed by instances is subtracted, and anything already on a
+// draft/open PO counts as on order so regenerating suggestions doesn't double up.
+purchaseOrderSchema.statics.buildReorderSuggestions = async function({ supplierName = null } = {}) {
+  const SKU = mongoose.model('SKU');
+  const Instance = mongoose.model('Instance');
+  const Inventory = mongoose.model('Inventory');
+  const Tag = mongoose.model('Tag');
+
+  const DEFAULT_REORDER_POINT = 5; // Same default as the real-time inventory pipeline
+  const LONG_LEAD_TIME_DAYS = 14;
+
+  const skus = await SKU.find({ status: 'active' })
+    .populate('category_id', 'name type')
+    .select('sku_code name brand model unit_cost supplier_info category_id');
+  const productSkus = skus.filter(sku => sku.category_id?.type !== 'tool');
+  const skuIds = productSkus.map(sku => sku._id);
+
+  const [availableCounts, inventories, reservedDemand, openOrders] = await Promise.all([
+    Instance.aggregate([
+      { $match: Instance.availableFilter({ sku_id: { $in: skuIds } }) },
+      { $group: { _id: '$sku_id', count: { $sum: 1 } } }
+    ]),
+    Inventory.find({ sku_id: { $in: skuIds } })
+      .select('sku_id minimum_stock_level reorder_point maximum_stock_level'),
+    Tag.aggregate([
+      { $match: { tag_type: 'reserved', status: 'active' } },
+      { $unwind: '$sku_items' },
+      { $match: { 'sku_items.sku_id': { $in: skuIds } } },
+      {
+        $group: {
+          _id: '$sku_items.sku_id',
+          committed: { $sum: { $ifNull: ['$sku_items.remaining_quantity', '$sku_items.quantity'] } },
+          held: { $sum: { $size: { $ifNull: ['$sku_items.selected_instance_ids', []] } } }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { status: { $in: ['draft', 'sent', 'partially_received'] } } },
+      { $unwind: '$line_items' },
+      { $match: { 'line_items.sku_id': { $in: skuIds } } },
+      {
+        $group: {
+          _id: '$line_items.sku_id',
+          on_order: {
+            $sum: { $max: [0, { $subtract: ['$line_items.quantity_ordered', '$line_items.quantity_received'] }] }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const availableMap = new Map(availableCounts.map(row => [row._id.toString(), row.count]));
+  const inventoryMap = new Map(inventories.map(inv => [inv.sku_id.toString(), inv]));
+  const demandMap = new Map(reservedDemand.map(row => [row._id.toString(), row]));
+  const onOrderMap = new Map(openOrders.map(row => [row._id.toString(), row.on_order]));
+
+  const urgencyRank = { normal: 0, high: 1, critical: 2 };
+  const suppliers = new Map();
+
+  for (const sku of productSkus) {
+    const key = sku._id.toString();
+    const inventory = inventoryMap.get(key);
+    const reorderPoint = inventory?.reorder_point ?? DEFAULT_REORDER_POINT;
+    const minimumStockLevel = inventory?.minimum_stock_level || 0;
+    // Without a maximum we fall back to twice the reorder point
+    const targetLevel = inventory?.maximum_stock_level || reorderPoint * 2;
+
+    const available = availableMap.get(key) || 0;
+    const demand = demandMap.get(key);
+    const committedUnallocated = demand ? Math.max(0, demand.committed - demand.held) : 0;
+    const netAvailable = available - committedUnallocated;
+    const onOrder = onOrderMap.get(key) || 0;
+
+    if (netAvailable + onOrder > reorderPoint) continue;
+
+    const suggestedQuantity = Math.max(1, targetLevel - netAvailable - onOrder);
+    const leadTimeDays = sku.supplier_info?.lead_time_days || 0;
+
+    let urgency = 'normal';
+    if (netAvailable <= 0) {
+      urgency = 'critical';
+    } else if (netAvailable <= minimumStockLevel || leadTimeDays >= LONG_LEAD_TIME_DAYS) {
+      urgency = 'high';
+    }
+
+    const supplier = sku.supplier_info?.supplier_name || '';
+    if (supplierName !== null && supplier !== supplierName) continue;
+
+    if (!suppliers.has(supplier)) {
+      suppliers.set(supplier, {
+        supplier_name: supplier,
+        urgency: 'normal',
+        max_lead_time_days: 0,
+        estimated_total_cost: 0,
+        lines: []
+      });
+    }
+
+    const group = suppliers.get(supplier);
+    const unitCost = sku.unit_cost || 0;
+    group.lines.push({
+      sku_id: sku._id,
+      sku_code: sku.sku_code,
+      name: sku.name,
+      category: sku.category_id?.name || 'Uncategorized',
+      supplier_sku: sku.supplier_info?.supplier_sku || '',
+      available_quantity: available,
+      committed_unallocated: committedUnallocated,
+      on_order_quantity: onOrder,
+      reorder_point: reorderPoint,
+      target_level: targetLevel,
+      suggested_quantity: suggestedQuantity,
+      unit_cost: unitCost,
+      estimated_cost: Math.round(unitCost * suggestedQuantity * 100) / 100,
+      lead_time_days: leadTimeDays,
+      expected_arrival_date: new Date(Date.now() + leadTimeDays * 24 * 60 * 60 * 1000),
+      urgency
+    });
+    group.estimated_total_cost = Math.round((group.estimated_total_cost + unitCost * suggestedQuantity) * 100) / 100;
+    group.max_lead_time_days = Math.max(group.max_lead_time_days, leadTimeDays);
+    if (urgencyRank[urgency] > urgencyRank[group.urgency]) {
+      group.urgency = urgency;
+    }
+  }
+
+  return [...suppliers.values()]
+    .map(group => ({
+      ...group,
+      lines: group.lines.sort((a, b) => urgencyRank[b.urgency] - urgencyRank[a.urgency] || a.sku_code.localeCompare(b.sku_code))
+    }))
+    .sort((a, b) => urgencyRank[b.urgency] - urgencyRank[a.urgency] || a.supplier_name.localeCompare(b.supplier_name));
+};
+
+// Indexes for efficient queries
+purchaseOrderSchema.index({ supplier_name: 1, status: 1 });
+purchaseOrderSchema.index({ 'line_items.sku_id': 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
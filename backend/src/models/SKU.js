@@ -185,6 +185,13 @@ const skuSchema = new mongoose.Schema({
     }
   },
   
+  // Serialized SKUs track every unit individually: each instance needs an asset tag
+  // (a category can also switch this on for all of its SKUs)
+  is_serialized: {
+    type: Boolean,
+    default: false
+  },
+
   // Bundle/Kit configuration
   is_bundle: {
     type: Boolean,
@@ -361,6 +368,43 @@ skuSchema.virtual('available_instances', {
 skuSchema.set('toJSON', { virtuals: true });
 skuSchema.set('toObject', { virtuals: true });
 
+// Static method to look up a SKU from a scanned barcode (shared by batch scan and cycle counts)
+skuSchema.statics.findByBarcode = function(barcode) {
+  return this.findOne({ barcode: String(barcode || '').trim() })
+    .populate('category_id', 'name slug');
+};
+
+// Static method to check whether a SKU's units are serialized (by the SKU or its category)
+skuSchema.statics.isSerialized = async function(skuOrId) {
+  const Category = mongoose.model('Category');
+  const sku = skuOrId && skuOrId.category_id !== undefined
+    ? skuOrId
+    : await this.findById(skuOrId).select('is_serialized category_id').lean();
+  if (!sku) return false;
+  if (sku.is_serialized) return true;
+
+  const categoryId = sku.category_id?._id || sku.category_id;
+  if (!categoryId) return false;
+  if (sku.category_id?.is_serialized !== undefined) return Boolean(sku.category_id.is_serialized);
+  return Boolean(await Category.exists({ _id: categoryId, is_serialized: true }));
+};
+
+// Static method to resolve a scanned code: a SKU barcode first, then an instance serial
+// number or asset tag. Resolves to { sku, instance } (instance is null for barcode hits).
+skuSchema.statics.findByScan = async function(code) {
+  const Instance = mongoose.model('Instance');
+
+  const sku = await this.findByBarcode(code);
+  if (sku) return { sku, instance: null };
+
+  const instance = await Instance.findByIdentifier(code);
+  if (!instance) return { sku: null, instance: null };
+  return {
+    sku: await this.findById(instance.sku_id).populate('category_id', 'name slug'),
+    instance
+  };
+};
+
 // Indexes for efficient searching
 skuSchema.index({ sku_code: 1 });
 skuSchema.index({ category_id: 1, status: 1 });
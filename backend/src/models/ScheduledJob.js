@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { isValidCron, getNextRun } = require('../utils/cron');
+
+// ScheduledJob model - cron-style schedules for the in-process scheduler
+const scheduledJobSchema = new mongoose.Schema({
+  // Unique, human-readable name
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // What the job does (must have a handler registered in utils/scheduler)
+  job_type: {
+    type: String,
+    required: true,
+    enum: ['stock_digest', 'webhook_retry', 'overdue_tools', 'tool_reservations', 'tag_holds']
+  },
+
+  // Five-field cron expression (minute hour day-of-month month day-of-week)
+  cron: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: isValidCron,
+      message: props => `${props.value} is not a valid cron expression`
+    }
+  },
+
+  // IANA time zone the cron expression is evaluated in
+  timezone: {
+    type: String,
+    default: 'UTC',
+    trim: true,
+    validate: {
+      validator: value => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+
+  // Disabled jobs are never run by the scheduler (manual runs still work)
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Job-type specific options
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // State carried between runs (e.g. the last digest snapshot)
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Last run bookkeeping
+  last_run_at: {
+    type: Date,
+    default: null
+  },
+  last_status: {
+    type: String,
+    enum: ['success', 'skipped', 'failure', null],
+    default: null
+  },
+  last_result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+
+  // When the schedule next fires
+  next_run_at: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // Who created/updated the schedule
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep next_run_at in step with the schedule. Re-enabling a job starts
+// from now rather than firing a run that was missed while it was off.
+scheduledJobSchema.pre('save', function(next) {
+  const rescheduled = this.isModified('cron') || this.isModified('timezone') ||
+    (this.isModified('enabled') && this.enabled);
+  if (this.isNew || rescheduled) {
+    try {
+      this.next_run_at = getNextRun(this.cron, new Date(), this.timezone);
+    } catch (error) {
+      // Invalid cron/timezone is reported by validation
+      this.next_run_at = null;
+    }
+  }
+  next();
+});
+
+// Static method to find enabled jobs whose next run is due
+scheduledJobSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ enabled: true, next_run_at: { $ne: null, $lte: now } });
+};
+
+// Static method to claim a due run. The compare-and-set on next_run_at means
+// only one process (or overlapping tick) gets to run each occurrence.
+// Returns the updated job, or null if someone else already claimed it.
+scheduledJobSchema.statics.claimRun = function(job, now = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: job._id, enabled: true, next_run_at: job.next_run_at },
+    {
+      $set: {
+        last_run_at: now,
+        next_run_at: getNextRun(job.cron, now, job.timezone)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to store the outcome of a run
+scheduledJobSchema.methods.recordRun = function({ status, result = null, error = null, state }) {
+  this.last_status = status;
+  this.last_result = result;
+  this.last_error = error;
+  if (state !== undefined) {
+    this.state = state;
+    this.markModified('state');
+  }
+  this.markModified('last_result');
+  return this.save();
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
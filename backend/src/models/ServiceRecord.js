@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// ServiceRecord model - a completed preventive service or calibration of one tool instance.
+// The latest record per instance and plan resets that plan's interval.
+const serviceRecordSchema = new mongoose.Schema({
+  // Plan the service was done under
+  plan_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenancePlan',
+    required: true,
+    index: true
+  },
+
+  // Tool that was serviced
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true,
+    index: true
+  },
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true,
+    index: true
+  },
+
+  // When the service was done
+  serviced_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // Instance.checkout_count at the time of service (checkout intervals count from here)
+  checkout_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Cost of the service, charged to the instance
+  cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  vendor: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  performed_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the latest service per instance and plan, keyed `${instance_id}|${plan_id}`
+serviceRecordSchema.statics.getLatestFor = async function(instanceIds) {
+  const latest = await this.aggregate([
+    { $match: { instance_id: { $in: instanceIds } } },
+    { $sort: { serviced_at: -1 } },
+    {
+      $group: {
+        _id: { instance_id: '$instance_id', plan_id: '$plan_id' },
+        serviced_at: { $first: '$serviced_at' },
+        checkout_count: { $first: '$checkout_count' }
+      }
+    }
+  ]);
+
+  return new Map(latest.map(record => [
+    `${record._id.instance_id}|${record._id.plan_id}`,
+    record
+  ]));
+};
+
+// Indexes for efficient queries
+serviceRecordSchema.index({ instance_id: 1, plan_id: 1, serviced_at: -1 });
+
+module.exports = mongoose.model('ServiceRecord', serviceRecordSchema);
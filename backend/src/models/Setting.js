@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Known settings with their defaults. Anything not listed here is rejected.
+const SETTING_DEFINITIONS = {
+  cogs_costing_method: {
+    default: 'specific_identification',
+    allowed: ['specific_identification', 'fifo', 'weighted_average'],
+    description: 'Costing method used by the COGS report'
+  },
+  backorder_allocation_order: {
+    default: 'oldest',
+    allowed: ['oldest', 'due_date', 'priority'],
+    description: 'Which backorders newly received stock fills first: oldest backorder, earliest tag due date, or highest tag priority'
+  },
+  tag_hold_policy: {
+    default: { reserved: { expire_after_days: 30, warn_before_days: 5 } },
+    // { <tag_type>: { expire_after_days, warn_before_days } } for reservation-type tags (Tag.HOLD_EXPIRY_TYPES);
+    // tag types not listed never expire
+    validate: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([tagType, policy]) =>
+        mongoose.model('Tag').HOLD_EXPIRY_TYPES.includes(tagType) &&
+        policy !== null && typeof policy === 'object' &&
+        Number.isInteger(policy.expire_after_days) && policy.expire_after_days > 0 &&
+        Number.isInteger(policy.warn_before_days) && policy.warn_before_days >= 0 &&
+        policy.warn_before_days < policy.expire_after_days),
+    description: 'Per reservation tag type, how many days an active tag holds its stock without activity (or past its due date) before it is released, and how many days before that a warning note is added (a hold is only released that many days, at least one, after its warning)'
+  }
+};
+
+// Setting model - application-wide key/value configuration edited by admins
+const settingSchema = new mongoose.Schema({
+  // Setting name (one of SETTING_DEFINITIONS)
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    index: true
+  },
+
+  // Current value
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Who changed it last
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to validate a value against its definition
+settingSchema.statics.validateValue = function(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    const err = new Error(`Unknown setting: ${key}`);
+    err.code = 'UNKNOWN_SETTING';
+    throw err;
+  }
+  if (definition.allowed && !definition.allowed.includes(value)) {
+    const err = new Error(`Invalid value for ${key}. Allowed: ${definition.allowed.join(', ')}`);
+    err.code = 'INVALID_SETTING';
+    throw err;
+  }
+  if (definition.validate && !definition.validate(value)) {
+    const err = new Error(`Invalid value for ${key}`);
+    err.code = 'INVALID_SETTING';
+    throw err;
+  }
+  return value;
+};
+
+// Static method to read a setting, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    const err = new Error(`Unknown setting: ${key}`);
+    err.code = 'UNKNOWN_SETTING';
+    throw err;
+  }
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : definition.default;
+};
+
+// Static method to change a setting
+settingSchema.statics.setValue = async function(key, value, updatedBy) {
+  this.validateValue(key, value);
+  return this.findOneAndUpdate(
+    { key },
+    { value, last_updated_by: updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Static method to list every known setting with its current value
+settingSchema.statics.getAll = async function() {
+  const stored = await this.find({ key: { $in: Object.keys(SETTING_DEFINITIONS) } });
+  const storedMap = new Map(stored.map(setting => [setting.key, setting]));
+
+  return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+    const setting = storedMap.get(key);
+    return {
+      key,
+      value: setting ? setting.value : definition.default,
+      default: definition.default,
+      allowed: definition.allowed || null,
+      description: definition.description,
+      is_default: !setting,
+      last_updated_by: setting ? setting.last_updated_by : null,
+      updatedAt: setting ? setting.updatedAt : null
+    };
+  });
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+
+// States that are off the shelf - moving out of one of these adds stock, into one removes it.
+// 'kitted' is a component unit built into a kit (the kit instance is on hand instead).
+const OFF_HAND_STATES = ['external', 'fulfilled', 'removed', 'disposed', 'kitted'];
+
+// Instance snapshot schema - what an instance looked like when it moved.
+// Fulfilled and removed instances are deleted, so this is the only record of them.
+const instanceSnapshotSchema = new mongoose.Schema({
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true
+  },
+  acquisition_cost: {
+    type: Number,
+    default: 0
+  },
+  acquisition_date: {
+    type: Date
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  supplier: {
+    type: String,
+    default: ''
+  },
+  reference_number: {
+    type: String,
+    default: ''
+  },
+  purchase_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  serial_number: {
+    type: String,
+    default: ''
+  },
+  asset_tag: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+// StockMovement model - append-only ledger of every change to stock.
+// Unlike AuditLog (capped) entries are never rolled over, so any date range can be reconciled.
+const stockMovementSchema = new mongoose.Schema({
+  // What kind of change this was
+  movement_type: {
+    type: String,
+    required: true,
+    enum: [
+      'add_stock', 'receive', 'po_receive', 'adjustment', 'remove', 'status_move',
+      'tag_assign', 'tag_fulfill', 'tag_release', 'tag_cancel',
+      'tool_checkout', 'tool_return', 'transfer', 'cycle_count', 'system_restore',
+      'disposal', 'disposal_reversal', 'rma_replacement', 'customer_return',
+      'kit_assemble', 'kit_disassemble'
+    ],
+    index: true
+  },
+
+  // SKU that moved
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true,
+    index: true
+  },
+
+  // Units that moved (always positive - direction comes from the states)
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Signed change to on-hand stock (+ received, - fulfilled/removed/disposed, 0 for internal moves)
+  quantity_delta: {
+    type: Number,
+    default: 0
+  },
+
+  // State before and after: external, available, a tag type, fulfilled, removed or disposed
+  from_state: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  to_state: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Location codes, where known
+  from_location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  to_location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Instances that moved. Empty for the legacy counter-only inventory endpoints.
+  instances: {
+    type: [instanceSnapshotSchema],
+    default: []
+  },
+
+  // Cost of the units that moved
+  unit_cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total_cost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Cost of the same units under FIFO and weighted-average costing, captured when
+  // stock leaves (tag fulfillment) so COGS can be reported under any costing method
+  valuation: {
+    fifo: { type: Number, default: null },
+    weighted_average: { type: Number, default: null }
+  },
+
+  // Document that caused the movement
+  source_type: {
+    type: String,
+    enum: ['manual', 'tag', 'purchase_order', 'location_transfer', 'cycle_count', 'system_restore', 'vendor_return', 'customer_return', 'kit'],
+    default: 'manual',
+    index: true
+  },
+  source_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true
+  },
+  // Human readable reference (PO number, customer name, ...)
+  source_reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Who performed the movement
+  performed_by: {
+    type: String,
+    required: true
+  },
+
+  // When the movement happened
+  occurred_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Derive the on-hand delta and costs so every writer gets them the same way
+stockMovementSchema.pre('validate', function(next) {
+  const fromOffHand = OFF_HAND_STATES.includes(this.from_state);
+  const toOffHand = OFF_HAND_STATES.includes(this.to_state);
+  if (fromOffHand && !toOffHand) {
+    this.quantity_delta = this.quantity;
+  } else if (!fromOffHand && toOffHand) {
+    this.quantity_delta = -this.quantity;
+  } else {
+    this.quantity_delta = 0;
+  }
+
+  if (!this.total_cost && this.instances.length > 0) {
+    this.total_cost = this.instances.reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0);
+  }
+  if (!this.total_cost && this.unit_cost) {
+    this.total_cost = this.unit_cost * this.quantity;
+  }
+  if (!this.unit_cost && this.total_cost) {
+    this.unit_cost = this.total_cost / this.quantity;
+  }
+  next();
+});
+
+// The ledger is append-only - corrections are recorded as new movements
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only and cannot be modified'));
+  }
+  next();
+});
+
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Stock movements are append-only and cannot be modified'));
+});
+
+// Turn an Instance document (or plain object) into a ledger snapshot
+function snapshotInstance(instance) {
+  return {
+    instance_id: instance._id,
+    acquisition_cost: instance.acquisition_cost || 0,
+    acquisition_date: instance.acquisition_date,
+    location: instance.location || '',
+    supplier: instance.supplier || '',
+    reference_number: instance.reference_number || '',
+    purchase_order_id: instance.purchase_order_id || null,
+    serial_number: instance.serial_number || '',
+    asset_tag: instance.asset_tag || ''
+  };
+}
+
+// Static method to record a single movement
+stockMovementSchema.statics.record = function(movementData) {
+  const {
+    instances = [],
+    quantity,
+    ...rest
+  } = movementData;
+
+  const snapshots = instances.map(snapshotInstance);
+
+  return this.create({
+    ...rest,
+    quantity: quantity || snapshots.length,
+    instances: snapshots
+  });
+};
+
+// Static method to record movements for instances that may span several SKUs (one entry per SKU).
+// The location defaults to where the instances are (to_location for stock coming in, from_location otherwise).
+stockMovementSchema.statics.recordInstances = async function(instances, movementData) {
+  const bySku = new Map();
+  instances.forEach(instance => {
+    const skuId = (instance.sku_id?._id || instance.sku_id).toString();
+    if (!bySku.has(skuId)) bySku.set(skuId, []);
+    bySku.get(skuId).push(instance);
+  });
+
+  const locationField = OFF_HAND_STATES.includes(movementData.from_state) ? 'to_location' : 'from_location';
+  const movements = [];
+  for (const [skuId, skuInstances] of bySku) {
+    const locations = [...new Set(skuInstances.map(instance => instance.location).filter(Boolean))];
+    movements.push(await this.record({
+      [locationField]: locations.length === 1 ? locations[0] : '',
+      ...movementData,
+      sku_id: skuId,
+      instances: skuInstances
+    }));
+  }
+  return movements;
+};
+
+// Static method to value instances about to leave stock under each costing method.
+// Must be called before the instances are deleted - FIFO and average are taken from on-hand stock.
+stockMovementSchema.statics.getCostValuation = async function(skuId, consumedInstances) {
+  const Instance = mongoose.model('Instance');
+  const onHand = await Instance.find({ sku_id: skuId })
+    .sort({ acquisition_date: 1, _id: 1 })
+    .select('acquisition_cost');
+
+  const quantity = consumedInstances.length;
+  const specific = consumedInstances.reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0);
+  if (onHand.length === 0) {
+    return { fifo: specific, weighted_average: specific };
+  }
+
+  const onHandTotal = onHand.reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0);
+  return {
+    fifo: onHand.slice(0, quantity).reduce((sum, inst) => sum + (inst.acquisition_cost || 0), 0),
+    weighted_average: (onHandTotal / onHand.length) * quantity
+  };
+};
+
+// Static method to summarise movements in a date range (in/out/net per SKU)
+stockMovementSchema.statics.getSummaryBySku = function(match) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$sku_id',
+        movement_count: { $sum: 1 },
+        units_in: { $sum: { $cond: [{ $gt: ['$quantity_delta', 0] }, '$quantity_delta', 0] } },
+        units_out: { $sum: { $cond: [{ $lt: ['$quantity_delta', 0] }, { $abs: '$quantity_delta' }, 0] } },
+        value_in: { $sum: { $cond: [{ $gt: ['$quantity_delta', 0] }, '$total_cost', 0] } },
+        value_out: { $sum: { $cond: [{ $lt: ['$quantity_delta', 0] }, '$total_cost', 0] } },
+        internal_moves: { $sum: { $cond: [{ $eq: ['$quantity_delta', 0] }, '$quantity', 0] } },
+        net_change: { $sum: '$quantity_delta' },
+        last_movement_date: { $max: '$occurred_at' }
+      }
+    }
+  ]);
+};
+
+// Indexes for efficient queries
+stockMovementSchema.index({ sku_id: 1, occurred_at: -1 });
+stockMovementSchema.index({ 'instances.instance_id': 1 });
+stockMovementSchema.index({ source_type: 1, source_id: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
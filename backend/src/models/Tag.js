@@ -45,6 +45,13 @@ const tagNoteSchema = new mongoose.Schema({
   timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
 });
 
+// Tag priorities, lowest first
+const TAG_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Tag types whose holds can expire under the hold policy. Loaned, broken and imperfect
+// tags track where units physically are, so releasing them would put them back in stock.
+const HOLD_EXPIRY_TYPES = ['reserved'];
+
 // Redesigned Tag schema with proper relationships
 const tagSchema = new mongoose.Schema({
   // Customer/project/department name (simple string like original)
@@ -54,6 +61,22 @@ const tagSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+
+  // Customer record the name belongs to (customer_name is its display copy)
+  customer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
+  
+  // Contractor a tool loan was checked out to
+  contractor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contractor',
+    default: null,
+    index: true
+  },
   
   // Tag information
   tag_type: {
@@ -110,9 +133,130 @@ const tagSchema = new mongoose.Schema({
       min: 0,
       // Make optional during transition
       required: false
+    },
+    // Units requested but not in stock yet; filled from new stock (see utils/backorders.js)
+    backordered_quantity: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    backordered_at: {
+      type: Date,
+      default: null
+    }
+  }],
+  
+  // Tool returns against this loan (full and partial), kept for contractor accountability
+  returns: [{
+    returned_at: {
+      type: Date,
+      default: Date.now
+    },
+    returned_by: {
+      type: String,
+      required: true
+    },
+    instance_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Instance'
+    }],
+    condition: {
+      type: String,
+      enum: ['functional', 'needs_maintenance', 'broken'],
+      default: 'functional'
+    },
+    // Whether it came back by the loan's due date (always true without one)
+    on_time: {
+      type: Boolean,
+      default: true
+    },
+    // Maintenance orders opened for tools that came back damaged
+    maintenance_order_ids: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenanceOrder'
+    }],
+    notes: {
+      type: String,
+      trim: true,
+      default: ''
     }
   }],
   
+  // Overdue reminders sent for this loan (see utils/overdueReminders.js)
+  reminders: [{
+    // Escalation stage: due, reminder or escalation
+    stage: {
+      type: String,
+      enum: ['due', 'reminder', 'escalation'],
+      required: true
+    },
+    // Due date the reminder was for (an extended loan starts the policy again)
+    due_date: {
+      type: Date,
+      required: true
+    },
+    days_overdue: {
+      type: Number,
+      default: 0
+    },
+    sent_at: {
+      type: Date,
+      default: Date.now
+    },
+    // One entry per channel tried: discord, email, sms or in_app
+    deliveries: [{
+      _id: false,
+      channel: {
+        type: String,
+        enum: ['discord', 'email', 'sms', 'in_app'],
+        required: true
+      },
+      recipient: {
+        type: String,
+        default: ''
+      },
+      sent: {
+        type: Boolean,
+        default: false
+      },
+      reason: {
+        type: String,
+        default: ''
+      }
+    }]
+  }],
+
+  // Hold on the tag's stock under the tag hold policy (see utils/tagHolds.js)
+  hold: {
+    // Admin override: the hold doesn't expire before this date
+    extended_until: {
+      type: Date,
+      default: null
+    },
+    extended_by: {
+      type: String,
+      default: null
+    },
+    extension_reason: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Expiry date the last warning was given for (a later expiry warns again) and when it was given
+    warned_for: {
+      type: Date,
+      default: null
+    },
+    warned_at: {
+      type: Date,
+      default: null
+    },
+    expired_at: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Completeness tracking
   is_complete: {
     type: Boolean,
@@ -129,6 +273,14 @@ const tagSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+
+  // How urgently the tag needs its stock when tags compete for it (see utils/rebalance.js)
+  priority: {
+    type: String,
+    enum: TAG_PRIORITIES,
+    default: 'normal',
+    index: true
+  },
   
   project_name: {
     type: String,
@@ -136,6 +288,14 @@ const tagSchema = new mongoose.Schema({
     default: '',
     index: true
   },
+
+  // Project record the project name belongs to
+  project_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
   
   // Tracking
   created_by: {
@@ -421,11 +581,11 @@ tagSchema.methods.isPartiallyFulfilled = function() {
   });
 };
 
-// Method to check if tag is fully fulfilled
+// Method to check if tag is fully fulfilled (nothing left to hand over and nothing on backorder)
 tagSchema.methods.isFullyFulfilled = function() {
   return this.sku_items.every(item => {
     const instanceCount = item.selected_instance_ids ? item.selected_instance_ids.length : 0;
-    return instanceCount === 0;
+    return instanceCount === 0 && !item.backordered_quantity;
   });
 };
 
@@ -437,6 +597,61 @@ tagSchema.methods.getRemainingItems = function() {
   });
 };
 
+// Method to record tools coming back from a loan (caller saves the tag)
+tagSchema.methods.recordReturn = function({ instanceIds, condition = 'functional', notes = '', maintenanceOrders = [], returnedBy }) {
+  const returnedAt = new Date();
+  this.returns.push({
+    returned_at: returnedAt,
+    returned_by: returnedBy,
+    instance_ids: instanceIds,
+    condition,
+    on_time: !this.due_date || returnedAt <= this.due_date,
+    maintenance_order_ids: maintenanceOrders.map(order => order._id),
+    notes
+  });
+  return this.returns[this.returns.length - 1];
+};
+
+// Method to check whether a reminder stage was already sent for the current due date
+tagSchema.methods.hasReminder = function(stage) {
+  return this.reminders.some(reminder =>
+    reminder.stage === stage && this.due_date && reminder.due_date.getTime() === this.due_date.getTime());
+};
+
+// Method to log a reminder sent for the current due date; the caller saves
+tagSchema.methods.recordReminder = function({ stage, daysOverdue, deliveries }) {
+  this.reminders.push({
+    stage,
+    due_date: this.due_date,
+    days_overdue: daysOverdue,
+    sent_at: new Date(),
+    deliveries
+  });
+  return this.reminders[this.reminders.length - 1];
+};
+
+// Method to work out when the tag's hold expires under a policy ({ expire_after_days }).
+// The clock starts at the last change to the tag, or the due date if that is later.
+tagSchema.methods.getHoldExpiry = function(policy) {
+  if (!policy) return null;
+  const start = Math.max(this.updatedAt.getTime(), this.due_date ? this.due_date.getTime() : 0);
+  const expiry = start + policy.expire_after_days * 24 * 60 * 60 * 1000;
+  const extendedUntil = this.hold && this.hold.extended_until ? this.hold.extended_until.getTime() : 0;
+  return new Date(Math.max(expiry, extendedUntil));
+};
+
+// Method to extend the hold (admin override); the caller saves
+tagSchema.methods.extendHold = function(until, extendedBy, reason = '') {
+  this.hold.extended_until = until;
+  this.hold.extended_by = extendedBy;
+  this.hold.extension_reason = reason;
+  this.hold.warned_for = null;
+  this.hold.warned_at = null;
+  this.last_updated_by = extendedBy;
+  this.addNote(`Hold extended until ${until.toLocaleDateString()}${reason ? `: ${reason}` : ''}`, extendedBy, { kind: 'system' });
+  return this;
+};
+
 // Method to get total quantity across all items
 tagSchema.methods.getTotalQuantity = function() {
   return this.sku_items.reduce((total, item) => {
@@ -455,9 +670,18 @@ tagSchema.methods.getTotalRemainingQuantity = function() {
   }, 0);
 };
 
-// Method to assign instances automatically based on sku_items
-tagSchema.methods.assignInstances = async function() {
+// Method to get total quantity on backorder across all items
+tagSchema.methods.getTotalBackorderedQuantity = function() {
+  return this.sku_items.reduce((total, item) => total + (item.backordered_quantity || 0), 0);
+};
+
+// Method to assign instances automatically based on sku_items.
+// movementType lets callers (e.g. tool checkout) label the stock ledger entry.
+// excludeInstanceIds keeps specific instances out of auto selection (e.g. tools overdue for service).
+// allowBackorder assigns what is in stock and records the shortfall as a backorder instead of failing.
+tagSchema.methods.assignInstances = async function({ movementType = 'tag_assign', excludeInstanceIds = [], allowBackorder = false } = {}) {
   const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
   
   for (const item of this.sku_items) {
     let instancesToAssign;
@@ -467,11 +691,10 @@ tagSchema.methods.assignInstances = async function() {
     
     if (item.selection_method === 'manual' && item.selected_instance_ids && item.selected_instance_ids.length > 0) {
       // Manual selection - validate provided instances are available
-      instancesToAssign = await Instance.find({ 
+      instancesToAssign = await Instance.find(Instance.availableFilter({
         _id: { $in: item.selected_instance_ids },
-        sku_id: item.sku_id,
-        tag_id: null 
-      });
+        sku_id: item.sku_id
+      }));
       
       if (instancesToAssign.length !== item.selected_instance_ids.length) {
         throw new Error(`Some manually selected instances are not available for SKU ${item.sku_id}`);
@@ -490,15 +713,19 @@ tagSchema.methods.assignInstances = async function() {
           break;
       }
       
-      const availableInstances = await Instance.find({ 
-        sku_id: item.sku_id, 
-        tag_id: null 
-      })
+      const autoFilter = { sku_id: item.sku_id };
+      if (excludeInstanceIds.length > 0) autoFilter._id = { $nin: excludeInstanceIds };
+
+      const availableInstances = await Instance.find(Instance.availableFilter(autoFilter))
       .sort(sortCriteria)
       .limit(requestedQuantity);
       
       if (availableInstances.length < requestedQuantity) {
-        throw new Error(`Not enough available instances for SKU ${item.sku_id}. Need ${requestedQuantity}, found ${availableInstances.length}`);
+        if (!allowBackorder) {
+          throw new Error(`Not enough available instances for SKU ${item.sku_id}. Need ${requestedQuantity}, found ${availableInstances.length}`);
+        }
+        item.backordered_quantity = requestedQuantity - availableInstances.length;
+        item.backordered_at = new Date();
       }
       
       instancesToAssign = availableInstances;
@@ -513,6 +740,18 @@ tagSchema.methods.assignInstances = async function() {
       { _id: { $in: instanceIds } },
       { tag_id: this._id }
     );
+
+    if (instancesToAssign.length > 0) {
+      await StockMovement.recordInstances(instancesToAssign, {
+        movement_type: movementType,
+        from_state: 'available',
+        to_state: this.tag_type,
+        source_type: 'tag',
+        source_id: this._id,
+        source_reference: this.customer_name,
+        performed_by: this.last_updated_by
+      });
+    }
   }
   
   return this;
@@ -521,13 +760,31 @@ tagSchema.methods.assignInstances = async function() {
 // Method to fulfill all items (delete all assigned Instance records - no parameters)
 tagSchema.methods.fulfillItems = async function() {
   const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
   
   for (const item of this.sku_items) {
     const remainingInstances = item.selected_instance_ids || [];
     
     if (remainingInstances.length > 0) {
+      // Snapshot before deleting - the ledger is the only record left of these instances
+      const instancesToFulfill = await Instance.find({ _id: { $in: remainingInstances } });
+      const valuation = await StockMovement.getCostValuation(item.sku_id, instancesToFulfill);
+
       // Delete the Instance records from database
       await Instance.deleteMany({ _id: { $in: remainingInstances } });
+
+      if (instancesToFulfill.length > 0) {
+        await StockMovement.recordInstances(instancesToFulfill, {
+          movement_type: 'tag_fulfill',
+          from_state: this.tag_type,
+          to_state: 'fulfilled',
+          valuation,
+          source_type: 'tag',
+          source_id: this._id,
+          source_reference: this.customer_name,
+          performed_by: this.last_updated_by
+        });
+      }
       
       // Clear the selected instances array
       item.selected_instance_ids = [];
@@ -545,11 +802,14 @@ tagSchema.methods.fulfillItems = async function() {
   return this;
 };
 
-// Method to fulfill specific items (delete Instance records and update inventory)
+// Method to fulfill specific items (delete Instance records and update inventory).
+// instance_ids picks the exact units to fulfill; otherwise the oldest go first.
 tagSchema.methods.fulfillSpecificItems = async function(fulfillmentData, fulfilledBy) {
-  const { sku_id, quantity_fulfilled } = fulfillmentData;
+  const { sku_id, instance_ids } = fulfillmentData;
+  const quantity_fulfilled = instance_ids && instance_ids.length > 0 ? instance_ids.length : fulfillmentData.quantity_fulfilled;
   const Instance = mongoose.model('Instance');
   const Inventory = mongoose.model('Inventory');
+  const StockMovement = mongoose.model('StockMovement');
   
   const item = this.sku_items.find(item => item.sku_id.toString() === sku_id.toString());
   if (!item) {
@@ -561,9 +821,17 @@ tagSchema.methods.fulfillSpecificItems = async function(fulfillmentData, fulfill
     throw new Error(`Cannot fulfill ${quantity_fulfilled} items. Only ${currentInstanceCount} remaining.`);
   }
   
+  if (instance_ids && instance_ids.length > 0) {
+    const selectedSet = new Set(item.selected_instance_ids.map(id => id.toString()));
+    const notOnTag = instance_ids.filter(id => !selectedSet.has(id.toString()));
+    if (notOnTag.length > 0) {
+      throw new Error(`Instance ${notOnTag.join(', ')} is not part of this tag for SKU ${sku_id}`);
+    }
+  }
+
   // Get instances to fulfill from the selected_instance_ids (FIFO - oldest first)
   const instancesToFulfill = await Instance.find({ 
-    _id: { $in: item.selected_instance_ids }
+    _id: { $in: instance_ids && instance_ids.length > 0 ? instance_ids : item.selected_instance_ids }
   })
   .sort({ acquisition_date: 1 })
   .limit(quantity_fulfilled);
@@ -573,9 +841,21 @@ tagSchema.methods.fulfillSpecificItems = async function(fulfillmentData, fulfill
   }
   
   const instanceIdsToDelete = instancesToFulfill.map(inst => inst._id);
+  const valuation = await StockMovement.getCostValuation(item.sku_id, instancesToFulfill);
   
   // Delete the Instance records from database
   await Instance.deleteMany({ _id: { $in: instanceIdsToDelete } });
+
+  await StockMovement.recordInstances(instancesToFulfill, {
+    movement_type: 'tag_fulfill',
+    from_state: this.tag_type,
+    to_state: 'fulfilled',
+    valuation,
+    source_type: 'tag',
+    source_id: this._id,
+    source_reference: this.customer_name,
+    performed_by: fulfilledBy
+  });
   
   // Remove fulfilled instances from the selected_instance_ids array
   item.selected_instance_ids = item.selected_instance_ids.filter(
@@ -706,6 +986,14 @@ tagSchema.methods.getTotalValue = function() {
   }, 0);
 };
 
+tagSchema.statics.PRIORITIES = TAG_PRIORITIES;
+tagSchema.statics.HOLD_EXPIRY_TYPES = HOLD_EXPIRY_TYPES;
+
+// Method to get the priority as a number for sorting (higher is more urgent)
+tagSchema.methods.getPriorityRank = function() {
+  return TAG_PRIORITIES.indexOf(this.priority || 'normal');
+};
+
 // Static method to get overdue tags
 tagSchema.statics.getOverdueTags = function() {
   const now = new Date();
@@ -717,15 +1005,98 @@ tagSchema.statics.getOverdueTags = function() {
   });
 };
 
-// Static method to get tags by customer name
-tagSchema.statics.getTagsByCustomer = function(customerName) {
-  return this.find({ customer_name: new RegExp(customerName, 'i') })
+// Static method to get tags by customer name. Names (and aliases) that belong to a
+// Customer record return that customer's tags; anything else falls back to a name match.
+tagSchema.statics.getTagsByCustomer = async function(customerName) {
+  const customer = await mongoose.model('Customer').findByName(customerName);
+  const filter = customer
+    ? { customer_id: customer._id }
+    : { customer_name: new RegExp(customerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+
+  return this.find(filter)
     .populate({
       path: 'sku_items.sku_id'
     })
     .sort({ createdAt: -1 });
 };
 
+// Static method to summarise a customer's or project's tags: open reservations,
+// fulfilled installs and loaned tools, each with its value. Value is the cost of
+// the instances still held plus what was fulfilled (from the stock ledger).
+tagSchema.statics.getActivitySummary = async function(filter) {
+  const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
+
+  const tags = await this.find(filter)
+    .select('customer_name project_name project_id tag_type status due_date sku_items createdAt fulfilled_date')
+    .populate('sku_items.sku_id', 'sku_code name')
+    .sort({ createdAt: -1 });
+  const tagIds = tags.map(tag => tag._id);
+
+  const [heldValues, fulfilledValues] = await Promise.all([
+    Instance.aggregate([
+      { $match: { tag_id: { $in: tagIds } } },
+      { $group: { _id: '$tag_id', value: { $sum: '$acquisition_cost' } } }
+    ]),
+    StockMovement.aggregate([
+      { $match: { source_type: 'tag', movement_type: 'tag_fulfill', source_id: { $in: tagIds } } },
+      { $group: { _id: '$source_id', value: { $sum: '$total_cost' } } }
+    ])
+  ]);
+  const held = new Map(heldValues.map(row => [row._id.toString(), row.value]));
+  const fulfilled = new Map(fulfilledValues.map(row => [row._id.toString(), row.value]));
+
+  const groups = { reservations: [], fulfilled_installs: [], loaned_tools: [] };
+  const totals = { reservations_value: 0, fulfilled_value: 0, loaned_value: 0, total_value: 0 };
+
+  tags.forEach(tag => {
+    const id = tag._id.toString();
+    const entry = {
+      _id: tag._id,
+      customer_name: tag.customer_name,
+      project_id: tag.project_id,
+      project_name: tag.project_name,
+      tag_type: tag.tag_type,
+      status: tag.status,
+      due_date: tag.due_date,
+      created_at: tag.createdAt,
+      fulfilled_date: tag.fulfilled_date,
+      items: tag.sku_items.map(item => ({
+        sku_code: item.sku_id ? item.sku_id.sku_code : null,
+        name: item.sku_id ? item.sku_id.name : null,
+        quantity: (item.selected_instance_ids || []).length || item.quantity || 0
+      })),
+      held_value: held.get(id) || 0,
+      fulfilled_value: fulfilled.get(id) || 0
+    };
+    entry.value = entry.held_value + entry.fulfilled_value;
+
+    const isOpen = ['active', 'staged'].includes(tag.status);
+    if (tag.tag_type === 'loaned' && isOpen) {
+      groups.loaned_tools.push(entry);
+      totals.loaned_value += entry.value;
+    } else if (tag.status === 'fulfilled') {
+      groups.fulfilled_installs.push(entry);
+      totals.fulfilled_value += entry.value;
+    } else if (isOpen) {
+      groups.reservations.push(entry);
+      totals.reservations_value += entry.value;
+    }
+  });
+  totals.total_value = totals.reservations_value + totals.fulfilled_value + totals.loaned_value;
+
+  return {
+    ...groups,
+    counts: {
+      reservations: groups.reservations.length,
+      fulfilled_installs: groups.fulfilled_installs.length,
+      loaned_tools: groups.loaned_tools.length,
+      total_tags: tags.length
+    },
+    totals
+  };
+};
+
 // Indexes for efficient searching
 tagSchema.index({ customer_name: 1, status: 1 });
 tagSchema.index({ tag_type: 1, status: 1 });
@@ -743,13 +1114,19 @@ tagSchema.index({ customer_name: 1, tag_type: 1, status: 1 });
 tagSchema.index({ tag_type: 1, status: 1, due_date: 1 });
 
 // Method to release all instances associated with this tag (set tag_id to null)
-tagSchema.methods.releaseInstances = async function() {
+tagSchema.methods.releaseInstances = async function(releasedBy = this.last_updated_by) {
   const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
   // Prefer targeted release using selected_instance_ids, but also fallback to tag_id sweep
   const allSelectedIds = this.sku_items
     .flatMap(item => (item.selected_instance_ids || []))
     .filter(Boolean);
 
+  const instancesToRelease = await Instance.find({
+    $or: [{ _id: { $in: allSelectedIds } }, { tag_id: this._id }],
+    tag_id: { $ne: null }
+  });
+
   if (allSelectedIds.length > 0) {
     await Instance.updateMany(
       { _id: { $in: allSelectedIds } },
@@ -763,6 +1140,18 @@ tagSchema.methods.releaseInstances = async function() {
     { $set: { tag_id: null } }
   );
 
+  if (instancesToRelease.length > 0) {
+    await StockMovement.recordInstances(instancesToRelease, {
+      movement_type: this.status === 'cancelled' ? 'tag_cancel' : 'tag_release',
+      from_state: this.tag_type,
+      to_state: 'available',
+      source_type: 'tag',
+      source_id: this._id,
+      source_reference: this.customer_name,
+      performed_by: releasedBy
+    });
+  }
+
   return this;
 };
 
@@ -780,10 +1169,7 @@ tagSchema.methods.addItems = async function(newItems, updatedBy) {
     
     if (existingItem) {
       // Add to existing item - find additional instances
-      const additionalInstances = await Instance.find({ 
-        sku_id: sku_id, 
-        tag_id: null 
-      })
+      const additionalInstances = await Instance.find(Instance.availableFilter({ sku_id: sku_id }))
       .sort({ acquisition_date: 1 })
       .limit(quantity);
       
@@ -805,10 +1191,7 @@ tagSchema.methods.addItems = async function(newItems, updatedBy) {
       
     } else {
       // Create new item
-      const availableInstances = await Instance.find({ 
-        sku_id: sku_id, 
-        tag_id: null 
-      })
+      const availableInstances = await Instance.find(Instance.availableFilter({ sku_id: sku_id }))
       .sort({ acquisition_date: 1 })
       .limit(quantity);
       
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Template line schema - a SKU and how many of it the package normally takes
+const templateLineSchema = new mongoose.Schema({
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  // Default quantity (can be overridden when a tag is created)
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  selection_method: {
+    type: String,
+    enum: ['auto', 'fifo', 'cost_based'],
+    default: 'auto'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+});
+
+// TagTemplate model - a named installation package (e.g. base, walls, drain, door and trim)
+// that tags are created from instead of rebuilding the same SKU lines by hand
+const tagTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Type of the tags created from it
+  tag_type: {
+    type: String,
+    enum: ['reserved', 'broken', 'imperfect', 'loaned', 'stock'],
+    default: 'reserved'
+  },
+
+  lines: {
+    type: [templateLineSchema],
+    validate: [
+      {
+        validator: lines => lines.length > 0,
+        message: 'At least one line is required'
+      },
+      {
+        validator: lines => new Set(lines.map(line => line.sku_id.toString())).size === lines.length,
+        message: 'Each SKU can only appear on one line'
+      }
+    ]
+  },
+
+  // Inactive templates are kept but can't be used
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get the lines for a new tag, applying quantity overrides ([{ sku_id, quantity }]).
+// A quantity of 0 leaves the line out. Throws with err.code UNKNOWN_TEMPLATE_LINE.
+tagTemplateSchema.methods.resolveLines = function(overrides = []) {
+  const quantities = new Map();
+  for (const override of overrides) {
+    const line = this.lines.find(templateLine => templateLine.sku_id.toString() === override.sku_id.toString());
+    if (!line) {
+      const err = new Error(`SKU ${override.sku_id} is not on template ${this.name}`);
+      err.code = 'UNKNOWN_TEMPLATE_LINE';
+      throw err;
+    }
+    quantities.set(line._id.toString(), parseInt(override.quantity));
+  }
+
+  return this.lines
+    .map(line => ({
+      line_id: line._id,
+      sku_id: line.sku_id,
+      quantity: quantities.has(line._id.toString()) ? quantities.get(line._id.toString()) : line.quantity,
+      selection_method: line.selection_method,
+      notes: line.notes
+    }))
+    .filter(line => line.quantity > 0);
+};
+
+// Static method to check lines ([{ sku_id, quantity }]) against available stock.
+// Resolves to one entry per line with requested, available and shortage;
+// `can_fill` is false for shortages and for missing or inactive SKUs.
+tagTemplateSchema.statics.checkLines = async function(lines) {
+  const SKU = mongoose.model('SKU');
+  const Instance = mongoose.model('Instance');
+
+  const skus = await SKU.find({ _id: { $in: lines.map(line => line.sku_id) } }).select('sku_code name status');
+  const skuMap = new Map(skus.map(sku => [sku._id.toString(), sku]));
+
+  return Promise.all(lines.map(async line => {
+    const sku = skuMap.get(line.sku_id.toString());
+    const available = sku ? await Instance.countDocuments(Instance.availableFilter({ sku_id: line.sku_id })) : 0;
+    const problem = !sku ? 'SKU not found' : sku.status !== 'active' ? `SKU is ${sku.status}` : null;
+    return {
+      line_id: line.line_id,
+      sku_id: line.sku_id,
+      sku_code: sku ? sku.sku_code : null,
+      name: sku ? sku.name : null,
+      requested: line.quantity,
+      available,
+      shortage: Math.max(line.quantity - available, 0),
+      can_fill: !problem && available >= line.quantity,
+      ...(problem && { error: problem })
+    };
+  }));
+};
+
+module.exports = mongoose.model('TagTemplate', tagTemplateSchema);
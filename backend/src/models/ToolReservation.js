@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day keys (YYYY-MM-DD, UTC) are the unit for bookings and the calendar
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+const startOfDay = date => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+// Reserved SKU line schema
+const reservedItemSchema = new mongoose.Schema({
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, {
+  _id: false
+});
+
+// ToolReservation model - tools booked for a future date range against a project.
+// Bookings hold capacity on the availability calendar and turn into a real loaned
+// tag (with instances assigned) when their start date arrives.
+const toolReservationSchema = new mongoose.Schema({
+  // Human readable reservation number (RSV-YYYYMMDD-###)
+  reservation_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  // Customer/project the tools are booked for (same linking as tags)
+  customer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true
+  },
+  customer_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  project_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
+  project_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Contractor the tools will be handed to (checked when the booking converts)
+  contractor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contractor',
+    default: null,
+    index: true
+  },
+
+  // Tool SKUs and how many of each
+  sku_items: {
+    type: [reservedItemSchema],
+    validate: [items => items.length > 0, 'At least one tool SKU is required']
+  },
+
+  // First and last day of the booking (inclusive, stored as UTC midnight)
+  start_date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  end_date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+
+  // booked -> converted (tag created) | cancelled | expired (never picked up)
+  status: {
+    type: String,
+    enum: ['booked', 'converted', 'cancelled', 'expired'],
+    default: 'booked',
+    index: true
+  },
+
+  // Checkout tag created on conversion
+  tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+  converted_at: {
+    type: Date,
+    default: null
+  },
+
+  // Why the last conversion attempt failed (cleared on success)
+  conversion_error: {
+    type: String,
+    default: ''
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+toolReservationSchema.pre('validate', function(next) {
+  if (this.start_date) this.start_date = startOfDay(this.start_date);
+  if (this.end_date) this.end_date = startOfDay(this.end_date);
+  if (this.start_date && this.end_date && this.end_date < this.start_date) {
+    this.invalidate('end_date', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+// Method to get the total number of tools booked
+toolReservationSchema.methods.getTotalQuantity = function() {
+  return this.sku_items.reduce((total, item) => total + item.quantity, 0);
+};
+
+// Static method to generate the next reservation number for a day
+toolReservationSchema.statics.generateReservationNumber = async function(date = new Date()) {
+  const prefix = `RSV-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ reservation_number: new RegExp(`^${prefix}`) })
+    .sort({ reservation_number: -1 })
+    .select('reservation_number');
+
+  const nextSequence = latest ? parseInt(latest.reservation_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Static method to build day-by-day capacity for tool SKUs between two dates (inclusive).
+// capacity counts in-service instances; loaned counts those held by active tags on that
+// day (a loan frees up after its due date, loans with no due date or already overdue
+// hold the tool for the whole range); booked counts other reservations still to convert.
+// Returns a Map keyed by SKU id of { capacity, days: [{ date, capacity, loaned, booked, free }] }.
+toolReservationSchema.statics.getAvailability = async function(skuIds, from, to, { excludeId = null } = {}) {
+  const Instance = mongoose.model('Instance');
+  const Tag = mongoose.model('Tag');
+
+  const fromDay = startOfDay(from);
+  const toDay = startOfDay(to);
+  const skuObjectIds = skuIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+  const reservationFilter = {
+    status: 'booked',
+    'sku_items.sku_id': { $in: skuObjectIds },
+    start_date: { $lte: toDay },
+    end_date: { $gte: fromDay }
+  };
+  if (excludeId) reservationFilter._id = { $ne: excludeId };
+
+  const [instances, reservations] = await Promise.all([
+    Instance.find({ sku_id: { $in: skuObjectIds }, condition: { $nin: Instance.OUT_OF_SERVICE_CONDITIONS } })
+      .select('sku_id tag_id')
+      .lean(),
+    this.find(reservationFilter).select('sku_items start_date end_date').lean()
+  ]);
+
+  const tagIds = [...new Set(instances.filter(instance => instance.tag_id).map(instance => instance.tag_id.toString()))];
+  const tags = tagIds.length
+    ? await Tag.find({ _id: { $in: tagIds } }).select('tag_type due_date').lean()
+    : [];
+  const today = startOfDay(new Date());
+  // Last day each tag holds its tools (null = the whole range)
+  const heldUntil = new Map(tags.map(tag => [
+    tag._id.toString(),
+    tag.tag_type === 'loaned' && tag.due_date && startOfDay(tag.due_date) >= today ? startOfDay(tag.due_date) : null
+  ]));
+
+  const availability = new Map(skuObjectIds.map(id => [id.toString(), { capacity: 0, days: [] }]));
+  instances.forEach(instance => {
+    availability.get(instance.sku_id.toString()).capacity += 1;
+  });
+
+  availability.forEach((entry, skuId) => {
+    const skuInstances = instances.filter(instance => instance.sku_id.toString() === skuId && instance.tag_id);
+    const skuReservations = reservations
+      .map(reservation => ({
+        ...reservation,
+        quantity: reservation.sku_items
+          .filter(item => item.sku_id.toString() === skuId)
+          .reduce((total, item) => total + item.quantity, 0)
+      }))
+      .filter(reservation => reservation.quantity > 0);
+
+    for (let day = fromDay; day <= toDay; day = new Date(day.getTime() + DAY_MS)) {
+      const loaned = skuInstances.filter(instance => {
+        const until = heldUntil.get(instance.tag_id.toString());
+        return until === null || until === undefined || day <= until;
+      }).length;
+      const booked = skuReservations
+        .filter(reservation => reservation.start_date <= day && reservation.end_date >= day)
+        .reduce((total, reservation) => total + reservation.quantity, 0);
+
+      entry.days.push({
+        date: dayKey(day),
+        capacity: entry.capacity,
+        loaned,
+        booked,
+        free: Math.max(entry.capacity - loaned - booked, 0)
+      });
+    }
+  });
+
+  return availability;
+};
+
+// Static method to check a booking fits. Returns one conflict per SKU that is short on
+// any day of the range: { sku_id, requested, available, date } where available is the
+// lowest free capacity in the range and date is the first day it occurs.
+toolReservationSchema.statics.findConflicts = async function(skuItems, startDate, endDate, { excludeId = null } = {}) {
+  const requested = new Map();
+  skuItems.forEach(item => {
+    const skuId = item.sku_id.toString();
+    requested.set(skuId, (requested.get(skuId) || 0) + Number(item.quantity));
+  });
+
+  const availability = await this.getAvailability([...requested.keys()], startDate, endDate, { excludeId });
+
+  const conflicts = [];
+  requested.forEach((quantity, skuId) => {
+    const tightest = availability.get(skuId).days.reduce((lowest, day) => (day.free < lowest.free ? day : lowest));
+    if (tightest.free < quantity) {
+      conflicts.push({ sku_id: skuId, requested: quantity, available: tightest.free, date: tightest.date });
+    }
+  });
+  return conflicts;
+};
+
+// Method to turn the booking into a loaned checkout tag with instances assigned.
+// Throws with err.code when it can't (the booking is left as it was); the caller saves.
+toolReservationSchema.methods.convert = async function(convertedBy) {
+  const Tag = mongoose.model('Tag');
+  const Instance = mongoose.model('Instance');
+  const Contractor = mongoose.model('Contractor');
+  const MaintenancePlan = mongoose.model('MaintenancePlan');
+
+  if (this.status !== 'booked') {
+    const err = new Error(`Reservation ${this.reservation_number} is ${this.status}`);
+    err.code = 'RESERVATION_NOT_BOOKED';
+    throw err;
+  }
+
+  if (this.contractor_id) {
+    const contractor = await Contractor.findById(this.contractor_id);
+    if (contractor) await contractor.assertCanCheckout(this.getTotalQuantity());
+  }
+
+  // Check every SKU up front so a shortage doesn't leave a half-assigned tag behind
+  const candidates = await Instance.find(Instance.availableFilter({
+    sku_id: { $in: this.sku_items.map(item => item.sku_id) }
+  }));
+  const serviceStatus = await MaintenancePlan.getServiceStatus(candidates);
+  const blockedIds = [...new Set(serviceStatus
+    .filter(result => result.status === 'overdue' && result.enforcement === 'block')
+    .map(result => result.instance_id.toString()))];
+
+  for (const item of this.sku_items) {
+    const ready = candidates.filter(instance =>
+      instance.sku_id.equals(item.sku_id) && !blockedIds.includes(instance._id.toString())).length;
+    if (ready < item.quantity) {
+      const err = new Error(`Only ${ready} of ${item.quantity} booked tool(s) for SKU ${item.sku_id} are available to hand out`);
+      err.code = 'RESERVATION_SHORT';
+      throw err;
+    }
+  }
+
+  const tag = new Tag({
+    customer_id: this.customer_id,
+    customer_name: this.customer_name,
+    project_id: this.project_id,
+    project_name: this.project_name,
+    contractor_id: this.contractor_id,
+    tag_type: 'loaned',
+    sku_items: this.sku_items.map(item => ({ sku_id: item.sku_id, quantity: item.quantity })),
+    notes: [{ message: this.notes || `Tool reservation ${this.reservation_number}`, author: convertedBy, kind: 'system' }],
+    // Due back at the end of the last booked day
+    due_date: new Date(this.end_date.getTime() + DAY_MS - 1),
+    status: 'active',
+    created_by: convertedBy,
+    last_updated_by: convertedBy
+  });
+  await tag.save();
+  try {
+    await tag.assignInstances({ movementType: 'tool_checkout', excludeInstanceIds: blockedIds });
+    await tag.save();
+  } catch (assignError) {
+    // Tools taken since the check above - put back what was assigned and drop the tag
+    await tag.releaseInstances(convertedBy);
+    await Tag.deleteOne({ _id: tag._id });
+    const err = new Error(`Could not hand out the tools for ${this.reservation_number}: ${assignError.message}`);
+    err.code = 'RESERVATION_ASSIGN_FAILED';
+    throw err;
+  }
+
+  // Count the checkout towards usage-based service intervals
+  const checkedOutIds = tag.sku_items.flatMap(item => item.selected_instance_ids);
+  await Instance.updateMany({ _id: { $in: checkedOutIds } }, { $inc: { checkout_count: 1 } });
+
+  this.status = 'converted';
+  this.tag_id = tag._id;
+  this.converted_at = new Date();
+  this.conversion_error = '';
+  this.last_updated_by = convertedBy;
+  return tag;
+};
+
+// Indexes for efficient queries
+toolReservationSchema.index({ status: 1, start_date: 1 });
+toolReservationSchema.index({ 'sku_items.sku_id': 1, start_date: 1, end_date: 1 });
+
+toolReservationSchema.statics.dayKey = dayKey;
+toolReservationSchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model('ToolReservation', toolReservationSchema);
@@ -0,0 +1,559 @@
+const mongoose = require('mongoose');
+
+// Allowed status changes. credited and replaced close the return, cancelled drops it before it ships.
+const STATUS_TRANSITIONS = {
+  requested: ['shipped', 'cancelled'],
+  shipped: ['credited', 'replaced'],
+  credited: [],
+  replaced: [],
+  cancelled: []
+};
+
+// Tag types whose instances can be sent back to the vendor
+const RETURNABLE_TAG_TYPES = ['broken', 'imperfect'];
+
+const round = value => Math.round((value || 0) * 100) / 100;
+
+// Returned unit schema - one instance going back, and what came of it
+const returnItemSchema = new mongoose.Schema({
+  instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    required: true
+  },
+  sku_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SKU',
+    required: true
+  },
+  // Broken/imperfect tag the unit was gathered from
+  source_tag_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag',
+    default: null
+  },
+  source_tag_type: {
+    type: String,
+    enum: RETURNABLE_TAG_TYPES,
+    required: true
+  },
+  // Identifiers and cost at the time of the return (the instance is disposed of once shipped)
+  serial_number: {
+    type: String,
+    default: null
+  },
+  asset_tag: {
+    type: String,
+    default: null
+  },
+  acquisition_cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // pending until the vendor credits or replaces it
+  resolution: {
+    type: String,
+    enum: ['pending', 'credited', 'replaced'],
+    default: 'pending'
+  },
+  credit_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  replacement_instance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instance',
+    default: null
+  },
+  resolved_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  _id: true
+});
+
+// History entry schema - every status change or note on the return
+const historyEntrySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  changed_by: {
+    type: String,
+    required: true
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: true
+});
+
+// VendorReturn model - a return-to-vendor (RMA) for broken and imperfect product.
+// Units leave stock (disposition returned_to_vendor) when the return ships; the vendor
+// then credits them or sends replacements, which come in as new instances.
+const vendorReturnSchema = new mongoose.Schema({
+  // Human readable return number (RTV-YYYYMMDD-###)
+  return_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    index: true
+  },
+
+  // Vendor the units go back to (defaults to the instances' supplier)
+  vendor: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  // Authorization number issued by the vendor
+  rma_number: {
+    type: String,
+    trim: true,
+    default: '',
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested',
+    index: true
+  },
+
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one instance is required']
+  },
+
+  // Shipping details
+  shipped_at: {
+    type: Date,
+    default: null
+  },
+  tracking_number: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Credit the vendor is expected to give (defaults to the units' acquisition cost)
+  // and what was actually credited
+  expected_credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit_received: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credited_at: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  history: {
+    type: [historyEntrySchema],
+    default: []
+  },
+
+  closed_at: {
+    type: Date,
+    default: null
+  },
+  closed_by: {
+    type: String,
+    default: null
+  },
+
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+vendorReturnSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+vendorReturnSchema.statics.RETURNABLE_TAG_TYPES = RETURNABLE_TAG_TYPES;
+
+// Method to check if the return is still open
+vendorReturnSchema.methods.isOpen = function() {
+  return ['requested', 'shipped'].includes(this.status);
+};
+
+// Method to move the return to a new status and log it in the history
+vendorReturnSchema.methods.transition = function(status, notes, changedBy) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    const err = new Error(`Cannot move return ${this.return_number} from ${this.status} to ${status}`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+
+  this.status = status;
+  this.history.push({ status, notes: notes || '', changed_by: changedBy });
+  this.last_updated_by = changedBy;
+  if (!this.isOpen()) {
+    this.closed_at = new Date();
+    this.closed_by = changedBy;
+  }
+};
+
+// Method to get the items the vendor hasn't credited or replaced yet
+vendorReturnSchema.methods.getPendingItems = function() {
+  return this.items.filter(item => item.resolution === 'pending');
+};
+
+// Method to pick pending items by instance id (all pending items when none are given).
+// Throws with err.code ITEM_NOT_FOUND or ITEM_NOT_PENDING.
+vendorReturnSchema.methods.findPendingItems = function(instanceIds = []) {
+  if (!instanceIds.length) return this.getPendingItems();
+
+  return instanceIds.map(instanceId => {
+    const item = this.items.find(entry => entry.instance_id.toString() === instanceId.toString());
+    if (!item) {
+      const err = new Error(`Instance ${instanceId} is not on return ${this.return_number}`);
+      err.code = 'ITEM_NOT_FOUND';
+      throw err;
+    }
+    if (item.resolution !== 'pending') {
+      const err = new Error(`Instance ${instanceId} on return ${this.return_number} was already ${item.resolution}`);
+      err.code = 'ITEM_NOT_PENDING';
+      throw err;
+    }
+    return item;
+  });
+};
+
+// Method to close the return once every item is credited or replaced
+vendorReturnSchema.methods.closeIfResolved = function(changedBy) {
+  if (this.getPendingItems().length > 0) return;
+  const credited = this.items.some(item => item.resolution === 'credited');
+  this.transition(credited ? 'credited' : 'replaced', 'All items resolved', changedBy);
+};
+
+// Method to ship the return: every unit comes off its tag and out of stock as returned_to_vendor.
+// Returns the SKU ids whose counts changed; the caller saves.
+vendorReturnSchema.methods.ship = async function({ shippedAt = new Date(), trackingNumber, rmaNumber, notes }, shippedBy) {
+  const Instance = mongoose.model('Instance');
+
+  this.transition('shipped', notes, shippedBy);
+  this.shipped_at = shippedAt;
+  if (trackingNumber !== undefined) this.tracking_number = trackingNumber;
+  if (rmaNumber !== undefined) this.rma_number = rmaNumber;
+
+  const reference = `${this.return_number}${this.rma_number ? ` (RMA ${this.rma_number})` : ''}`;
+  for (const item of this.items) {
+    const instance = await Instance.findById(item.instance_id);
+    if (!instance) continue;
+
+    await instance.dispose({
+      disposition: 'returned_to_vendor',
+      reason: `Returned to ${this.vendor} on ${reference}`,
+      disposedAt: shippedAt,
+      reportedBy: this.created_by,
+      approvedBy: shippedBy
+    });
+    await instance.save();
+  }
+
+  return [...new Set(this.items.map(item => item.sku_id.toString()))];
+};
+
+// Method to record a vendor credit. Per-item amounts can be given; otherwise the amount is
+// split across the credited items in proportion to their acquisition cost. The credit is
+// also stored as the recovered value of the returned instances. The caller saves.
+vendorReturnSchema.methods.recordCredit = async function({ amount, items = [], creditedAt = new Date(), notes }, creditedBy) {
+  const Instance = mongoose.model('Instance');
+
+  if (this.status !== 'shipped') {
+    const err = new Error(`Return ${this.return_number} is ${this.status} - credits are recorded once it has shipped`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+
+  const targets = this.findPendingItems(items.map(item => item.instance_id));
+  const explicit = new Map(items
+    .filter(item => item.credit_amount !== undefined)
+    .map(item => [item.instance_id.toString(), Number(item.credit_amount)]));
+
+  if (explicit.size === 0) {
+    // Split by acquisition cost (evenly when the units cost nothing); the last item takes the rounding
+    const totalCost = targets.reduce((sum, item) => sum + item.acquisition_cost, 0);
+    let remaining = round(amount);
+    targets.forEach((item, index) => {
+      const share = index === targets.length - 1
+        ? remaining
+        : round(totalCost > 0 ? amount * item.acquisition_cost / totalCost : amount / targets.length);
+      explicit.set(item.instance_id.toString(), share);
+      remaining = round(remaining - share);
+    });
+  }
+  const total = [...explicit.values()].reduce((sum, value) => sum + value, 0);
+
+  for (const item of targets) {
+    item.resolution = 'credited';
+    item.credit_amount = round(explicit.get(item.instance_id.toString()) || 0);
+    item.resolved_at = creditedAt;
+    await Instance.updateOne(
+      { _id: item.instance_id, disposition: 'returned_to_vendor' },
+      { $set: { recovered_value: item.credit_amount } }
+    );
+  }
+
+  this.credit_received = round(this.credit_received + total);
+  this.credited_at = creditedAt;
+  this.history.push({
+    status: this.status,
+    notes: `Credit of $${round(total).toFixed(2)} for ${targets.length} item(s)${notes ? `: ${notes}` : ''}`,
+    changed_by: creditedBy
+  });
+  this.last_updated_by = creditedBy;
+  this.closeIfResolved(creditedBy);
+
+  return targets;
+};
+
+// Method to take in replacement units from the vendor. Each replacement becomes a new instance
+// of the same SKU at the original acquisition cost, linked to this return. Returns the new
+// instances; the caller saves. Throws with err.code from Instance.assignIdentifiers as well.
+vendorReturnSchema.methods.receiveReplacements = async function({ items = [], location, notes }, receivedBy) {
+  const Instance = mongoose.model('Instance');
+  const StockMovement = mongoose.model('StockMovement');
+
+  if (this.status !== 'shipped') {
+    const err = new Error(`Return ${this.return_number} is ${this.status} - replacements are received once it has shipped`);
+    err.code = 'INVALID_TRANSITION';
+    throw err;
+  }
+
+  const targets = this.findPendingItems(items.map(item => item.instance_id));
+  const details = new Map(items.map(item => [item.instance_id.toString(), item]));
+
+  const receivedAt = new Date();
+  const created = [];
+  for (const item of targets) {
+    const detail = details.get(item.instance_id.toString()) || {};
+    const [data] = await Instance.assignIdentifiers(item.sku_id, [{
+      sku_id: item.sku_id,
+      acquisition_date: receivedAt,
+      acquisition_cost: item.acquisition_cost,
+      location: location || 'HQ',
+      supplier: this.vendor,
+      reference_number: this.rma_number || this.return_number,
+      vendor_return_id: this._id,
+      notes: `Replacement for ${item.asset_tag || item.serial_number || item.instance_id} (${this.return_number})`,
+      added_by: receivedBy
+    }], {
+      serialNumbers: detail.serial_number ? [detail.serial_number] : [],
+      assetTags: detail.asset_tag ? [detail.asset_tag] : []
+    });
+    const instance = await Instance.create(data);
+
+    item.resolution = 'replaced';
+    item.replacement_instance_id = instance._id;
+    item.resolved_at = receivedAt;
+    created.push(instance);
+
+    // A replaced unit is no loss in the shrinkage report
+    await Instance.updateOne(
+      { _id: item.instance_id, disposition: 'returned_to_vendor' },
+      { $set: { recovered_value: item.acquisition_cost } }
+    );
+  }
+
+  await StockMovement.recordInstances(created, {
+    movement_type: 'rma_replacement',
+    from_state: 'external',
+    to_state: 'available',
+    reason: `Replacement from ${this.vendor}${notes ? `: ${notes}` : ''}`,
+    source_type: 'vendor_return',
+    source_id: this._id,
+    source_reference: this.return_number,
+    performed_by: receivedBy
+  });
+
+  this.history.push({
+    status: this.status,
+    notes: `Received ${created.length} replacement(s)${notes ? `: ${notes}` : ''}`,
+    changed_by: receivedBy
+  });
+  this.last_updated_by = receivedBy;
+  this.closeIfResolved(receivedBy);
+
+  return created;
+};
+
+// Method to cancel a return that hasn't shipped; the units stay on their tags. The caller saves.
+vendorReturnSchema.methods.cancel = async function(cancelledBy, reason = '') {
+  const Instance = mongoose.model('Instance');
+
+  this.transition('cancelled', reason, cancelledBy);
+  await Instance.updateMany(
+    { _id: { $in: this.items.map(item => item.instance_id) }, vendor_return_id: this._id },
+    { $set: { vendor_return_id: null } }
+  );
+};
+
+// Method to reconcile the vendor's credit and replacements against what the units cost
+vendorReturnSchema.methods.getReconciliation = function() {
+  const sum = (items, field) => round(items.reduce((total, item) => total + item[field], 0));
+  const credited = this.items.filter(item => item.resolution === 'credited');
+  const replaced = this.items.filter(item => item.resolution === 'replaced');
+  const pending = this.getPendingItems();
+
+  const originalCost = sum(this.items, 'acquisition_cost');
+  const creditedCost = sum(credited, 'acquisition_cost');
+  const recovered = round(this.credit_received + sum(replaced, 'acquisition_cost'));
+
+  return {
+    original_cost: originalCost,
+    expected_credit: this.expected_credit,
+    credit_received: this.credit_received,
+    // Credit compared with the cost of the credited units (negative = vendor credited less)
+    credit_variance: round(this.credit_received - creditedCost),
+    replaced_quantity: replaced.length,
+    replaced_cost: sum(replaced, 'acquisition_cost'),
+    pending_quantity: pending.length,
+    pending_cost: sum(pending, 'acquisition_cost'),
+    net_loss: this.isOpen() ? null : round(originalCost - recovered)
+  };
+};
+
+// Static method to build a return from instances on broken/imperfect tags (by instance and/or
+// by whole tag). The vendor defaults to the units' supplier (Instance.supplier, then the SKU's
+// supplier). Links the instances to the return; the caller saves it.
+// Throws with err.code INSTANCE_NOT_FOUND, NOT_RETURNABLE, ALREADY_ON_RETURN or VENDOR_REQUIRED.
+vendorReturnSchema.statics.createFromInstances = async function({
+  instanceIds = [],
+  tagIds = [],
+  vendor,
+  rmaNumber = '',
+  expectedCredit,
+  notes = '',
+  createdBy
+}) {
+  const Instance = mongoose.model('Instance');
+  const Tag = mongoose.model('Tag');
+
+  const fromTags = tagIds.length
+    ? await Instance.find({ tag_id: { $in: tagIds } }).select('_id')
+    : [];
+  const ids = [...new Set([...instanceIds.map(String), ...fromTags.map(instance => instance._id.toString())])];
+
+  const instances = await Instance.find({ _id: { $in: ids } })
+    .populate('sku_id', 'sku_code name supplier_info');
+  const missing = ids.filter(id => !instances.some(instance => instance._id.toString() === id));
+  if (missing.length > 0 || ids.length === 0) {
+    const err = new Error(ids.length ? `Instance(s) not found: ${missing.join(', ')}` : 'No instances to return');
+    err.code = 'INSTANCE_NOT_FOUND';
+    throw err;
+  }
+
+  const tags = await Tag.find({ _id: { $in: instances.map(instance => instance.tag_id).filter(Boolean) } })
+    .select('tag_type status');
+  const tagsById = new Map(tags.map(tag => [tag._id.toString(), tag]));
+  const notReturnable = instances.filter(instance => {
+    const tag = instance.tag_id && tagsById.get(instance.tag_id.toString());
+    return !tag || !RETURNABLE_TAG_TYPES.includes(tag.tag_type) || !['active', 'staged'].includes(tag.status);
+  });
+  if (notReturnable.length > 0) {
+    const err = new Error(`Only units on open broken or imperfect tags can be returned: ${notReturnable
+      .map(instance => instance.asset_tag || instance._id).join(', ')}`);
+    err.code = 'NOT_RETURNABLE';
+    throw err;
+  }
+
+  const onReturn = await this.find({ status: { $in: ['requested', 'shipped'] }, 'items.instance_id': { $in: ids } })
+    .select('return_number');
+  if (onReturn.length > 0) {
+    const err = new Error(`Some units are already on return ${onReturn.map(entry => entry.return_number).join(', ')}`);
+    err.code = 'ALREADY_ON_RETURN';
+    throw err;
+  }
+
+  let returnVendor = vendor && vendor.trim();
+  if (!returnVendor) {
+    const suppliers = [...new Set(instances
+      .map(instance => instance.supplier || instance.sku_id?.supplier_info?.supplier_name || '')
+      .map(name => name.trim()))];
+    if (suppliers.length !== 1 || !suppliers[0]) {
+      const err = new Error(suppliers.filter(Boolean).length > 1
+        ? `The units come from different suppliers (${suppliers.filter(Boolean).join(', ')}) - choose the vendor`
+        : 'No supplier is recorded for these units - choose the vendor');
+      err.code = 'VENDOR_REQUIRED';
+      throw err;
+    }
+    returnVendor = suppliers[0];
+  }
+
+  const items = instances.map(instance => ({
+    instance_id: instance._id,
+    sku_id: instance.sku_id._id,
+    source_tag_id: instance.tag_id,
+    source_tag_type: tagsById.get(instance.tag_id.toString()).tag_type,
+    serial_number: instance.serial_number || null,
+    asset_tag: instance.asset_tag || null,
+    acquisition_cost: instance.acquisition_cost
+  }));
+
+  const vendorReturn = new this({
+    return_number: await this.generateReturnNumber(),
+    vendor: returnVendor,
+    rma_number: rmaNumber,
+    items,
+    expected_credit: expectedCredit !== undefined
+      ? Number(expectedCredit)
+      : round(items.reduce((total, item) => total + item.acquisition_cost, 0)),
+    notes,
+    history: [{ status: 'requested', notes, changed_by: createdBy }],
+    created_by: createdBy,
+    last_updated_by: createdBy
+  });
+
+  await Instance.updateMany({ _id: { $in: ids } }, { $set: { vendor_return_id: vendorReturn._id } });
+  return vendorReturn;
+};
+
+// Static method to generate the next return number (RTV-YYYYMMDD-###)
+vendorReturnSchema.statics.generateReturnNumber = async function(date = new Date()) {
+  const prefix = `RTV-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const latest = await this.findOne({ return_number: new RegExp(`^${prefix}`) })
+    .sort({ return_number: -1 })
+    .select('return_number');
+
+  const nextSequence = latest ? parseInt(latest.return_number.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${String(nextSequence).padStart(3, '0')}`;
+};
+
+// Indexes for efficient queries
+vendorReturnSchema.index({ status: 1, createdAt: -1 });
+vendorReturnSchema.index({ 'items.instance_id': 1 });
+
+module.exports = mongoose.model('VendorReturn', vendorReturnSchema);
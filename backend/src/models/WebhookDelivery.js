@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Retry schedule after each failed attempt (ms). Length + 1 = max attempts.
+const RETRY_BACKOFF_MS = [
+  60 * 1000,           // 1 minute
+  5 * 60 * 1000,       // 5 minutes
+  30 * 60 * 1000,      // 30 minutes
+  2 * 60 * 60 * 1000,  // 2 hours
+  12 * 60 * 60 * 1000  // 12 hours
+];
+
+// One attempt to POST a delivery
+const attemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    required: true
+  },
+  // HTTP status, null when the request never got a response
+  response_status: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  duration_ms: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// WebhookDelivery model - one event sent (or being retried) to one subscription
+const webhookDeliverySchema = new mongoose.Schema({
+  // Subscription the event is for
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+
+  // Event type (e.g. tag.created)
+  event_type: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Stable event id shared by every delivery of the same event (the AuditLog id)
+  event_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // JSON body that is signed and POSTed
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // pending = waiting for (re)try, success = 2xx received, failed = retries exhausted
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  attempt_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max_attempts: {
+    type: Number,
+    default: RETRY_BACKOFF_MS.length + 1
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // Latest response
+  response_status: {
+    type: Number,
+    default: null
+  },
+  response_body: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  },
+
+  // Every attempt, oldest first
+  attempts: [attemptSchema],
+
+  // Set when this delivery is a manual replay of another one
+  replayed_from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  replayed_by: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+// Method to store the outcome of an attempt and schedule the next retry
+webhookDeliverySchema.methods.recordAttempt = function({ responseStatus = null, responseBody = null, error = null, durationMs = null }) {
+  const now = new Date();
+  const succeeded = !error && responseStatus >= 200 && responseStatus < 300;
+
+  this.attempt_count += 1;
+  this.response_status = responseStatus;
+  this.response_body = responseBody ? String(responseBody).slice(0, 2000) : null;
+  this.error = succeeded ? null : (error || `HTTP ${responseStatus}`);
+  this.attempts.push({
+    attempted_at: now,
+    response_status: responseStatus,
+    error: this.error,
+    duration_ms: durationMs
+  });
+
+  if (succeeded) {
+    this.status = 'success';
+    this.delivered_at = now;
+    this.next_attempt_at = null;
+  } else if (this.attempt_count >= this.max_attempts) {
+    this.status = 'failed';
+    this.next_attempt_at = null;
+  } else {
+    const backoff = RETRY_BACKOFF_MS[Math.min(this.attempt_count - 1, RETRY_BACKOFF_MS.length - 1)];
+    this.status = 'pending';
+    this.next_attempt_at = new Date(now.getTime() + backoff);
+  }
+
+  return this;
+};
+
+// Static method to find deliveries whose retry is due
+webhookDeliverySchema.statics.findDue = function(now = new Date(), limit = 50) {
+  return this.find({ status: 'pending', next_attempt_at: { $lte: now } })
+    .sort({ next_attempt_at: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
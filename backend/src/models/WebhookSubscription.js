@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+
+// WebhookSubscription model - external endpoints that receive signed event callbacks
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // Display name (e.g. "QuickBooks sync")
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Endpoint the events are POSTed to
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: value => {
+        try {
+          const { protocol } = new URL(value);
+          return protocol === 'https:' || protocol === 'http:';
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid http(s) URL`
+    }
+  },
+
+  // Shared secret used to sign deliveries (HMAC-SHA256)
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+
+  // Events this endpoint wants
+  event_types: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+
+  // Inactive subscriptions receive nothing
+  is_active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Most recent delivery outcome, for the admin list
+  last_delivery_at: {
+    type: Date,
+    default: null
+  },
+  last_delivery_status: {
+    type: Number,
+    default: null
+  },
+  consecutive_failures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Who created/updated the subscription
+  created_by: {
+    type: String,
+    required: true
+  },
+  last_updated_by: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ is_active: 1, event_types: 1 });
+
+// Static method to find active subscriptions for an event type
+webhookSubscriptionSchema.statics.findForEvent = function(eventType) {
+  return this.find({ is_active: true, event_types: eventType }).select('+secret');
+};
+
+// Method to replace the signing secret
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = crypto.randomBytes(32).toString('hex');
+  return this.secret;
+};
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
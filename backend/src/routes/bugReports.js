@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const BugReport = require('../models/BugReport');
 const { auth, requireRole } = require('../middleware/authEnhanced');
+const { notifyBugReportReply } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -108,6 +109,11 @@ router.post('/:id/replies',
       });
 
       await report.save();
+
+      notifyBugReportReply(report, report.replies[report.replies.length - 1]).catch(err => {
+        console.error('Bug report reply notification error (non-fatal):', err.message);
+      });
+
       res.json({ message: 'Reply added', report });
     } catch (error) {
       console.error('Add reply error:', error);
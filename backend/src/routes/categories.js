@@ -2,6 +2,8 @@ const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const router = express.Router();
 const Category = require('../models/Category');
+const SKU = require('../models/SKU');
+const Instance = require('../models/Instance');
 const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
 
 // Validation middleware for category creation/updates
@@ -36,7 +38,11 @@ const validateCategory = [
   body('color')
     .optional()
     .matches(/^#[0-9A-Fa-f]{6}$/)
-    .withMessage('Color must be a valid hex color (e.g. #1976d2)')
+    .withMessage('Color must be a valid hex color (e.g. #1976d2)'),
+  body('is_serialized')
+    .optional()
+    .isBoolean()
+    .withMessage('is_serialized must be a boolean')
 ];
 
 // GET /api/categories - Get all categories with optional filtering
@@ -192,7 +198,8 @@ router.post('/',
         attributes: req.body.attributes || [],
         sort_order: req.body.sort_order || 0,
         status: req.body.status || 'active',
-        color: req.body.color || '#1976d2'
+        color: req.body.color || '#1976d2',
+        is_serialized: req.body.is_serialized || false
       };
 
       const category = new Category(categoryData);
@@ -257,6 +264,7 @@ router.put('/:id',
       if (req.body.sort_order !== undefined) updateData.sort_order = req.body.sort_order;
       if (req.body.status !== undefined) updateData.status = req.body.status;
       if (req.body.color !== undefined) updateData.color = req.body.color;
+      if (req.body.is_serialized !== undefined) updateData.is_serialized = req.body.is_serialized;
 
       const updatedCategory = await Category.findByIdAndUpdate(
         req.params.id,
@@ -264,9 +272,17 @@ router.put('/:id',
         { new: true, runValidators: true }
       );
 
+      // Turning serialization on gives existing units their asset tags
+      let assetTagsAssigned = 0;
+      if (updatedCategory.is_serialized && !category.is_serialized) {
+        const skuIds = await SKU.find({ category_id: category._id }).distinct('_id');
+        assetTagsAssigned = await Instance.backfillAssetTags({ sku_id: { $in: skuIds } });
+      }
+
       res.json({ 
         message: 'Category updated successfully',
-        category: updatedCategory 
+        category: updatedCategory,
+        ...(assetTagsAssigned > 0 && { asset_tags_assigned: assetTagsAssigned })
       });
 
     } catch (error) {
@@ -0,0 +1,347 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Contractor = require('../models/Contractor');
+const Customer = require('../models/Customer');
+const Tag = require('../models/Tag');
+const Instance = require('../models/Instance');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess, requireAdminAccess } = require('../middleware/authEnhanced');
+
+const EMPTY_RETURN_STATS = {
+  returns: 0,
+  on_time_returns: 0,
+  late_returns: 0,
+  on_time_rate: null,
+  tools_returned: 0,
+  tools_returned_broken: 0,
+  tools_returned_needing_maintenance: 0
+};
+
+// Validation middleware for contractor create/update
+const validateContractor = [
+  body('company').optional().trim().isLength({ max: 200 }).withMessage('Company cannot exceed 200 characters'),
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email address'),
+  body('phone').optional().trim().isLength({ max: 50 }).withMessage('Phone cannot exceed 50 characters'),
+  body('status').optional().isIn(['active', 'blocked']).withMessage('Status must be active or blocked'),
+  body('blocked_reason').optional().trim().isLength({ max: 500 }).withMessage('Blocked reason cannot exceed 500 characters'),
+  body('max_tools_out').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('max_tools_out must be zero or more'),
+  body('notes').optional().trim()
+];
+
+// Helper to count the tools each contractor currently holds
+async function getToolsOut(contractorIds) {
+  const activeTags = await Tag.find({ contractor_id: { $in: contractorIds }, status: 'active' })
+    .select('contractor_id')
+    .lean();
+  const contractorByTag = new Map(activeTags.map(tag => [tag._id.toString(), tag.contractor_id.toString()]));
+
+  const perTag = await Instance.aggregate([
+    { $match: { tag_id: { $in: activeTags.map(tag => tag._id) } } },
+    { $group: { _id: '$tag_id', count: { $sum: 1 } } }
+  ]);
+
+  const toolsOut = new Map();
+  perTag.forEach(row => {
+    const contractorId = contractorByTag.get(row._id.toString());
+    toolsOut.set(contractorId, (toolsOut.get(contractorId) || 0) + row.count);
+  });
+  return toolsOut;
+}
+
+// GET /api/contractors - List contractors with tools out and return history
+router.get('/',
+  auth,
+  [
+    query('search').optional().trim(),
+    query('status').optional().isIn(['active', 'blocked']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { search, status, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (search) {
+        const key = Customer.normalizeName(search);
+        filter.$or = [
+          { name_key: new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) },
+          { company: new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [contractors, total] = await Promise.all([
+        Contractor.find(filter).sort({ name: 1 }).skip(skip).limit(parseInt(limit)).lean(),
+        Contractor.countDocuments(filter)
+      ]);
+      const contractorIds = contractors.map(contractor => contractor._id);
+      const [toolsOut, returnStats] = await Promise.all([
+        getToolsOut(contractorIds),
+        Contractor.getReturnStats(contractorIds)
+      ]);
+
+      res.json({
+        contractors: contractors.map(contractor => ({
+          ...contractor,
+          tools_out: toolsOut.get(contractor._id.toString()) || 0,
+          return_stats: returnStats.get(contractor._id.toString()) || EMPTY_RETURN_STATS
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get contractors error:', error);
+      res.status(500).json({ message: 'Failed to fetch contractors', error: error.message });
+    }
+  }
+);
+
+// GET /api/contractors/:id - Contractor with current checkouts, on-time rate and damaged returns
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid contractor ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const contractor = await Contractor.findById(req.params.id);
+      if (!contractor) {
+        return res.status(404).json({ message: 'Contractor not found' });
+      }
+
+      const [activeTags, damagedTags, returnStats] = await Promise.all([
+        Tag.find({ contractor_id: contractor._id, status: 'active' })
+          .populate('sku_items.sku_id', 'sku_code name')
+          .sort({ due_date: 1 }),
+        Tag.find({ contractor_id: contractor._id, 'returns.condition': { $in: ['needs_maintenance', 'broken'] } })
+          .populate('returns.maintenance_order_ids', 'order_number status repair_cost vendor')
+          .sort({ updatedAt: -1 }),
+        Contractor.getReturnStats([contractor._id])
+      ]);
+
+      const now = new Date();
+      const currentCheckouts = activeTags.map(tag => ({
+        _id: tag._id,
+        customer_name: tag.customer_name,
+        project_name: tag.project_name,
+        due_date: tag.due_date,
+        is_overdue: !!tag.due_date && tag.due_date < now,
+        checked_out_at: tag.createdAt,
+        items: tag.sku_items.map(item => ({
+          sku: item.sku_id,
+          quantity: item.selected_instance_ids.length
+        })),
+        total_quantity: tag.getTotalQuantity()
+      }));
+
+      // Every return with tools that came back damaged - the evidence for charge-backs
+      const damagedReturns = damagedTags
+        .flatMap(tag => tag.returns
+          .filter(entry => entry.condition !== 'functional')
+          .map(entry => ({
+            tag_id: tag._id,
+            customer_name: tag.customer_name,
+            project_name: tag.project_name,
+            returned_at: entry.returned_at,
+            returned_by: entry.returned_by,
+            condition: entry.condition,
+            instance_ids: entry.instance_ids,
+            notes: entry.notes,
+            maintenance_orders: entry.maintenance_order_ids,
+            repair_cost: entry.maintenance_order_ids.reduce((total, order) => total + (order.repair_cost || 0), 0)
+          })))
+        .sort((a, b) => b.returned_at - a.returned_at);
+
+      res.json({
+        contractor,
+        tools_out: currentCheckouts.reduce((total, tag) => total + tag.total_quantity, 0),
+        current_checkouts: currentCheckouts,
+        return_stats: returnStats.get(contractor._id.toString()) || EMPTY_RETURN_STATS,
+        damaged_returns: damagedReturns
+      });
+    } catch (error) {
+      console.error('Get contractor error:', error);
+      res.status(500).json({ message: 'Failed to fetch contractor', error: error.message });
+    }
+  }
+);
+
+// POST /api/contractors - Register a contractor
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('name').trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required (max 200 characters)'),
+    ...validateContractor
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const existing = await Contractor.findByName(req.body.name);
+      if (existing) {
+        return res.status(400).json({
+          message: `Contractor ${existing.name} already exists`,
+          contractor_id: existing._id
+        });
+      }
+
+      const contractor = new Contractor({
+        name: req.body.name,
+        company: req.body.company || '',
+        email: req.body.email || '',
+        phone: req.body.phone || '',
+        status: req.body.status || 'active',
+        blocked_reason: req.body.blocked_reason || '',
+        max_tools_out: req.body.max_tools_out ?? null,
+        notes: req.body.notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await contractor.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'contractor',
+        entity_id: contractor._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Contractor Created',
+        description: `Registered contractor ${contractor.name}`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Contractor created', contractor });
+    } catch (error) {
+      console.error('Create contractor error:', error);
+      res.status(500).json({ message: 'Failed to create contractor', error: error.message });
+    }
+  }
+);
+
+// PUT /api/contractors/:id - Update contact info, status or tool limit
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid contractor ID'),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Name must be 1-200 characters'),
+    ...validateContractor
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const contractor = await Contractor.findById(req.params.id);
+      if (!contractor) {
+        return res.status(404).json({ message: 'Contractor not found' });
+      }
+
+      if (req.body.name !== undefined && Customer.normalizeName(req.body.name) !== contractor.name_key) {
+        const existing = await Contractor.findByName(req.body.name);
+        if (existing) {
+          return res.status(400).json({
+            message: `Contractor ${existing.name} already exists`,
+            contractor_id: existing._id
+          });
+        }
+      }
+
+      const before = contractor.toObject();
+      ['name', 'company', 'email', 'phone', 'status', 'blocked_reason', 'max_tools_out', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) contractor[field] = req.body[field];
+      });
+      if (contractor.status === 'active') contractor.blocked_reason = '';
+      contractor.last_updated_by = req.user.username;
+      await contractor.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'contractor',
+        entity_id: contractor._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: before.status !== contractor.status
+          ? (contractor.status === 'blocked' ? 'Contractor Blocked' : 'Contractor Unblocked')
+          : 'Contractor Updated',
+        description: `Updated contractor ${contractor.name}`,
+        changes: { before, after: contractor.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Contractor updated', contractor });
+    } catch (error) {
+      console.error('Update contractor error:', error);
+      res.status(500).json({ message: 'Failed to update contractor', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/contractors/:id - Delete a contractor with no checkouts (Admin only)
+router.delete('/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Invalid contractor ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const contractor = await Contractor.findById(req.params.id);
+      if (!contractor) {
+        return res.status(404).json({ message: 'Contractor not found' });
+      }
+
+      const tagCount = await Tag.countDocuments({ contractor_id: contractor._id });
+      if (tagCount > 0) {
+        return res.status(400).json({
+          message: `Cannot delete contractor ${contractor.name} - ${tagCount} checkout(s) reference them. Block them instead.`
+        });
+      }
+
+      await Contractor.deleteOne({ _id: contractor._id });
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'contractor',
+        entity_id: contractor._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Contractor Deleted',
+        description: `Deleted contractor ${contractor.name}`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Contractor deleted' });
+    } catch (error) {
+      console.error('Delete contractor error:', error);
+      res.status(500).json({ message: 'Failed to delete contractor', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
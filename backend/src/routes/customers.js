@@ -0,0 +1,384 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Customer = require('../models/Customer');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const CustomerReturn = require('../models/CustomerReturn');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess, requireAdminAccess } = require('../middleware/authEnhanced');
+
+// Words that don't tell two customers apart when looking for duplicates
+const DUPLICATE_IGNORED_WORDS = ['inc', 'llc', 'ltd', 'co', 'corp', 'company', 'the', 'and'];
+
+// Validation middleware for customer create/update
+const validateCustomer = [
+  body('contact_name').optional().trim().isLength({ max: 200 }).withMessage('Contact name cannot exceed 200 characters'),
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email address'),
+  body('phone').optional().trim().isLength({ max: 50 }).withMessage('Phone cannot exceed 50 characters'),
+  body('address').optional().trim(),
+  body('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive'),
+  body('notes').optional().trim()
+];
+
+// Helper to count open and total tags per customer
+async function getTagCounts(customerIds) {
+  const counts = await Tag.aggregate([
+    { $match: { customer_id: { $in: customerIds } } },
+    {
+      $group: {
+        _id: '$customer_id',
+        total_tags: { $sum: 1 },
+        open_tags: { $sum: { $cond: [{ $in: ['$status', ['active', 'staged']] }, 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(counts.map(row => [row._id.toString(), { total_tags: row.total_tags, open_tags: row.open_tags }]));
+}
+
+// GET /api/customers - List customers with tag counts
+router.get('/',
+  auth,
+  [
+    query('search').optional().trim(),
+    query('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { search, status, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (search) {
+        const key = Customer.normalizeName(search);
+        filter.$or = [
+          { match_keys: new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) },
+          { contact_name: new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') }
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [customers, total] = await Promise.all([
+        Customer.find(filter).sort({ name: 1 }).skip(skip).limit(parseInt(limit)).lean(),
+        Customer.countDocuments(filter)
+      ]);
+      const counts = await getTagCounts(customers.map(customer => customer._id));
+
+      res.json({
+        customers: customers.map(customer => ({
+          ...customer,
+          ...(counts.get(customer._id.toString()) || { total_tags: 0, open_tags: 0 })
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get customers error:', error);
+      res.status(500).json({ message: 'Failed to fetch customers', error: error.message });
+    }
+  }
+);
+
+// GET /api/customers/duplicates - Groups of customers that share a name word ("Smith", "John Smith")
+router.get('/duplicates', auth, requireWriteAccess, async (req, res) => {
+  try {
+    const customers = await Customer.find({}).select('name aliases match_keys status').sort({ name: 1 }).lean();
+
+    const byWord = new Map();
+    customers.forEach(customer => {
+      const words = new Set(customer.match_keys.flatMap(key => key.split(' ')));
+      words.forEach(word => {
+        if (word.length < 3 || DUPLICATE_IGNORED_WORDS.includes(word)) return;
+        if (!byWord.has(word)) byWord.set(word, []);
+        byWord.get(word).push(customer);
+      });
+    });
+
+    // The same set of customers can share several words; list it once
+    const seen = new Set();
+    const groups = [];
+    for (const [word, members] of byWord) {
+      if (members.length < 2) continue;
+      const signature = members.map(member => member._id.toString()).sort().join(',');
+      if (seen.has(signature)) continue;
+      seen.add(signature);
+      groups.push({
+        shared_word: word,
+        customers: members.map(({ _id, name, aliases, status }) => ({ _id, name, aliases, status }))
+      });
+    }
+    groups.sort((a, b) => b.customers.length - a.customers.length);
+
+    res.json({ groups, count: groups.length });
+  } catch (error) {
+    console.error('Get duplicate customers error:', error);
+    res.status(500).json({ message: 'Failed to find duplicate customers', error: error.message });
+  }
+});
+
+// GET /api/customers/:id - Customer detail with projects, reservations, installs, loaned tools, value and returns
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid customer ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const customer = await Customer.findById(req.params.id);
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const [projects, activity, returns] = await Promise.all([
+        Project.find({ customer_id: customer._id }).sort({ status: 1, name: 1 }),
+        Tag.getActivitySummary({ customer_id: customer._id }),
+        CustomerReturn.find({ customer_id: customer._id })
+          .populate('items.sku_id', 'sku_code name')
+          .sort({ createdAt: -1 })
+      ]);
+
+      res.json({ customer, projects, ...activity, returns });
+    } catch (error) {
+      console.error('Get customer error:', error);
+      res.status(500).json({ message: 'Failed to fetch customer', error: error.message });
+    }
+  }
+);
+
+// POST /api/customers - Create a customer
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('name').trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required (max 200 characters)'),
+    ...validateCustomer
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const existing = await Customer.findByName(req.body.name);
+      if (existing) {
+        return res.status(400).json({
+          message: `Customer ${existing.name} already exists`,
+          customer_id: existing._id
+        });
+      }
+
+      const customer = new Customer({
+        name: req.body.name,
+        contact_name: req.body.contact_name || '',
+        email: req.body.email || '',
+        phone: req.body.phone || '',
+        address: req.body.address || '',
+        status: req.body.status || 'active',
+        notes: req.body.notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await customer.save();
+
+      await AuditLog.logEvent({
+        event_type: 'customer_created',
+        entity_type: 'customer',
+        entity_id: customer._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Customer Created',
+        description: `Created customer ${customer.name}`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Customer created', customer });
+    } catch (error) {
+      console.error('Create customer error:', error);
+      res.status(500).json({ message: 'Failed to create customer', error: error.message });
+    }
+  }
+);
+
+// PUT /api/customers/:id - Update a customer. Renames keep the old name as an alias.
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid customer ID'),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Name must be 1-200 characters'),
+    ...validateCustomer
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const customer = await Customer.findById(req.params.id);
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const before = customer.toObject();
+      const renamed = req.body.name !== undefined && req.body.name !== customer.name;
+      if (renamed) {
+        const existing = await Customer.findByName(req.body.name);
+        if (existing && !existing._id.equals(customer._id)) {
+          return res.status(400).json({
+            message: `Customer ${existing.name} already exists - merge the customers instead`,
+            customer_id: existing._id
+          });
+        }
+        customer.aliases.push(customer.name);
+        customer.name = req.body.name;
+      }
+
+      ['contact_name', 'email', 'phone', 'address', 'status', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) customer[field] = req.body[field];
+      });
+      customer.last_updated_by = req.user.username;
+      await customer.save();
+
+      // Tags carry a copy of the name for display and search
+      if (renamed) {
+        await Tag.updateMany({ customer_id: customer._id }, { $set: { customer_name: customer.name } });
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'customer_updated',
+        entity_type: 'customer',
+        entity_id: customer._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Customer Updated',
+        description: `Updated customer ${customer.name}`,
+        changes: { before, after: customer.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Customer updated', customer });
+    } catch (error) {
+      console.error('Update customer error:', error);
+      res.status(500).json({ message: 'Failed to update customer', error: error.message });
+    }
+  }
+);
+
+// POST /api/customers/:id/merge - Fold duplicate customers into this one (Admin only)
+router.post('/:id/merge',
+  auth,
+  requireAdminAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid customer ID'),
+    body('source_ids').isArray({ min: 1 }).withMessage('source_ids must be a non-empty array'),
+    body('source_ids.*').isMongoId().withMessage('Invalid source customer ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const sourceIds = [...new Set(req.body.source_ids)];
+      if (sourceIds.includes(req.params.id)) {
+        return res.status(400).json({ message: 'A customer cannot be merged into itself' });
+      }
+
+      const target = await Customer.findById(req.params.id);
+      if (!target) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const sources = await Customer.find({ _id: { $in: sourceIds } });
+      if (sources.length !== sourceIds.length) {
+        return res.status(404).json({ message: 'One or more source customers not found' });
+      }
+
+      const before = { target: target.toObject(), sources: sources.map(source => source.toObject()) };
+      const result = await Customer.mergeInto(target, sources, req.user.username);
+
+      await AuditLog.logEvent({
+        event_type: 'customer_updated',
+        entity_type: 'customer',
+        entity_id: target._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Customers Merged',
+        description: `Merged ${sources.map(source => source.name).join(', ')} into ${target.name}`,
+        changes: { before, after: { target: target.toObject(), ...result } },
+        category: 'business'
+      });
+
+      res.json({ message: `Merged ${sources.length} customer(s) into ${target.name}`, customer: target, ...result });
+    } catch (error) {
+      console.error('Merge customers error:', error);
+      res.status(500).json({ message: 'Failed to merge customers', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/customers/:id - Delete a customer with no tags (Admin only)
+router.delete('/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Invalid customer ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const customer = await Customer.findById(req.params.id);
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const tagCount = await Tag.countDocuments({ customer_id: customer._id });
+      if (tagCount > 0) {
+        return res.status(400).json({
+          message: `Cannot delete customer ${customer.name} - ${tagCount} tag(s) reference it. Merge it into another customer or mark it inactive instead.`
+        });
+      }
+
+      await Project.deleteMany({ customer_id: customer._id });
+      await Customer.deleteOne({ _id: customer._id });
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'customer',
+        entity_id: customer._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Customer Deleted',
+        description: `Deleted customer ${customer.name}`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Customer deleted' });
+    } catch (error) {
+      console.error('Delete customer error:', error);
+      res.status(500).json({ message: 'Failed to delete customer', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
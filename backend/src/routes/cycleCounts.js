@@ -0,0 +1,470 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const CycleCount = require('../models/CycleCount');
+const SKU = require('../models/SKU');
+const Category = require('../models/Category');
+const Location = require('../models/Location');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess, requireAdminAccess } = require('../middleware/authEnhanced');
+const { jsonToCsv } = require('../utils/csv');
+
+const COUNT_STATUSES = ['open', 'submitted', 'posted', 'cancelled'];
+
+// Helper to load a count with SKU display data for responses
+function findCountWithDisplayData(id) {
+  return CycleCount.findById(id)
+    .populate('lines.sku_id', 'sku_code name barcode')
+    .populate('category_id', 'name');
+}
+
+// Helper to build the variance report rows for a count
+function buildVarianceRows(cycleCount) {
+  return cycleCount.lines.map(line => ({
+    count_number: cycleCount.count_number,
+    sku_code: line.sku_id?.sku_code || '',
+    name: line.sku_id?.name || '',
+    expected_quantity: line.expected_quantity,
+    counted_quantity: line.counted_quantity,
+    variance: line.variance,
+    unit_cost: Math.round(line.unit_cost * 100) / 100,
+    variance_value: Math.round(line.variance_value * 100) / 100,
+    counted_by: line.counted_by || '',
+    notes: line.notes
+  }));
+}
+
+// GET /api/cycle-counts - List count sessions
+router.get('/',
+  auth,
+  [
+    query('status').optional().isIn(COUNT_STATUSES).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { status, location, category_id, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (location) filter.location = location.toUpperCase();
+      if (category_id) filter.category_id = category_id;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [counts, total] = await Promise.all([
+        CycleCount.find(filter)
+          .populate('category_id', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        CycleCount.countDocuments(filter)
+      ]);
+
+      res.json({
+        cycle_counts: counts.map(count => ({
+          ...count.toObject(),
+          lines: undefined,
+          summary: count.getSummary()
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get cycle counts error:', error);
+      res.status(500).json({ message: 'Failed to fetch cycle counts', error: error.message });
+    }
+  }
+);
+
+// GET /api/cycle-counts/:id/variance - Variance report valued at acquisition cost (CSV or JSON)
+router.get('/:id/variance',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid cycle count ID'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    query('only_variances').optional().isBoolean().withMessage('only_variances must be boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const cycleCount = await findCountWithDisplayData(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+
+      // Open counts are valued against current stock; posted counts keep what was booked
+      if (cycleCount.status === 'open' || cycleCount.status === 'submitted') {
+        await cycleCount.refreshVariances();
+      }
+
+      let rows = buildVarianceRows(cycleCount);
+      if (req.query.only_variances === 'true') {
+        rows = rows.filter(row => row.variance !== 0);
+      }
+
+      if (req.query.format === 'csv') {
+        const headers = Object.keys(rows[0] || { count_number: '' });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${cycleCount.count_number}-variance.csv"`);
+        return res.send(jsonToCsv(rows, headers));
+      }
+
+      res.json({
+        report_type: 'cycle_count_variance',
+        count_number: cycleCount.count_number,
+        status: cycleCount.status,
+        location: cycleCount.location,
+        category: cycleCount.category_id?.name || null,
+        values_are_estimates: cycleCount.status !== 'posted',
+        summary: cycleCount.getSummary(),
+        lines: rows
+      });
+    } catch (error) {
+      console.error('Get cycle count variance error:', error);
+      res.status(500).json({ message: 'Failed to build variance report', error: error.message });
+    }
+  }
+);
+
+// GET /api/cycle-counts/:id - Get a count session with its lines
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid cycle count ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const cycleCount = await findCountWithDisplayData(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+
+      res.json({ cycle_count: cycleCount, summary: cycleCount.getSummary() });
+    } catch (error) {
+      console.error('Get cycle count error:', error);
+      res.status(500).json({ message: 'Failed to fetch cycle count', error: error.message });
+    }
+  }
+);
+
+// POST /api/cycle-counts - Open a count for a category and/or location
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('category_id').optional({ nullable: true }).isMongoId().withMessage('Invalid category ID'),
+    body('location').optional({ nullable: true }).trim(),
+    body('notes').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { category_id, location, notes } = req.body;
+      if (!category_id && !location) {
+        return res.status(400).json({ message: 'A category or location is required to open a count' });
+      }
+
+      if (category_id && !(await Category.exists({ _id: category_id }))) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+
+      let locationCode = null;
+      if (location) {
+        try {
+          locationCode = await Location.resolveCode(location);
+        } catch (locationError) {
+          if (locationError.code === 'INVALID_LOCATION') {
+            return res.status(400).json({ message: locationError.message });
+          }
+          throw locationError;
+        }
+      }
+
+      // One live count per scope, otherwise two sessions would post the same variance twice
+      const overlapping = await CycleCount.findOne({
+        status: { $in: ['open', 'submitted'] },
+        category_id: category_id || null,
+        location: locationCode
+      }).select('count_number');
+      if (overlapping) {
+        return res.status(400).json({
+          message: `Count ${overlapping.count_number} is already in progress for this scope`
+        });
+      }
+
+      const cycleCount = new CycleCount({
+        count_number: await CycleCount.generateCountNumber(),
+        category_id: category_id || null,
+        location: locationCode,
+        notes: notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await cycleCount.populateLines();
+      await cycleCount.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'cycle_count',
+        entity_id: cycleCount._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Cycle Count Opened',
+        description: `Opened cycle count ${cycleCount.count_number} with ${cycleCount.lines.length} SKU(s)`,
+        category: 'business'
+      });
+
+      const populated = await findCountWithDisplayData(cycleCount._id);
+      res.status(201).json({
+        message: 'Cycle count opened',
+        cycle_count: populated,
+        summary: populated.getSummary()
+      });
+    } catch (error) {
+      console.error('Create cycle count error:', error);
+      res.status(500).json({ message: 'Failed to open cycle count', error: error.message });
+    }
+  }
+);
+
+// POST /api/cycle-counts/:id/counts - Enter counted quantities or scanned barcodes
+// items: [{ sku_id | barcode, counted_quantity, mode: 'set' | 'add' }]
+// barcodes: ['123', '123', ...] - each scan adds one unit
+router.post('/:id/counts',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid cycle count ID'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    body('items.*.barcode').optional().isString().trim(),
+    body('items.*.counted_quantity').optional().isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer'),
+    body('items.*.mode').optional().isIn(['set', 'add']).withMessage('Mode must be set or add'),
+    body('barcodes').optional().isArray().withMessage('Barcodes must be an array'),
+    body('barcodes.*').optional().isString().trim().notEmpty().withMessage('Each barcode must be a non-empty string')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const items = req.body.items || [];
+      const barcodes = req.body.barcodes || [];
+      if (items.length === 0 && barcodes.length === 0) {
+        return res.status(400).json({ message: 'Provide items or barcodes to count' });
+      }
+
+      const cycleCount = await CycleCount.findById(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+      if (cycleCount.status !== 'open') {
+        return res.status(400).json({ message: `Counts can only be entered while the count is open (current status: ${cycleCount.status})` });
+      }
+
+      const entries = [
+        ...items.map(item => ({
+          sku_id: item.sku_id,
+          barcode: item.barcode,
+          quantity: item.counted_quantity !== undefined ? parseInt(item.counted_quantity) : 1,
+          mode: item.mode || (item.counted_quantity !== undefined ? 'set' : 'add'),
+          notes: item.notes
+        })),
+        ...barcodes.map(barcode => ({ barcode, quantity: 1, mode: 'add' }))
+      ];
+
+      const counted = [];
+      const rejected = [];
+      for (const entry of entries) {
+        const sku = entry.sku_id
+          ? await SKU.findById(entry.sku_id).select('sku_code category_id')
+          : await SKU.findByBarcode(entry.barcode);
+
+        if (!sku) {
+          rejected.push({
+            sku_id: entry.sku_id,
+            barcode: entry.barcode,
+            reason: entry.sku_id ? 'SKU not found' : 'SKU not found for barcode'
+          });
+          continue;
+        }
+
+        try {
+          const line = cycleCount.recordCount(sku, entry.quantity, {
+            mode: entry.mode,
+            countedBy: req.user.username,
+            notes: entry.notes
+          });
+          counted.push({ sku_id: sku._id, sku_code: sku.sku_code, counted_quantity: line.counted_quantity });
+        } catch (countError) {
+          if (countError.code === 'OUT_OF_SCOPE') {
+            rejected.push({ sku_id: sku._id, barcode: entry.barcode, reason: countError.message });
+            continue;
+          }
+          throw countError;
+        }
+      }
+
+      await cycleCount.refreshVariances();
+      await cycleCount.save();
+
+      const populated = await findCountWithDisplayData(cycleCount._id);
+      res.json({
+        message: `Recorded ${counted.length} count(s)`,
+        counted,
+        rejected,
+        cycle_count: populated,
+        summary: populated.getSummary()
+      });
+    } catch (error) {
+      console.error('Record cycle count error:', error);
+      res.status(500).json({ message: 'Failed to record counts', error: error.message });
+    }
+  }
+);
+
+// POST /api/cycle-counts/:id/submit - Lock counting and send for approval
+router.post('/:id/submit',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid cycle count ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const cycleCount = await CycleCount.findById(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+
+      try {
+        await cycleCount.submit(req.user.username);
+      } catch (stateError) {
+        return res.status(400).json({ message: stateError.message });
+      }
+      await cycleCount.save();
+
+      const populated = await findCountWithDisplayData(cycleCount._id);
+      res.json({ message: 'Cycle count submitted for approval', cycle_count: populated, summary: populated.getSummary() });
+    } catch (error) {
+      console.error('Submit cycle count error:', error);
+      res.status(500).json({ message: 'Failed to submit cycle count', error: error.message });
+    }
+  }
+);
+
+// POST /api/cycle-counts/:id/approve - Post the variances as stock adjustments (Admin only)
+router.post('/:id/approve',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Invalid cycle count ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const cycleCount = await CycleCount.findById(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+      if (cycleCount.status !== 'submitted') {
+        return res.status(400).json({ message: `Only submitted counts can be approved (current status: ${cycleCount.status})` });
+      }
+
+      const adjustments = await cycleCount.post(req.user.username);
+      await cycleCount.save();
+
+      const summary = cycleCount.getSummary();
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'cycle_count',
+        entity_id: cycleCount._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Cycle Count Posted',
+        description: `Posted cycle count ${cycleCount.count_number}: ${summary.units_over} over, ${summary.units_short} short, net $${summary.net_variance_value}`,
+        changes: { after: { adjustments } },
+        category: 'business'
+      });
+
+      console.log(`✅ Posted cycle count ${cycleCount.count_number} (${adjustments.length} adjustment(s))`);
+
+      const populated = await findCountWithDisplayData(cycleCount._id);
+      res.json({
+        message: `Cycle count posted with ${adjustments.length} adjustment(s)`,
+        cycle_count: populated,
+        summary,
+        adjustments
+      });
+    } catch (error) {
+      console.error('Approve cycle count error:', error);
+      res.status(500).json({ message: 'Failed to post cycle count', error: error.message });
+    }
+  }
+);
+
+// POST /api/cycle-counts/:id/cancel - Cancel a count without adjusting stock
+router.post('/:id/cancel',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid cycle count ID'),
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const cycleCount = await CycleCount.findById(req.params.id);
+      if (!cycleCount) {
+        return res.status(404).json({ message: 'Cycle count not found' });
+      }
+
+      try {
+        cycleCount.cancel(req.user.username, req.body.reason || '');
+      } catch (stateError) {
+        return res.status(400).json({ message: stateError.message });
+      }
+      await cycleCount.save();
+
+      res.json({ message: 'Cycle count cancelled', cycle_count: cycleCount });
+    } catch (error) {
+      console.error('Cancel cycle count error:', error);
+      res.status(500).json({ message: 'Failed to cancel cycle count', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,7 +6,9 @@ const Tag = require('../models/Tag');
 const Inventory = require('../models/Inventory');
 const Category = require('../models/Category');
 const Instance = require('../models/Instance');
+const StockMovement = require('../models/StockMovement');
 const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+const { jsonToCsv } = require('../utils/csv');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
@@ -26,25 +28,6 @@ const upload = multer({
   }
 });
 
-// Helper function to convert JSON to CSV
-function jsonToCsv(data, headers) {
-  if (data.length === 0) return '';
-  
-  const csvHeaders = headers.join(',');
-  const csvRows = data.map(row => 
-    headers.map(header => {
-      let value = row[header];
-      if (value === null || value === undefined) value = '';
-      if (typeof value === 'string' && value.includes(',')) {
-        value = `"${value.replace(/"/g, '""')}"`;
-      }
-      return value;
-    }).join(',')
-  );
-  
-  return csvHeaders + '\n' + csvRows.join('\n');
-}
-
 // GET /api/export/inventory - Export inventory data (SKU-based)
 router.get('/inventory',
   auth,
@@ -384,6 +367,8 @@ router.get('/instances',
           location: instance.location || '',
           supplier: instance.supplier || '',
           reference_number: instance.reference_number || '',
+          serial_number: instance.serial_number || '',
+          asset_tag: instance.asset_tag || '',
           notes: instance.notes || '',
           added_by: instance.added_by || '',
           tag_id: instance.tag_id?._id?.toString() || instance.tag_id?.toString() || '',
@@ -793,8 +778,8 @@ router.post('/import/stock',
             // If 'duplicate', continue to create new instance
           }
 
-          // Create new instance
-          const instanceData = {
+          // Create new instance (serialized SKUs get a generated asset tag when the row has none)
+          const [instanceData] = await Instance.assignIdentifiers(sku._id, [{
             sku_id: sku._id,
             acquisition_date: stockRow.acquisition_date ? new Date(stockRow.acquisition_date) : new Date(),
             acquisition_cost: parseFloat(stockRow.acquisition_cost) || sku.unit_cost || 0,
@@ -803,7 +788,10 @@ router.post('/import/stock',
             reference_number: stockRow.reference_number || '',
             notes: stockRow.notes || '',
             added_by: req.user.username
-          };
+          }], {
+            serialNumbers: stockRow.serial_number ? [stockRow.serial_number] : [],
+            assetTags: stockRow.asset_tag ? [stockRow.asset_tag] : []
+          });
 
           const instance = new Instance(instanceData);
           await instance.save();
@@ -934,6 +922,25 @@ router.post('/import/system-restore',
       // If replace mode, clear existing data (DESTRUCTIVE)
       if (restoreMode === 'replace') {
         console.log('WARNING: Clearing existing data for replace mode');
+
+        // Book the wiped stock out of the ledger so balances still reconcile
+        const wipedStock = await Instance.aggregate([
+          { $group: { _id: '$sku_id', quantity: { $sum: 1 }, total_cost: { $sum: '$acquisition_cost' } } }
+        ]);
+        for (const row of wipedStock) {
+          await StockMovement.record({
+            movement_type: 'system_restore',
+            sku_id: row._id,
+            quantity: row.quantity,
+            from_state: 'available',
+            to_state: 'removed',
+            total_cost: row.total_cost,
+            source_type: 'system_restore',
+            reason: 'Cleared by replace-mode system restore',
+            performed_by: req.user.username
+          });
+        }
+
         await Promise.all([
           Instance.deleteMany({}),
           Tag.deleteMany({}),
@@ -1022,6 +1029,7 @@ router.post('/import/system-restore',
       }
 
       // Restore instances
+      const restoredInstances = [];
       for (const instance of backupData.instances || []) {
         try {
           // Find SKU by code if populated
@@ -1056,13 +1064,16 @@ router.post('/import/system-restore',
             notes: instance.notes,
             added_by: instance.added_by || req.user.username
           };
+          if (instance.serial_number) instanceData.serial_number = instance.serial_number;
+          if (instance.asset_tag) instanceData.asset_tag = instance.asset_tag;
 
           if (existing) {
             Object.assign(existing, instanceData);
             await existing.save();
             results.instances.updated++;
           } else {
-            await Instance.create(instanceData);
+            const [restoreData] = await Instance.assignIdentifiers(skuId, [instanceData]);
+            restoredInstances.push(await Instance.create(restoreData));
             results.instances.created++;
           }
         } catch (error) {
@@ -1070,6 +1081,18 @@ router.post('/import/system-restore',
         }
       }
 
+      if (restoredInstances.length > 0) {
+        await StockMovement.recordInstances(restoredInstances, {
+          movement_type: 'system_restore',
+          from_state: 'external',
+          to_state: 'available',
+          source_type: 'system_restore',
+          source_reference: `Backup ${backupData.backup_info.export_date || ''}`.trim(),
+          reason: `System restore (${restoreMode})`,
+          performed_by: req.user.username
+        });
+      }
+
       // Restore inventories (recalculate from instances)
       const skusToRecalculate = await SKU.find({}).select('_id');
       for (const sku of skusToRecalculate) {
@@ -1237,6 +1260,8 @@ router.get('/templates/stock-import',
           location: 'Warehouse A - Shelf B2',
           supplier: 'Example Supplier Ltd',
           reference_number: 'PO-2025-001',
+          serial_number: '',
+          asset_tag: '',
           notes: 'Received in good condition'
         },
         {
@@ -1271,7 +1296,7 @@ router.get('/templates/stock-import',
           template_type: 'stock_import',
           description: 'Template for bulk stock (Instance) import with examples',
           required_fields: ['sku_code'],
-          optional_fields: ['acquisition_date', 'acquisition_cost', 'location', 'supplier', 'reference_number', 'notes'],
+          optional_fields: ['acquisition_date', 'acquisition_cost', 'location', 'supplier', 'reference_number', 'serial_number', 'asset_tag', 'notes'],
           field_descriptions: {
             sku_code: 'SKU code that must exist in system (required)',
             sku_id: 'Alternative to sku_code - MongoDB ObjectId of SKU',
@@ -1280,6 +1305,8 @@ router.get('/templates/stock-import',
             location: 'Physical location of this item',
             supplier: 'Supplier this item was purchased from',
             reference_number: 'Purchase order, invoice, or reference number',
+            serial_number: 'Manufacturer serial number (must be unique)',
+            asset_tag: 'Internal asset tag (must be unique; generated for serialized SKUs when blank)',
             notes: 'Additional notes about this specific item'
           },
           conflict_resolution_options: {
@@ -6,7 +6,72 @@ const router = express.Router();
 const Instance = require('../models/Instance');
 const SKU = require('../models/SKU');
 const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const AuditLog = require('../models/AuditLog');
 const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+const { allocateBackorders } = require('../utils/backorders');
+
+// GET /api/instances/disposed - Instances written off (lost, stolen, scrapped, ...)
+router.get('/disposed',
+  auth,
+  [
+    query('disposition').optional().isIn(Instance.DISPOSITIONS)
+      .withMessage(`Disposition must be one of: ${Instance.DISPOSITIONS.join(', ')}`),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('contractor_id').optional().isMongoId().withMessage('Invalid contractor ID'),
+    query('start_date').optional().isISO8601().withMessage('start_date must be a valid date'),
+    query('end_date').optional().isISO8601().withMessage('end_date must be a valid date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { disposition, sku_id, contractor_id, start_date, end_date } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const filter = { disposition: disposition || { $ne: null } };
+      if (sku_id) filter.sku_id = sku_id;
+      if (contractor_id) filter.disposition_contractor_id = contractor_id;
+      if (start_date || end_date) {
+        filter.disposed_at = {
+          ...(start_date && { $gte: new Date(start_date) }),
+          ...(end_date && { $lte: new Date(end_date) })
+        };
+      }
+
+      const [instances, totalItems] = await Promise.all([
+        Instance.find(filter)
+          .populate('sku_id', 'sku_code name')
+          .populate('disposition_contractor_id', 'name')
+          .sort({ disposed_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Instance.countDocuments(filter)
+      ]);
+
+      res.json({
+        instances,
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(totalItems / limit),
+          total_items: totalItems,
+          items_per_page: limit
+        }
+      });
+
+    } catch (error) {
+      console.error('Get disposed instances error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
 
 // GET /api/instances/:sku_id - Get all instances for a specific SKU
 router.get('/:sku_id',
@@ -67,7 +132,11 @@ router.post('/add-stock',
     body('location').optional().trim(),
     body('supplier').optional().trim(),
     body('reference_number').optional().trim(),
-    body('notes').optional().trim()
+    body('notes').optional().trim(),
+    body('serial_numbers').optional().isArray().withMessage('serial_numbers must be an array'),
+    body('serial_numbers.*').optional().isString().trim(),
+    body('asset_tags').optional().isArray().withMessage('asset_tags must be an array'),
+    body('asset_tags.*').optional().isString().trim()
   ],
   async (req, res) => {
     try {
@@ -76,7 +145,7 @@ router.post('/add-stock',
         return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
       }
 
-      const { sku_id, quantity, unit_cost, location, supplier, reference_number, notes } = req.body;
+      const { sku_id, quantity, unit_cost, location, supplier, reference_number, notes, serial_numbers, asset_tags } = req.body;
 
       // Verify SKU exists
       const sku = await SKU.findById(sku_id);
@@ -84,22 +153,43 @@ router.post('/add-stock',
         return res.status(404).json({ message: 'SKU not found' });
       }
 
-      // Create instances
-      const instances = [];
-      const acquisitionDate = new Date();
+      // Validate location against configured locations
+      let locationCode;
+      try {
+        locationCode = await Location.resolveCode(location);
+      } catch (locationError) {
+        if (locationError.code === 'INVALID_LOCATION') {
+          return res.status(400).json({ message: locationError.message });
+        }
+        throw locationError;
+      }
 
-      for (let i = 0; i < quantity; i++) {
-        const instance = new Instance({
+      // Serial numbers / asset tags, one per unit (serialized SKUs get generated asset tags)
+      const acquisitionDate = new Date();
+      let instancesData;
+      try {
+        instancesData = await Instance.assignIdentifiers(sku_id, Array.from({ length: quantity }, () => ({
           sku_id,
           acquisition_date: acquisitionDate,
           acquisition_cost: unit_cost,
-          location: location || 'Main Warehouse',
+          location: locationCode,
           supplier: supplier || '',
           reference_number: reference_number || '',
           notes: notes || '',
           added_by: req.user.username
-        });
-        
+        })), { serialNumbers: serial_numbers, assetTags: asset_tags });
+      } catch (identifierError) {
+        if (identifierError.code) {
+          return res.status(identifierError.code === 'DUPLICATE_IDENTIFIER' ? 409 : 400)
+            .json({ message: identifierError.message, code: identifierError.code });
+        }
+        throw identifierError;
+      }
+
+      // Create instances
+      const instances = [];
+      for (const instanceData of instancesData) {
+        const instance = new Instance(instanceData);
         await instance.save();
         instances.push(instance);
       }
@@ -117,10 +207,42 @@ router.post('/add-stock',
       inventory.addStock(quantity, unit_cost, req.user.username);
       await inventory.save();
 
+      await StockMovement.record({
+        movement_type: 'add_stock',
+        sku_id,
+        from_state: 'external',
+        to_state: 'available',
+        to_location: locationCode,
+        instances,
+        unit_cost,
+        source_reference: reference_number || '',
+        reason: notes || '',
+        performed_by: req.user.username
+      });
+
+      await AuditLog.logInventoryMovement({
+        sku_id,
+        item_id: null,
+        from_status: null,
+        to_status: 'available',
+        quantity,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        reason: `Added stock at $${unit_cost} per unit${reference_number ? ` (ref ${reference_number})` : ''}`,
+        tag_id: null
+      });
+
+      // Fill open backorders for this SKU from the new stock
+      const backordersAllocated = await allocateBackorders([sku_id], { allocatedBy: req.user.username });
+      if (backordersAllocated.length > 0) {
+        inventory = await Inventory.findOne({ sku_id });
+      }
+
       res.status(201).json({
         message: `Successfully added ${quantity} instances`,
         instances,
-        inventory_summary: inventory.getSummary()
+        inventory_summary: inventory.getSummary(),
+        backorders_allocated: backordersAllocated
       });
 
     } catch (error) {
@@ -139,7 +261,11 @@ router.put('/:id',
     body('location').optional().trim(),
     body('supplier').optional().trim(),
     body('reference_number').optional().trim(),
-    body('notes').optional().trim()
+    body('notes').optional().trim(),
+    body('serial_number').optional({ values: 'null' }).isString().trim()
+      .isLength({ max: 100 }).withMessage('Serial number cannot exceed 100 characters'),
+    body('asset_tag').optional({ values: 'null' }).isString().trim()
+      .isLength({ max: 50 }).withMessage('Asset tag cannot exceed 50 characters')
   ],
   async (req, res) => {
     try {
@@ -148,15 +274,52 @@ router.put('/:id',
         return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
       }
 
+      const existing = await Instance.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Instance not found' });
+      }
+
       const updateData = {};
-      if (req.body.location !== undefined) updateData.location = req.body.location;
+      const unsetData = {};
+      if (req.body.location !== undefined) {
+        try {
+          updateData.location = await Location.resolveCode(req.body.location);
+        } catch (locationError) {
+          if (locationError.code === 'INVALID_LOCATION') {
+            return res.status(400).json({ message: locationError.message });
+          }
+          throw locationError;
+        }
+      }
       if (req.body.supplier !== undefined) updateData.supplier = req.body.supplier;
       if (req.body.reference_number !== undefined) updateData.reference_number = req.body.reference_number;
       if (req.body.notes !== undefined) updateData.notes = req.body.notes;
 
+      // Identifiers must stay unique; a blank value clears them (not allowed for the
+      // asset tag of a serialized SKU)
+      for (const field of ['serial_number', 'asset_tag']) {
+        if (req.body[field] === undefined) continue;
+        const value = field === 'asset_tag' ? (req.body[field] || '').toUpperCase() : (req.body[field] || '');
+        if (!value) {
+          if (field === 'asset_tag' && await SKU.isSerialized(existing.sku_id)) {
+            return res.status(400).json({ message: 'Asset tag is required for instances of a serialized SKU' });
+          }
+          unsetData[field] = '';
+          continue;
+        }
+        const clash = await Instance.findOne({ [field]: value, _id: { $ne: existing._id } }).select('_id');
+        if (clash) {
+          return res.status(409).json({
+            message: `${field === 'asset_tag' ? 'Asset tag' : 'Serial number'} ${value} is already in use`,
+            code: 'DUPLICATE_IDENTIFIER'
+          });
+        }
+        updateData[field] = value;
+      }
+
       const instance = await Instance.findByIdAndUpdate(
         req.params.id,
-        updateData,
+        { $set: updateData, ...(Object.keys(unsetData).length > 0 && { $unset: unsetData }) },
         { new: true }
       ).populate('sku_id', 'sku_code name')
        .populate('tag_id', 'tag_type customer_name');
@@ -174,6 +337,146 @@ router.put('/:id',
   }
 );
 
+// POST /api/instances/:id/dispose - Write an instance off (lost, stolen, scrapped, returned to vendor, donated).
+// The record is kept with the disposition; the approver is the user making the call.
+router.post('/:id/dispose',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid instance ID'),
+    body('disposition').isIn(Instance.DISPOSITIONS)
+      .withMessage(`Disposition must be one of: ${Instance.DISPOSITIONS.join(', ')}`),
+    body('reason').notEmpty().withMessage('Reason is required')
+      .trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('recovered_value').optional().isFloat({ min: 0 }).withMessage('Recovered value must be non-negative'),
+    body('disposed_at').optional().isISO8601().withMessage('disposed_at must be a valid date'),
+    body('reported_by').optional().trim().isLength({ max: 100 }).withMessage('Reported by cannot exceed 100 characters'),
+    body('contractor_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid contractor ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const instance = await Instance.findByIdIncludingDisposed(req.params.id);
+      if (!instance) {
+        return res.status(404).json({ message: 'Instance not found' });
+      }
+
+      const before = instance.toObject();
+      try {
+        await instance.dispose({
+          disposition: req.body.disposition,
+          reason: req.body.reason,
+          recoveredValue: req.body.recovered_value ? parseFloat(req.body.recovered_value) : 0,
+          disposedAt: req.body.disposed_at ? new Date(req.body.disposed_at) : new Date(),
+          reportedBy: req.body.reported_by,
+          approvedBy: req.user.username,
+          contractorId: req.body.contractor_id || null
+        });
+      } catch (disposeError) {
+        if (disposeError.code) {
+          return res.status(disposeError.code === 'ALREADY_DISPOSED' ? 409 : 400)
+            .json({ message: disposeError.message, code: disposeError.code });
+        }
+        throw disposeError;
+      }
+      await instance.save();
+
+      const inventory = await Inventory.refreshCounts(instance.sku_id, req.user.username);
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'instance',
+        entity_id: instance._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'DISPOSE_INSTANCE',
+        description: `Instance ${instance.asset_tag || instance._id} written off as ${instance.disposition}: ${instance.disposition_reason}`,
+        changes: {
+          before: { disposition: before.disposition, tag_id: before.tag_id },
+          after: {
+            disposition: instance.disposition,
+            recovered_value: instance.recovered_value,
+            disposition_contractor_id: instance.disposition_contractor_id
+          }
+        },
+        category: 'business'
+      });
+
+      res.json({
+        message: `Instance written off as ${instance.disposition}`,
+        instance,
+        inventory_summary: inventory.getSummary()
+      });
+
+    } catch (error) {
+      console.error('Dispose instance error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
+
+// POST /api/instances/:id/reinstate - Bring a disposed instance back into stock
+router.post('/:id/reinstate',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid instance ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const instance = await Instance.findByIdIncludingDisposed(req.params.id);
+      if (!instance) {
+        return res.status(404).json({ message: 'Instance not found' });
+      }
+
+      const previousDisposition = instance.disposition;
+      try {
+        await instance.reinstate(req.user.username, req.body.reason || '');
+      } catch (reinstateError) {
+        if (reinstateError.code) {
+          return res.status(400).json({ message: reinstateError.message, code: reinstateError.code });
+        }
+        throw reinstateError;
+      }
+      await instance.save();
+
+      const inventory = await Inventory.refreshCounts(instance.sku_id, req.user.username);
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'instance',
+        entity_id: instance._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'REINSTATE_INSTANCE',
+        description: `Instance ${instance.asset_tag || instance._id} reinstated after being ${previousDisposition}`,
+        changes: { before: { disposition: previousDisposition }, after: { disposition: null } },
+        category: 'business'
+      });
+
+      res.json({
+        message: 'Instance reinstated',
+        instance,
+        inventory_summary: inventory.getSummary()
+      });
+
+    } catch (error) {
+      console.error('Reinstate instance error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  }
+);
+
 // GET /api/instances/cost-breakdown/:sku_id - Get cost breakdown for available instances
 router.get('/cost-breakdown/:sku_id',
   auth,
@@ -189,7 +492,7 @@ router.get('/cost-breakdown/:sku_id',
 
       // Get available instances grouped by cost
       const costBreakdown = await Instance.aggregate([
-        { $match: { sku_id: new require('mongoose').Types.ObjectId(req.params.sku_id), tag_id: null } },
+        { $match: Instance.availableFilter({ sku_id: new require('mongoose').Types.ObjectId(req.params.sku_id) }) },
         {
           $group: {
             _id: '$acquisition_cost',
@@ -219,7 +522,9 @@ router.post('/adjust-quantity',
   [
     body('sku_id').isMongoId().withMessage('Invalid SKU ID'),
     body('adjustment').isInt().withMessage('Adjustment must be an integer'),
-    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+    body('serial_numbers').optional().isArray().withMessage('serial_numbers must be an array'),
+    body('asset_tags').optional().isArray().withMessage('asset_tags must be an array')
   ],
   async (req, res) => {
     try {
@@ -247,21 +552,43 @@ router.post('/adjust-quantity',
         const instances = [];
         const acquisitionDate = new Date();
         const unitCost = sku.unit_cost || 0; // Use current SKU cost
-        
-        for (let i = 0; i < adjustment; i++) {
-          const instance = new Instance({
+
+        let instancesData;
+        try {
+          instancesData = await Instance.assignIdentifiers(sku_id, Array.from({ length: adjustment }, () => ({
             sku_id,
             acquisition_date: acquisitionDate,
             acquisition_cost: unitCost,
             location: 'Inventory Adjustment',
             notes: reason || `Quantity increased by ${adjustment} via quick adjustment`,
             added_by: req.user.username
-          });
-          
+          })), { serialNumbers: req.body.serial_numbers, assetTags: req.body.asset_tags });
+        } catch (identifierError) {
+          if (identifierError.code) {
+            return res.status(identifierError.code === 'DUPLICATE_IDENTIFIER' ? 409 : 400)
+              .json({ message: identifierError.message, code: identifierError.code });
+          }
+          throw identifierError;
+        }
+        
+        for (const instanceData of instancesData) {
+          const instance = new Instance(instanceData);
           await instance.save();
           instances.push(instance);
         }
         
+        await StockMovement.record({
+          movement_type: 'adjustment',
+          sku_id,
+          from_state: 'external',
+          to_state: 'available',
+          to_location: 'Inventory Adjustment',
+          instances,
+          unit_cost: unitCost,
+          reason: reason || 'Quick quantity adjustment',
+          performed_by: req.user.username
+        });
+
         result = {
           action: 'increased',
           quantity: adjustment,
@@ -291,6 +618,14 @@ router.post('/adjust-quantity',
         
         // Delete the instances
         await Instance.deleteMany({ _id: { $in: instanceIds } });
+
+        await StockMovement.recordInstances(availableInstances, {
+          movement_type: 'adjustment',
+          from_state: 'available',
+          to_state: 'removed',
+          reason: reason || 'Quick quantity adjustment',
+          performed_by: req.user.username
+        });
         
         result = {
           action: 'decreased',
@@ -3,6 +3,12 @@ const { body, validationResult } = require('express-validator');
 const Inventory = require('../models/Inventory');
 const SKU = require('../models/SKU');
 const Tag = require('../models/Tag');
+const Instance = require('../models/Instance');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const Setting = require('../models/Setting');
+const { jsonToCsv } = require('../utils/csv');
+const { getOpenBackorders } = require('../utils/backorders');
 const { auth, requireRole, requireWriteAccess } = require('../middleware/authEnhanced');
 const AuditLog = require('../models/AuditLog');
 
@@ -17,7 +23,11 @@ const validateInventoryUpdate = [
   body('minimum_stock_level').optional().isNumeric().isInt({ min: 0 }).withMessage('Minimum stock level must be a non-negative integer'),
   body('reorder_point').optional().isNumeric().isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
   body('maximum_stock_level').optional().isNumeric().isInt({ min: 0 }).withMessage('Maximum stock level must be a non-negative integer'),
-  body('average_cost').optional().isNumeric().isFloat({ min: 0 }).withMessage('Average cost must be a non-negative number')
+  body('average_cost').optional().isNumeric().isFloat({ min: 0 }).withMessage('Average cost must be a non-negative number'),
+  body('location_levels').optional().isArray().withMessage('Location levels must be an array'),
+  body('location_levels.*.location').optional().trim().notEmpty().withMessage('Location is required for each location level'),
+  body('location_levels.*.minimum_stock_level').optional().isInt({ min: 0 }).withMessage('Location minimum stock level must be a non-negative integer'),
+  body('location_levels.*.reorder_point').optional().isInt({ min: 0 }).withMessage('Location reorder point must be a non-negative integer')
 ];
 
 const validateStockMovement = [
@@ -47,6 +57,115 @@ async function ensureInventoryRecord(skuId, updatedBy = 'System') {
   return inventory;
 }
 
+// Aggregation stage that splits a SKU's instances by location and applies any
+// per-location thresholds. Expects `all_instances` and `location_levels` fields.
+const locationBreakdownStage = () => ({
+  $addFields: {
+    location_breakdown: {
+      $map: {
+        input: {
+          $setUnion: [
+            { $map: { input: '$all_instances', as: 'inst', in: { $ifNull: ['$$inst.location', 'HQ'] } } },
+            { $map: { input: '$location_levels', as: 'lvl', in: '$$lvl.location' } }
+          ]
+        },
+        as: 'loc',
+        in: {
+          $let: {
+            vars: {
+              here: {
+                $filter: {
+                  input: '$all_instances',
+                  as: 'inst',
+                  cond: { $eq: [{ $ifNull: ['$$inst.location', 'HQ'] }, '$$loc'] }
+                }
+              },
+              level: {
+                $arrayElemAt: [
+                  { $filter: { input: '$location_levels', as: 'lvl', cond: { $eq: ['$$lvl.location', '$$loc'] } } },
+                  0
+                ]
+              }
+            },
+            in: {
+              $let: {
+                vars: {
+                  available: {
+                    $size: { $filter: { input: '$$here', as: 'inst', cond: Instance.availableExpression('$$inst.') } }
+                  },
+                  has_level: { $ne: [{ $ifNull: ['$$level.location', null] }, null] }
+                },
+                in: {
+                  location: '$$loc',
+                  total_quantity: { $size: '$$here' },
+                  available_quantity: '$$available',
+                  total_value: { $sum: '$$here.acquisition_cost' },
+                  minimum_stock_level: { $ifNull: ['$$level.minimum_stock_level', null] },
+                  reorder_point: { $ifNull: ['$$level.reorder_point', null] },
+                  is_out_of_stock: { $and: ['$$has_level', { $eq: ['$$available', 0] }] },
+                  is_low_stock: {
+                    $and: [
+                      '$$has_level',
+                      { $gt: ['$$available', 0] },
+                      { $lte: ['$$available', '$$level.minimum_stock_level'] }
+                    ]
+                  },
+                  needs_reorder: { $and: ['$$has_level', { $lte: ['$$available', '$$level.reorder_point'] }] }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+// Helper to evaluate per-location thresholds against real-time available counts
+async function getLocationAlerts(locationCode = null) {
+  const filter = { is_active: true, 'location_levels.0': { $exists: true } };
+  if (locationCode) filter['location_levels.location'] = locationCode.toUpperCase();
+
+  const inventories = await Inventory.find(filter).populate('sku_id', 'sku_code name status');
+  if (inventories.length === 0) return [];
+
+  const counts = await Instance.aggregate([
+    { $match: Instance.availableFilter({ sku_id: { $in: inventories.map(inv => inv.sku_id?._id).filter(Boolean) } }) },
+    { $group: { _id: { sku_id: '$sku_id', location: '$location' }, count: { $sum: 1 } } }
+  ]);
+  const countMap = new Map(counts.map(row => [`${row._id.sku_id}:${row._id.location}`, row.count]));
+
+  const alerts = [];
+  inventories.forEach(inventory => {
+    const sku = inventory.sku_id;
+    if (!sku || sku.status !== 'active') return;
+
+    inventory.location_levels.forEach(level => {
+      if (locationCode && level.location !== locationCode.toUpperCase()) return;
+
+      const available = countMap.get(`${sku._id}:${level.location}`) || 0;
+      const alert = {
+        sku_id: sku._id,
+        sku_code: sku.sku_code,
+        name: sku.name,
+        location: level.location,
+        available_quantity: available,
+        minimum_stock_level: level.minimum_stock_level,
+        reorder_point: level.reorder_point,
+        is_out_of_stock: available === 0,
+        is_low_stock: available > 0 && available <= level.minimum_stock_level,
+        needs_reorder: available <= level.reorder_point
+      };
+
+      if (alert.is_out_of_stock || alert.is_low_stock || alert.needs_reorder) {
+        alerts.push(alert);
+      }
+    });
+  });
+
+  return alerts.sort((a, b) => a.location.localeCompare(b.location) || a.sku_code.localeCompare(b.sku_code));
+}
+
 // GET /api/inventory - Get inventory summary with filtering and pagination (REAL-TIME INSTANCE-BASED)
 router.get('/', auth, async (req, res) => {
   try {
@@ -58,7 +177,8 @@ router.get('/', auth, async (req, res) => {
       limit = 50,
       sort_by = 'sku_code',
       sort_order = 'asc',
-      include_tools = 'false' // Add parameter to include tools when needed
+      include_tools = 'false', // Add parameter to include tools when needed
+      location // Only SKUs stocked (or with thresholds) at this location code
     } = req.query;
 
     const mongoose = require('mongoose');
@@ -91,12 +211,15 @@ router.get('/', auth, async (req, res) => {
         }
       }] : []),
       
-      // ✅ REAL-TIME CALCULATION: Count instances for each SKU
+      // ✅ REAL-TIME CALCULATION: Count instances for each SKU (disposed and kitted units aren't on hand;
+      // the Instance query hooks don't reach inside $lookup)
       {
         $lookup: {
           from: 'instances',
-          localField: '_id',
-          foreignField: 'sku_id',
+          let: { skuId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$sku_id', '$$skuId'] }, ...Instance.onHandFilter() } }
+          ],
           as: 'all_instances'
         }
       },
@@ -110,7 +233,8 @@ router.get('/', auth, async (req, res) => {
             {
               $match: {
                 $expr: { $eq: ['$sku_id', '$$skuId'] },
-                tag_id: { $ne: null }
+                tag_id: { $ne: null },
+                ...Instance.onHandFilter()
               }
             },
             {
@@ -142,7 +266,8 @@ router.get('/', auth, async (req, res) => {
             {
               $match: {
                 $expr: { $eq: ['$sku_id', '$$skuId'] },
-                tag_id: { $ne: null }
+                tag_id: { $ne: null },
+                ...Instance.onHandFilter()
               }
             },
             {
@@ -179,7 +304,7 @@ router.get('/', auth, async (req, res) => {
             $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: Instance.availableExpression('$$this.')
               }
             }
           },
@@ -298,10 +423,19 @@ router.get('/', auth, async (req, res) => {
               { $arrayElemAt: ['$inventory_settings.last_updated_by', 0] },
               'System'
             ]
+          },
+          location_levels: {
+            $ifNull: [
+              { $arrayElemAt: ['$inventory_settings.location_levels', 0] },
+              []
+            ]
           }
         }
       },
       
+      // Per-location quantities and thresholds
+      locationBreakdownStage(),
+      
       // Calculate status flags based on real-time quantities
       {
         $addFields: {
@@ -369,7 +503,7 @@ router.get('/', auth, async (req, res) => {
       
       // Remove temporary fields
       {
-        $unset: ['all_instances', 'tag_breakdown', 'inventory_settings']
+        $unset: ['all_instances', 'tag_breakdown', 'inventory_settings', 'location_levels']
       }
     ];
 
@@ -404,6 +538,13 @@ router.get('/', auth, async (req, res) => {
       });
     }
 
+    // Location filtering
+    if (location && location.trim()) {
+      pipeline.push({
+        $match: { 'location_breakdown.location': location.trim().toUpperCase() }
+      });
+    }
+
     // Status-based filtering (after calculations)
     if (status === 'in_stock') {
       pipeline.push({ $match: { total_quantity: { $gt: 0 } } });
@@ -450,6 +591,7 @@ router.get('/', auth, async (req, res) => {
       filters: {
         category_id,
         search,
+        location,
         status,
         sort_by,
         sort_order
@@ -498,8 +640,10 @@ router.get('/stats', auth, async (req, res) => {
       {
         $lookup: {
           from: 'instances',
-          localField: '_id',
-          foreignField: 'sku_id',
+          let: { skuId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$sku_id', '$$skuId'] }, ...Instance.onHandFilter() } }
+          ],
           as: 'all_instances'
         }
       },
@@ -513,7 +657,8 @@ router.get('/stats', auth, async (req, res) => {
             {
               $match: {
                 $expr: { $eq: ['$sku_id', '$$skuId'] },
-                tag_id: { $ne: null }
+                tag_id: { $ne: null },
+                ...Instance.onHandFilter()
               }
             },
             {
@@ -554,7 +699,7 @@ router.get('/stats', auth, async (req, res) => {
             $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: Instance.availableExpression('$$this.')
               }
             }
           },
@@ -701,8 +846,10 @@ router.get('/stats', auth, async (req, res) => {
       {
         $lookup: {
           from: 'instances',
-          localField: '_id',
-          foreignField: 'sku_id',
+          let: { skuId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$sku_id', '$$skuId'] }, ...Instance.onHandFilter() } }
+          ],
           as: 'all_instances'
         }
       },
@@ -725,7 +872,7 @@ router.get('/stats', auth, async (req, res) => {
             $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: Instance.availableExpression('$$this.')
               }
             }
           },
@@ -741,13 +888,13 @@ router.get('/stats', auth, async (req, res) => {
               { $gt: [{ $size: {
                 $filter: {
                   input: '$all_instances',
-                  cond: { $eq: ['$$this.tag_id', null] }
+                  cond: Instance.availableExpression('$$this.')
                 }
               }}, 0] },
               { $lte: [{ $size: {
                 $filter: {
                   input: '$all_instances',
-                  cond: { $eq: ['$$this.tag_id', null] }
+                  cond: Instance.availableExpression('$$this.')
                 }
               }}, {
                 $ifNull: [
@@ -761,7 +908,7 @@ router.get('/stats', auth, async (req, res) => {
             $eq: [{ $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: Instance.availableExpression('$$this.')
               }
             }}, 0]
           }
@@ -784,6 +931,62 @@ router.get('/stats', auth, async (req, res) => {
       { $sort: { category_name: 1 } }
     ]);
 
+    // ✅ REAL-TIME LOCATION STATS (products only, same as the summary above)
+    const locationStats = await Instance.aggregate([
+      {
+        $lookup: {
+          from: 'skus',
+          localField: 'sku_id',
+          foreignField: '_id',
+          as: 'sku'
+        }
+      },
+      { $unwind: '$sku' },
+      { $match: { 'sku.status': 'active' } },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'sku.category_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      { $match: { 'category.type': { $ne: 'tool' } } },
+      {
+        $group: {
+          _id: { $ifNull: ['$location', 'HQ'] },
+          sku_ids: { $addToSet: '$sku_id' },
+          total_quantity: { $sum: 1 },
+          available_quantity: { $sum: { $cond: [Instance.availableExpression(), 1, 0] } },
+          total_value: { $sum: '$acquisition_cost' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const [locations, locationAlerts] = await Promise.all([
+      Location.find({ code: { $in: locationStats.map(row => row._id) } }).select('code name type is_active').lean(),
+      getLocationAlerts()
+    ]);
+    const locationMap = new Map(locations.map(loc => [loc.code, loc]));
+
+    const byLocation = locationStats.map(row => {
+      const alertsHere = locationAlerts.filter(alert => alert.location === row._id);
+      return {
+        location: row._id,
+        name: locationMap.get(row._id)?.name || row._id,
+        type: locationMap.get(row._id)?.type || null,
+        sku_count: row.sku_ids.length,
+        total_quantity: row.total_quantity,
+        available_quantity: row.available_quantity,
+        total_value: row.total_value,
+        low_stock_count: alertsHere.filter(alert => alert.is_low_stock).length,
+        out_of_stock_count: alertsHere.filter(alert => alert.is_out_of_stock).length,
+        needs_reorder_count: alertsHere.filter(alert => alert.needs_reorder).length
+      };
+    });
+
     // Get most recent update time from instances or inventory records
     const mostRecentUpdate = await mongoose.model('Instance').findOne()
       .sort({ updatedAt: -1 })
@@ -831,6 +1034,7 @@ router.get('/stats', auth, async (req, res) => {
     res.json({
       summary,
       by_category: categoryStats,
+      by_location: byLocation,
       recent_activity: recentActivity,
       top_value_items: topValueItems,
       lastUpdated: mostRecentUpdate?.updatedAt || new Date(),
@@ -838,7 +1042,8 @@ router.get('/stats', auth, async (req, res) => {
         low_stock: summary.low_stock_count,
         out_of_stock: summary.out_of_stock_count,
         overstock: summary.overstock_count,
-        needs_reorder: summary.needs_reorder_count
+        needs_reorder: summary.needs_reorder_count,
+        location_alerts: locationAlerts.length
       }
     });
 
@@ -888,9 +1093,29 @@ router.put('/:sku_id', [auth, requireWriteAccess, ...validateInventoryUpdate], a
     if (updates.primary_location !== undefined) inventory.primary_location = updates.primary_location;
     if (updates.average_cost !== undefined) inventory.average_cost = updates.average_cost;
 
-    // Update location breakdown if provided
-    if (updates.locations && Array.isArray(updates.locations)) {
-      inventory.locations = updates.locations;
+    // Update per-location thresholds if provided (replaces the whole list)
+    if (Array.isArray(updates.location_levels)) {
+      const locationLevels = [];
+      for (const level of updates.location_levels) {
+        let locationCode;
+        try {
+          locationCode = await Location.resolveCode(level.location);
+        } catch (locationError) {
+          if (locationError.code === 'INVALID_LOCATION') {
+            return res.status(400).json({ message: locationError.message });
+          }
+          throw locationError;
+        }
+        if (locationLevels.some(existing => existing.location === locationCode.toUpperCase())) {
+          return res.status(400).json({ message: `Duplicate location level for ${locationCode}` });
+        }
+        locationLevels.push({
+          location: locationCode.toUpperCase(),
+          minimum_stock_level: parseInt(level.minimum_stock_level) || 0,
+          reorder_point: parseInt(level.reorder_point) || 0
+        });
+      }
+      inventory.location_levels = locationLevels;
     }
 
     await inventory.save();
@@ -956,22 +1181,20 @@ router.post('/:sku_id/receive', [auth, requireWriteAccess], [
     // Ensure inventory record exists
     let inventory = await ensureInventoryRecord(sku_id, updatedBy);
 
-    // Add the new stock
-    inventory.addStock(quantity, cost, updatedBy);
-
-    // Update location if provided
-    if (location && location.trim()) {
-      const locationIndex = inventory.locations.findIndex(loc => loc.location_name === location);
-      if (locationIndex >= 0) {
-        inventory.locations[locationIndex].quantity += quantity;
-      } else {
-        inventory.locations.push({
-          location_name: location,
-          quantity: quantity
-        });
+    // Validate the receiving location
+    let locationCode;
+    try {
+      locationCode = await Location.resolveCode(location);
+    } catch (locationError) {
+      if (locationError.code === 'INVALID_LOCATION') {
+        return res.status(400).json({ message: locationError.message });
       }
+      throw locationError;
     }
 
+    // Add the new stock
+    inventory.addStock(quantity, cost, updatedBy);
+
     await inventory.save();
     await inventory.populate('sku_id', 'sku_code description');
 
@@ -988,6 +1211,18 @@ router.post('/:sku_id/receive', [auth, requireWriteAccess], [
       tag_id: null
     });
 
+    await StockMovement.record({
+      movement_type: 'receive',
+      sku_id: inventory.sku_id._id,
+      quantity: parseInt(quantity),
+      from_state: 'external',
+      to_state: 'available',
+      to_location: locationCode,
+      unit_cost: cost ? parseFloat(cost) : 0,
+      reason: notes || '',
+      performed_by: updatedBy
+    });
+
     res.json({
       message: `Successfully received ${quantity} units`,
       inventory,
@@ -995,7 +1230,7 @@ router.post('/:sku_id/receive', [auth, requireWriteAccess], [
         type: 'receive',
         quantity,
         cost,
-        location,
+        location: locationCode,
         notes,
         updated_by: updatedBy,
         timestamp: new Date()
@@ -1046,6 +1281,16 @@ router.post('/:sku_id/move', [auth, requireWriteAccess, ...validateStockMovement
       tag_id: null
     });
 
+    await StockMovement.record({
+      movement_type: 'status_move',
+      sku_id: inventory.sku_id._id,
+      quantity: parseInt(quantity),
+      from_state: from_status,
+      to_state: to_status,
+      reason: reason || notes || '',
+      performed_by: updatedBy
+    });
+
     res.json({
       message: `Successfully moved ${quantity} units from ${from_status} to ${to_status}`,
       inventory,
@@ -1100,6 +1345,17 @@ router.post('/:sku_id/remove', [auth, requireWriteAccess], [
     await inventory.save();
     await inventory.populate('sku_id', 'sku_code description');
 
+    await StockMovement.record({
+      movement_type: 'remove',
+      sku_id: inventory.sku_id._id,
+      quantity: parseInt(quantity),
+      from_state: from_status,
+      to_state: 'removed',
+      unit_cost: inventory.average_cost || 0,
+      reason: notes ? `${reason}. ${notes}` : reason,
+      performed_by: updatedBy
+    });
+
     res.json({
       message: `Successfully removed ${quantity} units from ${from_status}: ${reason}`,
       inventory,
@@ -1128,10 +1384,13 @@ router.get('/alerts/low-stock', auth, async (req, res) => {
   try {
     const lowStockItems = await Inventory.getLowStockItems();
     
+    const locationAlerts = (await getLocationAlerts(req.query.location)).filter(alert => alert.is_low_stock);
+    
     res.json({
       alert_type: 'low_stock',
       count: lowStockItems.length,
-      items: lowStockItems
+      items: lowStockItems,
+      location_alerts: locationAlerts
     });
 
   } catch (error) {
@@ -1145,10 +1404,13 @@ router.get('/alerts/out-of-stock', auth, async (req, res) => {
   try {
     const outOfStockItems = await Inventory.getOutOfStockItems();
     
+    const locationAlerts = (await getLocationAlerts(req.query.location)).filter(alert => alert.is_out_of_stock);
+    
     res.json({
       alert_type: 'out_of_stock',
       count: outOfStockItems.length,
-      items: outOfStockItems
+      items: outOfStockItems,
+      location_alerts: locationAlerts
     });
 
   } catch (error) {
@@ -1162,10 +1424,13 @@ router.get('/alerts/reorder', auth, async (req, res) => {
   try {
     const reorderItems = await Inventory.getItemsNeedingReorder();
     
+    const locationAlerts = (await getLocationAlerts(req.query.location)).filter(alert => alert.needs_reorder);
+    
     res.json({
       alert_type: 'reorder_needed',
       count: reorderItems.length,
-      items: reorderItems
+      items: reorderItems,
+      location_alerts: locationAlerts
     });
 
   } catch (error) {
@@ -1280,121 +1545,165 @@ router.get('/reports/valuation', auth, async (req, res) => {
   }
 });
 
-// GET /api/inventory/reports/movement - Get inventory movement report
+// Helper to turn days/start_date/end_date query params into a date range
+function parseDateRange({ days = 30, start_date, end_date }) {
+  const endDate = end_date ? new Date(end_date) : new Date();
+  let startDate;
+  if (start_date) {
+    startDate = new Date(start_date);
+  } else {
+    startDate = new Date(endDate);
+    startDate.setDate(startDate.getDate() - (parseInt(days) || 30));
+  }
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return null;
+  }
+  return { startDate, endDate };
+}
+
+// GET /api/inventory/reports/movement - Get inventory movement report from the stock ledger
 router.get('/reports/movement', auth, async (req, res) => {
   try {
+    const mongoose = require('mongoose');
     const { 
       days = 30,
+      start_date,
+      end_date,
       category_id,
-      sku_id 
+      sku_id,
+      movement_type
     } = req.query;
 
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    const range = parseDateRange({ days, start_date, end_date });
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid start_date or end_date' });
+    }
+    const { startDate, endDate } = range;
 
-    let matchStage = {
-      is_active: true,
-      last_movement_date: { $gte: startDate }
+    const matchStage = {
+      occurred_at: { $gte: startDate, $lte: endDate }
     };
 
     // SKU-specific filter
     if (sku_id) {
-      const mongoose = require('mongoose');
+      if (!mongoose.Types.ObjectId.isValid(sku_id)) {
+        return res.status(400).json({ message: 'Invalid SKU ID' });
+      }
       matchStage.sku_id = new mongoose.Types.ObjectId(sku_id);
     }
 
-    let pipeline = [
-      { $match: matchStage },
-      {
-        $lookup: {
-          from: 'skus',
-          localField: 'sku_id',
-          foreignField: '_id',
-          as: 'sku'
-        }
-      },
-      { $unwind: '$sku' },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'sku.category_id',
-          foreignField: '_id',
-          as: 'category'
-        }
-      },
-      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } }
-    ];
-
     // Category filtering
     if (category_id && category_id !== 'all') {
-      const mongoose = require('mongoose');
-      pipeline.push({
-        $match: { 'sku.category_id': new mongoose.Types.ObjectId(category_id) }
-      });
+      if (!mongoose.Types.ObjectId.isValid(category_id)) {
+        return res.status(400).json({ message: 'Invalid category ID' });
+      }
+      const categorySkuIds = await SKU.find({ category_id }).distinct('_id');
+      matchStage.sku_id = matchStage.sku_id
+        ? { $in: categorySkuIds.filter(id => id.equals(matchStage.sku_id)) }
+        : { $in: categorySkuIds };
     }
 
-    // Get active items with recent movement
-    const recentActivity = await Inventory.aggregate([
-      ...pipeline,
-      {
-        $project: {
-          sku_code: '$sku.sku_code',
-          description: '$sku.description',
-          category_name: '$category.name',
-          total_quantity: 1,
-          available_quantity: 1,
-          reserved_quantity: 1,
-          broken_quantity: 1,
-          loaned_quantity: 1,
-          last_movement_date: 1,
-          last_updated_by: 1,
-          locations: 1
-        }
-      },
-      { $sort: { last_movement_date: -1 } },
-      { $limit: 100 }
-    ]);
+    if (movement_type) {
+      matchStage.movement_type = movement_type;
+    }
+
+    // Per-SKU activity
+    const skuSummaries = await StockMovement.getSummaryBySku(matchStage);
+    const skus = await SKU.find({ _id: { $in: skuSummaries.map(row => row._id) } })
+      .select('sku_code name description category_id')
+      .populate('category_id', 'name');
+    const skuMap = new Map(skus.map(sku => [sku._id.toString(), sku]));
+
+    const recentActivity = skuSummaries
+      .map(row => {
+        const sku = skuMap.get(row._id.toString());
+        return {
+          sku_id: row._id,
+          sku_code: sku ? sku.sku_code : null,
+          name: sku ? sku.name : null,
+          description: sku ? sku.description : null,
+          category_name: sku && sku.category_id ? sku.category_id.name : null,
+          movement_count: row.movement_count,
+          units_in: row.units_in,
+          units_out: row.units_out,
+          net_change: row.net_change,
+          internal_moves: row.internal_moves,
+          value_in: row.value_in,
+          value_out: row.value_out,
+          last_movement_date: row.last_movement_date
+        };
+      })
+      .sort((a, b) => b.last_movement_date - a.last_movement_date)
+      .slice(0, 100);
 
-    // Movement statistics
-    const movementStats = await Inventory.aggregate([
+    // Daily movement statistics
+    const movementStats = await StockMovement.aggregate([
       { $match: matchStage },
       {
         $group: {
           _id: {
             $dateToString: {
               format: "%Y-%m-%d",
-              date: "$last_movement_date"
+              date: "$occurred_at"
             }
           },
           movement_count: { $sum: 1 },
-          items_moved: {
-            $sum: {
-              $add: [
-                '$reserved_quantity',
-                '$broken_quantity', 
-                '$loaned_quantity'
-              ]
-            }
-          }
+          items_moved: { $sum: '$quantity' },
+          units_in: { $sum: { $cond: [{ $gt: ['$quantity_delta', 0] }, '$quantity_delta', 0] } },
+          units_out: { $sum: { $cond: [{ $lt: ['$quantity_delta', 0] }, { $abs: '$quantity_delta' }, 0] } },
+          net_change: { $sum: '$quantity_delta' }
         }
       },
-      { $sort: { _id: -1 } },
-      { $limit: parseInt(days) }
+      { $sort: { _id: -1 } }
     ]);
 
+    // Totals by movement type
+    const byType = await StockMovement.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: '$movement_type',
+          movement_count: { $sum: 1 },
+          quantity: { $sum: '$quantity' },
+          total_cost: { $sum: '$total_cost' }
+        }
+      },
+      { $sort: { movement_count: -1 } }
+    ]);
+
+    const totals = skuSummaries.reduce((acc, row) => {
+      acc.total_movements += row.movement_count;
+      acc.units_in += row.units_in;
+      acc.units_out += row.units_out;
+      acc.net_change += row.net_change;
+      acc.value_in += row.value_in;
+      acc.value_out += row.value_out;
+      return acc;
+    }, { total_movements: 0, units_in: 0, units_out: 0, net_change: 0, value_in: 0, value_out: 0 });
+
+    const periodDays = Math.max(1, Math.ceil((endDate - startDate) / (24 * 60 * 60 * 1000)));
+
     res.json({
       report_type: 'inventory_movement',
-      period_days: parseInt(days),
+      period_days: periodDays,
       start_date: startDate,
-      end_date: new Date(),
+      end_date: endDate,
       category_filter: category_id,
       sku_filter: sku_id,
+      movement_type_filter: movement_type,
       summary: {
-        total_items_with_movement: recentActivity.length,
+        total_items_with_movement: skuSummaries.length,
         avg_daily_movements: movementStats.length > 0 
           ? Math.round(movementStats.reduce((sum, day) => sum + day.movement_count, 0) / movementStats.length)
-          : 0
+          : 0,
+        ...totals
       },
+      by_type: byType.map(row => ({
+        movement_type: row._id,
+        movement_count: row.movement_count,
+        quantity: row.quantity,
+        total_cost: row.total_cost
+      })),
       daily_stats: movementStats,
       recent_activity: recentActivity
     });
@@ -1405,6 +1714,423 @@ router.get('/reports/movement', auth, async (req, res) => {
   }
 });
 
+// GET /api/inventory/reports/cogs - Cost of goods fulfilled by tags, grouped by customer, project, category and SKU.
+// Built from tag_fulfill ledger entries, so it covers fulfillments since the stock ledger was introduced.
+// Customer returns (customer_return entries) come off again, valued the way their tag's fulfillments were.
+router.get('/reports/cogs', auth, async (req, res) => {
+  try {
+    const { days = 30, start_date, end_date, method, format = 'json', group_by = 'sku' } = req.query;
+    const costingMethods = ['specific_identification', 'fifo', 'weighted_average'];
+    const groupings = ['customer', 'project', 'category', 'sku'];
+
+    const range = parseDateRange({ days, start_date, end_date });
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid start_date or end_date' });
+    }
+    if (method && !costingMethods.includes(method)) {
+      return res.status(400).json({ message: `Method must be one of: ${costingMethods.join(', ')}` });
+    }
+    if (!groupings.includes(group_by)) {
+      return res.status(400).json({ message: `group_by must be one of: ${groupings.join(', ')}` });
+    }
+
+    const { startDate, endDate } = range;
+    const costingMethod = method || await Setting.getValue('cogs_costing_method');
+
+    // Per-entry cost under each method, worked out in the pipeline below
+    const costField = {
+      specific_identification: '$specific_cost',
+      fifo: '$fifo_cost',
+      weighted_average: '$weighted_average_cost'
+    };
+
+    const groupStage = (id) => ([
+      {
+        $group: {
+          _id: id,
+          quantity: { $sum: '$quantity' },
+          cogs: { $sum: '$cost' },
+          fulfillment_count: { $sum: { $cond: ['$is_return', 0, 1] } },
+          return_count: { $sum: { $cond: ['$is_return', 1, 0] } }
+        }
+      },
+      { $sort: { cogs: -1 } }
+    ]);
+
+    const [result] = await StockMovement.aggregate([
+      {
+        $match: {
+          movement_type: { $in: ['tag_fulfill', 'customer_return'] },
+          occurred_at: { $gte: startDate, $lte: endDate }
+        }
+      },
+      // A return's source is the CustomerReturn; the tag it came back from is on that
+      { $lookup: { from: 'customerreturns', localField: 'source_id', foreignField: '_id', as: 'customer_return' } },
+      { $unwind: { path: '$customer_return', preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          is_return: { $eq: ['$movement_type', 'customer_return'] },
+          tag_ref: { $ifNull: ['$customer_return.tag_id', '$source_id'] }
+        }
+      },
+      { $lookup: { from: 'tags', localField: 'tag_ref', foreignField: '_id', as: 'tag' } },
+      { $unwind: { path: '$tag', preserveNullAndEmptyArrays: true } },
+      // What the tag's fulfillments of the SKU were valued at, to take returns off at the same rates
+      {
+        $lookup: {
+          from: 'stockmovements',
+          let: { isReturn: '$is_return', tagId: '$tag_ref', skuId: '$sku_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    '$$isReturn',
+                    { $eq: ['$movement_type', 'tag_fulfill'] },
+                    { $eq: ['$source_id', '$$tagId'] },
+                    { $eq: ['$sku_id', '$$skuId'] }
+                  ]
+                }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                specific: { $sum: '$total_cost' },
+                fifo: { $sum: { $ifNull: ['$valuation.fifo', '$total_cost'] } },
+                weighted_average: { $sum: { $ifNull: ['$valuation.weighted_average', '$total_cost'] } }
+              }
+            }
+          ],
+          as: 'fulfilled'
+        }
+      },
+      { $unwind: { path: '$fulfilled', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'skus', localField: 'sku_id', foreignField: '_id', as: 'sku' } },
+      { $unwind: { path: '$sku', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'categories', localField: 'sku.category_id', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      // Entries recorded before valuations existed fall back to the specific cost
+      {
+        $addFields: {
+          sign: { $cond: ['$is_return', -1, 1] },
+          specific_cost: '$total_cost',
+          fifo_cost: {
+            $cond: [
+              { $and: ['$is_return', { $gt: ['$fulfilled.specific', 0] }] },
+              { $multiply: ['$total_cost', { $divide: ['$fulfilled.fifo', '$fulfilled.specific'] }] },
+              { $ifNull: ['$valuation.fifo', '$total_cost'] }
+            ]
+          },
+          weighted_average_cost: {
+            $cond: [
+              { $and: ['$is_return', { $gt: ['$fulfilled.specific', 0] }] },
+              { $multiply: ['$total_cost', { $divide: ['$fulfilled.weighted_average', '$fulfilled.specific'] }] },
+              { $ifNull: ['$valuation.weighted_average', '$total_cost'] }
+            ]
+          }
+        }
+      },
+      {
+        $project: {
+          is_return: 1,
+          quantity: { $multiply: ['$quantity', '$sign'] },
+          cost: { $multiply: [costField[costingMethod], '$sign'] },
+          specific_cost: { $multiply: ['$specific_cost', '$sign'] },
+          fifo_cost: { $multiply: ['$fifo_cost', '$sign'] },
+          weighted_average_cost: { $multiply: ['$weighted_average_cost', '$sign'] },
+          customer_name: { $ifNull: ['$tag.customer_name', { $ifNull: ['$customer_return.customer_name', '$source_reference'] }] },
+          project_name: { $ifNull: ['$tag.project_name', { $ifNull: ['$customer_return.project_name', ''] }] },
+          category_name: { $ifNull: ['$category.name', 'Uncategorized'] },
+          sku_id: 1,
+          sku_code: '$sku.sku_code',
+          sku_name: '$sku.name'
+        }
+      },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              quantity: { $sum: '$quantity' },
+              cogs: { $sum: '$cost' },
+              specific_identification: { $sum: '$specific_cost' },
+              fifo: { $sum: '$fifo_cost' },
+              weighted_average: { $sum: '$weighted_average_cost' },
+              fulfillment_count: { $sum: { $cond: ['$is_return', 0, 1] } },
+              return_count: { $sum: { $cond: ['$is_return', 1, 0] } }
+            }
+          }],
+          by_customer: groupStage('$customer_name'),
+          by_project: groupStage({ customer_name: '$customer_name', project_name: '$project_name' }),
+          by_category: groupStage('$category_name'),
+          by_sku: groupStage({ sku_id: '$sku_id', sku_code: '$sku_code', name: '$sku_name', category_name: '$category_name' })
+        }
+      }
+    ]);
+
+    const round = value => Math.round((value || 0) * 100) / 100;
+    const shape = (rows, keyFn) => rows.map(row => ({
+      ...keyFn(row._id),
+      quantity: row.quantity,
+      cogs: round(row.cogs),
+      fulfillment_count: row.fulfillment_count,
+      return_count: row.return_count
+    }));
+
+    const groups = {
+      customer: shape(result.by_customer, id => ({ customer_name: id })),
+      project: shape(result.by_project, id => ({ customer_name: id.customer_name, project_name: id.project_name })),
+      category: shape(result.by_category, id => ({ category_name: id })),
+      sku: shape(result.by_sku, id => ({ sku_id: id.sku_id, sku_code: id.sku_code, name: id.name, category_name: id.category_name }))
+    };
+
+    if (format === 'csv') {
+      const rows = groups[group_by];
+      const headers = Object.keys(rows[0] || { quantity: 0, cogs: 0 });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="cogs-by-${group_by}-${startDate.toISOString().slice(0, 10)}-to-${endDate.toISOString().slice(0, 10)}.csv"`);
+      return res.send(jsonToCsv(rows, headers));
+    }
+
+    const totals = result.totals[0] || {};
+    res.json({
+      report_type: 'cogs',
+      costing_method: costingMethod,
+      start_date: startDate,
+      end_date: endDate,
+      summary: {
+        total_quantity: totals.quantity || 0,
+        total_cogs: round(totals.cogs),
+        fulfillment_count: totals.fulfillment_count || 0,
+        return_count: totals.return_count || 0,
+        by_method: {
+          specific_identification: round(totals.specific_identification),
+          fifo: round(totals.fifo),
+          weighted_average: round(totals.weighted_average)
+        }
+      },
+      by_customer: groups.customer,
+      by_project: groups.project,
+      by_category: groups.category,
+      by_sku: groups.sku
+    });
+
+  } catch (error) {
+    console.error('Get COGS report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/inventory/reports/shrinkage - Instances written off (lost, stolen, scrapped, ...) grouped by
+// category, contractor, disposition and SKU. Disposed instances keep their records, so cost is what they were bought for.
+router.get('/reports/shrinkage', auth, async (req, res) => {
+  try {
+    const { days = 30, start_date, end_date, disposition, format = 'json', group_by = 'category' } = req.query;
+    const groupings = ['category', 'contractor', 'disposition', 'sku'];
+
+    const range = parseDateRange({ days, start_date, end_date });
+    if (!range) {
+      return res.status(400).json({ message: 'Invalid start_date or end_date' });
+    }
+    const dispositions = disposition ? String(disposition).split(',').map(value => value.trim()) : Instance.DISPOSITIONS;
+    const unknown = dispositions.filter(value => !Instance.DISPOSITIONS.includes(value));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Disposition must be one of: ${Instance.DISPOSITIONS.join(', ')}` });
+    }
+    if (!groupings.includes(group_by)) {
+      return res.status(400).json({ message: `group_by must be one of: ${groupings.join(', ')}` });
+    }
+
+    const { startDate, endDate } = range;
+
+    const groupStage = (id) => ([
+      {
+        $group: {
+          _id: id,
+          quantity: { $sum: 1 },
+          cost: { $sum: '$acquisition_cost' },
+          recovered_value: { $sum: '$recovered_value' }
+        }
+      },
+      { $sort: { cost: -1 } }
+    ]);
+
+    const [result] = await Instance.aggregate([
+      {
+        $match: {
+          disposition: { $in: dispositions },
+          disposed_at: { $gte: startDate, $lte: endDate }
+        }
+      },
+      { $lookup: { from: 'skus', localField: 'sku_id', foreignField: '_id', as: 'sku' } },
+      { $unwind: { path: '$sku', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'categories', localField: 'sku.category_id', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      { $lookup: { from: 'contractors', localField: 'disposition_contractor_id', foreignField: '_id', as: 'contractor' } },
+      { $unwind: { path: '$contractor', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          disposition: 1,
+          acquisition_cost: { $ifNull: ['$acquisition_cost', 0] },
+          recovered_value: { $ifNull: ['$recovered_value', 0] },
+          category_name: { $ifNull: ['$category.name', 'Uncategorized'] },
+          contractor_id: '$disposition_contractor_id',
+          contractor_name: { $ifNull: ['$contractor.name', 'No contractor'] },
+          sku_id: 1,
+          sku_code: '$sku.sku_code',
+          sku_name: '$sku.name'
+        }
+      },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              quantity: { $sum: 1 },
+              cost: { $sum: '$acquisition_cost' },
+              recovered_value: { $sum: '$recovered_value' }
+            }
+          }],
+          by_category: groupStage('$category_name'),
+          by_contractor: groupStage({ contractor_id: '$contractor_id', contractor_name: '$contractor_name' }),
+          by_disposition: groupStage('$disposition'),
+          by_sku: groupStage({ sku_id: '$sku_id', sku_code: '$sku_code', name: '$sku_name', category_name: '$category_name' })
+        }
+      }
+    ]);
+
+    const round = value => Math.round((value || 0) * 100) / 100;
+    const shape = (rows, keyFn) => rows.map(row => ({
+      ...keyFn(row._id),
+      quantity: row.quantity,
+      cost: round(row.cost),
+      recovered_value: round(row.recovered_value),
+      net_loss: round(row.cost - row.recovered_value)
+    }));
+
+    const groups = {
+      category: shape(result.by_category, id => ({ category_name: id })),
+      contractor: shape(result.by_contractor, id => ({ contractor_id: id.contractor_id || null, contractor_name: id.contractor_name })),
+      disposition: shape(result.by_disposition, id => ({ disposition: id })),
+      sku: shape(result.by_sku, id => ({ sku_id: id.sku_id, sku_code: id.sku_code, name: id.name, category_name: id.category_name }))
+    };
+
+    if (format === 'csv') {
+      const rows = groups[group_by];
+      const headers = Object.keys(rows[0] || { quantity: 0, cost: 0, recovered_value: 0, net_loss: 0 });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="shrinkage-by-${group_by}-${startDate.toISOString().slice(0, 10)}-to-${endDate.toISOString().slice(0, 10)}.csv"`);
+      return res.send(jsonToCsv(rows, headers));
+    }
+
+    const totals = result.totals[0] || {};
+    res.json({
+      report_type: 'shrinkage',
+      start_date: startDate,
+      end_date: endDate,
+      dispositions,
+      summary: {
+        total_quantity: totals.quantity || 0,
+        total_cost: round(totals.cost),
+        total_recovered: round(totals.recovered_value),
+        net_loss: round((totals.cost || 0) - (totals.recovered_value || 0))
+      },
+      by_category: groups.category,
+      by_contractor: groups.contractor,
+      by_disposition: groups.disposition,
+      by_sku: groups.sku
+    });
+
+  } catch (error) {
+    console.error('Get shrinkage report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/inventory/reports/backorders - Open tag backorders grouped by SKU and by customer.
+// Backordered units are valued at the SKU's current unit cost.
+router.get('/reports/backorders', auth, async (req, res) => {
+  try {
+    const { sku_id, customer_id, format = 'json', group_by = 'sku' } = req.query;
+    const groupings = ['sku', 'customer', 'line'];
+    const mongoose = require('mongoose');
+
+    if (!groupings.includes(group_by)) {
+      return res.status(400).json({ message: `group_by must be one of: ${groupings.join(', ')}` });
+    }
+    if ([sku_id, customer_id].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid sku_id or customer_id' });
+    }
+
+    const round = value => Math.round((value || 0) * 100) / 100;
+    const lines = (await getOpenBackorders({ skuId: sku_id, customerId: customer_id })).map(line => ({
+      tag_id: line.tag_id,
+      customer_id: line.customer_id || null,
+      customer_name: line.customer_name,
+      project_name: line.project_name || '',
+      sku_id: line.sku_id,
+      sku_code: line.sku_code,
+      name: line.sku_name,
+      allocated_quantity: line.allocated_quantity,
+      backordered_quantity: line.backordered_quantity,
+      backordered_value: round(line.backordered_quantity * line.unit_cost),
+      backordered_at: line.backordered_at,
+      days_waiting: line.days_waiting,
+      due_date: line.due_date || null
+    }));
+
+    const group = (keyFn) => {
+      const groups = new Map();
+      for (const line of lines) {
+        const key = keyFn(line);
+        const id = JSON.stringify(key);
+        if (!groups.has(id)) {
+          groups.set(id, { ...key, lines: 0, backordered_quantity: 0, backordered_value: 0, oldest_days_waiting: 0 });
+        }
+        const row = groups.get(id);
+        row.lines += 1;
+        row.backordered_quantity += line.backordered_quantity;
+        row.backordered_value = round(row.backordered_value + line.backordered_value);
+        row.oldest_days_waiting = Math.max(row.oldest_days_waiting, line.days_waiting);
+      }
+      return [...groups.values()].sort((a, b) => b.backordered_quantity - a.backordered_quantity);
+    };
+
+    const groups = {
+      sku: group(line => ({ sku_id: line.sku_id, sku_code: line.sku_code, name: line.name })),
+      customer: group(line => ({ customer_id: line.customer_id, customer_name: line.customer_name })),
+      line: lines
+    };
+
+    if (format === 'csv') {
+      const rows = groups[group_by];
+      const headers = Object.keys(rows[0] || { backordered_quantity: 0, backordered_value: 0 });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="backorders-by-${group_by}-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(jsonToCsv(rows, headers));
+    }
+
+    res.json({
+      report_type: 'backorders',
+      generated_at: new Date(),
+      summary: {
+        total_lines: lines.length,
+        total_tags: new Set(lines.map(line => line.tag_id.toString())).size,
+        total_backordered: lines.reduce((sum, line) => sum + line.backordered_quantity, 0),
+        total_value: round(lines.reduce((sum, line) => sum + line.backordered_value, 0))
+      },
+      by_sku: groups.sku,
+      by_customer: groups.customer,
+      lines
+    });
+
+  } catch (error) {
+    console.error('Get backorders report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // POST /api/inventory/sync - Sync existing Item data into Inventory model
 router.post('/sync', [auth, requireWriteAccess], async (req, res) => {
   try {
@@ -1505,6 +2231,82 @@ router.post('/sync', [auth, requireWriteAccess], async (req, res) => {
   }
 });
 
+// GET /api/inventory/:sku_id/history - Stock ledger for a single SKU
+router.get('/:sku_id/history', auth, async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { sku_id } = req.params;
+    const {
+      start_date,
+      end_date,
+      movement_type,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(sku_id)) {
+      return res.status(400).json({ message: 'Invalid SKU ID' });
+    }
+
+    const sku = await SKU.findById(sku_id).select('sku_code name');
+    if (!sku) {
+      return res.status(404).json({ message: 'SKU not found' });
+    }
+
+    const filter = { sku_id: sku._id };
+    if (start_date || end_date) {
+      filter.occurred_at = {};
+      if (start_date) filter.occurred_at.$gte = new Date(start_date);
+      if (end_date) filter.occurred_at.$lte = new Date(end_date);
+      if (Object.values(filter.occurred_at).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid start_date or end_date' });
+      }
+    }
+    if (movement_type) filter.movement_type = movement_type;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [movements, total, [totals], onHand] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ occurred_at: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      StockMovement.countDocuments(filter),
+      StockMovement.getSummaryBySku(filter),
+      Instance.countDocuments({ sku_id: sku._id })
+    ]);
+
+    res.json({
+      sku: {
+        _id: sku._id,
+        sku_code: sku.sku_code,
+        name: sku.name
+      },
+      on_hand_quantity: onHand,
+      totals: {
+        movement_count: totals?.movement_count || 0,
+        units_in: totals?.units_in || 0,
+        units_out: totals?.units_out || 0,
+        net_change: totals?.net_change || 0,
+        value_in: totals?.value_in || 0,
+        value_out: totals?.value_out || 0
+      },
+      movements,
+      pagination: {
+        current_page: pageNum,
+        total_pages: Math.ceil(total / limitNum),
+        total_items: total,
+        items_per_page: limitNum
+      }
+    });
+
+  } catch (error) {
+    console.error('Get SKU movement history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // GET /api/inventory/:sku_id - Get detailed inventory for specific SKU
 // This route MUST be last to avoid conflicts with specific routes above
 router.get('/:sku_id', auth, async (req, res) => {
@@ -1553,10 +2355,44 @@ router.get('/:sku_id', auth, async (req, res) => {
       }
     });
 
+    // Real-time split of this SKU's instances by location, with any per-location thresholds
+    const mongoose = require('mongoose');
+    const locationCounts = await Instance.aggregate([
+      { $match: { sku_id: new mongoose.Types.ObjectId(sku_id) } },
+      {
+        $group: {
+          _id: { $ifNull: ['$location', 'HQ'] },
+          total_quantity: { $sum: 1 },
+          available_quantity: { $sum: { $cond: [Instance.availableExpression(), 1, 0] } }
+        }
+      }
+    ]);
+    const locationLevels = inventory.location_levels || [];
+    const locationCodes = [...new Set([
+      ...locationCounts.map(row => row._id),
+      ...locationLevels.map(level => level.location)
+    ])].sort();
+    const locationBreakdown = locationCodes.map(code => {
+      const counts = locationCounts.find(row => row._id === code);
+      const level = locationLevels.find(l => l.location === code);
+      const available = counts?.available_quantity || 0;
+      return {
+        location: code,
+        total_quantity: counts?.total_quantity || 0,
+        available_quantity: available,
+        minimum_stock_level: level ? level.minimum_stock_level : null,
+        reorder_point: level ? level.reorder_point : null,
+        is_out_of_stock: !!level && available === 0,
+        is_low_stock: !!level && available > 0 && available <= level.minimum_stock_level,
+        needs_reorder: !!level && available <= level.reorder_point
+      };
+    });
+
     res.json({
       ...inventory,
       tag_summary: tagSummary,
       active_tags: activeTags,
+      location_breakdown: locationBreakdown,
       summary: {
         total_quantity: inventory.total_quantity,
         available_quantity: inventory.available_quantity,
@@ -0,0 +1,433 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Location = require('../models/Location');
+const Instance = require('../models/Instance');
+const SKU = require('../models/SKU');
+const AuditLog = require('../models/AuditLog');
+const StockMovement = require('../models/StockMovement');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+const LOCATION_TYPES = ['warehouse', 'trailer', 'job_site', 'vehicle', 'showroom', 'other'];
+
+// Validation middleware for location create/update
+const validateLocation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('type').optional().isIn(LOCATION_TYPES).withMessage('Invalid location type'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be boolean'),
+  body('is_default').optional().isBoolean().withMessage('is_default must be boolean'),
+  body('address').optional().trim(),
+  body('notes').optional().trim()
+];
+
+// Helper to make sure only one location is flagged as the default
+async function clearOtherDefaults(locationId) {
+  await Location.updateMany({ _id: { $ne: locationId }, is_default: true }, { is_default: false });
+}
+
+// GET /api/locations - List locations with real-time stock counts
+router.get('/',
+  auth,
+  [
+    query('active_only').optional().isBoolean().withMessage('active_only must be a boolean'),
+    query('type').optional().isIn(LOCATION_TYPES).withMessage('Invalid location type')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const filter = {};
+      if (req.query.active_only === 'true') filter.is_active = true;
+      if (req.query.type) filter.type = req.query.type;
+
+      const locations = await Location.find(filter).sort({ code: 1 }).lean();
+
+      const counts = await Instance.aggregate([
+        { $match: { location: { $in: locations.map(loc => loc.code) } } },
+        {
+          $group: {
+            _id: '$location',
+            total_quantity: { $sum: 1 },
+            available_quantity: { $sum: { $cond: [Instance.availableExpression(), 1, 0] } },
+            total_value: { $sum: '$acquisition_cost' }
+          }
+        }
+      ]);
+      const countMap = new Map(counts.map(row => [row._id, row]));
+
+      res.json({
+        locations: locations.map(loc => ({
+          ...loc,
+          stock: {
+            total_quantity: countMap.get(loc.code)?.total_quantity || 0,
+            available_quantity: countMap.get(loc.code)?.available_quantity || 0,
+            total_value: countMap.get(loc.code)?.total_value || 0
+          }
+        }))
+      });
+    } catch (error) {
+      console.error('Get locations error:', error);
+      res.status(500).json({ message: 'Failed to fetch locations', error: error.message });
+    }
+  }
+);
+
+// GET /api/locations/:code - Location detail with per-SKU stock
+router.get('/:code',
+  auth,
+  [param('code').trim().notEmpty().withMessage('Location code is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const location = await Location.findOne({ code: req.params.code.toUpperCase() });
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      const skuBreakdown = await Instance.aggregate([
+        { $match: { location: location.code } },
+        {
+          $group: {
+            _id: '$sku_id',
+            total_quantity: { $sum: 1 },
+            available_quantity: { $sum: { $cond: [Instance.availableExpression(), 1, 0] } },
+            total_value: { $sum: '$acquisition_cost' }
+          }
+        },
+        {
+          $lookup: {
+            from: 'skus',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'sku'
+          }
+        },
+        { $unwind: '$sku' },
+        {
+          $project: {
+            _id: 0,
+            sku_id: '$_id',
+            sku_code: '$sku.sku_code',
+            name: '$sku.name',
+            total_quantity: 1,
+            available_quantity: 1,
+            total_value: 1
+          }
+        },
+        { $sort: { sku_code: 1 } }
+      ]);
+
+      res.json({
+        location,
+        summary: await location.getStockSummary(),
+        skus: skuBreakdown
+      });
+    } catch (error) {
+      console.error('Get location error:', error);
+      res.status(500).json({ message: 'Failed to fetch location', error: error.message });
+    }
+  }
+);
+
+// POST /api/locations - Create a location
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('code').trim().notEmpty().isLength({ max: 50 }).withMessage('Code is required (max 50 characters)'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    ...validateLocation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const code = Location.toCode(req.body.code);
+      if (!code) {
+        return res.status(400).json({ message: 'Code must contain letters or numbers' });
+      }
+      if (await Location.exists({ code })) {
+        return res.status(400).json({ message: `Location ${code} already exists` });
+      }
+
+      const location = new Location({
+        code,
+        name: req.body.name,
+        type: req.body.type || 'warehouse',
+        is_active: req.body.is_active !== undefined ? req.body.is_active : true,
+        is_default: !!req.body.is_default,
+        address: req.body.address || '',
+        notes: req.body.notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await location.save();
+
+      if (location.is_default) {
+        await clearOtherDefaults(location._id);
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'location',
+        entity_id: location._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Location Created',
+        description: `Created location ${location.code} (${location.name})`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Location created', location });
+    } catch (error) {
+      console.error('Create location error:', error);
+      res.status(500).json({ message: 'Failed to create location', error: error.message });
+    }
+  }
+);
+
+// PUT /api/locations/:id - Update a location (code is fixed because instances reference it)
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid location ID'),
+    ...validateLocation
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const location = await Location.findById(req.params.id);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      const before = location.toObject();
+      ['name', 'type', 'is_active', 'is_default', 'address', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) location[field] = req.body[field];
+      });
+
+      if (location.is_default && !location.is_active) {
+        return res.status(400).json({ message: 'The default location must be active' });
+      }
+
+      location.last_updated_by = req.user.username;
+      await location.save();
+
+      if (location.is_default) {
+        await clearOtherDefaults(location._id);
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'location',
+        entity_id: location._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Location Updated',
+        description: `Updated location ${location.code}`,
+        changes: { before, after: location.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Location updated', location });
+    } catch (error) {
+      console.error('Update location error:', error);
+      res.status(500).json({ message: 'Failed to update location', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/locations/:id - Delete an empty location
+router.delete('/:id',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid location ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const location = await Location.findById(req.params.id);
+      if (!location) {
+        return res.status(404).json({ message: 'Location not found' });
+      }
+
+      const instanceCount = await Instance.countDocuments({ location: location.code });
+      if (instanceCount > 0) {
+        return res.status(400).json({
+          message: `Cannot delete location ${location.code} - ${instanceCount} instance(s) are still there. Transfer them or deactivate the location instead.`
+        });
+      }
+
+      await Location.deleteOne({ _id: location._id });
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'location',
+        entity_id: location._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Location Deleted',
+        description: `Deleted location ${location.code} (${location.name})`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Location deleted' });
+    } catch (error) {
+      console.error('Delete location error:', error);
+      res.status(500).json({ message: 'Failed to delete location', error: error.message });
+    }
+  }
+);
+
+// POST /api/locations/transfer - Move N available instances of a SKU between locations (FIFO)
+router.post('/transfer',
+  auth,
+  requireWriteAccess,
+  [
+    body('sku_id').isMongoId().withMessage('Invalid SKU ID'),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('from_location').trim().notEmpty().withMessage('From location is required'),
+    body('to_location').trim().notEmpty().withMessage('To location is required'),
+    body('notes').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { sku_id, from_location, to_location, notes } = req.body;
+      const quantity = parseInt(req.body.quantity);
+
+      const sku = await SKU.findById(sku_id).select('sku_code name');
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+
+      // Source may be inactive (we're emptying it); destination must be an active location
+      const fromLocation = await Location.findOne({ code: from_location.toUpperCase() });
+      if (!fromLocation) {
+        return res.status(400).json({ message: `Unknown location: ${from_location}` });
+      }
+
+      let toCode;
+      try {
+        toCode = await Location.resolveCode(to_location);
+      } catch (locationError) {
+        if (locationError.code === 'INVALID_LOCATION') {
+          return res.status(400).json({ message: locationError.message });
+        }
+        throw locationError;
+      }
+
+      if (fromLocation.code === toCode) {
+        return res.status(400).json({ message: 'From and to locations must be different' });
+      }
+
+      const instancesToMove = await Instance.find({
+        sku_id,
+        location: fromLocation.code,
+        tag_id: null
+      })
+        .sort({ acquisition_date: 1 })
+        .limit(quantity);
+
+      if (instancesToMove.length < quantity) {
+        return res.status(400).json({
+          message: `Only ${instancesToMove.length} available unit(s) of ${sku.sku_code} at ${fromLocation.code}`,
+          available_quantity: instancesToMove.length
+        });
+      }
+
+      // Guard each unit on location/tag so a concurrent change can't move tagged or already-moved
+      // stock; only the units that really moved are recorded and reported
+      const moved = [];
+      for (const instance of instancesToMove) {
+        const result = await Instance.updateOne(
+          { _id: instance._id, location: fromLocation.code, tag_id: null },
+          { location: toCode }
+        );
+        if (result.modifiedCount === 1) moved.push(instance);
+      }
+
+      if (moved.length === 0) {
+        return res.status(409).json({
+          message: `The selected units of ${sku.sku_code} were tagged or moved by someone else; nothing was transferred`
+        });
+      }
+
+      const instanceIds = moved.map(instance => instance._id);
+      await StockMovement.record({
+        movement_type: 'transfer',
+        sku_id,
+        from_state: 'available',
+        to_state: 'available',
+        from_location: fromLocation.code,
+        to_location: toCode,
+        instances: moved,
+        source_type: 'location_transfer',
+        reason: notes || '',
+        performed_by: req.user.username
+      });
+
+      await AuditLog.logEvent({
+        event_type: 'item_transferred',
+        entity_type: 'inventory',
+        entity_id: sku._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: `Transferred ${moved.length} items from ${fromLocation.code} to ${toCode}`,
+        description: `Transferred ${moved.length} units of ${sku.sku_code} from ${fromLocation.code} to ${toCode}${notes ? `. Notes: ${notes}` : ''}`,
+        changes: {
+          before: { location: fromLocation.code },
+          after: { location: toCode, instance_ids: instanceIds }
+        },
+        category: 'business'
+      });
+
+      console.log(`✅ Transferred ${moved.length} x ${sku.sku_code}: ${fromLocation.code} → ${toCode}`);
+
+      res.json({
+        message: `Transferred ${moved.length} unit(s) of ${sku.sku_code} from ${fromLocation.code} to ${toCode}` +
+          (moved.length < quantity ? ` (${quantity - moved.length} were tagged or moved by someone else)` : ''),
+        transfer: {
+          sku_id: sku._id,
+          sku_code: sku.sku_code,
+          from_location: fromLocation.code,
+          to_location: toCode,
+          quantity: moved.length,
+          requested_quantity: quantity,
+          instance_ids: instanceIds,
+          transferred_by: req.user.username,
+          timestamp: new Date()
+        }
+      });
+    } catch (error) {
+      console.error('Transfer stock error:', error);
+      res.status(500).json({ message: 'Failed to transfer stock', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
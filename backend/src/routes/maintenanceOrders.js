@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const MaintenanceOrder = require('../models/MaintenanceOrder');
+const Instance = require('../models/Instance');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+const ORDER_STATUSES = Object.keys(MaintenanceOrder.STATUS_TRANSITIONS);
+
+const populateOrder = query => query
+  .populate('sku_id', 'sku_code name')
+  .populate('instance_id', 'condition location acquisition_cost')
+  .populate('source_tag_id', 'customer_name project_name');
+
+// GET /api/maintenance-orders - List maintenance orders
+router.get('/',
+  auth,
+  [
+    query('status').optional().custom(value => value.split(',').every(status => ORDER_STATUSES.includes(status)))
+      .withMessage('Invalid status'),
+    query('open').optional().isIn(['true', 'false']).withMessage('open must be true or false'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('instance_id').optional().isMongoId().withMessage('Invalid instance ID'),
+    query('vendor').optional().trim(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { status, open, sku_id, instance_id, vendor, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = { $in: status.split(',') };
+      if (open === 'true') filter.status = { $nin: ['repaired', 'scrapped'] };
+      if (open === 'false') filter.status = { $in: ['repaired', 'scrapped'] };
+      if (sku_id) filter.sku_id = sku_id;
+      if (instance_id) filter.instance_id = instance_id;
+      if (vendor) filter.vendor = new RegExp(vendor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [orders, total] = await Promise.all([
+        populateOrder(MaintenanceOrder.find(filter))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        MaintenanceOrder.countDocuments(filter)
+      ]);
+
+      res.json({
+        orders,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get maintenance orders error:', error);
+      res.status(500).json({ message: 'Failed to fetch maintenance orders', error: error.message });
+    }
+  }
+);
+
+// GET /api/maintenance-orders/:id - Get a maintenance order with its history
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid maintenance order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const order = await populateOrder(MaintenanceOrder.findById(req.params.id));
+      if (!order) {
+        return res.status(404).json({ message: 'Maintenance order not found' });
+      }
+
+      res.json({ order });
+    } catch (error) {
+      console.error('Get maintenance order error:', error);
+      res.status(500).json({ message: 'Failed to fetch maintenance order', error: error.message });
+    }
+  }
+);
+
+// POST /api/maintenance-orders - Take an available tool out of service and open an order for it
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('instance_id').isMongoId().withMessage('Valid instance ID is required'),
+    body('condition').isIn(['needs_maintenance', 'broken']).withMessage('Condition must be needs_maintenance or broken'),
+    body('issue').optional().trim().isLength({ max: 1000 }).withMessage('Issue cannot exceed 1000 characters'),
+    body('vendor').optional().trim().isLength({ max: 200 }).withMessage('Vendor cannot exceed 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const instance = await Instance.findById(req.body.instance_id)
+        .populate({ path: 'sku_id', populate: { path: 'category_id' } });
+      if (!instance) {
+        return res.status(404).json({ message: 'Instance not found' });
+      }
+      if (!instance.sku_id.category_id || instance.sku_id.category_id.type !== 'tool') {
+        return res.status(400).json({ message: 'Maintenance orders can only be opened for tools' });
+      }
+      if (instance.tag_id) {
+        return res.status(400).json({ message: 'This tool is on a tag - return it before opening a maintenance order' });
+      }
+
+      const order = await MaintenanceOrder.openForInstance(instance, {
+        condition: req.body.condition,
+        issue: req.body.issue || '',
+        openedBy: req.user.username
+      });
+      if (req.body.vendor) {
+        order.vendor = req.body.vendor;
+        await order.save();
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'item',
+        entity_id: instance._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Maintenance Order Opened',
+        description: `Opened maintenance order ${order.order_number} for ${instance.sku_id.name} (${instance.sku_id.sku_code})`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Maintenance order opened', order });
+    } catch (error) {
+      console.error('Create maintenance order error:', error);
+      res.status(500).json({ message: 'Failed to open maintenance order', error: error.message });
+    }
+  }
+);
+
+// PUT /api/maintenance-orders/:id - Update repair details and/or move the order to a new status
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid maintenance order ID'),
+    body('status').optional().isIn(ORDER_STATUSES).withMessage('Invalid status'),
+    body('condition').optional().isIn(['needs_maintenance', 'broken']).withMessage('Condition must be needs_maintenance or broken'),
+    body('vendor').optional().trim().isLength({ max: 200 }).withMessage('Vendor cannot exceed 200 characters'),
+    body('repair_cost').optional().isFloat({ min: 0 }).withMessage('Repair cost must be a positive number'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const order = await MaintenanceOrder.findById(req.params.id);
+      if (!order) {
+        return res.status(404).json({ message: 'Maintenance order not found' });
+      }
+
+      const before = order.toObject();
+      try {
+        await order.applyUpdate(req.body, req.user.username);
+      } catch (err) {
+        if (err.code) {
+          return res.status(400).json({ message: err.message });
+        }
+        throw err;
+      }
+      await order.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'item',
+        entity_id: order.instance_id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Maintenance Order Updated',
+        description: before.status === order.status
+          ? `Updated maintenance order ${order.order_number}`
+          : `Maintenance order ${order.order_number} moved from ${before.status} to ${order.status}`,
+        changes: {
+          before: { status: before.status, vendor: before.vendor, repair_cost: before.repair_cost },
+          after: { status: order.status, vendor: order.vendor, repair_cost: order.repair_cost }
+        },
+        category: 'business'
+      });
+
+      res.json({ message: 'Maintenance order updated', order: await populateOrder(MaintenanceOrder.findById(order._id)) });
+    } catch (error) {
+      console.error('Update maintenance order error:', error);
+      res.status(500).json({ message: 'Failed to update maintenance order', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const MaintenancePlan = require('../models/MaintenancePlan');
+const ServiceRecord = require('../models/ServiceRecord');
+const Instance = require('../models/Instance');
+const SKU = require('../models/SKU');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+const SERVICE_STATUSES = ['ok', 'due', 'overdue'];
+
+// Validation middleware for plan create/update
+const validatePlan = [
+  body('description').optional().trim(),
+  body('interval_days').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('interval_days must be a positive integer'),
+  body('interval_checkouts').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('interval_checkouts must be a positive integer'),
+  body('lead_days').optional().isInt({ min: 0 }).withMessage('lead_days must be zero or more'),
+  body('lead_checkouts').optional().isInt({ min: 0 }).withMessage('lead_checkouts must be zero or more'),
+  body('enforcement').optional().isIn(['warn', 'block']).withMessage('Enforcement must be warn or block'),
+  body('active').optional().isBoolean().withMessage('active must be true or false')
+];
+
+// Check a SKU is a tool - plans only apply to tools
+const isToolSKU = async (skuId) => {
+  const sku = await SKU.findById(skuId).populate('category_id');
+  return sku && sku.category_id && sku.category_id.type === 'tool';
+};
+
+// GET /api/maintenance-plans - List maintenance plans
+router.get('/',
+  auth,
+  [
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('instance_id').optional().isMongoId().withMessage('Invalid instance ID'),
+    query('active').optional().isIn(['true', 'false']).withMessage('active must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const filter = {};
+      if (req.query.sku_id) filter.sku_id = req.query.sku_id;
+      if (req.query.instance_id) filter.instance_id = req.query.instance_id;
+      if (req.query.active) filter.active = req.query.active === 'true';
+
+      const plans = await MaintenancePlan.find(filter)
+        .populate('sku_id', 'sku_code name')
+        .populate('instance_id', 'sku_id location')
+        .sort({ name: 1 });
+
+      res.json({ plans });
+    } catch (error) {
+      console.error('Get maintenance plans error:', error);
+      res.status(500).json({ message: 'Failed to fetch maintenance plans', error: error.message });
+    }
+  }
+);
+
+// GET /api/maintenance-plans/due - Tools due or overdue for service
+router.get('/due',
+  auth,
+  [
+    query('status').optional().custom(value => value.split(',').every(status => SERVICE_STATUSES.includes(status)))
+      .withMessage('Status must be ok, due and/or overdue'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const statuses = (req.query.status || 'due,overdue').split(',');
+      const planFilter = { active: true };
+      if (req.query.sku_id) planFilter.sku_id = req.query.sku_id;
+
+      const plans = await MaintenancePlan.find(planFilter);
+      const instances = await MaintenancePlan.findCoveredInstances(plans)
+        .populate('sku_id', 'sku_code name details')
+        .populate('tag_id', 'customer_name tag_type due_date');
+
+      const results = (await MaintenancePlan.getServiceStatus(instances))
+        .filter(result => statuses.includes(result.status));
+
+      const byId = new Map(instances.map(instance => [instance._id.toString(), instance]));
+      const tools = results
+        .map(result => {
+          const instance = byId.get(result.instance_id.toString());
+          return {
+            ...result,
+            sku: instance.sku_id,
+            location: instance.location,
+            condition: instance.condition,
+            tag: instance.tag_id
+          };
+        })
+        // Overdue first, then by due date
+        .sort((a, b) => (a.status === b.status ? 0 : a.status === 'overdue' ? -1 : 1) ||
+          ((a.due_date || Infinity) - (b.due_date || Infinity)));
+
+      res.json({
+        tools,
+        counts: {
+          due: tools.filter(tool => tool.status === 'due').length,
+          overdue: tools.filter(tool => tool.status === 'overdue').length
+        }
+      });
+    } catch (error) {
+      console.error('Get service due error:', error);
+      res.status(500).json({ message: 'Failed to fetch tools due for service', error: error.message });
+    }
+  }
+);
+
+// GET /api/maintenance-plans/services - Service history with cost per instance
+router.get('/services',
+  auth,
+  [
+    query('instance_id').optional().isMongoId().withMessage('Invalid instance ID'),
+    query('plan_id').optional().isMongoId().withMessage('Invalid plan ID'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { instance_id, plan_id, sku_id, page = 1, limit = 50 } = req.query;
+      // ObjectIds so the same filter works in the cost aggregation
+      const filter = {};
+      if (instance_id) filter.instance_id = new mongoose.Types.ObjectId(instance_id);
+      if (plan_id) filter.plan_id = new mongoose.Types.ObjectId(plan_id);
+      if (sku_id) filter.sku_id = new mongoose.Types.ObjectId(sku_id);
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [services, total, totals] = await Promise.all([
+        ServiceRecord.find(filter)
+          .populate('plan_id', 'name')
+          .populate('sku_id', 'sku_code name')
+          .sort({ serviced_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ServiceRecord.countDocuments(filter),
+        ServiceRecord.aggregate([
+          { $match: filter },
+          { $group: { _id: null, total_cost: { $sum: '$cost' } } }
+        ])
+      ]);
+
+      res.json({
+        services,
+        total_cost: totals.length > 0 ? totals[0].total_cost : 0,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get service records error:', error);
+      res.status(500).json({ message: 'Failed to fetch service records', error: error.message });
+    }
+  }
+);
+
+// POST /api/maintenance-plans - Create a plan for a tool SKU or a single tool instance
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('name').trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required (max 200 characters)'),
+    body('sku_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid SKU ID'),
+    body('instance_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid instance ID'),
+    ...validatePlan
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { sku_id, instance_id } = req.body;
+      if (!sku_id === !instance_id) {
+        return res.status(400).json({ message: 'Provide either sku_id or instance_id' });
+      }
+      if (!req.body.interval_days && !req.body.interval_checkouts) {
+        return res.status(400).json({ message: 'Provide interval_days and/or interval_checkouts' });
+      }
+
+      let toolSkuId = sku_id;
+      if (instance_id) {
+        const instance = await Instance.findById(instance_id);
+        if (!instance) {
+          return res.status(404).json({ message: 'Instance not found' });
+        }
+        toolSkuId = instance.sku_id;
+      }
+      if (!(await isToolSKU(toolSkuId))) {
+        return res.status(400).json({ message: 'Maintenance plans can only be set up for tools' });
+      }
+
+      const plan = new MaintenancePlan({
+        name: req.body.name,
+        description: req.body.description || '',
+        sku_id: sku_id || null,
+        instance_id: instance_id || null,
+        interval_days: req.body.interval_days || null,
+        interval_checkouts: req.body.interval_checkouts || null,
+        lead_days: req.body.lead_days,
+        lead_checkouts: req.body.lead_checkouts,
+        enforcement: req.body.enforcement || 'warn',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await plan.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'maintenance_plan',
+        entity_id: plan._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Maintenance Plan Created',
+        description: `Created maintenance plan ${plan.name}`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Maintenance plan created', plan });
+    } catch (error) {
+      console.error('Create maintenance plan error:', error);
+      res.status(500).json({ message: 'Failed to create maintenance plan', error: error.message });
+    }
+  }
+);
+
+// PUT /api/maintenance-plans/:id - Update a plan's intervals or enforcement (what it covers is fixed)
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid plan ID'),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Name must be 1-200 characters'),
+    ...validatePlan
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const plan = await MaintenancePlan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({ message: 'Maintenance plan not found' });
+      }
+
+      const before = plan.toObject();
+      ['name', 'description', 'interval_days', 'interval_checkouts', 'lead_days', 'lead_checkouts', 'enforcement', 'active']
+        .forEach(field => {
+          if (req.body[field] !== undefined) plan[field] = req.body[field];
+        });
+      plan.last_updated_by = req.user.username;
+
+      try {
+        await plan.save();
+      } catch (saveError) {
+        if (saveError.name === 'ValidationError') {
+          return res.status(400).json({ message: saveError.message });
+        }
+        throw saveError;
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'maintenance_plan',
+        entity_id: plan._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Maintenance Plan Updated',
+        description: `Updated maintenance plan ${plan.name}`,
+        changes: { before, after: plan.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Maintenance plan updated', plan });
+    } catch (error) {
+      console.error('Update maintenance plan error:', error);
+      res.status(500).json({ message: 'Failed to update maintenance plan', error: error.message });
+    }
+  }
+);
+
+// POST /api/maintenance-plans/:id/service - Record a completed service (resets the plan's interval for the tool)
+router.post('/:id/service',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid plan ID'),
+    body('instance_id').isMongoId().withMessage('Valid instance ID is required'),
+    body('serviced_at').optional().isISO8601().withMessage('serviced_at must be a date'),
+    body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+    body('vendor').optional().trim().isLength({ max: 200 }).withMessage('Vendor cannot exceed 200 characters'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const plan = await MaintenancePlan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({ message: 'Maintenance plan not found' });
+      }
+
+      const instance = await Instance.findById(req.body.instance_id);
+      if (!instance) {
+        return res.status(404).json({ message: 'Instance not found' });
+      }
+      const covered = plan.instance_id
+        ? plan.instance_id.equals(instance._id)
+        : plan.sku_id.equals(instance.sku_id);
+      if (!covered) {
+        return res.status(400).json({ message: `Maintenance plan ${plan.name} does not cover this tool` });
+      }
+
+      const service = await ServiceRecord.create({
+        plan_id: plan._id,
+        instance_id: instance._id,
+        sku_id: instance.sku_id,
+        serviced_at: req.body.serviced_at ? new Date(req.body.serviced_at) : new Date(),
+        checkout_count: instance.checkout_count || 0,
+        cost: req.body.cost || 0,
+        vendor: req.body.vendor || '',
+        notes: req.body.notes || '',
+        performed_by: req.user.username
+      });
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'item',
+        entity_id: instance._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tool Serviced',
+        description: `Recorded ${plan.name} service${service.cost ? ` ($${service.cost})` : ''}`,
+        changes: { after: service.toObject() },
+        category: 'business'
+      });
+
+      const statuses = await MaintenancePlan.getServiceStatus([instance]);
+      const status = statuses.find(result => result.plan_id.equals(plan._id));
+
+      res.status(201).json({ message: 'Service recorded', service, status });
+    } catch (error) {
+      console.error('Record service error:', error);
+      res.status(500).json({ message: 'Failed to record service', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
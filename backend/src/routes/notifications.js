@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireAdminAccess } = require('../middleware/authEnhanced');
+const { sendMail, isMailConfigured } = require('../utils/mailer');
+const { NOTIFICATION_EVENTS } = require('../utils/notifications');
+
+const PREFERENCE_KEYS = ['email', 'lowStock', 'systemAlerts'];
+
+const currentPreferences = user => {
+  const prefs = (user.preferences && user.preferences.notifications) || {};
+  return Object.fromEntries(PREFERENCE_KEYS.map(key => [key, prefs[key] !== false]));
+};
+
+// GET /api/notifications - Current user's inbox
+router.get('/',
+  auth,
+  [
+    query('unread_only').optional().isIn(['true', 'false']).withMessage('unread_only must be true or false'),
+    query('type').optional().isIn(Object.keys(NOTIFICATION_EVENTS)).withMessage('Invalid notification type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { unread_only, type, page = 1, limit = 20 } = req.query;
+      const filter = { user_id: req.user._id };
+      if (unread_only === 'true') filter.read_at = null;
+      if (type) filter.type = type;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(filter),
+        Notification.getUnreadCount(req.user._id)
+      ]);
+
+      res.json({
+        notifications,
+        unread_count: unreadCount,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({ message: 'Failed to fetch notifications', error: error.message });
+    }
+  }
+);
+
+// GET /api/notifications/unread-count - Badge count for the current user
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+    res.json({ unread_count: unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Failed to fetch unread count', error: error.message });
+  }
+});
+
+// POST /api/notifications/mark-read - Mark the given notifications (or all) as read
+router.post('/mark-read',
+  auth,
+  [
+    body('ids').optional().isArray().withMessage('ids must be an array'),
+    body('ids.*').isMongoId().withMessage('Invalid notification ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const updated = await Notification.markRead(req.user._id, req.body.ids || []);
+      const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+      res.json({ message: `Marked ${updated} notification(s) read`, updated, unread_count: unreadCount });
+    } catch (error) {
+      console.error('Mark notifications read error:', error);
+      res.status(500).json({ message: 'Failed to mark notifications read', error: error.message });
+    }
+  }
+);
+
+// GET /api/notifications/preferences - Current user's notification preferences
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    res.json({
+      preferences: currentPreferences(req.user),
+      email_available: isMailConfigured()
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Failed to fetch notification preferences', error: error.message });
+  }
+});
+
+// PUT /api/notifications/preferences - Update the current user's notification preferences
+router.put('/preferences',
+  auth,
+  PREFERENCE_KEYS.map(key => body(key).optional().isBoolean().withMessage(`${key} must be true or false`)),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      const before = currentPreferences(user);
+      PREFERENCE_KEYS.forEach(key => {
+        if (req.body[key] !== undefined) {
+          user.set(`preferences.notifications.${key}`, req.body[key] === true || req.body[key] === 'true');
+        }
+      });
+      await user.save();
+      const after = currentPreferences(user);
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'user',
+        entity_id: user._id,
+        user_id: user._id.toString(),
+        user_name: user.username,
+        action: 'Notification Preferences Updated',
+        description: `User ${user.username} updated their notification preferences`,
+        changes: { before, after },
+        category: 'business'
+      });
+
+      res.json({ message: 'Notification preferences updated', preferences: after });
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({ message: 'Failed to update notification preferences', error: error.message });
+    }
+  }
+);
+
+// POST /api/notifications/test-email - Send a test email to yourself (Admin only)
+router.post('/test-email', auth, requireAdminAccess, async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ message: 'Your account has no email address' });
+    }
+
+    const result = await sendMail({
+      to: req.user.email,
+      subject: '[Stock Manager] Test email',
+      text: 'Email notifications are working.'
+    });
+
+    if (!result.sent) {
+      const status = result.reason === 'not_configured' ? 400 : 502;
+      return res.status(status).json({
+        message: result.reason === 'not_configured' ? 'Email is not configured (set SMTP_HOST)' : 'Test email failed',
+        error: result.reason
+      });
+    }
+
+    res.json({ message: `Test email sent to ${req.user.email}`, message_id: result.messageId });
+  } catch (error) {
+    console.error('Test email error:', error);
+    res.status(500).json({ message: 'Failed to send test email', error: error.message });
+  }
+});
+
+// DELETE /api/notifications/:id - Remove a notification from the current user's inbox
+router.delete('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid notification ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const notification = await Notification.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+
+      res.json({ message: 'Notification deleted' });
+    } catch (error) {
+      console.error('Delete notification error:', error);
+      res.status(500).json({ message: 'Failed to delete notification', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Project = require('../models/Project');
+const Customer = require('../models/Customer');
+const Tag = require('../models/Tag');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess, requireAdminAccess } = require('../middleware/authEnhanced');
+
+const PROJECT_STATUSES = ['active', 'on_hold', 'completed', 'cancelled'];
+
+// Validation middleware for project create/update
+const validateProject = [
+  body('address').optional().trim(),
+  body('status').optional().isIn(PROJECT_STATUSES).withMessage('Invalid project status'),
+  body('start_date').optional({ values: 'null' }).isISO8601().withMessage('start_date must be a date'),
+  body('end_date').optional({ values: 'null' }).isISO8601().withMessage('end_date must be a date'),
+  body('notes').optional().trim()
+];
+
+// GET /api/projects - List projects (optionally for one customer)
+router.get('/',
+  auth,
+  [
+    query('customer_id').optional().isMongoId().withMessage('Invalid customer ID'),
+    query('status').optional().isIn(PROJECT_STATUSES).withMessage('Invalid project status'),
+    query('search').optional().trim(),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { customer_id, status, search, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (customer_id) filter.customer_id = customer_id;
+      if (status) filter.status = status;
+      if (search) filter.name_key = new RegExp(Customer.normalizeName(search));
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [projects, total] = await Promise.all([
+        Project.find(filter)
+          .populate('customer_id', 'name')
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Project.countDocuments(filter)
+      ]);
+
+      res.json({
+        projects,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get projects error:', error);
+      res.status(500).json({ message: 'Failed to fetch projects', error: error.message });
+    }
+  }
+);
+
+// GET /api/projects/:id - Project detail with reservations, installs, loaned tools and value
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid project ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const project = await Project.findById(req.params.id).populate('customer_id');
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const activity = await Tag.getActivitySummary({ project_id: project._id });
+
+      res.json({ project, ...activity });
+    } catch (error) {
+      console.error('Get project error:', error);
+      res.status(500).json({ message: 'Failed to fetch project', error: error.message });
+    }
+  }
+);
+
+// POST /api/projects - Create a project for a customer
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('customer_id').isMongoId().withMessage('Valid customer ID is required'),
+    body('name').trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required (max 200 characters)'),
+    ...validateProject
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const customer = await Customer.findById(req.body.customer_id);
+      if (!customer) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+
+      const existing = await Project.findOne({
+        customer_id: customer._id,
+        name_key: Customer.normalizeName(req.body.name)
+      });
+      if (existing) {
+        return res.status(400).json({
+          message: `${customer.name} already has a project named ${existing.name}`,
+          project_id: existing._id
+        });
+      }
+
+      const project = new Project({
+        customer_id: customer._id,
+        name: req.body.name,
+        address: req.body.address || '',
+        status: req.body.status || 'active',
+        start_date: req.body.start_date || null,
+        end_date: req.body.end_date || null,
+        notes: req.body.notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await project.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'project',
+        entity_id: project._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Project Created',
+        description: `Created project ${project.name} for ${customer.name}`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Project created', project });
+    } catch (error) {
+      console.error('Create project error:', error);
+      res.status(500).json({ message: 'Failed to create project', error: error.message });
+    }
+  }
+);
+
+// PUT /api/projects/:id - Update a project (the customer is fixed; merge customers to move it)
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid project ID'),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Name must be 1-200 characters'),
+    ...validateProject
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const before = project.toObject();
+      const renamed = req.body.name !== undefined && req.body.name !== project.name;
+      if (renamed) {
+        const existing = await Project.findOne({
+          customer_id: project.customer_id,
+          name_key: Customer.normalizeName(req.body.name),
+          _id: { $ne: project._id }
+        });
+        if (existing) {
+          return res.status(400).json({
+            message: `Project ${existing.name} already exists - merge the projects instead`,
+            project_id: existing._id
+          });
+        }
+      }
+
+      ['name', 'address', 'status', 'start_date', 'end_date', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) project[field] = req.body[field];
+      });
+      project.last_updated_by = req.user.username;
+      await project.save();
+
+      // Tags carry a copy of the name for display and search
+      if (renamed) {
+        await Tag.updateMany({ project_id: project._id }, { $set: { project_name: project.name } });
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'project',
+        entity_id: project._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Project Updated',
+        description: `Updated project ${project.name}`,
+        changes: { before, after: project.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Project updated', project });
+    } catch (error) {
+      console.error('Update project error:', error);
+      res.status(500).json({ message: 'Failed to update project', error: error.message });
+    }
+  }
+);
+
+// POST /api/projects/:id/merge - Fold duplicate projects of the same customer into this one (Admin only)
+router.post('/:id/merge',
+  auth,
+  requireAdminAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid project ID'),
+    body('source_ids').isArray({ min: 1 }).withMessage('source_ids must be a non-empty array'),
+    body('source_ids.*').isMongoId().withMessage('Invalid source project ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const sourceIds = [...new Set(req.body.source_ids)];
+      if (sourceIds.includes(req.params.id)) {
+        return res.status(400).json({ message: 'A project cannot be merged into itself' });
+      }
+
+      const target = await Project.findById(req.params.id);
+      if (!target) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const sources = await Project.find({ _id: { $in: sourceIds } });
+      if (sources.length !== sourceIds.length) {
+        return res.status(404).json({ message: 'One or more source projects not found' });
+      }
+      if (sources.some(source => !source.customer_id.equals(target.customer_id))) {
+        return res.status(400).json({ message: 'Only projects of the same customer can be merged - merge the customers first' });
+      }
+
+      const result = await Project.mergeInto(target, sources, req.user.username);
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'project',
+        entity_id: target._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Projects Merged',
+        description: `Merged ${sources.map(source => source.name).join(', ')} into ${target.name}`,
+        changes: { before: { sources: sources.map(source => source.toObject()) }, after: result },
+        category: 'business'
+      });
+
+      res.json({ message: `Merged ${sources.length} project(s) into ${target.name}`, project: target, ...result });
+    } catch (error) {
+      console.error('Merge projects error:', error);
+      res.status(500).json({ message: 'Failed to merge projects', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/projects/:id - Delete a project with no tags
+router.delete('/:id',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid project ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const project = await Project.findById(req.params.id);
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+
+      const tagCount = await Tag.countDocuments({ project_id: project._id });
+      if (tagCount > 0) {
+        return res.status(400).json({
+          message: `Cannot delete project ${project.name} - ${tagCount} tag(s) reference it. Merge it into another project instead.`
+        });
+      }
+
+      await Project.deleteOne({ _id: project._id });
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'project',
+        entity_id: project._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Project Deleted',
+        description: `Deleted project ${project.name}`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Project deleted' });
+    } catch (error) {
+      console.error('Delete project error:', error);
+      res.status(500).json({ message: 'Failed to delete project', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,825 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SKU = require('../models/SKU');
+const Inventory = require('../models/Inventory');
+const AuditLog = require('../models/AuditLog');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const Instance = require('../models/Instance');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+const { jsonToCsv } = require('../utils/csv');
+const { allocateBackorders } = require('../utils/backorders');
+
+const PO_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'closed'];
+const UNASSIGNED_SUPPLIER = 'Unassigned supplier';
+
+// Validation for line items on create/update
+const validateLineItems = [
+  body('line_items').isArray({ min: 1 }).withMessage('At least one line item is required'),
+  body('line_items.*.sku_id').isMongoId().withMessage('Invalid SKU ID in line items'),
+  body('line_items.*.quantity_ordered').isInt({ min: 1 }).withMessage('Quantity ordered must be a positive integer'),
+  body('line_items.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+  body('line_items.*.supplier_sku').optional().trim(),
+  body('line_items.*.notes').optional().trim()
+];
+
+// Helper to build line items, defaulting unit cost and supplier SKU from the SKU record
+async function buildLineItems(lineItems) {
+  const skuIds = [...new Set(lineItems.map(line => line.sku_id.toString()))];
+  const skus = await SKU.find({ _id: { $in: skuIds } }).select('sku_code unit_cost supplier_info');
+  const skuMap = new Map(skus.map(sku => [sku._id.toString(), sku]));
+
+  const missing = skuIds.filter(id => !skuMap.has(id));
+  if (missing.length > 0) {
+    const err = new Error(`SKU(s) not found: ${missing.join(', ')}`);
+    err.code = 'SKU_NOT_FOUND';
+    throw err;
+  }
+
+  return lineItems.map(line => {
+    const sku = skuMap.get(line.sku_id.toString());
+    return {
+      sku_id: sku._id,
+      quantity_ordered: parseInt(line.quantity_ordered),
+      unit_cost: line.unit_cost !== undefined ? parseFloat(line.unit_cost) : (sku.unit_cost || 0),
+      supplier_sku: line.supplier_sku || sku.supplier_info?.supplier_sku || '',
+      notes: line.notes || ''
+    };
+  });
+}
+
+// Helper to load a PO with SKU display data for responses
+function findPurchaseOrderWithDisplayData(id) {
+  return PurchaseOrder.findById(id).populate('line_items.sku_id', 'sku_code name brand model');
+}
+
+// GET /api/purchase-orders - List purchase orders with filtering and pagination
+router.get('/',
+  auth,
+  [
+    query('status').optional().isIn(PO_STATUSES).withMessage('Invalid status'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { status, supplier, sku_id, search, page = 1, limit = 50 } = req.query;
+      const filter = {};
+
+      if (status) filter.status = status;
+      if (supplier) filter.supplier_name = supplier;
+      if (sku_id) filter['line_items.sku_id'] = sku_id;
+      if (search) {
+        filter.$or = [
+          { po_number: { $regex: search, $options: 'i' } },
+          { supplier_name: { $regex: search, $options: 'i' } },
+          { notes: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [purchaseOrders, total] = await Promise.all([
+        PurchaseOrder.find(filter)
+          .populate('line_items.sku_id', 'sku_code name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        PurchaseOrder.countDocuments(filter)
+      ]);
+
+      res.json({
+        purchase_orders: purchaseOrders.map(po => ({
+          ...po.toObject(),
+          total_value: po.getTotalValue(),
+          outstanding_value: po.getOutstandingValue()
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get purchase orders error:', error);
+      res.status(500).json({ message: 'Failed to fetch purchase orders', error: error.message });
+    }
+  }
+);
+
+// GET /api/purchase-orders/outstanding - What is still outstanding, grouped per supplier
+router.get('/outstanding', auth, async (req, res) => {
+  try {
+    const suppliers = await PurchaseOrder.getOutstandingBySupplier(req.query.supplier || null);
+
+    res.json({
+      suppliers,
+      summary: {
+        total_suppliers: suppliers.length,
+        total_outstanding_quantity: suppliers.reduce((sum, s) => sum + s.total_outstanding_quantity, 0),
+        total_outstanding_value: Math.round(suppliers.reduce((sum, s) => sum + s.total_outstanding_value, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding purchase orders error:', error);
+    res.status(500).json({ message: 'Failed to fetch outstanding purchase orders', error: error.message });
+  }
+});
+
+// GET /api/purchase-orders/suggestions - Reorder suggestions grouped by supplier
+router.get('/suggestions',
+  auth,
+  [
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const suppliers = await PurchaseOrder.buildReorderSuggestions({
+        supplierName: req.query.supplier !== undefined ? req.query.supplier : null
+      });
+
+      if (req.query.format === 'csv') {
+        const rows = suppliers.flatMap(group => group.lines.map(line => ({
+          supplier_name: group.supplier_name || UNASSIGNED_SUPPLIER,
+          sku_code: line.sku_code,
+          name: line.name,
+          supplier_sku: line.supplier_sku,
+          available_quantity: line.available_quantity,
+          committed_unallocated: line.committed_unallocated,
+          on_order_quantity: line.on_order_quantity,
+          reorder_point: line.reorder_point,
+          target_level: line.target_level,
+          suggested_quantity: line.suggested_quantity,
+          unit_cost: line.unit_cost,
+          estimated_cost: line.estimated_cost,
+          lead_time_days: line.lead_time_days,
+          urgency: line.urgency
+        })));
+        const headers = Object.keys(rows[0] || {});
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="reorder_suggestions_${new Date().toISOString().split('T')[0]}.csv"`);
+        return res.send(jsonToCsv(rows, headers));
+      }
+
+      res.json({
+        suppliers,
+        summary: {
+          total_suppliers: suppliers.length,
+          total_lines: suppliers.reduce((sum, group) => sum + group.lines.length, 0),
+          critical_lines: suppliers.reduce((sum, group) => sum + group.lines.filter(line => line.urgency === 'critical').length, 0),
+          estimated_total_cost: Math.round(suppliers.reduce((sum, group) => sum + group.estimated_total_cost, 0) * 100) / 100
+        }
+      });
+    } catch (error) {
+      console.error('Get reorder suggestions error:', error);
+      res.status(500).json({ message: 'Failed to build reorder suggestions', error: error.message });
+    }
+  }
+);
+
+// POST /api/purchase-orders/suggestions/drafts - Create one draft PO per supplier from the suggestions
+router.post('/suggestions/drafts',
+  auth,
+  requireWriteAccess,
+  [
+    body('suppliers').optional().isArray().withMessage('Suppliers must be an array of supplier names'),
+    body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+    body('overrides.*.sku_id').optional().isMongoId().withMessage('Invalid SKU ID in overrides'),
+    body('overrides.*.quantity').optional().isInt({ min: 0 }).withMessage('Override quantity must be a non-negative integer'),
+    body('overrides.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Override unit cost must be non-negative')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { suppliers: supplierFilter, overrides = [] } = req.body;
+      const overrideMap = new Map(overrides.map(override => [override.sku_id.toString(), override]));
+
+      const suggestions = await PurchaseOrder.buildReorderSuggestions();
+      const created = [];
+      const skipped = [];
+
+      for (const group of suggestions) {
+        if (supplierFilter && !supplierFilter.includes(group.supplier_name)) continue;
+
+        // SKUs without a supplier can't be ordered until someone assigns one
+        if (!group.supplier_name) {
+          skipped.push({
+            supplier_name: UNASSIGNED_SUPPLIER,
+            reason: 'SKUs have no supplier_info.supplier_name',
+            sku_codes: group.lines.map(line => line.sku_code)
+          });
+          continue;
+        }
+
+        const lineItems = group.lines
+          .map(line => {
+            const override = overrideMap.get(line.sku_id.toString());
+            return {
+              sku_id: line.sku_id,
+              quantity_ordered: override?.quantity !== undefined ? parseInt(override.quantity) : line.suggested_quantity,
+              unit_cost: override?.unit_cost !== undefined ? parseFloat(override.unit_cost) : line.unit_cost,
+              supplier_sku: line.supplier_sku,
+              notes: `Suggested (${line.urgency}): ${line.available_quantity} available, ${line.on_order_quantity} on order, reorder point ${line.reorder_point}`
+            };
+          })
+          .filter(line => line.quantity_ordered > 0);
+
+        if (lineItems.length === 0) {
+          skipped.push({ supplier_name: group.supplier_name, reason: 'All lines overridden to zero' });
+          continue;
+        }
+
+        const purchaseOrder = new PurchaseOrder({
+          po_number: await PurchaseOrder.generatePONumber(),
+          supplier_name: group.supplier_name,
+          expected_date: new Date(Date.now() + group.max_lead_time_days * 24 * 60 * 60 * 1000),
+          notes: `Generated from reorder suggestions (urgency: ${group.urgency})`,
+          line_items: lineItems,
+          created_by: req.user.username,
+          last_updated_by: req.user.username
+        });
+        await purchaseOrder.save();
+
+        await AuditLog.logEvent({
+          event_type: 'create',
+          entity_type: 'purchase_order',
+          entity_id: purchaseOrder._id,
+          user_id: req.user.id,
+          user_name: req.user.username,
+          action: 'Purchase Order Drafted From Suggestions',
+          description: `Drafted purchase order ${purchaseOrder.po_number} for ${group.supplier_name} with ${lineItems.length} line(s) from reorder suggestions`,
+          category: 'business'
+        });
+
+        created.push(purchaseOrder);
+      }
+
+      res.status(201).json({
+        message: `Created ${created.length} draft purchase order(s)`,
+        purchase_orders: created,
+        skipped
+      });
+    } catch (error) {
+      console.error('Create draft purchase orders error:', error);
+      res.status(500).json({ message: 'Failed to create draft purchase orders', error: error.message });
+    }
+  }
+);
+
+// GET /api/purchase-orders/:id/export - Export a purchase order for the vendor (CSV or JSON)
+router.get('/:id/export',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid purchase order ID'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await findPurchaseOrderWithDisplayData(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      const format = req.query.format || 'csv';
+      const rows = purchaseOrder.line_items.map(line => ({
+        po_number: purchaseOrder.po_number,
+        supplier_name: purchaseOrder.supplier_name,
+        supplier_sku: line.supplier_sku,
+        sku_code: line.sku_id?.sku_code || '',
+        description: line.sku_id?.name || '',
+        quantity: purchaseOrder.getOutstandingQuantity(line),
+        unit_cost: line.unit_cost,
+        line_total: Math.round(purchaseOrder.getOutstandingQuantity(line) * line.unit_cost * 100) / 100,
+        notes: line.notes
+      }));
+
+      if (format === 'csv') {
+        const headers = Object.keys(rows[0] || {});
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${purchaseOrder.po_number}.csv"`);
+        return res.send(jsonToCsv(rows, headers));
+      }
+
+      res.json({
+        export_type: 'purchase_order',
+        export_date: new Date().toISOString(),
+        po_number: purchaseOrder.po_number,
+        supplier_name: purchaseOrder.supplier_name,
+        expected_date: purchaseOrder.expected_date,
+        status: purchaseOrder.status,
+        total_value: purchaseOrder.getOutstandingValue(),
+        lines: rows
+      });
+    } catch (error) {
+      console.error('Export purchase order error:', error);
+      res.status(500).json({ message: 'Failed to export purchase order', error: error.message });
+    }
+  }
+);
+
+// GET /api/purchase-orders/:id - Get a single purchase order
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid purchase order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await findPurchaseOrderWithDisplayData(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      res.json({
+        purchase_order: purchaseOrder,
+        total_value: purchaseOrder.getTotalValue(),
+        outstanding_value: purchaseOrder.getOutstandingValue()
+      });
+    } catch (error) {
+      console.error('Get purchase order error:', error);
+      res.status(500).json({ message: 'Failed to fetch purchase order', error: error.message });
+    }
+  }
+);
+
+// POST /api/purchase-orders - Create a draft purchase order
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('supplier_name').trim().notEmpty().withMessage('Supplier name is required'),
+    body('po_number').optional().trim().notEmpty().withMessage('PO number cannot be empty'),
+    body('expected_date').optional({ nullable: true }).isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().trim(),
+    ...validateLineItems
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { supplier_name, po_number, expected_date, notes, line_items } = req.body;
+
+      let lineItems;
+      try {
+        lineItems = await buildLineItems(line_items);
+      } catch (lineError) {
+        if (lineError.code === 'SKU_NOT_FOUND') {
+          return res.status(404).json({ message: lineError.message });
+        }
+        throw lineError;
+      }
+
+      if (po_number && await PurchaseOrder.exists({ po_number: po_number.toUpperCase() })) {
+        return res.status(400).json({ message: `PO number ${po_number} already exists` });
+      }
+
+      const purchaseOrder = new PurchaseOrder({
+        po_number: po_number || await PurchaseOrder.generatePONumber(),
+        supplier_name,
+        expected_date: expected_date || null,
+        notes: notes || '',
+        line_items: lineItems,
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await purchaseOrder.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'purchase_order',
+        entity_id: purchaseOrder._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Purchase Order Created',
+        description: `Created purchase order ${purchaseOrder.po_number} for ${supplier_name} with ${lineItems.length} line(s)`,
+        category: 'business'
+      });
+
+      const populated = await findPurchaseOrderWithDisplayData(purchaseOrder._id);
+      res.status(201).json({ message: 'Purchase order created', purchase_order: populated });
+    } catch (error) {
+      console.error('Create purchase order error:', error);
+      res.status(500).json({ message: 'Failed to create purchase order', error: error.message });
+    }
+  }
+);
+
+// PUT /api/purchase-orders/:id - Update a purchase order (lines are only editable while draft)
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid purchase order ID'),
+    body('supplier_name').optional().trim().notEmpty().withMessage('Supplier name cannot be empty'),
+    body('expected_date').optional({ nullable: true }).isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().trim(),
+    body('line_items').optional().isArray({ min: 1 }).withMessage('At least one line item is required'),
+    body('line_items.*.sku_id').optional().isMongoId().withMessage('Invalid SKU ID in line items'),
+    body('line_items.*.quantity_ordered').optional().isInt({ min: 1 }).withMessage('Quantity ordered must be a positive integer'),
+    body('line_items.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be non-negative')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      const { supplier_name, expected_date, notes, line_items } = req.body;
+      const isDraft = purchaseOrder.status === 'draft';
+
+      if (!isDraft && (supplier_name !== undefined || line_items !== undefined)) {
+        return res.status(400).json({
+          message: `Supplier and line items can only be changed on draft purchase orders (current status: ${purchaseOrder.status})`
+        });
+      }
+      if (purchaseOrder.status === 'closed') {
+        return res.status(400).json({ message: 'Closed purchase orders cannot be modified' });
+      }
+
+      if (supplier_name !== undefined) purchaseOrder.supplier_name = supplier_name;
+      if (expected_date !== undefined) purchaseOrder.expected_date = expected_date || null;
+      if (notes !== undefined) purchaseOrder.notes = notes;
+
+      if (line_items !== undefined) {
+        if (line_items.some(line => !line.sku_id || !line.quantity_ordered)) {
+          return res.status(400).json({ message: 'Each line item requires sku_id and quantity_ordered' });
+        }
+        try {
+          purchaseOrder.line_items = await buildLineItems(line_items);
+        } catch (lineError) {
+          if (lineError.code === 'SKU_NOT_FOUND') {
+            return res.status(404).json({ message: lineError.message });
+          }
+          throw lineError;
+        }
+      }
+
+      purchaseOrder.last_updated_by = req.user.username;
+      await purchaseOrder.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'purchase_order',
+        entity_id: purchaseOrder._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Purchase Order Updated',
+        description: `Updated purchase order ${purchaseOrder.po_number}`,
+        changes: { after: req.body },
+        category: 'business'
+      });
+
+      const populated = await findPurchaseOrderWithDisplayData(purchaseOrder._id);
+      res.json({ message: 'Purchase order updated', purchase_order: populated });
+    } catch (error) {
+      console.error('Update purchase order error:', error);
+      res.status(500).json({ message: 'Failed to update purchase order', error: error.message });
+    }
+  }
+);
+
+// POST /api/purchase-orders/:id/send - Mark a draft as sent to the supplier
+router.post('/:id/send',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid purchase order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      try {
+        purchaseOrder.markSent(req.user.username);
+      } catch (stateError) {
+        return res.status(400).json({ message: stateError.message });
+      }
+      await purchaseOrder.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'purchase_order',
+        entity_id: purchaseOrder._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Purchase Order Sent',
+        description: `Sent purchase order ${purchaseOrder.po_number} to ${purchaseOrder.supplier_name}`,
+        category: 'business'
+      });
+
+      const populated = await findPurchaseOrderWithDisplayData(purchaseOrder._id);
+      res.json({ message: 'Purchase order marked as sent', purchase_order: populated });
+    } catch (error) {
+      console.error('Send purchase order error:', error);
+      res.status(500).json({ message: 'Failed to send purchase order', error: error.message });
+    }
+  }
+);
+
+// POST /api/purchase-orders/:id/receive - Receive stock against one or more lines
+router.post('/:id/receive',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid purchase order ID'),
+    body('items').isArray({ min: 1 }).withMessage('At least one line to receive is required'),
+    body('items.*.line_id').isMongoId().withMessage('Invalid line ID'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.location').optional().trim(),
+    body('items.*.notes').optional().trim(),
+    body('items.*.serial_numbers').optional().isArray().withMessage('serial_numbers must be an array'),
+    body('items.*.asset_tags').optional().isArray().withMessage('asset_tags must be an array'),
+    body('location').optional().trim(),
+    body('notes').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      if (!purchaseOrder.canReceive()) {
+        return res.status(400).json({
+          message: `Cannot receive against a purchase order with status ${purchaseOrder.status}`
+        });
+      }
+
+      // Validate every line up front so a bad line doesn't leave a half-received delivery
+      const requestedByLine = new Map();
+      const locationCodes = new Map();
+      const identifiers = { 'serial numbers': [], 'asset tags': [] };
+      for (const item of req.body.items) {
+        try {
+          locationCodes.set(item, await Location.resolveCode(item.location || req.body.location));
+        } catch (locationError) {
+          if (locationError.code === 'INVALID_LOCATION') {
+            return res.status(400).json({ message: locationError.message });
+          }
+          throw locationError;
+        }
+
+        const line = purchaseOrder.line_items.id(item.line_id);
+        if (!line) {
+          return res.status(400).json({ message: `Line item ${item.line_id} not found on purchase order ${purchaseOrder.po_number}` });
+        }
+        const requested = (requestedByLine.get(item.line_id) || 0) + parseInt(item.quantity);
+        if (requested > purchaseOrder.getOutstandingQuantity(line)) {
+          return res.status(400).json({
+            message: `Cannot receive ${requested} units on line ${item.line_id} - only ${purchaseOrder.getOutstandingQuantity(line)} outstanding`
+          });
+        }
+        requestedByLine.set(item.line_id, requested);
+
+        // Serial numbers / asset tags must line up with the units received
+        try {
+          await Instance.assignIdentifiers(line.sku_id, Array.from({ length: parseInt(item.quantity) }, () => ({})), {
+            serialNumbers: item.serial_numbers,
+            assetTags: item.asset_tags
+          });
+        } catch (identifierError) {
+          if (identifierError.code) {
+            return res.status(identifierError.code === 'DUPLICATE_IDENTIFIER' ? 409 : 400)
+              .json({ message: identifierError.message, code: identifierError.code });
+          }
+          throw identifierError;
+        }
+        identifiers['serial numbers'].push(...(item.serial_numbers || []).map(value => String(value || '').trim()));
+        identifiers['asset tags'].push(...(item.asset_tags || []).map(value => String(value || '').trim().toUpperCase()));
+      }
+
+      // ...and across lines, which the per-line check above can't see
+      for (const [label, values] of Object.entries(identifiers)) {
+        const given = values.filter(Boolean);
+        const repeated = [...new Set(given.filter((value, index) => given.indexOf(value) !== index))];
+        if (repeated.length > 0) {
+          return res.status(409).json({ message: `Duplicate ${label}: ${repeated.join(', ')}`, code: 'DUPLICATE_IDENTIFIER' });
+        }
+      }
+
+      const received = [];
+      for (const item of req.body.items) {
+        const quantity = parseInt(item.quantity);
+        const { line, instances } = await purchaseOrder.receiveLine(item.line_id, quantity, {
+          location: locationCodes.get(item),
+          notes: item.notes || req.body.notes,
+          serialNumbers: item.serial_numbers,
+          assetTags: item.asset_tags,
+          receivedBy: req.user.username
+        });
+
+        // Save per line, so quantity_received always matches the units on record even if a later
+        // line fails - a retry then only receives what is still outstanding
+        try {
+          await purchaseOrder.save();
+        } catch (saveError) {
+          await Instance.deleteMany({ _id: { $in: instances.map(instance => instance._id) } });
+          throw saveError;
+        }
+
+        // Keep the inventory counters in step, same as add-stock
+        let inventory = await Inventory.findOne({ sku_id: line.sku_id });
+        if (!inventory) {
+          inventory = new Inventory({
+            sku_id: line.sku_id,
+            last_updated_by: req.user.username
+          });
+        }
+        inventory.addStock(quantity, line.unit_cost, req.user.username);
+        await inventory.save();
+
+        await StockMovement.record({
+          movement_type: 'po_receive',
+          sku_id: line.sku_id,
+          from_state: 'external',
+          to_state: 'available',
+          to_location: locationCodes.get(item),
+          instances,
+          unit_cost: line.unit_cost,
+          source_type: 'purchase_order',
+          source_id: purchaseOrder._id,
+          source_reference: purchaseOrder.po_number,
+          reason: item.notes || req.body.notes || '',
+          performed_by: req.user.username
+        });
+
+        await AuditLog.logInventoryMovement({
+          sku_id: line.sku_id,
+          item_id: null,
+          from_status: null,
+          to_status: 'available',
+          quantity,
+          user_id: req.user.id,
+          user_name: req.user.username,
+          reason: `Received against ${purchaseOrder.po_number} at $${line.unit_cost} per unit`,
+          tag_id: null
+        });
+
+        received.push({
+          line_id: line._id,
+          sku_id: line.sku_id,
+          quantity,
+          unit_cost: line.unit_cost,
+          quantity_outstanding: purchaseOrder.getOutstandingQuantity(line),
+          instance_ids: instances.map(instance => instance._id)
+        });
+      }
+
+      // Fill open backorders for the received SKUs
+      const backordersAllocated = await allocateBackorders(received.map(r => r.sku_id), { allocatedBy: req.user.username });
+
+      console.log(`✅ Received ${received.reduce((sum, r) => sum + r.quantity, 0)} units against ${purchaseOrder.po_number}`);
+
+      const populated = await findPurchaseOrderWithDisplayData(purchaseOrder._id);
+      res.json({
+        message: `Received ${received.length} line(s) against ${purchaseOrder.po_number}`,
+        purchase_order: populated,
+        received,
+        outstanding_value: populated.getOutstandingValue(),
+        backorders_allocated: backordersAllocated
+      });
+    } catch (error) {
+      console.error('Receive purchase order error:', error);
+      res.status(500).json({ message: 'Failed to receive purchase order', error: error.message });
+    }
+  }
+);
+
+// POST /api/purchase-orders/:id/close - Close a purchase order (no further receipts)
+router.post('/:id/close',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid purchase order ID'),
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      try {
+        purchaseOrder.close(req.user.username, req.body.reason || '');
+      } catch (stateError) {
+        return res.status(400).json({ message: stateError.message });
+      }
+      await purchaseOrder.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'purchase_order',
+        entity_id: purchaseOrder._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Purchase Order Closed',
+        description: `Closed purchase order ${purchaseOrder.po_number}${req.body.reason ? `. Reason: ${req.body.reason}` : ''}`,
+        category: 'business'
+      });
+
+      const populated = await findPurchaseOrderWithDisplayData(purchaseOrder._id);
+      res.json({ message: 'Purchase order closed', purchase_order: populated });
+    } catch (error) {
+      console.error('Close purchase order error:', error);
+      res.status(500).json({ message: 'Failed to close purchase order', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/purchase-orders/:id - Delete a draft purchase order
+router.delete('/:id',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid purchase order ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+      if (!purchaseOrder) {
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+
+      if (purchaseOrder.status !== 'draft') {
+        return res.status(400).json({ message: 'Only draft purchase orders can be deleted - close it instead' });
+      }
+
+      await PurchaseOrder.deleteOne({ _id: purchaseOrder._id });
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'purchase_order',
+        entity_id: purchaseOrder._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Purchase Order Deleted',
+        description: `Deleted draft purchase order ${purchaseOrder.po_number}`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Purchase order deleted' });
+    } catch (error) {
+      console.error('Delete purchase order error:', error);
+      res.status(500).json({ message: 'Failed to delete purchase order', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const ScheduledJob = require('../models/ScheduledJob');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireAdminAccess } = require('../middleware/authEnhanced');
+const { isValidCron } = require('../utils/cron');
+const { JOB_HANDLERS, runJob } = require('../utils/scheduler');
+
+const EDITABLE_FIELDS = ['name', 'cron', 'timezone', 'enabled', 'config'];
+
+const jobValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('cron').custom(value => isValidCron(value)).withMessage('Cron must be a 5-field expression (minute hour day-of-month month day-of-week)'),
+    body('timezone').optional().trim().notEmpty().withMessage('Time zone cannot be empty'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+    body('config').optional().isObject().withMessage('Config must be an object')
+  ];
+};
+
+// GET /api/scheduled-jobs - List scheduled jobs (Admin only)
+router.get('/', auth, requireAdminAccess, async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.find().sort({ name: 1 });
+    res.json({ jobs, job_types: Object.keys(JOB_HANDLERS) });
+  } catch (error) {
+    console.error('Get scheduled jobs error:', error);
+    res.status(500).json({ message: 'Failed to fetch scheduled jobs', error: error.message });
+  }
+});
+
+// GET /api/scheduled-jobs/:id - Get a scheduled job with its recent runs
+router.get('/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid job ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const job = await ScheduledJob.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ message: 'Scheduled job not found' });
+      }
+
+      const runs = await AuditLog.getAuditTrail('scheduled_job', job._id, 20);
+      res.json({ job, runs });
+    } catch (error) {
+      console.error('Get scheduled job error:', error);
+      res.status(500).json({ message: 'Failed to fetch scheduled job', error: error.message });
+    }
+  }
+);
+
+// POST /api/scheduled-jobs - Create a scheduled job (Admin only)
+router.post('/',
+  auth,
+  requireAdminAccess,
+  [
+    ...jobValidators(false),
+    body('job_type').isIn(Object.keys(JOB_HANDLERS)).withMessage(`Job type must be one of: ${Object.keys(JOB_HANDLERS).join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const existing = await ScheduledJob.exists({ name: req.body.name });
+      if (existing) {
+        return res.status(400).json({ message: `A scheduled job named ${req.body.name} already exists` });
+      }
+
+      const job = new ScheduledJob({
+        job_type: req.body.job_type,
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      EDITABLE_FIELDS.forEach(key => {
+        if (req.body[key] !== undefined) job[key] = req.body[key];
+      });
+      await job.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'scheduled_job',
+        entity_id: job._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Scheduled Job Created',
+        description: `Created scheduled job ${job.name} (${job.job_type}, ${job.cron})`,
+        changes: { after: { name: job.name, job_type: job.job_type, cron: job.cron, timezone: job.timezone, enabled: job.enabled } },
+        category: 'system'
+      });
+
+      res.status(201).json({ message: 'Scheduled job created', job });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Create scheduled job error:', error);
+      res.status(500).json({ message: 'Failed to create scheduled job', error: error.message });
+    }
+  }
+);
+
+// PUT /api/scheduled-jobs/:id - Update schedule, options or enable/disable (Admin only)
+router.put('/:id',
+  auth,
+  requireAdminAccess,
+  [
+    param('id').isMongoId().withMessage('Valid job ID is required'),
+    ...jobValidators(true)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const job = await ScheduledJob.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ message: 'Scheduled job not found' });
+      }
+
+      const before = {};
+      const after = {};
+      EDITABLE_FIELDS.forEach(key => {
+        if (req.body[key] !== undefined) {
+          before[key] = job[key];
+          after[key] = req.body[key];
+          job[key] = req.body[key];
+        }
+      });
+      job.last_updated_by = req.user.username;
+      await job.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'scheduled_job',
+        entity_id: job._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Scheduled Job Updated',
+        description: `Updated scheduled job ${job.name}`,
+        changes: { before, after },
+        category: 'system'
+      });
+
+      res.json({ message: 'Scheduled job updated', job });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Update scheduled job error:', error);
+      res.status(500).json({ message: 'Failed to update scheduled job', error: error.message });
+    }
+  }
+);
+
+// POST /api/scheduled-jobs/:id/run - Run a job immediately (Admin only)
+router.post('/:id/run',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid job ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const job = await ScheduledJob.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ message: 'Scheduled job not found' });
+      }
+
+      const outcome = await runJob(job, { trigger: 'manual', user: req.user });
+
+      res.json({
+        message: `Scheduled job ${job.name} ran with status ${outcome.status}`,
+        status: outcome.status,
+        result: outcome.result,
+        error: outcome.error || null,
+        job
+      });
+    } catch (error) {
+      console.error('Run scheduled job error:', error);
+      res.status(500).json({ message: 'Failed to run scheduled job', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/scheduled-jobs/:id - Delete a scheduled job (Admin only)
+router.delete('/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid job ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const job = await ScheduledJob.findByIdAndDelete(req.params.id);
+      if (!job) {
+        return res.status(404).json({ message: 'Scheduled job not found' });
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'scheduled_job',
+        entity_id: job._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Scheduled Job Deleted',
+        description: `Deleted scheduled job ${job.name}`,
+        changes: { before: { name: job.name, job_type: job.job_type, cron: job.cron } },
+        category: 'system'
+      });
+
+      res.json({ message: 'Scheduled job deleted' });
+    } catch (error) {
+      console.error('Delete scheduled job error:', error);
+      res.status(500).json({ message: 'Failed to delete scheduled job', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
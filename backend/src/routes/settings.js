@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireAdminAccess } = require('../middleware/authEnhanced');
+
+// GET /api/settings - List all settings with current values and defaults
+router.get('/', auth, async (req, res) => {
+  try {
+    const settings = await Setting.getAll();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Failed to fetch settings', error: error.message });
+  }
+});
+
+// GET /api/settings/:key - Get a single setting
+router.get('/:key',
+  auth,
+  [param('key').trim().notEmpty().withMessage('Setting key is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const settings = await Setting.getAll();
+      const setting = settings.find(s => s.key === req.params.key);
+      if (!setting) {
+        return res.status(404).json({ message: `Unknown setting: ${req.params.key}` });
+      }
+
+      res.json({ setting });
+    } catch (error) {
+      console.error('Get setting error:', error);
+      res.status(500).json({ message: 'Failed to fetch setting', error: error.message });
+    }
+  }
+);
+
+// PUT /api/settings/:key - Change a setting (Admin only)
+router.put('/:key',
+  auth,
+  requireAdminAccess,
+  [
+    param('key').trim().notEmpty().withMessage('Setting key is required'),
+    body('value').exists().withMessage('Value is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { key } = req.params;
+      const previousValue = await Setting.getValue(key).catch(() => undefined);
+
+      try {
+        await Setting.setValue(key, req.body.value, req.user.username);
+      } catch (settingError) {
+        if (settingError.code === 'UNKNOWN_SETTING') {
+          return res.status(404).json({ message: settingError.message });
+        }
+        if (settingError.code === 'INVALID_SETTING') {
+          return res.status(400).json({ message: settingError.message });
+        }
+        throw settingError;
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'system',
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Setting Updated',
+        description: `Changed setting ${key} from ${JSON.stringify(previousValue)} to ${JSON.stringify(req.body.value)}`,
+        changes: {
+          before: { [key]: previousValue },
+          after: { [key]: req.body.value }
+        },
+        category: 'system'
+      });
+
+      const settings = await Setting.getAll();
+      res.json({
+        message: 'Setting updated',
+        setting: settings.find(s => s.key === key)
+      });
+    } catch (error) {
+      console.error('Update setting error:', error);
+      res.status(500).json({ message: 'Failed to update setting', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
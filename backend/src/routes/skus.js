@@ -6,8 +6,13 @@ const router = express.Router();
 const SKU = require('../models/SKU');
 const Category = require('../models/Category');
 const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const Instance = require('../models/Instance');
 const { auth, requireRole, requireWriteAccess } = require('../middleware/authEnhanced');
 const AuditLog = require('../models/AuditLog');
+const { allocateBackorders } = require('../utils/backorders');
+const { getBuildableQuantity, assembleKits, disassembleKits } = require('../utils/kits');
 
 // Validation middleware for SKU creation
 const validateSKUCreate = [
@@ -67,6 +72,10 @@ const validateSKUCreate = [
     .optional()
     .isBoolean()
     .withMessage('is_bundle must be a boolean'),
+  body('is_serialized')
+    .optional()
+    .isBoolean()
+    .withMessage('is_serialized must be a boolean'),
   body('bundle_items')
     .optional()
     .isArray()
@@ -144,6 +153,10 @@ const validateSKUUpdate = [
     .optional()
     .isObject()
     .withMessage('Stock thresholds must be an object'),
+  body('is_serialized')
+    .optional()
+    .isBoolean()
+    .withMessage('is_serialized must be a boolean'),
   body('sku_notes')
     .optional()
     .trim()
@@ -396,6 +409,32 @@ router.get('/count',
   }
 );
 
+// GET /api/skus/bundles/buildable - Kits in stock and kits buildable from components, per active bundle SKU
+// ⚠️ IMPORTANT: This route must come BEFORE /:id route to avoid conflicts
+router.get('/bundles/buildable',
+  auth,
+  async (req, res) => {
+    try {
+      const bundles = await SKU.find({ is_bundle: true, status: 'active' }).sort({ sku_code: 1 });
+
+      const results = await Promise.all(bundles.map(async bundle => ({
+        name: bundle.name,
+        ...await getBuildableQuantity(bundle),
+        kits_available: await Instance.countDocuments(Instance.availableFilter({ sku_id: bundle._id }))
+      })));
+
+      res.json({ bundles: results });
+
+    } catch (error) {
+      console.error('Get buildable bundles error:', error);
+      res.status(500).json({
+        message: 'Failed to get buildable bundles',
+        error: error.message
+      });
+    }
+  }
+);
+
 // GET /api/skus/:id - Get a single SKU by ID
 router.get('/:id', 
   auth,
@@ -519,6 +558,7 @@ router.post('/',
         status: req.body.status || 'active',
         is_bundle: req.body.is_bundle || false,
         bundle_items: req.body.bundle_items || [],
+        is_serialized: req.body.is_serialized || false,
         sku_notes: req.body.sku_notes || '',
         created_by: req.user.username,
         last_updated_by: req.user.username
@@ -551,6 +591,26 @@ router.post('/',
       });
       await inventory.save();
 
+      await AuditLog.create({
+        event_type: 'sku_created',
+        entity_type: 'sku',
+        entity_id: sku._id,
+        user_id: req.user._id.toString(),
+        user_name: req.user.username,
+        action: 'Create SKU',
+        description: `Created SKU ${sku.sku_code} (${sku.name})`,
+        changes: {
+          before: null,
+          after: { sku_code: sku.sku_code, name: sku.name, unit_cost: sku.unit_cost }
+        },
+        metadata: {
+          ip_address: req.ip,
+          api_endpoint: req.originalUrl,
+          method: req.method
+        },
+        category: 'business'
+      });
+
       // Populate category before returning
       await sku.populate('category_id');
 
@@ -646,6 +706,7 @@ router.put('/:id',
       if (req.body.barcode !== undefined) updateData.barcode = req.body.barcode;
       if (req.body.sku_notes !== undefined) updateData.sku_notes = req.body.sku_notes;
       if (req.body.status !== undefined) updateData.status = req.body.status;
+      if (req.body.is_serialized !== undefined) updateData.is_serialized = req.body.is_serialized;
       
       // Handle stock_thresholds updates
       if (req.body.stock_thresholds !== undefined) {
@@ -702,9 +763,38 @@ router.put('/:id',
         { new: true, runValidators: true }
       ).populate('category_id');
 
+      // Units already in stock need asset tags once the SKU (or its new category) is serialized
+      let assetTagsAssigned = 0;
+      if ((updateData.is_serialized !== undefined || updateData.category_id !== undefined) &&
+          await SKU.isSerialized(updatedSKU)) {
+        assetTagsAssigned = await Instance.backfillAssetTags({ sku_id: updatedSKU._id });
+      }
+
+      const changedFields = Object.keys(updateData).filter(key => key !== 'last_updated_by');
+      await AuditLog.create({
+        event_type: 'sku_updated',
+        entity_type: 'sku',
+        entity_id: sku._id,
+        user_id: req.user._id.toString(),
+        user_name: req.user.username,
+        action: 'Update SKU',
+        description: `Updated SKU ${updatedSKU.sku_code}: ${changedFields.join(', ') || 'no field changes'}`,
+        changes: {
+          before: Object.fromEntries(changedFields.map(key => [key, sku.get(key)])),
+          after: Object.fromEntries(changedFields.map(key => [key, updateData[key]]))
+        },
+        metadata: {
+          ip_address: req.ip,
+          api_endpoint: req.originalUrl,
+          method: req.method
+        },
+        category: 'business'
+      });
+
       res.json({ 
         message: 'SKU updated successfully',
-        sku: updatedSKU 
+        sku: updatedSKU,
+        ...(assetTagsAssigned > 0 && { asset_tags_assigned: assetTagsAssigned })
       });
 
     } catch (error) {
@@ -758,7 +848,6 @@ router.delete('/:id',
       }
 
       // Delete all associated instances first
-      const Instance = require('../models/Instance');
       const deletedInstances = await Instance.deleteMany({ sku_id: req.params.id });
       console.log(`Deleted ${deletedInstances.deletedCount} instances for SKU ${sku.sku_code}`);
 
@@ -880,9 +969,8 @@ router.get('/barcode/:barcode',
 
       const barcode = req.params.barcode.trim();
       
-      // Find SKU by barcode
-      const sku = await SKU.findOne({ barcode: barcode })
-        .populate('category_id', 'name slug');
+      // Find SKU by barcode, falling back to an instance serial number or asset tag
+      const { sku, instance } = await SKU.findByScan(barcode);
 
       if (!sku) {
         return res.status(404).json({ 
@@ -912,10 +1000,18 @@ router.get('/barcode/:barcode',
         }
       }
 
+      let instanceObj;
+      if (instance) {
+        await instance.populate('tag_id', 'tag_type customer_name project_name status due_date');
+        instanceObj = instance.toObject();
+        instanceObj.matched_by = instance.serial_number === barcode ? 'serial_number' : 'asset_tag';
+      }
+
       res.json({ 
         message: 'SKU found',
         sku: skuObj,
-        barcode: barcode
+        barcode: barcode,
+        ...(instanceObj && { instance: instanceObj })
       });
 
     } catch (error) {
@@ -939,7 +1035,9 @@ router.post('/barcode/:barcode/add-stock',
     body('location').optional().trim().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
     body('supplier').optional().trim().isLength({ max: 100 }).withMessage('Supplier cannot exceed 100 characters'),
     body('reference_number').optional().trim().isLength({ max: 50 }).withMessage('Reference number cannot exceed 50 characters'),
-    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+    body('serial_numbers').optional().isArray().withMessage('serial_numbers must be an array'),
+    body('asset_tags').optional().isArray().withMessage('asset_tags must be an array')
   ],
   async (req, res) => {
     try {
@@ -974,13 +1072,39 @@ router.post('/barcode/:barcode/add-stock',
 
       const quantity = req.body.quantity;
       const acquisitionCost = req.body.acquisition_cost || sku.unit_cost || 0;
-      const location = req.body.location || 'Main Warehouse';
+      let location;
+      try {
+        location = await Location.resolveCode(req.body.location);
+      } catch (locationError) {
+        if (locationError.code === 'INVALID_LOCATION') {
+          return res.status(400).json({ message: locationError.message });
+        }
+        throw locationError;
+      }
       const supplier = req.body.supplier || '';
       const referenceNumber = req.body.reference_number || '';
       const notes = req.body.notes || '';
 
-      // Import Instance model
-      const Instance = require('../models/Instance');
+      // Serial numbers / asset tags, one per unit (serialized SKUs get generated asset tags)
+      let instancesData;
+      try {
+        instancesData = await Instance.assignIdentifiers(sku._id, Array.from({ length: quantity }, () => ({
+          sku_id: sku._id,
+          acquisition_date: new Date(),
+          acquisition_cost: acquisitionCost,
+          location: location,
+          supplier: supplier,
+          reference_number: referenceNumber,
+          notes: notes,
+          added_by: req.user.username
+        })), { serialNumbers: req.body.serial_numbers, assetTags: req.body.asset_tags });
+      } catch (identifierError) {
+        if (identifierError.code) {
+          return res.status(identifierError.code === 'DUPLICATE_IDENTIFIER' ? 409 : 400)
+            .json({ message: identifierError.message, code: identifierError.code });
+        }
+        throw identifierError;
+      }
       
       const createdInstances = [];
       const instanceErrors = [];
@@ -988,24 +1112,42 @@ router.post('/barcode/:barcode/add-stock',
       // Create multiple instances
       for (let i = 0; i < quantity; i++) {
         try {
-          const instance = new Instance({
-            sku_id: sku._id,
-            acquisition_date: new Date(),
-            acquisition_cost: acquisitionCost,
-            location: location,
-            supplier: supplier,
-            reference_number: referenceNumber,
-            notes: notes,
-            added_by: req.user.username
-          });
+          const instance = new Instance(instancesData[i]);
           
           await instance.save();
-          createdInstances.push(instance._id);
+          createdInstances.push(instance);
         } catch (error) {
           instanceErrors.push(`Instance ${i + 1}: ${error.message}`);
         }
       }
 
+      if (createdInstances.length > 0) {
+        await StockMovement.record({
+          movement_type: 'add_stock',
+          sku_id: sku._id,
+          from_state: 'external',
+          to_state: 'available',
+          to_location: location,
+          instances: createdInstances,
+          unit_cost: acquisitionCost,
+          source_reference: referenceNumber,
+          reason: notes || `Barcode scan ${barcode}`,
+          performed_by: req.user.username
+        });
+
+        await AuditLog.logInventoryMovement({
+          sku_id: sku._id,
+          item_id: null,
+          from_status: null,
+          to_status: 'available',
+          quantity: createdInstances.length,
+          user_id: req.user._id.toString(),
+          user_name: req.user.username,
+          reason: `Barcode scan ${barcode}${acquisitionCost ? ` at $${acquisitionCost} per unit` : ''}`,
+          tag_id: null
+        });
+      }
+
       // Update inventory totals
       let inventory = await Inventory.findOne({ sku_id: sku._id });
       if (!inventory) {
@@ -1027,6 +1169,14 @@ router.post('/barcode/:barcode/add-stock',
       inventory.last_updated_by = req.user.username;
       await inventory.save();
 
+      // Fill open backorders for this SKU from the scanned stock
+      const backordersAllocated = createdInstances.length > 0
+        ? await allocateBackorders([sku._id], { allocatedBy: req.user.username })
+        : [];
+      if (backordersAllocated.length > 0) {
+        inventory = await Inventory.findOne({ sku_id: sku._id });
+      }
+
       res.json({ 
         message: `Successfully added ${createdInstances.length} instances via barcode scan`,
         sku: {
@@ -1043,7 +1193,8 @@ router.post('/barcode/:barcode/add-stock',
         inventory_updated: {
           total_quantity: inventory.total_quantity,
           available_quantity: inventory.available_quantity
-        }
+        },
+        backorders_allocated: backordersAllocated
       });
 
     } catch (error) {
@@ -1171,6 +1322,225 @@ router.post('/:id/cost',
   }
 );
 
+// GET /api/skus/:id/buildable - How many kits of a bundle SKU current component stock can build
+router.get('/:id/buildable',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid SKU ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sku = await SKU.findById(req.params.id);
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+      if (!sku.is_bundle) {
+        return res.status(400).json({ message: `${sku.sku_code} is not a bundle`, code: 'NOT_A_BUNDLE' });
+      }
+
+      res.json({
+        ...await getBuildableQuantity(sku),
+        kits_available: await Instance.countDocuments(Instance.availableFilter({ sku_id: sku._id }))
+      });
+
+    } catch (error) {
+      console.error('Get buildable quantity error:', error);
+      res.status(500).json({
+        message: 'Failed to get buildable quantity',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/skus/:id/assemble - Build kits of a bundle SKU from available component stock (oldest units first)
+router.post('/:id/assemble',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid SKU ID'),
+    body('quantity').isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000'),
+    body('location').optional().trim().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+    body('serial_numbers').optional().isArray().withMessage('serial_numbers must be an array'),
+    body('asset_tags').optional().isArray().withMessage('asset_tags must be an array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sku = await SKU.findById(req.params.id);
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+      if (sku.status !== 'active') {
+        return res.status(400).json({ message: `Cannot assemble kits of a ${sku.status} SKU` });
+      }
+
+      let location;
+      try {
+        location = await Location.resolveCode(req.body.location);
+      } catch (locationError) {
+        if (locationError.code === 'INVALID_LOCATION') {
+          return res.status(400).json({ message: locationError.message });
+        }
+        throw locationError;
+      }
+
+      const quantity = parseInt(req.body.quantity);
+      let result;
+      try {
+        result = await assembleKits(sku, quantity, {
+          location,
+          notes: req.body.notes || '',
+          serialNumbers: req.body.serial_numbers,
+          assetTags: req.body.asset_tags,
+          assembledBy: req.user.username
+        });
+      } catch (kitError) {
+        if (kitError.code === 'INSUFFICIENT_COMPONENTS') {
+          return res.status(400).json({ message: kitError.message, code: kitError.code, shortages: kitError.shortages });
+        }
+        if (['DUPLICATE_IDENTIFIER', 'COMPONENTS_CHANGED'].includes(kitError.code)) {
+          return res.status(409).json({ message: kitError.message, code: kitError.code });
+        }
+        if (kitError.code) {
+          return res.status(400).json({ message: kitError.message, code: kitError.code });
+        }
+        throw kitError;
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'inventory_movement',
+        entity_type: 'sku',
+        entity_id: sku._id,
+        user_id: req.user._id.toString(),
+        user_name: req.user.username,
+        action: 'Kits Assembled',
+        description: `Assembled ${quantity} x ${sku.sku_code} from ${result.components.reduce((sum, line) => sum + line.quantity, 0)} component unit(s)`,
+        changes: {
+          after: {
+            kit_instance_ids: result.kits.map(kit => kit._id),
+            components: result.components,
+            total_cost: result.total_cost
+          }
+        },
+        category: 'business'
+      });
+
+      res.status(201).json({
+        message: `Assembled ${quantity} kit(s) of ${sku.sku_code}`,
+        kits: result.kits,
+        components: result.components,
+        total_cost: result.total_cost,
+        buildable: await getBuildableQuantity(sku),
+        backorders_allocated: result.backorders
+      });
+
+    } catch (error) {
+      console.error('Assemble kits error:', error);
+      res.status(500).json({
+        message: 'Failed to assemble kits',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/skus/:id/disassemble - Take assembled kits apart and put their components back in stock
+router.post('/:id/disassemble',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid SKU ID'),
+    body('instance_ids').optional().isArray({ min: 1 }).withMessage('instance_ids must be a non-empty array'),
+    body('instance_ids.*').optional().isMongoId().withMessage('Invalid instance ID'),
+    body('quantity').optional().isInt({ min: 1, max: 1000 }).withMessage('Quantity must be between 1 and 1000'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.body.instance_ids && !req.body.quantity) {
+        return res.status(400).json({ message: 'Either instance_ids or quantity is required' });
+      }
+
+      const sku = await SKU.findById(req.params.id);
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+
+      let result;
+      try {
+        result = await disassembleKits(sku, {
+          instanceIds: req.body.instance_ids,
+          quantity: parseInt(req.body.quantity),
+          notes: req.body.notes || '',
+          disassembledBy: req.user.username
+        });
+      } catch (kitError) {
+        if (kitError.code === 'KITS_CHANGED') {
+          return res.status(409).json({ message: kitError.message, code: kitError.code });
+        }
+        if (kitError.code) {
+          return res.status(400).json({ message: kitError.message, code: kitError.code });
+        }
+        throw kitError;
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'inventory_movement',
+        entity_type: 'sku',
+        entity_id: sku._id,
+        user_id: req.user._id.toString(),
+        user_name: req.user.username,
+        action: 'Kits Disassembled',
+        description: `Took apart ${result.kits.length} x ${sku.sku_code}, ${result.restored.length} component unit(s) back in stock`,
+        changes: {
+          before: { kit_instance_ids: result.kits.map(kit => kit._id) },
+          after: { component_instance_ids: result.restored.map(instance => instance._id) }
+        },
+        category: 'business'
+      });
+
+      res.json({
+        message: `Took apart ${result.kits.length} kit(s) of ${sku.sku_code}`,
+        kits_disassembled: result.kits.length,
+        components_restored: result.restored,
+        backorders_allocated: result.backorders
+      });
+
+    } catch (error) {
+      console.error('Disassemble kits error:', error);
+      res.status(500).json({
+        message: 'Failed to disassemble kits',
+        error: error.message
+      });
+    }
+  }
+);
+
 // POST /api/skus/batch-scan - Batch lookup SKUs by barcodes
 router.post('/batch-scan',
   auth,
@@ -1201,9 +1571,8 @@ router.post('/batch-scan',
       // Process each barcode
       for (const barcode of barcodes) {
         try {
-          // Find SKU by barcode
-          const sku = await SKU.findOne({ barcode: barcode.trim() })
-            .populate('category_id', 'name slug');
+          // Find SKU by barcode (or an instance serial number / asset tag)
+          const { sku, instance } = await SKU.findByScan(barcode);
 
           if (sku) {
             // Get inventory data
@@ -1227,7 +1596,8 @@ router.post('/batch-scan',
 
             found.push({
               barcode,
-              sku: skuObj
+              sku: skuObj,
+              ...(instance && { instance })
             });
           } else {
             notFound.push({
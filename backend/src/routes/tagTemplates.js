@@ -0,0 +1,381 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const TagTemplate = require('../models/TagTemplate');
+const Tag = require('../models/Tag');
+const Inventory = require('../models/Inventory');
+const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+// Validation middleware for template create/update
+const validateTemplate = [
+  body('name').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Name must be 1-200 characters'),
+  body('description').optional().trim(),
+  body('tag_type').optional().isIn(['reserved', 'broken', 'imperfect', 'loaned', 'stock'])
+    .withMessage('Tag type must be reserved, broken, imperfect, loaned, or stock'),
+  body('lines').optional().isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+  body('lines.*.sku_id').isMongoId().withMessage('Each line needs a valid SKU ID'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Line quantity must be a positive integer'),
+  body('lines.*.selection_method').optional().isIn(['auto', 'fifo', 'cost_based'])
+    .withMessage('Selection method must be auto, fifo, or cost_based'),
+  body('lines.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Line notes cannot exceed 500 characters'),
+  body('active').optional().isBoolean().withMessage('active must be a boolean')
+];
+
+// Mongoose validation and duplicate-name errors are the caller's fault
+function templateErrorResponse(res, error) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Validation failed', error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A template with that name already exists' });
+  }
+  return null;
+}
+
+// GET /api/tag-templates - List templates
+router.get('/',
+  auth,
+  [
+    query('include_inactive').optional().isIn(['true', 'false']).withMessage('include_inactive must be true or false'),
+    query('search').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const filter = {};
+      if (req.query.include_inactive !== 'true') filter.active = true;
+      if (req.query.search) filter.name = new RegExp(req.query.search, 'i');
+
+      const templates = await TagTemplate.find(filter)
+        .populate('lines.sku_id', 'sku_code name unit_cost')
+        .sort({ name: 1 });
+
+      res.json({ templates });
+    } catch (error) {
+      console.error('Get tag templates error:', error);
+      res.status(500).json({ message: 'Failed to fetch tag templates', error: error.message });
+    }
+  }
+);
+
+// GET /api/tag-templates/:id - Template with what's in stock for each line at its default quantity
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid template ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const template = await TagTemplate.findById(req.params.id)
+        .populate('lines.sku_id', 'sku_code name unit_cost');
+      if (!template) {
+        return res.status(404).json({ message: 'Tag template not found' });
+      }
+
+      const availability = await TagTemplate.checkLines(template.lines.map(line => ({
+        line_id: line._id,
+        sku_id: line.sku_id ? line.sku_id._id : null,
+        quantity: line.quantity
+      })).filter(line => line.sku_id));
+
+      res.json({ template, availability });
+    } catch (error) {
+      console.error('Get tag template error:', error);
+      res.status(500).json({ message: 'Failed to fetch tag template', error: error.message });
+    }
+  }
+);
+
+// POST /api/tag-templates - Create a template
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    ...validateTemplate
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const template = new TagTemplate({
+        name: req.body.name,
+        description: req.body.description || '',
+        tag_type: req.body.tag_type || 'reserved',
+        lines: req.body.lines,
+        active: req.body.active !== undefined ? req.body.active : true,
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await template.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'tag_template',
+        entity_id: template._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tag Template Created',
+        description: `Created tag template ${template.name} with ${template.lines.length} line(s)`,
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Tag template created', template });
+    } catch (error) {
+      if (templateErrorResponse(res, error)) return;
+      console.error('Create tag template error:', error);
+      res.status(500).json({ message: 'Failed to create tag template', error: error.message });
+    }
+  }
+);
+
+// PUT /api/tag-templates/:id - Update a template (lines are replaced as a whole)
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    ...validateTemplate
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const template = await TagTemplate.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ message: 'Tag template not found' });
+      }
+
+      const before = template.toObject();
+      ['name', 'description', 'tag_type', 'lines', 'active'].forEach(field => {
+        if (req.body[field] !== undefined) template[field] = req.body[field];
+      });
+      template.last_updated_by = req.user.username;
+      await template.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'tag_template',
+        entity_id: template._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tag Template Updated',
+        description: `Updated tag template ${template.name}`,
+        changes: { before, after: template.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Tag template updated', template });
+    } catch (error) {
+      if (templateErrorResponse(res, error)) return;
+      console.error('Update tag template error:', error);
+      res.status(500).json({ message: 'Failed to update tag template', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/tag-templates/:id - Delete a template (tags created from it are unaffected)
+router.delete('/:id',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid template ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const template = await TagTemplate.findByIdAndDelete(req.params.id);
+      if (!template) {
+        return res.status(404).json({ message: 'Tag template not found' });
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'delete',
+        entity_type: 'tag_template',
+        entity_id: template._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tag Template Deleted',
+        description: `Deleted tag template ${template.name}`,
+        category: 'business'
+      });
+
+      res.json({ message: 'Tag template deleted' });
+    } catch (error) {
+      console.error('Delete tag template error:', error);
+      res.status(500).json({ message: 'Failed to delete tag template', error: error.message });
+    }
+  }
+);
+
+// POST /api/tag-templates/:id/tags - Create a tag from a template for a customer,
+// with optional per-SKU quantity overrides (0 leaves a line out)
+router.post('/:id/tags',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid template ID'),
+    body('customer_id').optional({ values: 'null' }).isMongoId().withMessage('Customer ID must be a valid MongoDB ID'),
+    body('customer_name')
+      .if(body('customer_id').not().exists({ values: 'null' }))
+      .trim()
+      .notEmpty()
+      .withMessage('Customer name is required')
+      .isLength({ max: 200 })
+      .withMessage('Customer name cannot exceed 200 characters'),
+    body('project_id').optional({ values: 'null' }).isMongoId().withMessage('Project ID must be a valid MongoDB ID'),
+    body('project_name').optional().trim().isLength({ max: 200 }).withMessage('Project name cannot exceed 200 characters'),
+    body('due_date').optional().isISO8601().withMessage('Due date must be a valid date'),
+    body('priority').optional().isIn(Tag.PRIORITIES).withMessage(`Priority must be one of: ${Tag.PRIORITIES.join(', ')}`),
+    body('notes').optional().isString().trim().isLength({ max: 2000 }).withMessage('Initial note cannot exceed 2000 characters'),
+    body('quantities').optional().isArray().withMessage('quantities must be an array'),
+    body('quantities.*.sku_id').isMongoId().withMessage('Each quantity override needs a valid SKU ID'),
+    body('quantities.*.quantity').isInt({ min: 0 }).withMessage('Override quantity must be 0 or more'),
+    body('allow_backorder').optional().isBoolean().withMessage('allow_backorder must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const template = await TagTemplate.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ message: 'Tag template not found' });
+      }
+      if (!template.active) {
+        return res.status(400).json({ message: `Tag template ${template.name} is inactive` });
+      }
+
+      const allowBackorder = req.body.allow_backorder === true || req.body.allow_backorder === 'true';
+      if (allowBackorder && template.tag_type !== 'reserved') {
+        return res.status(400).json({ message: 'Backorders are only allowed on reserved tags' });
+      }
+
+      let lines;
+      try {
+        lines = template.resolveLines(req.body.quantities || []);
+      } catch (lineError) {
+        if (lineError.code) {
+          return res.status(400).json({ message: lineError.message, code: lineError.code });
+        }
+        throw lineError;
+      }
+      if (lines.length === 0) {
+        return res.status(400).json({ message: 'Every line was set to 0 - nothing to tag' });
+      }
+
+      // Report every line that can't be filled before anything is created
+      const availability = await TagTemplate.checkLines(lines);
+      const unfillable = availability.filter(line => !line.can_fill && (line.error || !allowBackorder));
+      if (unfillable.length > 0) {
+        return res.status(400).json({
+          message: `${unfillable.length} line(s) of ${template.name} can't be filled`,
+          code: 'LINES_UNFILLABLE',
+          unfillable_lines: unfillable,
+          lines: availability
+        });
+      }
+
+      let link;
+      try {
+        link = await Customer.resolveTagLink(req.body, req.user.username);
+      } catch (linkError) {
+        if (linkError.code) {
+          return res.status(400).json({ message: linkError.message, code: linkError.code });
+        }
+        throw linkError;
+      }
+
+      const tag = new Tag({
+        ...link,
+        tag_type: template.tag_type,
+        sku_items: lines.map(line => ({
+          sku_id: line.sku_id,
+          quantity: line.quantity,
+          selection_method: line.selection_method,
+          notes: line.notes
+        })),
+        notes: [
+          { message: `Created from template ${template.name}`, author: req.user.username, kind: 'system' },
+          ...(req.body.notes ? [{ message: req.body.notes, author: req.user.username, author_role: req.user.role, kind: 'user' }] : [])
+        ],
+        due_date: req.body.due_date || null,
+        priority: req.body.priority || 'normal',
+        status: 'active',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await tag.save();
+
+      // Stock can still go between the check and the assignment
+      try {
+        await tag.assignInstances({ allowBackorder });
+        await tag.save();
+      } catch (assignError) {
+        // Put back what earlier lines were assigned before dropping the tag
+        await tag.releaseInstances(req.user.username);
+        await Tag.findByIdAndDelete(tag._id);
+        return res.status(400).json({
+          message: 'Failed to assign instances to tag',
+          code: 'LINES_UNFILLABLE',
+          error: assignError.message,
+          lines: await TagTemplate.checkLines(lines)
+        });
+      }
+
+      for (const line of lines) {
+        await Inventory.refreshCounts(line.sku_id, req.user.username);
+      }
+
+      await AuditLog.logTagEvent({
+        event_type: 'tag_created',
+        tag_id: tag._id,
+        customer_id: tag.customer_name,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        tag_type: tag.tag_type,
+        items_count: tag.sku_items.length,
+        total_quantity: tag.getTotalQuantity(),
+        reason: `From template ${template.name}`
+      });
+
+      const tagObj = tag.toObject();
+      tagObj.total_quantity = tag.getTotalQuantity();
+      tagObj.backordered_quantity = tag.getTotalBackorderedQuantity();
+
+      res.status(201).json({
+        message: `Tag created from template ${template.name}`,
+        tag: tagObj,
+        template_id: template._id,
+        backordered_lines: availability.filter(line => !line.can_fill)
+      });
+    } catch (error) {
+      console.error('Create tag from template error:', error);
+      res.status(500).json({ message: 'Failed to create tag from template', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -7,9 +7,16 @@ const Tag = require('../models/Tag');
 const SKU = require('../models/SKU');
 const Category = require('../models/Category');
 const Inventory = require('../models/Inventory');
-const { auth, requireRole, requireWriteAccess, logSecurityEvent } = require('../middleware/authEnhanced');
+const Instance = require('../models/Instance');
+const Customer = require('../models/Customer');
+const CustomerReturn = require('../models/CustomerReturn');
+const Location = require('../models/Location');
+const { auth, requireRole, requireWriteAccess, requireAdminAccess, logSecurityEvent } = require('../middleware/authEnhanced');
 const AuditLog = require('../models/AuditLog');
 const { notifyTagComplete, notifyTagIncomplete, notifyReadyList } = require('../utils/discord');
+const { notifyTagReady } = require('../utils/notifications');
+const { planRebalance, applyRebalance } = require('../utils/rebalance');
+const { getHoldExpiry } = require('../utils/tagHolds');
 
 // ===== NOTES THREAD HELPERS =====
 
@@ -59,7 +66,12 @@ async function requireNoteAuthorOrAdmin(req, res, next) {
 
 // Validation middleware for tag creation/updates
 const validateTag = [
+  body('customer_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Customer ID must be a valid MongoDB ID'),
   body('customer_name')
+    .if(body('customer_id').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('Customer name is required')
     .trim()
@@ -75,6 +87,10 @@ const validateTag = [
     .trim()
     .isLength({ max: 200 })
     .withMessage('Project name cannot exceed 200 characters'),
+  body('project_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Project ID must be a valid MongoDB ID'),
   // SKU items with instance-based structure
   body('sku_items')
     .isArray({ min: 1 })
@@ -97,6 +113,15 @@ const validateTag = [
     .optional()
     .isMongoId()
     .withMessage('Each selected instance ID must be a valid MongoDB ID'),
+  body('sku_items.*.serial_numbers')
+    .optional()
+    .isArray()
+    .withMessage('Serial numbers must be an array of serial numbers or asset tags'),
+  body('sku_items.*.serial_numbers.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each serial number or asset tag must be a non-empty string'),
   body('sku_items.*.selection_method')
     .optional()
     .isIn(['auto', 'manual', 'fifo', 'cost_based'])
@@ -123,6 +148,16 @@ const validateTag = [
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date'),
+  body('priority')
+    .optional()
+    .isIn(Tag.PRIORITIES)
+    .withMessage(`Priority must be one of: ${Tag.PRIORITIES.join(', ')}`),
+  body('allow_backorder')
+    .optional()
+    .isBoolean()
+    .withMessage('allow_backorder must be a boolean')
+    .custom((value, { req }) => !value || req.body.tag_type === 'reserved')
+    .withMessage('Backorders are only allowed on reserved tags'),
   body('status')
     .optional()
     .isIn(['active', 'staged', 'fulfilled', 'cancelled'])
@@ -152,6 +187,7 @@ async function checkSKUAvailability(skuItems) {
       if (!inventory) {
         availability.push({
           sku_id: tagItem.sku_id,
+          sku_details: sku,
           error: 'Inventory record not found',
           can_fulfill: false
         });
@@ -437,13 +473,15 @@ router.get('/overdue/list',
     try {
       const overdueTags = await Tag.getOverdueTags();
       
-      const enrichedTags = overdueTags.map(tag => {
+      const enrichedTags = await Promise.all(overdueTags.map(async tag => {
         const tagObj = tag.toObject();
         tagObj.total_quantity = tag.getTotalQuantity();
         tagObj.remaining_quantity = tag.getTotalRemainingQuantity();
         tagObj.days_overdue = Math.ceil((new Date() - tag.due_date) / (1000 * 60 * 60 * 24));
+        tagObj.last_reminder = tag.reminders.length > 0 ? tag.reminders[tag.reminders.length - 1] : null;
+        tagObj.hold_expires_at = await getHoldExpiry(tag);
         return tagObj;
-      });
+      }));
 
       res.json({
         overdue_tags: enrichedTags,
@@ -460,6 +498,90 @@ router.get('/overdue/list',
   }
 );
 
+// GET /api/tags/rebalance/:skuId - Active reserved tags wanting a SKU, ranked, with a proposed reallocation
+router.get('/rebalance/:skuId',
+  auth,
+  [
+    param('skuId').isMongoId().withMessage('Invalid SKU ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const sku = await SKU.findById(req.params.skuId).select('sku_code name');
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+
+      const plan = await planRebalance(sku._id);
+      res.json({ sku, ...plan });
+
+    } catch (error) {
+      console.error('Plan rebalance error:', error);
+      res.status(500).json({ message: 'Failed to plan rebalance', error: error.message });
+    }
+  }
+);
+
+// POST /api/tags/rebalance/:skuId - Reallocate a SKU's units across its tags by due date, priority and age
+router.post('/rebalance/:skuId',
+  auth,
+  requireWriteAccess,
+  [
+    param('skuId').isMongoId().withMessage('Invalid SKU ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const sku = await SKU.findById(req.params.skuId).select('sku_code name');
+      if (!sku) {
+        return res.status(404).json({ message: 'SKU not found' });
+      }
+
+      let plan;
+      try {
+        plan = await applyRebalance(sku._id, { appliedBy: req.user.username });
+      } catch (rebalanceError) {
+        if (rebalanceError.code === 'REBALANCE_CONFLICT') {
+          return res.status(409).json({ message: rebalanceError.message, code: rebalanceError.code });
+        }
+        throw rebalanceError;
+      }
+
+      if (plan.moves.length > 0) {
+        await AuditLog.logEvent({
+          event_type: 'item_transferred',
+          entity_type: 'sku',
+          entity_id: sku._id,
+          user_id: req.user.id,
+          user_name: req.user.username,
+          action: 'Tags Rebalanced',
+          description: `Moved ${plan.moves.length} unit(s) of ${sku.sku_code} across ${plan.tags.filter(tag => tag.gains.length || tag.losses.length).length} tag(s)`,
+          changes: { after: { moves: plan.moves } },
+          category: 'business'
+        });
+      }
+
+      res.json({
+        message: plan.moves.length > 0 ? `Moved ${plan.moves.length} unit(s)` : 'Already balanced',
+        sku,
+        ...plan
+      });
+
+    } catch (error) {
+      console.error('Apply rebalance error:', error);
+      res.status(500).json({ message: 'Failed to rebalance tags', error: error.message });
+    }
+  }
+);
+
 // GET /api/tags/customer/:customerName - Get tags by customer
 router.get('/customer/:customerName', 
   auth,
@@ -476,7 +598,10 @@ router.get('/customer/:customerName',
         });
       }
 
-      const tags = await Tag.getTagsByCustomer(req.params.customerName);
+      const [customer, tags] = await Promise.all([
+        Customer.findByName(req.params.customerName),
+        Tag.getTagsByCustomer(req.params.customerName)
+      ]);
       
       const enrichedTags = tags.map(tag => {
         const tagObj = tag.toObject();
@@ -487,7 +612,8 @@ router.get('/customer/:customerName',
       });
 
       res.json({
-        customer_name: req.params.customerName,
+        customer_name: customer ? customer.name : req.params.customerName,
+        customer,
         tags: enrichedTags,
         count: enrichedTags.length
       });
@@ -509,6 +635,8 @@ router.get('/',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('customer_name').optional().trim(),
+    query('customer_id').optional().isMongoId().withMessage('Invalid customer ID'),
+    query('project_id').optional().isMongoId().withMessage('Invalid project ID'),
     query('tag_type').optional().custom((value) => {
       if (!value || value === '') return true; // Allow empty string
       return ['reserved', 'broken', 'imperfect', 'loaned', 'stock'].includes(value);
@@ -518,6 +646,7 @@ router.get('/',
       return ['active', 'staged', 'fulfilled', 'cancelled'].includes(value);
     }).withMessage('Invalid status'),
     query('project_name').optional().trim(),
+    query('priority').optional().isIn(Tag.PRIORITIES).withMessage('Invalid priority'),
     query('search').optional().trim(),
     query('include_items').optional().isIn(['true', 'false']).withMessage('include_items must be true or false'),
     query('overdue_only').optional().isIn(['true', 'false']).withMessage('overdue_only must be true or false'),
@@ -567,6 +696,14 @@ router.get('/',
       if (req.query.customer_name && req.query.customer_name.trim()) {
         filter.customer_name = new RegExp(req.query.customer_name.trim(), 'i');
       }
+
+      if (req.query.customer_id) {
+        filter.customer_id = req.query.customer_id;
+      }
+
+      if (req.query.project_id) {
+        filter.project_id = req.query.project_id;
+      }
       
       if (req.query.tag_type && req.query.tag_type.trim()) {
         filter.tag_type = req.query.tag_type;
@@ -579,6 +716,10 @@ router.get('/',
       if (req.query.project_name && req.query.project_name.trim()) {
         filter.project_name = new RegExp(req.query.project_name.trim(), 'i');
       }
+
+      if (req.query.priority) {
+        filter.priority = req.query.priority;
+      }
       
       if (req.query.search && req.query.search.trim()) {
         const searchRegex = new RegExp(req.query.search.trim(), 'i');
@@ -801,13 +942,25 @@ router.post('/',
       const skuItemsToProcess = req.body.sku_items;
       console.log('SKU items to process:', skuItemsToProcess)
 
+      // Exact units picked by serial number / asset tag become manual selections
+      try {
+        await Instance.applySerialSelections(skuItemsToProcess);
+      } catch (identifierError) {
+        if (identifierError.code) {
+          return res.status(400).json({ message: identifierError.message, code: identifierError.code });
+        }
+        throw identifierError;
+      }
+
       console.log('=== VALIDATION PASSED, CHECKING AVAILABILITY ===')
       
       // Check SKU availability before creating tag
       console.log('Checking availability for SKU items:', skuItemsToProcess)
       const availability = await checkSKUAvailability(skuItemsToProcess);
       console.log('Availability results:', JSON.stringify(availability, null, 2))
-      const unavailableItems = availability.filter(item => !item.can_fulfill);
+      // With allow_backorder, a shortfall on an existing SKU is backordered rather than rejected
+      const allowBackorder = req.body.allow_backorder === true || req.body.allow_backorder === 'true';
+      const unavailableItems = availability.filter(item => !item.can_fulfill && !(allowBackorder && item.sku_details));
       console.log('Unavailable items count:', unavailableItems.length)
       
       if (unavailableItems.length > 0) {
@@ -818,6 +971,17 @@ router.post('/',
         });
       }
 
+      // Link the tag to its customer/project records (created on first use)
+      let link;
+      try {
+        link = await Customer.resolveTagLink(req.body, req.user.username);
+      } catch (linkError) {
+        if (linkError.code) {
+          return res.status(400).json({ message: linkError.message, code: linkError.code });
+        }
+        throw linkError;
+      }
+
       // Seed the notes thread with the optional initial note so history is
       // preserved from day one.
       const initialNotes = [];
@@ -854,13 +1018,13 @@ router.post('/',
       });
       
       const tagData = {
-        customer_name: req.body.customer_name,
+        ...link,
         tag_type: req.body.tag_type,
-        project_name: req.body.project_name || '',
         sku_items: processedItems,
         is_complete: req.body.is_complete || false,
         notes: initialNotes,
         due_date: req.body.due_date || null,
+        priority: req.body.priority || 'normal',
         status: 'active',
         created_by: req.user.username,
         last_updated_by: req.user.username
@@ -872,7 +1036,7 @@ router.post('/',
 
       // Assign available Instances to this tag (NEW: Instance model integration)
       try {
-        await tag.assignInstances();
+        await tag.assignInstances({ allowBackorder });
         await tag.save(); // Save the tag again to persist instance assignments
       } catch (assignError) {
         // If instance assignment fails, we should clean up the tag
@@ -884,9 +1048,11 @@ router.post('/',
         });
       }
 
-      // Update inventory to reflect the reservation/allocation
+      // Update inventory to reflect the reservation/allocation (backordered units aren't reserved yet)
       const inventoryUpdates = await updateInventoryForTag(
-        processedItems, 
+        processedItems.map((item, index) => (item.quantity
+          ? { ...item, quantity: item.quantity - (tag.sku_items[index].backordered_quantity || 0) }
+          : item)),
         req.body.tag_type, 
         'reserve'
       );
@@ -901,6 +1067,7 @@ router.post('/',
       const tagObj = tag.toObject();
       tagObj.total_quantity = tag.getTotalQuantity();
       tagObj.remaining_quantity = tag.getTotalRemainingQuantity();
+      tagObj.backordered_quantity = tag.getTotalBackorderedQuantity();
       tagObj.inventory_updates = inventoryUpdates;
       
       // Enrich sku_items with details from availability check results
@@ -957,11 +1124,14 @@ router.put('/:id',
   [
     param('id').isMongoId().withMessage('Invalid tag ID'),
     body('customer_name').optional().trim().isLength({ min: 1, max: 200 }),
+    body('customer_id').optional().isMongoId().withMessage('Customer ID must be a valid MongoDB ID'),
     body('project_name').optional().trim().isLength({ max: 200 }),
+    body('project_id').optional({ values: 'null' }).isMongoId().withMessage('Project ID must be a valid MongoDB ID'),
     // NOTE: `notes` is intentionally omitted here. Use POST/PUT/DELETE
     // /api/tags/:id/notes to modify the notes thread. Any `notes` field sent
     // to this endpoint is ignored (see handler below).
     body('due_date').optional().isISO8601(),
+    body('priority').optional().isIn(Tag.PRIORITIES).withMessage(`Priority must be one of: ${Tag.PRIORITIES.join(', ')}`),
     body('status').optional().isIn(['active', 'staged', 'fulfilled', 'cancelled'])
   ],
   async (req, res) => {
@@ -984,13 +1154,30 @@ router.put('/:id',
         last_updated_by: req.user.username
       };
 
-      // Only update provided fields
-      if (req.body.customer_name !== undefined) updateData.customer_name = req.body.customer_name;
-      if (req.body.project_name !== undefined) updateData.project_name = req.body.project_name;
+      // Only update provided fields. Customer/project changes go through their records.
+      const customerChanged = req.body.customer_id !== undefined || req.body.customer_name !== undefined;
+      const projectChanged = req.body.project_id !== undefined || req.body.project_name !== undefined;
+      if (customerChanged || projectChanged) {
+        const keepProject = !projectChanged;
+        try {
+          Object.assign(updateData, await Customer.resolveTagLink({
+            customer_id: customerChanged ? req.body.customer_id : tag.customer_id,
+            customer_name: customerChanged ? req.body.customer_name : tag.customer_name,
+            project_id: keepProject ? (customerChanged ? null : tag.project_id) : req.body.project_id,
+            project_name: keepProject ? tag.project_name : req.body.project_name
+          }, req.user.username));
+        } catch (linkError) {
+          if (linkError.code) {
+            return res.status(400).json({ message: linkError.message, code: linkError.code });
+          }
+          throw linkError;
+        }
+      }
       if (req.body.is_complete !== undefined) updateData.is_complete = req.body.is_complete;
       // Intentionally ignore `notes` on PUT. The notes thread is managed via
       // dedicated endpoints so we never silently overwrite prior context.
       if (req.body.due_date !== undefined) updateData.due_date = req.body.due_date;
+      if (req.body.priority !== undefined) updateData.priority = req.body.priority;
       
       // Handle status changes with inventory implications
       if (req.body.status !== undefined && req.body.status !== tag.status) {
@@ -1025,9 +1212,12 @@ router.put('/:id',
       tagObj.total_quantity = updatedTag.getTotalQuantity();
       tagObj.remaining_quantity = updatedTag.getTotalRemainingQuantity();
 
-      // Send Discord notification when completeness changes
+      // Send Discord and user notifications when completeness changes
       if (wasIncomplete && nowComplete) {
         notifyTagComplete(updatedTag, req.user.username).catch(() => {});
+        notifyTagReady(updatedTag, req.user.username).catch(err => {
+          console.error('Tag ready notification error (non-fatal):', err.message);
+        });
       } else if (!wasIncomplete && req.body.is_complete === false) {
         notifyTagIncomplete(updatedTag, req.user.username).catch(() => {});
       }
@@ -1055,7 +1245,15 @@ router.post('/:id/fulfill',
     param('id').isMongoId().withMessage('Invalid tag ID'),
     body('fulfillment_items').isArray({ min: 1 }).withMessage('Fulfillment items required'),
     body('fulfillment_items.*.item_id').isMongoId().withMessage('Invalid SKU ID'),
-    body('fulfillment_items.*.quantity_fulfilled').isInt({ min: 1 }).withMessage('Quantity must be positive')
+    // quantity_fulfilled isn't needed when exact units are picked by serial number
+    body('fulfillment_items.*')
+      .custom(item => item?.serial_numbers !== undefined ||
+        (Number.isInteger(Number(item?.quantity_fulfilled)) && Number(item.quantity_fulfilled) >= 1))
+      .withMessage('Quantity must be positive'),
+    body('fulfillment_items.*.serial_numbers')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Serial numbers must be a non-empty array of serial numbers or asset tags')
   ],
   async (req, res) => {
     try {
@@ -1082,15 +1280,25 @@ router.post('/:id/fulfill',
       // Process each fulfillment item individually
       for (const fulfillmentItem of req.body.fulfillment_items) {
         try {
+          // Exact units picked by serial number / asset tag
+          let instanceIds;
+          if (fulfillmentItem.serial_numbers) {
+            const instances = await Instance.resolveIdentifiers(fulfillmentItem.item_id, fulfillmentItem.serial_numbers);
+            instanceIds = instances.map(instance => instance._id);
+            fulfillmentItem.quantity_fulfilled = instanceIds.length;
+          }
+
           // Call fulfillSpecificItems for this specific SKU with quantity
           await tag.fulfillSpecificItems({
             sku_id: fulfillmentItem.item_id, // item_id is actually sku_id from frontend
-            quantity_fulfilled: fulfillmentItem.quantity_fulfilled
+            quantity_fulfilled: fulfillmentItem.quantity_fulfilled,
+            instance_ids: instanceIds
           }, req.user.username);
           
           fulfillmentResults.push({
             item_id: fulfillmentItem.item_id,
             quantity_fulfilled: fulfillmentItem.quantity_fulfilled,
+            ...(fulfillmentItem.serial_numbers && { serial_numbers: fulfillmentItem.serial_numbers }),
             success: true,
             note: `${fulfillmentItem.quantity_fulfilled} instances deleted for SKU`
           });
@@ -1110,6 +1318,23 @@ router.post('/:id/fulfill',
       // Note: Inventory updates are handled within fulfillSpecificItems() method
       // No additional inventory updates needed here
 
+      const fulfilledQuantity = fulfillmentResults
+        .filter(result => result.success)
+        .reduce((sum, result) => sum + result.quantity_fulfilled, 0);
+      if (fulfilledQuantity > 0) {
+        await AuditLog.logTagEvent({
+          event_type: 'tag_fulfilled',
+          tag_id: tag._id,
+          customer_id: tag.customer_name,
+          user_id: req.user.id,
+          user_name: req.user.username,
+          tag_type: tag.tag_type,
+          items_count: fulfillmentResults.filter(result => result.success).length,
+          total_quantity: fulfilledQuantity,
+          reason: tag.status === 'fulfilled' ? null : 'Partially fulfilled'
+        });
+      }
+
       await tag.populate({
         path: 'sku_items.sku_id',
         populate: { path: 'category_id' }
@@ -1135,6 +1360,131 @@ router.post('/:id/fulfill',
   }
 );
 
+// GET /api/tags/:id/returns - Customer returns against a tag and the fulfilled units that can still come back
+router.get('/:id/returns',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid tag ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const tag = await Tag.findById(req.params.id).select('_id');
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      const [returns, returnable] = await Promise.all([
+        CustomerReturn.find({ tag_id: tag._id })
+          .populate('items.sku_id', 'sku_code name')
+          .sort({ createdAt: -1 }),
+        CustomerReturn.getReturnableItems(tag._id)
+      ]);
+
+      res.json({ returns, returnable });
+    } catch (error) {
+      console.error('Get tag returns error:', error);
+      res.status(500).json({ message: 'Failed to fetch tag returns', error: error.message });
+    }
+  }
+);
+
+// POST /api/tags/:id/returns - Take fulfilled units back from the customer with their original cost and date.
+// resellable units go back to stock; imperfect and broken ones onto a tag of that type.
+router.post('/:id/returns',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid tag ID'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.instance_id').optional().isMongoId().withMessage('Invalid instance ID'),
+    body('items.*.serial_number').optional().trim().notEmpty().withMessage('Serial number cannot be empty'),
+    body('items.*')
+      .custom(item => Boolean(item?.instance_id || item?.serial_number))
+      .withMessage('Each item needs an instance_id or serial_number'),
+    body('items.*.condition')
+      .isIn(Object.keys(CustomerReturn.RETURN_CONDITIONS))
+      .withMessage(`Condition must be one of: ${Object.keys(CustomerReturn.RETURN_CONDITIONS).join(', ')}`),
+    body('location').optional().trim(),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const tag = await Tag.findById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      let location;
+      if (req.body.location) {
+        try {
+          location = await Location.resolveCode(req.body.location);
+        } catch (locationError) {
+          if (locationError.code === 'INVALID_LOCATION') {
+            return res.status(400).json({ message: locationError.message });
+          }
+          throw locationError;
+        }
+      }
+
+      let customerReturn;
+      try {
+        customerReturn = await CustomerReturn.restoreFromTag(tag, {
+          items: req.body.items,
+          location,
+          notes: req.body.notes || '',
+          returnedBy: req.user.username
+        });
+      } catch (returnError) {
+        if (returnError.code) {
+          return res.status(returnError.code === 'DUPLICATE_IDENTIFIER' ? 409 : 400)
+            .json({ message: returnError.message, code: returnError.code });
+        }
+        throw returnError;
+      }
+
+      for (const skuId of [...new Set(customerReturn.items.map(item => item.sku_id.toString()))]) {
+        await Inventory.refreshCounts(skuId, req.user.username);
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'customer_return',
+        entity_id: customerReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Customer Return Received',
+        description: `${customerReturn.return_number}: ${customerReturn.items.length} item(s) returned by ` +
+          `${tag.customer_name} against tag ${tag._id}`,
+        changes: {
+          after: {
+            tag_id: tag._id,
+            items: customerReturn.items.map(item => ({ instance_id: item.instance_id, condition: item.condition }))
+          }
+        },
+        category: 'business'
+      });
+
+      await customerReturn.populate('items.sku_id', 'sku_code name');
+
+      res.status(201).json({
+        message: `Returned ${customerReturn.items.length} item(s) from ${tag.customer_name}`,
+        customer_return: customerReturn
+      });
+    } catch (error) {
+      console.error('Create tag return error:', error);
+      res.status(500).json({ message: 'Failed to process return', error: error.message });
+    }
+  }
+);
+
 // POST /api/tags/:id/stage - Stage tag items (verify/load checklist)
 router.post('/:id/stage', 
   auth,
@@ -1355,6 +1705,75 @@ router.post('/:id/cancel',
   }
 );
 
+// POST /api/tags/:id/hold/extend - Extend an active tag's hold past the hold policy (Admin only)
+router.post('/:id/hold/extend',
+  auth,
+  requireAdminAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid tag ID'),
+    body('until').optional().isISO8601().withMessage('until must be a valid date'),
+    body('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      if (!req.body.until && !req.body.days) {
+        return res.status(400).json({ message: 'Either until or days is required' });
+      }
+
+      const tag = await Tag.findById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+      if (tag.status !== 'active') {
+        return res.status(400).json({ message: 'Can only extend the hold of an active tag' });
+      }
+
+      const previousExpiry = await getHoldExpiry(tag);
+      const until = req.body.until
+        ? new Date(req.body.until)
+        : new Date((previousExpiry || new Date()).getTime() + parseInt(req.body.days) * 24 * 60 * 60 * 1000);
+      if (until <= new Date()) {
+        return res.status(400).json({ message: 'The hold can only be extended to a future date' });
+      }
+
+      tag.extendHold(until, req.user.username, req.body.reason || '');
+      await tag.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'tag',
+        entity_id: tag._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tag Hold Extended',
+        description: `Extended the hold on ${tag.customer_name}'s tag until ${until.toISOString().slice(0, 10)}` +
+          `${req.body.reason ? `: ${req.body.reason}` : ''}`,
+        changes: {
+          before: { hold_expires_at: previousExpiry },
+          after: { hold_expires_at: await getHoldExpiry(tag) }
+        },
+        category: 'business'
+      });
+
+      res.json({
+        message: 'Hold extended',
+        tag,
+        hold_expires_at: await getHoldExpiry(tag)
+      });
+
+    } catch (error) {
+      console.error('Extend tag hold error:', error);
+      res.status(500).json({ message: 'Failed to extend hold', error: error.message });
+    }
+  }
+);
+
 // PUT /api/tags/:id/items/add - Add items to existing tag
 router.put('/:id/items/add', 
   auth,
@@ -1606,7 +2025,7 @@ router.delete('/:id',
       }
 
       // 🚨 FIX: Release all instances by setting tag_id to null
-      await tag.releaseInstances();
+      await tag.releaseInstances(req.user.username);
 
       await Tag.findByIdAndDelete(req.params.id);
 
@@ -0,0 +1,527 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const ToolReservation = require('../models/ToolReservation');
+const SKU = require('../models/SKU');
+const Category = require('../models/Category');
+const Customer = require('../models/Customer');
+const Contractor = require('../models/Contractor');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 92;
+
+// Validation for the booked tools and date range
+const validateBooking = [
+  body('sku_items').isArray({ min: 1 }).withMessage('At least one tool SKU is required'),
+  body('sku_items.*.sku_id').isMongoId().withMessage('Each item needs a valid SKU ID'),
+  body('sku_items.*.quantity').isInt({ min: 1 }).withMessage('Each item quantity must be at least 1'),
+  body('start_date').isISO8601().withMessage('Start date must be a valid date'),
+  body('end_date').isISO8601().withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.start_date)) {
+        throw new Error('End date cannot be before the start date');
+      }
+      return true;
+    })
+];
+
+// Validation for who the tools are booked for
+const validateParty = [
+  body('customer_id').optional({ values: 'null' }).isMongoId().withMessage('Customer ID must be a valid MongoDB ID'),
+  body('project_id').optional({ values: 'null' }).isMongoId().withMessage('Project ID must be a valid MongoDB ID'),
+  body('project_name').optional().trim().isLength({ max: 200 }).withMessage('Project name cannot exceed 200 characters'),
+  body('contractor_id').optional({ values: 'null' }).isMongoId().withMessage('Contractor ID must be a valid MongoDB ID'),
+  body('contractor_name').optional().trim().isLength({ max: 200 }).withMessage('Contractor name cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Helper to load the booked SKUs, checking they are all tools. Returns { skus } or { error }.
+async function loadToolSkus(skuIds) {
+  const uniqueIds = [...new Set(skuIds.map(id => id.toString()))];
+  const skus = await SKU.find({ _id: { $in: uniqueIds } }).populate('category_id', 'type').select('sku_code name category_id');
+
+  const missing = uniqueIds.filter(id => !skus.some(sku => sku._id.toString() === id));
+  if (missing.length > 0) {
+    return { error: `SKU ${missing[0]} not found` };
+  }
+  const notTool = skus.find(sku => !sku.category_id || sku.category_id.type !== 'tool');
+  if (notTool) {
+    return { error: `SKU ${notTool.sku_code} is not a tool and cannot be reserved` };
+  }
+  return { skus };
+}
+
+// Helper to add SKU codes to conflicts for display
+const describeConflicts = (conflicts, skus) => conflicts.map(conflict => {
+  const sku = skus.find(candidate => candidate._id.toString() === conflict.sku_id);
+  return { ...conflict, sku_code: sku.sku_code, name: sku.name };
+});
+
+// Helper to resolve the contractor for a booking (optional - null when none is named)
+async function resolveContractor({ contractor_id, contractor_name }, username) {
+  if (contractor_id) {
+    const contractor = await Contractor.findById(contractor_id);
+    if (!contractor) {
+      const err = new Error('Contractor not found');
+      err.code = 'CONTRACTOR_NOT_FOUND';
+      throw err;
+    }
+    return contractor;
+  }
+  return contractor_name ? Contractor.findOrCreateByName(contractor_name, username) : null;
+}
+
+// GET /api/tool-reservations - List reservations
+router.get('/',
+  auth,
+  [
+    query('status').optional().isIn(['booked', 'converted', 'cancelled', 'expired']).withMessage('Invalid status'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('customer_id').optional().isMongoId().withMessage('Invalid customer ID'),
+    query('project_id').optional().isMongoId().withMessage('Invalid project ID'),
+    query('contractor_id').optional().isMongoId().withMessage('Invalid contractor ID'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { status, sku_id, customer_id, project_id, contractor_id, from, to, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (sku_id) filter['sku_items.sku_id'] = sku_id;
+      if (customer_id) filter.customer_id = customer_id;
+      if (project_id) filter.project_id = project_id;
+      if (contractor_id) filter.contractor_id = contractor_id;
+      // Bookings overlapping the window
+      if (from) filter.end_date = { $gte: ToolReservation.startOfDay(from) };
+      if (to) filter.start_date = { $lte: ToolReservation.startOfDay(to) };
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [reservations, total] = await Promise.all([
+        ToolReservation.find(filter)
+          .populate('sku_items.sku_id', 'sku_code name')
+          .populate('contractor_id', 'name status')
+          .sort({ start_date: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        ToolReservation.countDocuments(filter)
+      ]);
+
+      res.json({
+        reservations,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get tool reservations error:', error);
+      res.status(500).json({ message: 'Failed to fetch tool reservations', error: error.message });
+    }
+  }
+);
+
+// GET /api/tool-reservations/calendar - Loaned, booked and free tools per SKU per day
+router.get('/calendar',
+  auth,
+  [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('category_id').optional().isMongoId().withMessage('Invalid category ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const from = ToolReservation.startOfDay(req.query.from || new Date());
+      const to = req.query.to ? ToolReservation.startOfDay(req.query.to) : new Date(from.getTime() + 13 * DAY_MS);
+      const dayCount = Math.round((to - from) / DAY_MS) + 1;
+      if (dayCount < 1 || dayCount > MAX_CALENDAR_DAYS) {
+        return res.status(400).json({ message: `Calendar range must be 1-${MAX_CALENDAR_DAYS} days` });
+      }
+
+      const toolCategoryFilter = { type: 'tool' };
+      if (req.query.category_id) toolCategoryFilter._id = req.query.category_id;
+      const toolCategoryIds = await Category.find(toolCategoryFilter).distinct('_id');
+
+      const skuFilter = { category_id: { $in: toolCategoryIds } };
+      if (req.query.sku_id) skuFilter._id = req.query.sku_id;
+      const skus = await SKU.find(skuFilter).select('sku_code name').sort({ sku_code: 1 });
+
+      const availability = await ToolReservation.getAvailability(skus.map(sku => sku._id), from, to);
+
+      res.json({
+        from: ToolReservation.dayKey(from),
+        to: ToolReservation.dayKey(to),
+        skus: skus.map(sku => ({
+          sku,
+          ...availability.get(sku._id.toString())
+        }))
+      });
+    } catch (error) {
+      console.error('Get tool calendar error:', error);
+      res.status(500).json({ message: 'Failed to build tool calendar', error: error.message });
+    }
+  }
+);
+
+// POST /api/tool-reservations/check - Check whether tools can be booked for a date range
+router.post('/check',
+  auth,
+  [
+    ...validateBooking,
+    body('reservation_id').optional().isMongoId().withMessage('Invalid reservation ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { skus, error } = await loadToolSkus(req.body.sku_items.map(item => item.sku_id));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const conflicts = await ToolReservation.findConflicts(
+        req.body.sku_items, req.body.start_date, req.body.end_date, { excludeId: req.body.reservation_id }
+      );
+
+      res.json({
+        available: conflicts.length === 0,
+        conflicts: describeConflicts(conflicts, skus)
+      });
+    } catch (error) {
+      console.error('Check tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to check tool availability', error: error.message });
+    }
+  }
+);
+
+// GET /api/tool-reservations/:id - Get a reservation
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid reservation ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const reservation = await ToolReservation.findById(req.params.id)
+        .populate('sku_items.sku_id', 'sku_code name')
+        .populate('contractor_id', 'name status')
+        .populate('tag_id', 'status due_date');
+      if (!reservation) {
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+
+      res.json({ reservation });
+    } catch (error) {
+      console.error('Get tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to fetch tool reservation', error: error.message });
+    }
+  }
+);
+
+// POST /api/tool-reservations - Book tools for a future date range
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('customer_name')
+      .if(body('customer_id').not().exists({ values: 'null' }))
+      .trim()
+      .notEmpty()
+      .isLength({ max: 200 })
+      .withMessage('Customer name is required (max 200 characters)'),
+    ...validateParty,
+    ...validateBooking
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      if (ToolReservation.startOfDay(req.body.start_date) < ToolReservation.startOfDay(new Date())) {
+        return res.status(400).json({ message: 'Start date cannot be in the past' });
+      }
+
+      const { skus, error } = await loadToolSkus(req.body.sku_items.map(item => item.sku_id));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      let link;
+      let contractor;
+      try {
+        link = await Customer.resolveTagLink(req.body, req.user.username);
+        contractor = await resolveContractor(req.body, req.user.username);
+      } catch (linkError) {
+        if (linkError.code) {
+          return res.status(linkError.code === 'CONTRACTOR_NOT_FOUND' ? 404 : 400)
+            .json({ message: linkError.message, code: linkError.code });
+        }
+        throw linkError;
+      }
+
+      // Limits are checked when the tools are handed out; a blocked contractor can't book at all
+      if (contractor && contractor.status === 'blocked') {
+        return res.status(400).json({
+          message: `${contractor.name} is blocked from checking out tools${contractor.blocked_reason ? `: ${contractor.blocked_reason}` : ''}`,
+          code: 'CONTRACTOR_BLOCKED'
+        });
+      }
+
+      const conflicts = await ToolReservation.findConflicts(req.body.sku_items, req.body.start_date, req.body.end_date);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: 'Not enough tools free for the requested dates',
+          code: 'RESERVATION_CONFLICT',
+          conflicts: describeConflicts(conflicts, skus)
+        });
+      }
+
+      const reservation = new ToolReservation({
+        reservation_number: await ToolReservation.generateReservationNumber(),
+        ...link,
+        contractor_id: contractor ? contractor._id : null,
+        sku_items: req.body.sku_items.map(item => ({ sku_id: item.sku_id, quantity: item.quantity })),
+        start_date: req.body.start_date,
+        end_date: req.body.end_date,
+        notes: req.body.notes || '',
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      await reservation.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'tool_reservation',
+        entity_id: reservation._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tools Reserved',
+        description: `Reserved ${reservation.getTotalQuantity()} tool(s) for ${reservation.customer_name} ` +
+          `${ToolReservation.dayKey(reservation.start_date)} to ${ToolReservation.dayKey(reservation.end_date)}`,
+        changes: { after: reservation.toObject() },
+        category: 'business'
+      });
+
+      res.status(201).json({ message: 'Tools reserved', reservation });
+    } catch (error) {
+      console.error('Create tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to reserve tools', error: error.message });
+    }
+  }
+);
+
+// PUT /api/tool-reservations/:id - Change the tools, dates, contractor or notes of a booking
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid reservation ID'),
+    body('sku_items').optional().isArray({ min: 1 }).withMessage('At least one tool SKU is required'),
+    body('sku_items.*.sku_id').isMongoId().withMessage('Each item needs a valid SKU ID'),
+    body('sku_items.*.quantity').isInt({ min: 1 }).withMessage('Each item quantity must be at least 1'),
+    body('start_date').optional().isISO8601().withMessage('Start date must be a valid date'),
+    body('end_date').optional().isISO8601().withMessage('End date must be a valid date'),
+    body('contractor_id').optional({ values: 'null' }).isMongoId().withMessage('Contractor ID must be a valid MongoDB ID'),
+    body('contractor_name').optional().trim().isLength({ max: 200 }).withMessage('Contractor name cannot exceed 200 characters'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const reservation = await ToolReservation.findById(req.params.id);
+      if (!reservation) {
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+      if (reservation.status !== 'booked') {
+        return res.status(400).json({ message: `Reservation is ${reservation.status} and can no longer be changed` });
+      }
+
+      const before = reservation.toObject();
+      const skuItems = req.body.sku_items || reservation.sku_items;
+      const startDate = req.body.start_date || reservation.start_date;
+      const endDate = req.body.end_date || reservation.end_date;
+      if (ToolReservation.startOfDay(endDate) < ToolReservation.startOfDay(startDate)) {
+        return res.status(400).json({ message: 'End date cannot be before the start date' });
+      }
+
+      const { skus, error } = await loadToolSkus(skuItems.map(item => item.sku_id));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      if (req.body.contractor_id !== undefined || req.body.contractor_name !== undefined) {
+        try {
+          const contractor = await resolveContractor(req.body, req.user.username);
+          reservation.contractor_id = contractor ? contractor._id : null;
+        } catch (contractorError) {
+          if (contractorError.code) {
+            return res.status(404).json({ message: contractorError.message, code: contractorError.code });
+          }
+          throw contractorError;
+        }
+      }
+
+      const conflicts = await ToolReservation.findConflicts(skuItems, startDate, endDate, { excludeId: reservation._id });
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          message: 'Not enough tools free for the requested dates',
+          code: 'RESERVATION_CONFLICT',
+          conflicts: describeConflicts(conflicts, skus)
+        });
+      }
+
+      reservation.sku_items = skuItems.map(item => ({ sku_id: item.sku_id, quantity: item.quantity }));
+      reservation.start_date = startDate;
+      reservation.end_date = endDate;
+      if (req.body.notes !== undefined) reservation.notes = req.body.notes;
+      reservation.conversion_error = '';
+      reservation.last_updated_by = req.user.username;
+      await reservation.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'tool_reservation',
+        entity_id: reservation._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tool Reservation Updated',
+        description: `Updated tool reservation ${reservation.reservation_number}`,
+        changes: { before, after: reservation.toObject() },
+        category: 'business'
+      });
+
+      res.json({ message: 'Reservation updated', reservation });
+    } catch (error) {
+      console.error('Update tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to update tool reservation', error: error.message });
+    }
+  }
+);
+
+// POST /api/tool-reservations/:id/cancel - Cancel a booking, freeing its capacity
+router.post('/:id/cancel',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid reservation ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const reservation = await ToolReservation.findById(req.params.id);
+      if (!reservation) {
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+      if (reservation.status !== 'booked') {
+        return res.status(400).json({ message: `Reservation is ${reservation.status} and can't be cancelled` });
+      }
+
+      reservation.status = 'cancelled';
+      reservation.last_updated_by = req.user.username;
+      await reservation.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'tool_reservation',
+        entity_id: reservation._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tool Reservation Cancelled',
+        description: `Cancelled tool reservation ${reservation.reservation_number}`,
+        changes: { after: { status: 'cancelled', reason: req.body.reason || '' } },
+        category: 'business'
+      });
+
+      res.json({ message: 'Reservation cancelled', reservation });
+    } catch (error) {
+      console.error('Cancel tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to cancel tool reservation', error: error.message });
+    }
+  }
+);
+
+// POST /api/tool-reservations/:id/convert - Hand the booked tools out now (creates the checkout tag)
+router.post('/:id/convert',
+  auth,
+  requireWriteAccess,
+  [param('id').isMongoId().withMessage('Invalid reservation ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const reservation = await ToolReservation.findById(req.params.id);
+      if (!reservation) {
+        return res.status(404).json({ message: 'Reservation not found' });
+      }
+
+      let tag;
+      try {
+        tag = await reservation.convert(req.user.username);
+      } catch (convertError) {
+        if (convertError.code) {
+          return res.status(400).json({ message: convertError.message, code: convertError.code });
+        }
+        throw convertError;
+      }
+      await reservation.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'tool_reservation',
+        entity_id: reservation._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Tool Reservation Checked Out',
+        description: `Checked out tool reservation ${reservation.reservation_number} to ${reservation.customer_name}`,
+        changes: { after: { status: 'converted', tag_id: tag._id } },
+        category: 'business'
+      });
+
+      res.json({ message: 'Reservation checked out', reservation, tag });
+    } catch (error) {
+      console.error('Convert tool reservation error:', error);
+      res.status(500).json({ message: 'Failed to check out tool reservation', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
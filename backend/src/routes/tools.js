@@ -8,17 +8,39 @@ const Category = require('../models/Category');
 const Tag = require('../models/Tag');
 const Instance = require('../models/Instance');
 const Inventory = require('../models/Inventory');
+const Customer = require('../models/Customer');
+const MaintenanceOrder = require('../models/MaintenanceOrder');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const Contractor = require('../models/Contractor');
+const StockMovement = require('../models/StockMovement');
 const { auth, requireRole, requireWriteAccess } = require('../middleware/authEnhanced');
 const AuditLog = require('../models/AuditLog');
+const { buildToolUtilization } = require('../utils/toolUtilization');
+const { jsonToCsv } = require('../utils/csv');
+const { getContractorOverdueLoans } = require('../utils/overdueReminders');
 
 // Validation middleware for tool checkout
 const validateToolCheckout = [
+  body('customer_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Customer ID must be a valid MongoDB ID'),
   body('customer_name')
+    .if(body('customer_id').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('Customer name is required')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Customer name must be between 1 and 200 characters'),
+  body('contractor_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Contractor ID must be a valid MongoDB ID'),
+  body('contractor_name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Contractor name cannot exceed 200 characters'),
   body('tag_type')
     .optional()
     .isIn(['reserved', 'broken', 'imperfect', 'loaned', 'stock'])
@@ -40,6 +62,14 @@ const validateToolCheckout = [
       if (!item.sku_id || typeof item.sku_id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(item.sku_id)) {
         throw new Error(`sku_items[${i}].sku_id must be a valid MongoDB ID`);
       }
+      if (item.serial_numbers !== undefined &&
+          (!Array.isArray(item.serial_numbers) || item.serial_numbers.some(code => typeof code !== 'string' || !code.trim()))) {
+        throw new Error(`sku_items[${i}].serial_numbers must be an array of serial numbers or asset tags`);
+      }
+      // Picking exact units by serial number / asset tag sets the quantity
+      if (Array.isArray(item.serial_numbers) && item.serial_numbers.length > 0) {
+        continue;
+      }
       if (!item.quantity || typeof item.quantity !== 'number' || item.quantity < 1 || !Number.isInteger(item.quantity)) {
         throw new Error(`sku_items[${i}].quantity must be a positive integer`);
       }
@@ -57,6 +87,57 @@ const validateToolCheckout = [
     .withMessage('Due date must be a valid date')
 ];
 
+// Put returned tools that aren't functional out of service, one maintenance order per tool
+const openReturnMaintenanceOrders = async (instances, { condition, issue, tag, openedBy }) => {
+  if (!condition || condition === 'functional') {
+    return [];
+  }
+
+  const orders = [];
+  for (const instance of instances) {
+    orders.push(await MaintenanceOrder.openForInstance(instance, {
+      condition,
+      issue: issue || `Returned ${condition} from ${tag.customer_name}`,
+      source: 'tool_return',
+      sourceTagId: tag._id,
+      fromState: 'available',
+      openedBy
+    }));
+  }
+  return orders;
+};
+
+// Check the tools a checkout could take against their maintenance plans. Tools overdue under a
+// 'block' plan are excluded (or refuse the checkout when selected or needed); the rest of the
+// due/overdue results are returned so the response can warn about them.
+const checkServiceDue = async (skuItems) => {
+  const candidates = await Instance.find(Instance.availableFilter({
+    sku_id: { $in: skuItems.map(item => item.sku_id) }
+  }));
+  const serviceStatus = await MaintenancePlan.getServiceStatus(candidates);
+  const blocking = serviceStatus.filter(result => result.status === 'overdue' && result.enforcement === 'block');
+  const blockedIds = [...new Set(blocking.map(result => result.instance_id.toString()))];
+
+  for (const item of skuItems) {
+    const blockedForItem = blocking.filter(result => result.sku_id.toString() === item.sku_id);
+    const selectedIds = (item.selected_instance_ids || []).map(id => id.toString());
+
+    let refused = [];
+    if (item.selection_method === 'manual' && selectedIds.length > 0) {
+      refused = blockedForItem.filter(result => selectedIds.includes(result.instance_id.toString()));
+    } else {
+      const inService = candidates.filter(instance => instance.sku_id.toString() === item.sku_id).length -
+        new Set(blockedForItem.map(result => result.instance_id.toString())).size;
+      if (inService < item.quantity) refused = blockedForItem;
+    }
+    if (refused.length > 0) {
+      return { refused };
+    }
+  }
+
+  return { blockedIds, serviceStatus };
+};
+
 // GET /api/tools/inventory - Get tools-only inventory view
 router.get('/inventory', auth, async (req, res) => {
   try {
@@ -64,6 +145,7 @@ router.get('/inventory', auth, async (req, res) => {
       category_id,
       search,
       status = 'all', // all, low_stock, out_of_stock, overstock, needs_reorder
+      condition, // needs_maintenance, broken, out_of_service - SKUs with tools in that condition
       page = 1,
       limit = 50,
       sort_by = 'sku_code',
@@ -100,12 +182,15 @@ router.get('/inventory', auth, async (req, res) => {
         }
       },
       
-      // ✅ REAL-TIME CALCULATION: Count instances for each SKU
+      // ✅ REAL-TIME CALCULATION: Count instances for each SKU (disposed and kitted units aren't on hand;
+      // the Instance query hooks don't reach inside $lookup)
       {
         $lookup: {
           from: 'instances',
-          localField: '_id',
-          foreignField: 'sku_id',
+          let: { skuId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$sku_id', '$$skuId'] }, ...Instance.onHandFilter() } }
+          ],
           as: 'all_instances'
         }
       },
@@ -119,7 +204,8 @@ router.get('/inventory', auth, async (req, res) => {
             {
               $match: {
                 $expr: { $eq: ['$sku_id', '$$skuId'] },
-                tag_id: { $ne: null }
+                tag_id: { $ne: null },
+                ...Instance.onHandFilter()
               }
             },
             {
@@ -147,11 +233,33 @@ router.get('/inventory', auth, async (req, res) => {
         $addFields: {
           sku_id: '$_id', // For compatibility
           total_quantity: { $size: '$all_instances' },
+          // Untagged tools that are out of service (open maintenance orders) are not available
           available_quantity: {
             $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: {
+                  $and: [
+                    { $eq: ['$$this.tag_id', null] },
+                    { $not: [{ $in: [{ $ifNull: ['$$this.condition', 'functional'] }, Instance.OUT_OF_SERVICE_CONDITIONS] }] }
+                  ]
+                }
+              }
+            }
+          },
+          maintenance_quantity: {
+            $size: {
+              $filter: {
+                input: '$all_instances',
+                cond: { $eq: ['$$this.condition', 'needs_maintenance'] }
+              }
+            }
+          },
+          condition_broken_quantity: {
+            $size: {
+              $filter: {
+                input: '$all_instances',
+                cond: { $eq: ['$$this.condition', 'broken'] }
               }
             }
           },
@@ -239,7 +347,9 @@ router.get('/inventory', auth, async (req, res) => {
           total_quantity: 1,
           available_quantity: 1,
           reserved_quantity: 1,
-          broken_quantity: 1,
+          // Broken-tagged tools plus tools whose condition is broken
+          broken_quantity: { $add: ['$broken_quantity', '$condition_broken_quantity'] },
+          maintenance_quantity: 1,
           loaned_quantity: 1,
           total_value: 1, // Include calculated total value
           created_at: 1,
@@ -267,6 +377,19 @@ router.get('/inventory', auth, async (req, res) => {
       });
     }
 
+    // Add condition filtering
+    if (condition) {
+      const conditionMatch = {
+        needs_maintenance: { maintenance_quantity: { $gt: 0 } },
+        broken: { broken_quantity: { $gt: 0 } },
+        out_of_service: { $or: [{ maintenance_quantity: { $gt: 0 } }, { broken_quantity: { $gt: 0 } }] }
+      }[condition];
+      if (!conditionMatch) {
+        return res.status(400).json({ message: 'condition must be needs_maintenance, broken or out_of_service' });
+      }
+      pipeline.push({ $match: conditionMatch });
+    }
+
     // Add status filtering
     if (status !== 'all') {
       let statusMatch = {};
@@ -507,6 +630,8 @@ router.get('/tags',
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('customer_name').optional().trim(),
+    query('customer_id').optional().isMongoId().withMessage('Invalid customer ID'),
+    query('contractor_id').optional().isMongoId().withMessage('Invalid contractor ID'),
     query('tag_type').optional().custom((value) => {
       if (!value || value === '') return true; // Allow empty string
       return ['reserved', 'broken', 'imperfect', 'loaned', 'stock'].includes(value);
@@ -577,6 +702,14 @@ router.get('/tags',
       if (req.query.customer_name && req.query.customer_name.trim()) {
         filter.customer_name = new RegExp(req.query.customer_name.trim(), 'i');
       }
+
+      if (req.query.customer_id) {
+        filter.customer_id = req.query.customer_id;
+      }
+
+      if (req.query.contractor_id) {
+        filter.contractor_id = req.query.contractor_id;
+      }
       
       if (req.query.tag_type && req.query.tag_type.trim()) {
         filter.tag_type = req.query.tag_type;
@@ -739,13 +872,82 @@ router.post('/checkout',
 
       console.log('✅ All SKUs verified as tools, creating checkout tag...');
 
+      // Exact tools picked by serial number / asset tag become manual selections
+      try {
+        await Instance.applySerialSelections(skuItemsToProcess);
+      } catch (identifierError) {
+        if (identifierError.code) {
+          return res.status(400).json({ message: identifierError.message, code: identifierError.code });
+        }
+        throw identifierError;
+      }
+
+      const serviceCheck = await checkServiceDue(skuItemsToProcess);
+      if (serviceCheck.refused) {
+        return res.status(400).json({
+          message: 'Checkout needs tools that are overdue for service - service them first or pick other tools',
+          code: 'SERVICE_OVERDUE',
+          service_due: serviceCheck.refused
+        });
+      }
+
+      let link;
+      try {
+        link = await Customer.resolveTagLink(req.body, req.user.username);
+      } catch (linkError) {
+        if (linkError.code) {
+          return res.status(400).json({ message: linkError.message, code: linkError.code });
+        }
+        throw linkError;
+      }
+
+      // The contractor holding the tools, if any. A contractor_name we don't know yet is only
+      // registered once the checkout has gone through.
+      let contractor = null;
+      if (req.body.contractor_id) {
+        contractor = await Contractor.findById(req.body.contractor_id);
+        if (!contractor) {
+          return res.status(404).json({ message: 'Contractor not found' });
+        }
+      } else if (req.body.contractor_name) {
+        contractor = await Contractor.findByName(req.body.contractor_name) || new Contractor({
+          name: req.body.contractor_name.trim(),
+          created_by: req.user.username,
+          last_updated_by: req.user.username
+        });
+      }
+
+      let overdueWarnings = [];
+      if (contractor) {
+        const checkoutQuantity = skuItemsToProcess.reduce((total, item) =>
+          total + (item.selection_method === 'manual' && item.selected_instance_ids?.length
+            ? item.selected_instance_ids.length
+            : item.quantity), 0);
+        try {
+          await contractor.assertCanCheckout(checkoutQuantity);
+        } catch (contractorError) {
+          if (contractorError.code) {
+            return res.status(400).json({ message: contractorError.message, code: contractorError.code });
+          }
+          throw contractorError;
+        }
+
+        // Not a blocker, but whoever hands the tools over should chase the late ones
+        overdueWarnings = await getContractorOverdueLoans(contractor._id);
+      }
+
       // Create the tag for tool checkout (similar to existing tag creation)
       const tagData = {
-        customer_name: req.body.customer_name,
+        ...link,
+        contractor_id: contractor ? contractor._id : null,
         tag_type: req.body.tag_type || 'loaned', // Default to loaned for tool checkout
-        project_name: req.body.project_name || '',
         sku_items: skuItemsToProcess,
-        notes: req.body.notes || `Tool checkout for ${req.body.customer_name}`,
+        notes: [{
+          message: req.body.notes || `Tool checkout for ${link.customer_name}`,
+          author: req.user.username,
+          author_role: req.user.role,
+          kind: 'user'
+        }],
         due_date: req.body.due_date ? new Date(req.body.due_date) : null,
         status: 'active',
         created_by: req.user.username,
@@ -759,17 +961,38 @@ router.post('/checkout',
       
       // ✅ ASSIGN INSTANCES: Automatically assign available instances to the tag
       try {
-        await tag.assignInstances();
+        await tag.assignInstances({ movementType: 'tool_checkout', excludeInstanceIds: serviceCheck.blockedIds });
         await tag.save(); // Save the tag to persist selected_instance_ids changes
         console.log(`✅ Assigned instances to tool checkout tag ${tag._id}`);
       } catch (error) {
         console.error('Failed to assign instances to tag:', error);
+        // Put back whatever was assigned and drop the tag, so a refused checkout leaves nothing behind
+        await tag.releaseInstances(req.user.username);
+        await Tag.deleteOne({ _id: tag._id });
         return res.status(400).json({
           message: 'Failed to assign instances to checkout',
           error: error.message
         });
       }
 
+      if (contractor && contractor.isNew) {
+        try {
+          await contractor.save();
+        } catch (contractorError) {
+          if (contractorError.code !== 11000) throw contractorError;
+          // Registered by another checkout in the meantime
+          contractor = await Contractor.findByName(contractor.name);
+          tag.contractor_id = contractor._id;
+          await tag.save();
+        }
+      }
+
+      // Count the checkout towards usage-based service intervals
+      const checkedOutIds = tag.sku_items.flatMap(item => item.selected_instance_ids.map(id => id.toString()));
+      await Instance.updateMany({ _id: { $in: checkedOutIds } }, { $inc: { checkout_count: 1 } });
+      const serviceWarnings = serviceCheck.serviceStatus.filter(result =>
+        result.status !== 'ok' && checkedOutIds.includes(result.instance_id.toString()));
+
       // Populate the tag with SKU details for response
       const populatedTag = await Tag.findById(tag._id)
         .populate({
@@ -789,10 +1012,10 @@ router.post('/checkout',
         user_id: req.user._id.toString(),
         user_name: req.user.username,
         action: 'CREATE_TOOL_CHECKOUT',
-        description: `Tool checkout created for ${req.body.customer_name} with ${skuItemsToProcess.length} SKU(s)`,
+        description: `Tool checkout created for ${link.customer_name} with ${skuItemsToProcess.length} SKU(s)`,
         metadata: {
-          customer_name: req.body.customer_name,
-          project_name: req.body.project_name,
+          customer_name: link.customer_name,
+          project_name: link.project_name,
           tag_type: tagData.tag_type,
           sku_count: skuItemsToProcess.length,
           total_quantity: populatedTag.getTotalQuantity()
@@ -803,7 +1026,9 @@ router.post('/checkout',
 
       res.status(201).json({ 
         message: 'Tool checkout created successfully',
-        tag: tagObj
+        tag: tagObj,
+        service_warnings: serviceWarnings,
+        overdue_warnings: overdueWarnings
       });
 
     } catch (error) {
@@ -897,6 +1122,8 @@ router.post('/:id/return',
         return ids.concat(item.selected_instance_ids || []);
       }, []);
 
+      const returnedInstances = await Instance.find({ _id: { $in: allInstanceIds } });
+
       // Update instances to make them available again (tag_id: null)
       await Instance.updateMany(
         { _id: { $in: allInstanceIds } },
@@ -905,38 +1132,32 @@ router.post('/:id/return',
 
       console.log(`✅ Updated ${allInstanceIds.length} instances back to available status`);
 
-      // Handle condition-based tagging if needed
-      if (returned_condition && returned_condition !== 'functional') {
-        // Create a new tag for tools that need maintenance or are broken
-        const conditionTagData = {
-          customer_name: `Maintenance - ${tag.customer_name}`,
-          tag_type: returned_condition === 'broken' ? 'broken' : 'reserved', // Use 'reserved' for maintenance
-          project_name: `Tool condition: ${returned_condition}`,
-          sku_items: tag.sku_items.map(item => ({
-            sku_id: item.sku_id._id,
-            selected_instance_ids: item.selected_instance_ids,
-            selection_method: 'manual',
-            quantity: item.selected_instance_ids ? item.selected_instance_ids.length : 0,
-            remaining_quantity: item.selected_instance_ids ? item.selected_instance_ids.length : 0,
-            notes: `Returned with condition: ${returned_condition}`
-          })),
-          notes: return_notes || `Tools returned with condition: ${returned_condition}`,
-          status: 'active',
-          created_by: req.user.username,
-          last_updated_by: req.user.username
-        };
-
-        const conditionTag = new Tag(conditionTagData);
-        await conditionTag.save();
+      await StockMovement.recordInstances(returnedInstances, {
+        movement_type: 'tool_return',
+        from_state: tag.tag_type,
+        to_state: 'available',
+        source_type: 'tag',
+        source_id: tag._id,
+        source_reference: tag.customer_name,
+        reason: return_notes || `Returned ${returned_condition || 'functional'}`,
+        performed_by: req.user.username
+      });
 
-        // Re-assign instances to the condition tag
-        await Instance.updateMany(
-          { _id: { $in: allInstanceIds } },
-          { tag_id: conditionTag._id }
-        );
+      // Tools that came back damaged go out of service with a maintenance order each
+      const maintenanceOrders = await openReturnMaintenanceOrders(returnedInstances, {
+        condition: returned_condition,
+        issue: return_notes,
+        tag,
+        openedBy: req.user.username
+      });
 
-        console.log(`✅ Created condition tag ${conditionTag._id} for ${returned_condition} tools`);
-      }
+      tag.recordReturn({
+        instanceIds: allInstanceIds,
+        condition: returned_condition,
+        notes: return_notes,
+        maintenanceOrders,
+        returnedBy: req.user.username
+      });
 
       // Mark original tag as fulfilled (returned)
       tag.status = 'fulfilled';
@@ -994,7 +1215,8 @@ router.post('/:id/return',
         message: 'Tools returned successfully',
         tag: tagObj,
         instances_returned: totalInstancesToReturn,
-        condition: returned_condition || 'functional'
+        condition: returned_condition || 'functional',
+        maintenance_orders: maintenanceOrders
       });
 
     } catch (error) {
@@ -1007,7 +1229,6 @@ router.post('/:id/return',
   }
 );
 
-// PUT /api/tools/:id/condition - Change tool condition status
 // POST /api/tools/:id/partial-return - Return a subset of instances from a loan
 router.post('/:id/partial-return',
   auth,
@@ -1024,8 +1245,15 @@ router.post('/:id/partial-return',
         if (!item.sku_id || typeof item.sku_id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(item.sku_id)) {
           throw new Error(`items[${i}].sku_id must be a valid MongoDB ID`);
         }
+        // Tools can be picked by serial number / asset tag instead of instance ID
+        if (Array.isArray(item.serial_numbers) && item.serial_numbers.length > 0 && item.instance_ids === undefined) {
+          if (item.serial_numbers.some(code => typeof code !== 'string' || !code.trim())) {
+            throw new Error(`items[${i}].serial_numbers must be an array of serial numbers or asset tags`);
+          }
+          continue;
+        }
         if (!item.instance_ids || !Array.isArray(item.instance_ids) || item.instance_ids.length === 0) {
-          throw new Error(`items[${i}].instance_ids must be a non-empty array`);
+          throw new Error(`items[${i}].instance_ids or items[${i}].serial_numbers must be a non-empty array`);
         }
         for (let j = 0; j < item.instance_ids.length; j++) {
           const instanceId = item.instance_ids[j];
@@ -1079,6 +1307,17 @@ router.post('/:id/partial-return',
         if (!tagItem) {
           return res.status(400).json({ message: `SKU ${reqItem.sku_id} not found in this tag` });
         }
+        if (!reqItem.instance_ids) {
+          try {
+            const instances = await Instance.resolveIdentifiers(reqItem.sku_id, reqItem.serial_numbers);
+            reqItem.instance_ids = instances.map(instance => instance._id.toString());
+          } catch (identifierError) {
+            if (identifierError.code) {
+              return res.status(400).json({ message: identifierError.message, code: identifierError.code });
+            }
+            throw identifierError;
+          }
+        }
         const availableIds = (tagItem.selected_instance_ids || []).map(id => id.toString());
         const invalid = reqItem.instance_ids.filter(id => !availableIds.includes(id));
         if (invalid.length > 0) {
@@ -1092,32 +1331,35 @@ router.post('/:id/partial-return',
         return res.status(400).json({ message: 'No instances selected for return' });
       }
 
-      // Free or reassign instances based on condition
-      if (!returned_condition || returned_condition === 'functional') {
-        await Instance.updateMany({ _id: { $in: instanceIdsToFree } }, { tag_id: null });
-      } else {
-        // Build a condition tag with the returned instances
-        const conditionTagData = {
-          customer_name: `Maintenance - ${tag.customer_name}`,
-          tag_type: returned_condition === 'broken' ? 'broken' : 'reserved',
-          project_name: `Tool condition: ${returned_condition}`,
-          sku_items: items.map(reqItem => ({
-            sku_id: reqItem.sku_id,
-            selected_instance_ids: reqItem.instance_ids,
-            selection_method: 'manual',
-            quantity: reqItem.instance_ids.length,
-            remaining_quantity: reqItem.instance_ids.length,
-            notes: `Returned with condition: ${returned_condition}`
-          })),
-          notes: return_notes || `Tools returned with condition: ${returned_condition}`,
-          status: 'active',
-          created_by: req.user.username,
-          last_updated_by: req.user.username
-        };
-        const conditionTag = new Tag(conditionTagData);
-        await conditionTag.save();
-        await Instance.updateMany({ _id: { $in: instanceIdsToFree } }, { tag_id: conditionTag._id });
-      }
+      const returnedInstances = await Instance.find({ _id: { $in: instanceIdsToFree } });
+
+      await Instance.updateMany({ _id: { $in: instanceIdsToFree } }, { tag_id: null });
+
+      await StockMovement.recordInstances(returnedInstances, {
+        movement_type: 'tool_return',
+        from_state: tag.tag_type,
+        to_state: 'available',
+        source_type: 'tag',
+        source_id: tag._id,
+        source_reference: tag.customer_name,
+        reason: return_notes || `Partial return (${returned_condition || 'functional'})`,
+        performed_by: req.user.username
+      });
+
+      const maintenanceOrders = await openReturnMaintenanceOrders(returnedInstances, {
+        condition: returned_condition,
+        issue: return_notes,
+        tag,
+        openedBy: req.user.username
+      });
+
+      tag.recordReturn({
+        instanceIds: instanceIdsToFree,
+        condition: returned_condition,
+        notes: return_notes,
+        maintenanceOrders,
+        returnedBy: req.user.username
+      });
 
       // Remove returned instances from original tag items and filter out empty SKUs
       const updatedSkuItems = [];
@@ -1188,7 +1430,8 @@ router.post('/:id/partial-return',
         message: 'Partial return processed successfully',
         tag: tagObj,
         instances_returned: totalToReturn,
-        condition: returned_condition || 'functional'
+        condition: returned_condition || 'functional',
+        maintenance_orders: maintenanceOrders
       });
     } catch (error) {
       console.error('Tools partial return error:', error);
@@ -1197,6 +1440,7 @@ router.post('/:id/partial-return',
   }
 );
 
+// PUT /api/tools/:id/condition - Change a tool instance's condition (opens/closes its maintenance order)
 router.put('/:id/condition',
   auth,
   requireWriteAccess,
@@ -1249,101 +1493,66 @@ router.put('/:id/condition',
         });
       }
 
-      // Check current status
+      const currentCondition = instance.condition || 'functional';
       const currentTag = instance.tag_id ? await Tag.findById(instance.tag_id) : null;
-      const currentCondition = currentTag ? 
-        (currentTag.tag_type === 'broken' ? 'broken' : 
-         currentTag.tag_type === 'reserved' && currentTag.project_name?.includes('Tool condition') ? 'needs_maintenance' : 
-         'loaned') : 'functional';
 
       console.log(`Current condition: ${currentCondition}, New condition: ${condition}`);
 
       // Prevent condition changes on loaned tools (except to broken for emergencies)
-      if (currentTag && currentTag.tag_type === 'loaned' && currentTag.project_name && !currentTag.project_name.includes('Tool condition')) {
-        if (condition !== 'broken') {
-          return res.status(400).json({
-            message: 'Cannot change condition of loaned tools. Return the tool first, or mark as broken if emergency.'
-          });
-        }
+      if (currentTag && condition !== 'broken') {
+        return res.status(400).json({
+          message: 'Cannot change condition of loaned tools. Return the tool first, or mark as broken if emergency.'
+        });
       }
 
       // If no change needed
-      if (currentCondition === condition) {
+      if (currentCondition === condition && !currentTag) {
         return res.json({
           message: 'Tool condition unchanged',
           instance: {
             _id: instance._id,
             sku_id: instance.sku_id,
-            condition: currentCondition
+            condition: currentCondition,
+            maintenance_order_id: instance.maintenance_order_id
           }
         });
       }
 
       console.log(`✅ Changing tool condition from ${currentCondition} to ${condition}`);
 
-      let newTag = null;
+      let maintenanceOrder = instance.maintenance_order_id
+        ? await MaintenanceOrder.findById(instance.maintenance_order_id)
+        : null;
       let actionDescription = '';
 
       if (condition === 'functional') {
-        // Make tool available - remove from any condition tag
-        if (instance.tag_id) {
-          // Remove from current tag
-          if (currentTag) {
-            // Remove instance from current tag's selected_instance_ids
-            currentTag.sku_items.forEach(item => {
-              if (item.sku_id.toString() === instance.sku_id._id.toString()) {
-                item.selected_instance_ids = item.selected_instance_ids.filter(
-                  id => id.toString() !== instance._id.toString()
-                );
-                item.remaining_quantity = item.selected_instance_ids.length;
-                item.quantity = item.selected_instance_ids.length;
-              }
-            });
-            
-            // If tag has no more instances, mark as fulfilled
-            const totalRemaining = currentTag.sku_items.reduce((total, item) => 
-              total + (item.selected_instance_ids ? item.selected_instance_ids.length : 0), 0);
-              
-            if (totalRemaining === 0) {
-              currentTag.status = 'fulfilled';
-              currentTag.fulfilled_date = new Date();
-              currentTag.fulfilled_by = req.user.username;
-            }
-            
-            await currentTag.save();
-          }
-          
-          // Set instance as available
-          instance.tag_id = null;
+        if (maintenanceOrder && maintenanceOrder.isOpen()) {
+          // Back in service - close the work order as repaired
+          await maintenanceOrder.applyUpdate({
+            status: 'repaired',
+            notes: notes || reason || 'Marked functional'
+          }, req.user.username);
+          await maintenanceOrder.save();
+        } else {
+          instance.condition = 'functional';
+          instance.condition_updated_at = new Date();
+          instance.condition_updated_by = req.user.username;
+          instance.maintenance_order_id = null;
           await instance.save();
+
+          await StockMovement.recordInstances([instance], {
+            movement_type: 'status_move',
+            from_state: currentCondition,
+            to_state: 'available',
+            reason: reason || notes || 'Marked functional',
+            performed_by: req.user.username
+          });
         }
         actionDescription = `Tool marked as functional and available`;
-        
-      } else {
-        // Create or find maintenance/broken tag
-        const conditionTagData = {
-          customer_name: `Maintenance - ${instance.sku_id.name}`,
-          tag_type: condition === 'broken' ? 'broken' : 'reserved',
-          project_name: `Tool condition: ${condition}`,
-          sku_items: [{
-            sku_id: instance.sku_id._id,
-            selected_instance_ids: [instance._id],
-            selection_method: 'manual',
-            quantity: 1,
-            remaining_quantity: 1,
-            notes: reason || `Condition change: ${condition}`
-          }],
-          notes: notes || `Tool condition changed to ${condition}${reason ? `. Reason: ${reason}` : ''}`,
-          status: 'active',
-          created_by: req.user.username,
-          last_updated_by: req.user.username
-        };
-
-        newTag = new Tag(conditionTagData);
-        await newTag.save();
 
-        // Remove from current tag if exists
-        if (instance.tag_id && currentTag) {
+      } else {
+        // A loaned tool reported broken comes off the loan and into maintenance
+        if (currentTag) {
           currentTag.sku_items.forEach(item => {
             if (item.sku_id.toString() === instance.sku_id._id.toString()) {
               item.selected_instance_ids = item.selected_instance_ids.filter(
@@ -1353,48 +1562,74 @@ router.put('/:id/condition',
               item.quantity = item.selected_instance_ids.length;
             }
           });
-          
-          const totalRemaining = currentTag.sku_items.reduce((total, item) => 
+
+          const totalRemaining = currentTag.sku_items.reduce((total, item) =>
             total + (item.selected_instance_ids ? item.selected_instance_ids.length : 0), 0);
-            
+
           if (totalRemaining === 0) {
             currentTag.status = 'fulfilled';
             currentTag.fulfilled_date = new Date();
             currentTag.fulfilled_by = req.user.username;
           }
-          
+          currentTag.last_updated_by = req.user.username;
           await currentTag.save();
+
+          await Instance.updateOne({ _id: instance._id }, { $set: { tag_id: null } });
+          await StockMovement.recordInstances([instance], {
+            movement_type: 'tool_return',
+            from_state: currentTag.tag_type,
+            to_state: 'available',
+            source_type: 'tag',
+            source_id: currentTag._id,
+            source_reference: currentTag.customer_name,
+            reason: reason || `Reported ${condition} while loaned`,
+            performed_by: req.user.username
+          });
         }
 
-        // Assign to new condition tag
-        instance.tag_id = newTag._id;
-        await instance.save();
-        
-        actionDescription = `Tool marked as ${condition}${reason ? ` (${reason})` : ''}`;
-        console.log(`✅ Created condition tag ${newTag._id} for ${condition} tool`);
+        maintenanceOrder = await MaintenanceOrder.openForInstance(instance, {
+          condition,
+          issue: [reason, notes].filter(Boolean).join(' - '),
+          source: 'manual',
+          sourceTagId: currentTag ? currentTag._id : null,
+          fromState: currentTag ? 'available' : undefined,
+          openedBy: req.user.username
+        });
+
+        if (currentTag) {
+          currentTag.recordReturn({
+            instanceIds: [instance._id],
+            condition,
+            notes: reason || notes || '',
+            maintenanceOrders: [maintenanceOrder],
+            returnedBy: req.user.username
+          });
+          await currentTag.save();
+        }
+
+        actionDescription = `Tool marked as ${condition}${reason ? ` (${reason})` : ''} - maintenance order ${maintenanceOrder.order_number}`;
       }
 
       console.log(`✅ [Tools Condition API] ${actionDescription}`);
 
-      // Create audit log
-      await AuditLog.create({
-        event_type: 'tool_condition_changed',
-        entity_type: 'instance',
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'item',
         entity_id: instance._id,
-        user_id: req.user._id.toString(),
+        user_id: req.user.id,
         user_name: req.user.username,
-        action: 'CHANGE_TOOL_CONDITION',
+        action: 'Tool Condition Changed',
         description: `Tool condition changed from ${currentCondition} to ${condition}: ${instance.sku_id.name} (${instance.sku_id.sku_code})`,
-        metadata: {
-          instance_id: instance._id,
-          sku_id: instance.sku_id._id,
-          sku_code: instance.sku_id.sku_code,
-          old_condition: currentCondition,
-          new_condition: condition,
-          reason: reason || '',
-          notes: notes || ''
+        changes: {
+          before: { condition: currentCondition, tag_id: currentTag ? currentTag._id : null },
+          after: {
+            condition,
+            maintenance_order_id: maintenanceOrder ? maintenanceOrder._id : null,
+            reason: reason || '',
+            notes: notes || ''
+          }
         },
-        category: 'maintenance',
+        category: 'business',
         severity: condition === 'broken' ? 'medium' : 'low'
       });
 
@@ -1416,11 +1651,13 @@ router.put('/:id/condition',
             name: updatedInstance.sku_id.name,
             category_id: updatedInstance.sku_id.category_id
           },
-          condition: condition,
+          condition: updatedInstance.condition,
           tag_id: updatedInstance.tag_id,
+          maintenance_order_id: updatedInstance.maintenance_order_id,
           location: updatedInstance.location
         },
         previous_condition: currentCondition,
+        maintenance_order: maintenanceOrder,
         action_description: actionDescription
       });
 
@@ -1467,8 +1704,10 @@ router.get('/stats', auth, async (req, res) => {
       {
         $lookup: {
           from: 'instances',
-          localField: '_id',
-          foreignField: 'sku_id',
+          let: { skuId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$sku_id', '$$skuId'] }, ...Instance.onHandFilter() } }
+          ],
           as: 'all_instances'
         }
       },
@@ -1482,7 +1721,8 @@ router.get('/stats', auth, async (req, res) => {
             {
               $match: {
                 $expr: { $eq: ['$sku_id', '$$skuId'] },
-                tag_id: { $ne: null }
+                tag_id: { $ne: null },
+                ...Instance.onHandFilter()
               }
             },
             {
@@ -1513,7 +1753,20 @@ router.get('/stats', auth, async (req, res) => {
             $size: {
               $filter: {
                 input: '$all_instances',
-                cond: { $eq: ['$$this.tag_id', null] }
+                cond: {
+                  $and: [
+                    { $eq: ['$$this.tag_id', null] },
+                    { $not: [{ $in: [{ $ifNull: ['$$this.condition', 'functional'] }, Instance.OUT_OF_SERVICE_CONDITIONS] }] }
+                  ]
+                }
+              }
+            }
+          },
+          maintenance_quantity: {
+            $size: {
+              $filter: {
+                input: '$all_instances',
+                cond: { $in: [{ $ifNull: ['$$this.condition', 'functional'] }, Instance.OUT_OF_SERVICE_CONDITIONS] }
               }
             }
           },
@@ -1593,6 +1846,7 @@ router.get('/stats', auth, async (req, res) => {
           reservedTools: { $sum: '$reserved_quantity' }, // Reserved tool instances
           brokenTools: { $sum: '$broken_quantity' }, // Broken tool instances
           loanedTools: { $sum: '$loaned_quantity' }, // Loaned tool instances
+          maintenanceTools: { $sum: '$maintenance_quantity' }, // Out of service (needs maintenance or broken)
           totalValue: { $sum: '$total_value' } // Total value of all tools
         }
       }
@@ -1628,6 +1882,7 @@ router.get('/stats', auth, async (req, res) => {
       reservedTools: 0,
       brokenTools: 0,
       loanedTools: 0,
+      maintenanceTools: 0,
       totalValue: 0
     };
 
@@ -1647,6 +1902,7 @@ router.get('/stats', auth, async (req, res) => {
         totalTools: stats.totalQuantity, // Total instances (what user expects as "tools on hand")
         availableTools: stats.availableTools, // Available instances
         loanedTools: stats.loanedTools, // Loaned instances
+        maintenanceTools: stats.maintenanceTools, // Out of service instances
         overdueLoans: stats.overdueLoans, // Overdue loan tags
         totalValue: stats.totalValue // Total value
       },
@@ -1666,4 +1922,77 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// GET /api/tools/utilization - Historical utilization and lifetime cost per tool SKU and instance
+router.get('/utilization',
+  auth,
+  [
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('category_id').optional().isMongoId().withMessage('Invalid category ID'),
+    query('sort_by').optional()
+      .isIn(['utilization_rate', 'cost_per_day_used', 'damaged_return_rate', 'checkouts', 'lifetime_cost', 'sku_code'])
+      .withMessage('Invalid sort field'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+    query('group_by').optional().isIn(['sku', 'instance']).withMessage('group_by must be sku or instance')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      if (from && from >= to) {
+        return res.status(400).json({ message: 'From must be before to' });
+      }
+
+      const toolCategoryFilter = { type: 'tool' };
+      if (req.query.category_id) toolCategoryFilter._id = req.query.category_id;
+      const toolCategoryIds = await Category.find(toolCategoryFilter).distinct('_id');
+
+      const skuFilter = { category_id: { $in: toolCategoryIds } };
+      if (req.query.sku_id) skuFilter._id = req.query.sku_id;
+      const skus = await SKU.find(skuFilter).select('sku_code name').lean();
+
+      const report = await buildToolUtilization(skus, { from, to });
+
+      // Least used first by default - the retirement candidates
+      const sortBy = req.query.sort_by || 'utilization_rate';
+      report.sort((a, b) => {
+        if (sortBy === 'sku_code') return a.sku_code.localeCompare(b.sku_code);
+        return (a[sortBy] ?? -1) - (b[sortBy] ?? -1);
+      });
+
+      if (req.query.format === 'csv') {
+        const rows = req.query.group_by === 'instance'
+          ? report.flatMap(sku => sku.instances.map(({ sku_id, ...instance }) => ({
+            sku_code: sku.sku_code,
+            name: sku.name,
+            ...instance,
+            acquisition_date: instance.acquisition_date ? new Date(instance.acquisition_date).toISOString().slice(0, 10) : '',
+            retired_at: instance.retired_at ? instance.retired_at.toISOString().slice(0, 10) : ''
+          })))
+          : report.map(({ instances, ...sku }) => sku);
+        const headers = Object.keys(rows[0] || { sku_code: '' });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="tool-utilization-${to.toISOString().slice(0, 10)}.csv"`);
+        return res.send(jsonToCsv(rows, headers));
+      }
+
+      res.json({
+        report_type: 'tool_utilization',
+        from,
+        to,
+        skus: report
+      });
+    } catch (error) {
+      console.error('Tools utilization error:', error);
+      res.status(500).json({ message: 'Failed to build tool utilization report', error: error.message });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,530 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const VendorReturn = require('../models/VendorReturn');
+const Instance = require('../models/Instance');
+const Inventory = require('../models/Inventory');
+const Location = require('../models/Location');
+const Tag = require('../models/Tag');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireWriteAccess } = require('../middleware/authEnhanced');
+
+const RETURN_STATUSES = Object.keys(VendorReturn.STATUS_TRANSITIONS);
+
+const populateReturn = query => query
+  .populate('items.sku_id', 'sku_code name')
+  .populate('items.source_tag_id', 'tag_type customer_name project_name')
+  .populate('items.replacement_instance_id', 'serial_number asset_tag location');
+
+// Send a model error (err.code) as 400/404/409, or rethrow anything else
+function sendReturnError(res, error) {
+  if (!error.code) throw error;
+  const status = {
+    INSTANCE_NOT_FOUND: 404,
+    ALREADY_ON_RETURN: 409,
+    DUPLICATE_IDENTIFIER: 409
+  }[error.code] || 400;
+  return res.status(status).json({ message: error.message, code: error.code });
+}
+
+const withReconciliation = vendorReturn => ({
+  ...vendorReturn.toObject(),
+  reconciliation: vendorReturn.getReconciliation()
+});
+
+// GET /api/vendor-returns - List vendor returns
+router.get('/',
+  auth,
+  [
+    query('status').optional().custom(value => value.split(',').every(status => RETURN_STATUSES.includes(status)))
+      .withMessage('Invalid status'),
+    query('open').optional().isIn(['true', 'false']).withMessage('open must be true or false'),
+    query('vendor').optional().trim(),
+    query('sku_id').optional().isMongoId().withMessage('Invalid SKU ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { status, open, vendor, sku_id, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (status) filter.status = { $in: status.split(',') };
+      if (open === 'true') filter.status = { $in: ['requested', 'shipped'] };
+      if (open === 'false') filter.status = { $nin: ['requested', 'shipped'] };
+      if (vendor) filter.vendor = new RegExp(vendor.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      if (sku_id) filter['items.sku_id'] = sku_id;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [vendorReturns, total] = await Promise.all([
+        populateReturn(VendorReturn.find(filter))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        VendorReturn.countDocuments(filter)
+      ]);
+
+      res.json({
+        vendor_returns: vendorReturns.map(withReconciliation),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor returns error:', error);
+      res.status(500).json({ message: 'Failed to fetch vendor returns', error: error.message });
+    }
+  }
+);
+
+// GET /api/vendor-returns/returnable - Units on open broken/imperfect tags that aren't on a return yet, by vendor
+router.get('/returnable', auth, async (req, res) => {
+  try {
+    const [tags, openReturns] = await Promise.all([
+      Tag.find({ tag_type: { $in: VendorReturn.RETURNABLE_TAG_TYPES }, status: { $in: ['active', 'staged'] } })
+        .select('tag_type customer_name project_name'),
+      VendorReturn.find({ status: { $in: ['requested', 'shipped'] } }).select('items.instance_id')
+    ]);
+    const onReturn = openReturns.flatMap(vendorReturn => vendorReturn.items.map(item => item.instance_id));
+
+    const instances = await Instance.find({ tag_id: { $in: tags.map(tag => tag._id) }, _id: { $nin: onReturn } })
+      .populate('sku_id', 'sku_code name supplier_info')
+      .sort({ acquisition_date: 1 });
+    const tagsById = new Map(tags.map(tag => [tag._id.toString(), tag]));
+
+    const byVendor = new Map();
+    instances.forEach(instance => {
+      const vendor = instance.supplier || instance.sku_id?.supplier_info?.supplier_name || '';
+      if (!byVendor.has(vendor)) byVendor.set(vendor, { vendor, quantity: 0, total_cost: 0, instances: [] });
+      const group = byVendor.get(vendor);
+      const tag = tagsById.get(instance.tag_id.toString());
+      group.quantity += 1;
+      group.total_cost = Math.round((group.total_cost + instance.acquisition_cost) * 100) / 100;
+      group.instances.push({
+        _id: instance._id,
+        sku: instance.sku_id ? { _id: instance.sku_id._id, sku_code: instance.sku_id.sku_code, name: instance.sku_id.name } : null,
+        serial_number: instance.serial_number,
+        asset_tag: instance.asset_tag,
+        acquisition_cost: instance.acquisition_cost,
+        tag: { _id: tag._id, tag_type: tag.tag_type, customer_name: tag.customer_name, project_name: tag.project_name }
+      });
+    });
+
+    res.json({ vendors: [...byVendor.values()].sort((a, b) => b.total_cost - a.total_cost) });
+  } catch (error) {
+    console.error('Get returnable instances error:', error);
+    res.status(500).json({ message: 'Failed to fetch returnable instances', error: error.message });
+  }
+});
+
+// GET /api/vendor-returns/:id - Get a vendor return with its reconciliation
+router.get('/:id',
+  auth,
+  [param('id').isMongoId().withMessage('Invalid vendor return ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await populateReturn(VendorReturn.findById(req.params.id));
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+
+      res.json({ vendor_return: withReconciliation(vendorReturn) });
+    } catch (error) {
+      console.error('Get vendor return error:', error);
+      res.status(500).json({ message: 'Failed to fetch vendor return', error: error.message });
+    }
+  }
+);
+
+// POST /api/vendor-returns - Request a return for units on broken/imperfect tags
+router.post('/',
+  auth,
+  requireWriteAccess,
+  [
+    body('instance_ids').optional().isArray().withMessage('instance_ids must be an array'),
+    body('instance_ids.*').isMongoId().withMessage('Invalid instance ID'),
+    body('tag_ids').optional().isArray().withMessage('tag_ids must be an array'),
+    body('tag_ids.*').isMongoId().withMessage('Invalid tag ID'),
+    body().custom(value => (value.instance_ids || []).length + (value.tag_ids || []).length > 0)
+      .withMessage('instance_ids or tag_ids is required'),
+    body('vendor').optional().trim().isLength({ max: 200 }).withMessage('Vendor cannot exceed 200 characters'),
+    body('rma_number').optional().trim().isLength({ max: 100 }).withMessage('RMA number cannot exceed 100 characters'),
+    body('expected_credit').optional().isFloat({ min: 0 }).withMessage('Expected credit must be a positive number'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      let vendorReturn;
+      try {
+        vendorReturn = await VendorReturn.createFromInstances({
+          instanceIds: req.body.instance_ids || [],
+          tagIds: req.body.tag_ids || [],
+          vendor: req.body.vendor,
+          rmaNumber: req.body.rma_number || '',
+          expectedCredit: req.body.expected_credit,
+          notes: req.body.notes || '',
+          createdBy: req.user.username
+        });
+      } catch (createError) {
+        return sendReturnError(res, createError);
+      }
+      await vendorReturn.save();
+
+      await AuditLog.logEvent({
+        event_type: 'create',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Requested',
+        description: `Requested return ${vendorReturn.return_number} of ${vendorReturn.items.length} unit(s) to ${vendorReturn.vendor}`,
+        category: 'business'
+      });
+
+      res.status(201).json({
+        message: 'Vendor return requested',
+        vendor_return: withReconciliation(await populateReturn(VendorReturn.findById(vendorReturn._id)))
+      });
+    } catch (error) {
+      console.error('Create vendor return error:', error);
+      res.status(500).json({ message: 'Failed to request vendor return', error: error.message });
+    }
+  }
+);
+
+// PUT /api/vendor-returns/:id - Update the RMA number, expected credit, tracking or notes
+router.put('/:id',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid vendor return ID'),
+    body('vendor').optional().trim().notEmpty().isLength({ max: 200 }).withMessage('Vendor cannot be empty or exceed 200 characters'),
+    body('rma_number').optional().trim().isLength({ max: 100 }).withMessage('RMA number cannot exceed 100 characters'),
+    body('tracking_number').optional().trim().isLength({ max: 100 }).withMessage('Tracking number cannot exceed 100 characters'),
+    body('expected_credit').optional().isFloat({ min: 0 }).withMessage('Expected credit must be a positive number'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await VendorReturn.findById(req.params.id);
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+      if (!vendorReturn.isOpen()) {
+        return res.status(400).json({ message: `Vendor return ${vendorReturn.return_number} is ${vendorReturn.status} and can no longer be changed` });
+      }
+      if (req.body.vendor !== undefined && vendorReturn.status !== 'requested') {
+        return res.status(400).json({ message: 'The vendor cannot be changed once the return has shipped' });
+      }
+
+      const before = vendorReturn.toObject();
+      ['vendor', 'rma_number', 'tracking_number', 'notes'].forEach(field => {
+        if (req.body[field] !== undefined) vendorReturn[field] = req.body[field];
+      });
+      if (req.body.expected_credit !== undefined) vendorReturn.expected_credit = Number(req.body.expected_credit);
+      vendorReturn.last_updated_by = req.user.username;
+      await vendorReturn.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Updated',
+        description: `Updated vendor return ${vendorReturn.return_number}`,
+        changes: {
+          before: { vendor: before.vendor, rma_number: before.rma_number, expected_credit: before.expected_credit },
+          after: { vendor: vendorReturn.vendor, rma_number: vendorReturn.rma_number, expected_credit: vendorReturn.expected_credit }
+        },
+        category: 'business'
+      });
+
+      res.json({
+        message: 'Vendor return updated',
+        vendor_return: withReconciliation(await populateReturn(VendorReturn.findById(vendorReturn._id)))
+      });
+    } catch (error) {
+      console.error('Update vendor return error:', error);
+      res.status(500).json({ message: 'Failed to update vendor return', error: error.message });
+    }
+  }
+);
+
+// POST /api/vendor-returns/:id/ship - Ship the return; the units leave their tags and stock
+router.post('/:id/ship',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid vendor return ID'),
+    body('shipped_at').optional().isISO8601().withMessage('shipped_at must be a valid date'),
+    body('rma_number').optional().trim().isLength({ max: 100 }).withMessage('RMA number cannot exceed 100 characters'),
+    body('tracking_number').optional().trim().isLength({ max: 100 }).withMessage('Tracking number cannot exceed 100 characters'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await VendorReturn.findById(req.params.id);
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+
+      let skuIds;
+      try {
+        skuIds = await vendorReturn.ship({
+          shippedAt: req.body.shipped_at ? new Date(req.body.shipped_at) : new Date(),
+          trackingNumber: req.body.tracking_number,
+          rmaNumber: req.body.rma_number,
+          notes: req.body.notes
+        }, req.user.username);
+      } catch (shipError) {
+        return sendReturnError(res, shipError);
+      }
+      await vendorReturn.save();
+
+      for (const skuId of skuIds) {
+        await Inventory.refreshCounts(skuId, req.user.username);
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Shipped',
+        description: `Shipped return ${vendorReturn.return_number} (${vendorReturn.items.length} unit(s)) to ${vendorReturn.vendor}`,
+        changes: { before: { status: 'requested' }, after: { status: vendorReturn.status, shipped_at: vendorReturn.shipped_at } },
+        category: 'business'
+      });
+
+      res.json({
+        message: `Vendor return ${vendorReturn.return_number} shipped`,
+        vendor_return: withReconciliation(await populateReturn(VendorReturn.findById(vendorReturn._id)))
+      });
+    } catch (error) {
+      console.error('Ship vendor return error:', error);
+      res.status(500).json({ message: 'Failed to ship vendor return', error: error.message });
+    }
+  }
+);
+
+// POST /api/vendor-returns/:id/credit - Record a vendor credit, split across items by cost unless given per item
+router.post('/:id/credit',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid vendor return ID'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    body('items').optional().isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+    body('items.*.instance_id').isMongoId().withMessage('Invalid instance ID'),
+    body('items.*.credit_amount').optional().isFloat({ min: 0 }).withMessage('Credit amount must be a positive number'),
+    body().custom(value => value.amount !== undefined ||
+      ((value.items || []).length > 0 && value.items.every(item => item.credit_amount !== undefined)))
+      .withMessage('amount is required unless every item has a credit_amount'),
+    body('credited_at').optional().isISO8601().withMessage('credited_at must be a valid date'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await VendorReturn.findById(req.params.id);
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+
+      const before = vendorReturn.credit_received;
+      try {
+        await vendorReturn.recordCredit({
+          amount: req.body.amount !== undefined ? Number(req.body.amount) : undefined,
+          items: req.body.items || [],
+          creditedAt: req.body.credited_at ? new Date(req.body.credited_at) : new Date(),
+          notes: req.body.notes
+        }, req.user.username);
+      } catch (creditError) {
+        return sendReturnError(res, creditError);
+      }
+      await vendorReturn.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Credited',
+        description: `Recorded $${(vendorReturn.credit_received - before).toFixed(2)} credit from ${vendorReturn.vendor} on ${vendorReturn.return_number}`,
+        changes: {
+          before: { credit_received: before },
+          after: { credit_received: vendorReturn.credit_received, status: vendorReturn.status }
+        },
+        category: 'business'
+      });
+
+      res.json({
+        message: `Credit recorded on ${vendorReturn.return_number}`,
+        vendor_return: withReconciliation(await populateReturn(VendorReturn.findById(vendorReturn._id)))
+      });
+    } catch (error) {
+      console.error('Credit vendor return error:', error);
+      res.status(500).json({ message: 'Failed to record vendor credit', error: error.message });
+    }
+  }
+);
+
+// POST /api/vendor-returns/:id/replacements - Receive replacement units; each becomes a new instance
+router.post('/:id/replacements',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid vendor return ID'),
+    body('items').optional().isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+    body('items.*.instance_id').isMongoId().withMessage('Invalid instance ID'),
+    body('items.*.serial_number').optional().trim().isLength({ max: 100 }).withMessage('Serial number cannot exceed 100 characters'),
+    body('items.*.asset_tag').optional().trim().isLength({ max: 50 }).withMessage('Asset tag cannot exceed 50 characters'),
+    body('location').optional().trim(),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await VendorReturn.findById(req.params.id);
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+
+      let location;
+      try {
+        location = await Location.resolveCode(req.body.location);
+      } catch (locationError) {
+        if (locationError.code === 'INVALID_LOCATION') {
+          return res.status(400).json({ message: locationError.message });
+        }
+        throw locationError;
+      }
+
+      let replacements;
+      try {
+        replacements = await vendorReturn.receiveReplacements({
+          items: req.body.items || [],
+          location,
+          notes: req.body.notes
+        }, req.user.username);
+      } catch (replaceError) {
+        return sendReturnError(res, replaceError);
+      }
+      await vendorReturn.save();
+
+      for (const skuId of [...new Set(replacements.map(instance => instance.sku_id.toString()))]) {
+        await Inventory.refreshCounts(skuId, req.user.username);
+      }
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Replacements Received',
+        description: `Received ${replacements.length} replacement(s) from ${vendorReturn.vendor} on ${vendorReturn.return_number}`,
+        changes: { after: { status: vendorReturn.status, replacement_instance_ids: replacements.map(instance => instance._id) } },
+        category: 'business'
+      });
+
+      res.json({
+        message: `Received ${replacements.length} replacement(s) on ${vendorReturn.return_number}`,
+        replacements,
+        vendor_return: withReconciliation(await populateReturn(VendorReturn.findById(vendorReturn._id)))
+      });
+    } catch (error) {
+      console.error('Receive vendor return replacements error:', error);
+      res.status(500).json({ message: 'Failed to receive replacements', error: error.message });
+    }
+  }
+);
+
+// POST /api/vendor-returns/:id/cancel - Cancel a return that hasn't shipped
+router.post('/:id/cancel',
+  auth,
+  requireWriteAccess,
+  [
+    param('id').isMongoId().withMessage('Invalid vendor return ID'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const vendorReturn = await VendorReturn.findById(req.params.id);
+      if (!vendorReturn) {
+        return res.status(404).json({ message: 'Vendor return not found' });
+      }
+
+      try {
+        await vendorReturn.cancel(req.user.username, req.body.reason || '');
+      } catch (cancelError) {
+        return sendReturnError(res, cancelError);
+      }
+      await vendorReturn.save();
+
+      await AuditLog.logEvent({
+        event_type: 'update',
+        entity_type: 'vendor_return',
+        entity_id: vendorReturn._id,
+        user_id: req.user.id,
+        user_name: req.user.username,
+        action: 'Vendor Return Cancelled',
+        description: `Cancelled vendor return ${vendorReturn.return_number}${req.body.reason ? `: ${req.body.reason}` : ''}`,
+        changes: { before: { status: 'requested' }, after: { status: 'cancelled' } },
+        category: 'business'
+      });
+
+      res.json({ message: `Vendor return ${vendorReturn.return_number} cancelled`, vendor_return: withReconciliation(vendorReturn) });
+    } catch (error) {
+      console.error('Cancel vendor return error:', error);
+      res.status(500).json({ message: 'Failed to cancel vendor return', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
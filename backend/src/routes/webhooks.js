@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import models
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireAdminAccess } = require('../middleware/authEnhanced');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+const { replayDelivery } = require('../utils/webhooks');
+
+const subscriptionValidators = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http(s) URL'),
+    field('event_types').isArray({ min: 1 }).withMessage('At least one event type is required'),
+    body('event_types.*').isIn(WEBHOOK_EVENTS).withMessage(`Event types must be from: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false'),
+    body('description').optional().trim()
+  ];
+};
+
+const logWebhookEvent = (req, eventType, subscription, action, description, changes) => AuditLog.logEvent({
+  event_type: eventType,
+  entity_type: 'webhook',
+  entity_id: subscription._id,
+  user_id: req.user.id,
+  user_name: req.user.username,
+  action,
+  description,
+  changes,
+  category: 'system'
+});
+
+// GET /api/webhooks/events - Event types a subscription can listen for
+router.get('/events', auth, requireAdminAccess, (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// GET /api/webhooks/deliveries - Delivery log with filters (Admin only)
+router.get('/deliveries',
+  auth,
+  requireAdminAccess,
+  [
+    query('subscription_id').optional().isMongoId().withMessage('Invalid subscription ID'),
+    query('status').optional().isIn(['pending', 'success', 'failed']).withMessage('Invalid status'),
+    query('event_type').optional().isIn(WEBHOOK_EVENTS).withMessage('Invalid event type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const { subscription_id, status, event_type, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (subscription_id) filter.subscription_id = subscription_id;
+      if (status) filter.status = status;
+      if (event_type) filter.event_type = event_type;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .select('-payload')
+          .populate('subscription_id', 'name url')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        WebhookDelivery.countDocuments(filter)
+      ]);
+
+      res.json({
+        deliveries,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / parseInt(limit)),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get webhook deliveries error:', error);
+      res.status(500).json({ message: 'Failed to fetch webhook deliveries', error: error.message });
+    }
+  }
+);
+
+// POST /api/webhooks/deliveries/replay - Replay every failed delivery for a subscription (Admin only)
+router.post('/deliveries/replay',
+  auth,
+  requireAdminAccess,
+  [
+    body('subscription_id').isMongoId().withMessage('Valid subscription ID is required'),
+    body('since').optional().isISO8601().withMessage('since must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const filter = { subscription_id: req.body.subscription_id, status: 'failed' };
+      if (req.body.since) {
+        filter.createdAt = { $gte: new Date(req.body.since) };
+      }
+
+      const failed = await WebhookDelivery.find(filter).sort({ createdAt: 1 }).limit(500);
+      const replays = [];
+      for (const original of failed) {
+        replays.push(await replayDelivery(original, req.user.username));
+      }
+
+      res.json({
+        message: `Replayed ${replays.length} failed deliveries`,
+        replayed: replays.length,
+        succeeded: replays.filter(delivery => delivery.status === 'success').length,
+        deliveries: replays.map(delivery => ({
+          _id: delivery._id,
+          replayed_from: delivery.replayed_from,
+          event_type: delivery.event_type,
+          status: delivery.status,
+          response_status: delivery.response_status
+        }))
+      });
+    } catch (error) {
+      console.error('Replay webhook deliveries error:', error);
+      res.status(500).json({ message: 'Failed to replay webhook deliveries', error: error.message });
+    }
+  }
+);
+
+// GET /api/webhooks/deliveries/:id - Delivery detail with payload and attempts (Admin only)
+router.get('/deliveries/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid delivery ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const delivery = await WebhookDelivery.findById(req.params.id).populate('subscription_id', 'name url');
+      if (!delivery) {
+        return res.status(404).json({ message: 'Webhook delivery not found' });
+      }
+
+      res.json({ delivery });
+    } catch (error) {
+      console.error('Get webhook delivery error:', error);
+      res.status(500).json({ message: 'Failed to fetch webhook delivery', error: error.message });
+    }
+  }
+);
+
+// POST /api/webhooks/deliveries/:id/replay - Send a finished delivery again (Admin only)
+router.post('/deliveries/:id/replay',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid delivery ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const original = await WebhookDelivery.findById(req.params.id);
+      if (!original) {
+        return res.status(404).json({ message: 'Webhook delivery not found' });
+      }
+      if (original.status === 'pending') {
+        return res.status(400).json({ message: 'Delivery is still being retried' });
+      }
+
+      const delivery = await replayDelivery(original, req.user.username);
+
+      res.json({
+        message: delivery.status === 'success' ? 'Delivery replayed' : 'Replay failed; it will be retried',
+        delivery
+      });
+    } catch (error) {
+      console.error('Replay webhook delivery error:', error);
+      res.status(500).json({ message: 'Failed to replay webhook delivery', error: error.message });
+    }
+  }
+);
+
+// GET /api/webhooks - List subscriptions (Admin only)
+router.get('/', auth, requireAdminAccess, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ name: 1 });
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('Get webhook subscriptions error:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook subscriptions', error: error.message });
+  }
+});
+
+// POST /api/webhooks - Create a subscription; the secret is only returned here (Admin only)
+router.post('/',
+  auth,
+  requireAdminAccess,
+  subscriptionValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const subscription = new WebhookSubscription({
+        name: req.body.name,
+        url: req.body.url,
+        event_types: [...new Set(req.body.event_types)],
+        description: req.body.description || '',
+        is_active: req.body.is_active !== undefined ? req.body.is_active : true,
+        created_by: req.user.username,
+        last_updated_by: req.user.username
+      });
+      if (req.body.secret) {
+        subscription.secret = req.body.secret;
+      }
+      await subscription.save();
+
+      await logWebhookEvent(req, 'create', subscription, 'Webhook Subscription Created',
+        `Created webhook ${subscription.name} for ${subscription.event_types.join(', ')}`,
+        { after: { name: subscription.name, url: subscription.url, event_types: subscription.event_types } });
+
+      res.status(201).json({
+        message: 'Webhook subscription created',
+        subscription: { ...subscription.toObject(), secret: subscription.secret }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Create webhook subscription error:', error);
+      res.status(500).json({ message: 'Failed to create webhook subscription', error: error.message });
+    }
+  }
+);
+
+// PUT /api/webhooks/:id - Update a subscription; rotate_secret=true issues a new secret (Admin only)
+router.put('/:id',
+  auth,
+  requireAdminAccess,
+  [
+    param('id').isMongoId().withMessage('Valid subscription ID is required'),
+    ...subscriptionValidators(true),
+    body('rotate_secret').optional().isBoolean().withMessage('rotate_secret must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const subscription = await WebhookSubscription.findById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ message: 'Webhook subscription not found' });
+      }
+
+      const before = {};
+      const after = {};
+      ['name', 'url', 'event_types', 'description', 'is_active'].forEach(key => {
+        if (req.body[key] !== undefined) {
+          before[key] = subscription[key];
+          after[key] = key === 'event_types' ? [...new Set(req.body[key])] : req.body[key];
+          subscription[key] = after[key];
+        }
+      });
+
+      let newSecret = null;
+      if (req.body.secret) {
+        subscription.secret = newSecret = req.body.secret;
+      } else if (req.body.rotate_secret === true || req.body.rotate_secret === 'true') {
+        newSecret = subscription.rotateSecret();
+      }
+      if (newSecret) {
+        after.secret = 'rotated';
+      }
+
+      subscription.last_updated_by = req.user.username;
+      await subscription.save();
+
+      await logWebhookEvent(req, 'update', subscription, 'Webhook Subscription Updated',
+        `Updated webhook ${subscription.name}`, { before, after });
+
+      const response = subscription.toObject();
+      delete response.secret;
+      if (newSecret) {
+        response.secret = newSecret;
+      }
+
+      res.json({ message: 'Webhook subscription updated', subscription: response });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      console.error('Update webhook subscription error:', error);
+      res.status(500).json({ message: 'Failed to update webhook subscription', error: error.message });
+    }
+  }
+);
+
+// DELETE /api/webhooks/:id - Delete a subscription; its delivery log is kept (Admin only)
+router.delete('/:id',
+  auth,
+  requireAdminAccess,
+  [param('id').isMongoId().withMessage('Valid subscription ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+      }
+
+      const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ message: 'Webhook subscription not found' });
+      }
+
+      // Nothing left to deliver to
+      await WebhookDelivery.updateMany(
+        { subscription_id: subscription._id, status: 'pending' },
+        { $set: { status: 'failed', next_attempt_at: null, error: 'Subscription deleted' } }
+      );
+
+      await logWebhookEvent(req, 'delete', subscription, 'Webhook Subscription Deleted',
+        `Deleted webhook ${subscription.name}`,
+        { before: { name: subscription.name, url: subscription.url, event_types: subscription.event_types } });
+
+      res.json({ message: 'Webhook subscription deleted' });
+    } catch (error) {
+      console.error('Delete webhook subscription error:', error);
+      res.status(500).json({ message: 'Failed to delete webhook subscription', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -5,6 +5,10 @@ const cors = require('cors');
 const connectDB = require('./config/database');
 const { initJSONDB } = require('./config/jsonDB');
 const { runTagNotesMigration } = require('./migration/runTagNotesMigration');
+const { runLocationBackfill } = require('./migration/runLocationBackfill');
+const { runCustomerBackfill } = require('./migration/runCustomerBackfill');
+const { runToolConditionMigration } = require('./migration/runToolConditionMigration');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
 
 // 🛡️  Initialize database protection BEFORE connecting to database
 const DatabaseProtection = require('./middleware/databaseProtection');
@@ -23,6 +27,21 @@ const usersRoutes = require('./routes/users');
 const instancesRoutes = require('./routes/instances');
 const toolsRoutes = require('./routes/tools');
 const bugReportRoutes = require('./routes/bugReports');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const locationRoutes = require('./routes/locations');
+const cycleCountRoutes = require('./routes/cycleCounts');
+const settingRoutes = require('./routes/settings');
+const scheduledJobRoutes = require('./routes/scheduledJobs');
+const webhookRoutes = require('./routes/webhooks');
+const notificationRoutes = require('./routes/notifications');
+const customerRoutes = require('./routes/customers');
+const projectRoutes = require('./routes/projects');
+const maintenanceOrderRoutes = require('./routes/maintenanceOrders');
+const maintenancePlanRoutes = require('./routes/maintenancePlans');
+const contractorRoutes = require('./routes/contractors');
+const toolReservationRoutes = require('./routes/toolReservations');
+const vendorReturnRoutes = require('./routes/vendorReturns');
+const tagTemplateRoutes = require('./routes/tagTemplates');
 
 const app = express();
 
@@ -37,16 +56,25 @@ connectDB();
 const runStartupMigrations = async () => {
   try {
     await runTagNotesMigration();
+    await runLocationBackfill();
+    await runCustomerBackfill();
+    await runToolConditionMigration();
   } catch (err) {
-    // runTagNotesMigration already logs; keep server healthy regardless.
+    // The migrations already log; keep server healthy regardless.
     console.error('Startup migrations error (non-fatal):', err);
   }
 };
 
+// Scheduled jobs (stock digests etc.) start once migrations have had their go
+const runStartupTasks = async () => {
+  await runStartupMigrations();
+  await startScheduler();
+};
+
 if (mongoose.connection.readyState === 1) {
-  runStartupMigrations();
+  runStartupTasks();
 } else {
-  mongoose.connection.once('connected', runStartupMigrations);
+  mongoose.connection.once('connected', runStartupTasks);
 }
 
 // Middleware
@@ -113,6 +141,21 @@ app.use('/api/users', usersRoutes);
 app.use('/api/instances', instancesRoutes);
 app.use('/api/tools', toolsRoutes);
 app.use('/api/bug-reports', bugReportRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/cycle-counts', cycleCountRoutes);
+app.use('/api/settings', settingRoutes);
+app.use('/api/scheduled-jobs', scheduledJobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/maintenance-orders', maintenanceOrderRoutes);
+app.use('/api/maintenance-plans', maintenancePlanRoutes);
+app.use('/api/contractors', contractorRoutes);
+app.use('/api/tool-reservations', toolReservationRoutes);
+app.use('/api/vendor-returns', vendorReturnRoutes);
+app.use('/api/tag-templates', tagTemplateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -164,6 +207,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   console.log(`${signal} received. Shutting down gracefully...`);
+  stopScheduler();
   
   // Close HTTP server first
   server.close(async () => {
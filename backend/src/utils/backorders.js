@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { notifyBackorderAllocated } = require('./notifications');
+
+/**
+ * Backorders on tag lines.
+ *
+ * A tag created with `allow_backorder` reserves what is in stock and records
+ * the rest of each line as `backordered_quantity`. Whenever stock comes in
+ * (add-stock, PO receipts, barcode add-stock) allocateBackorders() hands the
+ * new units to open backorders for those SKUs - oldest first, by tag due date
+ * or by tag priority (setting `backorder_allocation_order`) - and tells each
+ * tag's creator.
+ */
+
+const OPEN_STATUSES = ['active', 'staged'];
+
+const model = name => mongoose.model(name);
+
+// Sort key for a backordered line under an allocation order
+const sortKeys = {
+  oldest: ({ tag, item }) => [(item.backordered_at || tag.createdAt).getTime()],
+  // No due date goes last; ties go to the oldest backorder
+  due_date: ({ tag, item }) => [
+    tag.due_date ? tag.due_date.getTime() : Number.MAX_SAFE_INTEGER,
+    (item.backordered_at || tag.createdAt).getTime()
+  ],
+  // Most urgent first; ties go to the oldest backorder
+  priority: ({ tag, item }) => [
+    -tag.getPriorityRank(),
+    (item.backordered_at || tag.createdAt).getTime()
+  ]
+};
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Open backordered lines for a SKU in the order they should be filled.
+ */
+async function getBackorderQueue(skuId, order) {
+  const Tag = model('Tag');
+
+  const tags = await Tag.find({
+    status: { $in: OPEN_STATUSES },
+    sku_items: { $elemMatch: { sku_id: skuId, backordered_quantity: { $gt: 0 } } }
+  });
+
+  const keyFor = sortKeys[order] || sortKeys.oldest;
+  return tags
+    .map(tag => ({
+      tag,
+      item: tag.sku_items.find(item => item.sku_id.toString() === skuId.toString() && item.backordered_quantity > 0)
+    }))
+    .sort((a, b) => compareKeys(keyFor(a), keyFor(b)));
+}
+
+/**
+ * Allocate available stock of the given SKUs to their open backorders.
+ * Resolves to one entry per tag line that got units:
+ * { tag_id, customer_name, sku_id, quantity, still_backordered }.
+ */
+async function allocateBackorders(skuIds, { allocatedBy = 'System' } = {}) {
+  const Instance = model('Instance');
+  const SKU = model('SKU');
+  const Inventory = model('Inventory');
+  const StockMovement = model('StockMovement');
+  const Setting = model('Setting');
+
+  const order = await Setting.getValue('backorder_allocation_order');
+  const allocations = [];
+
+  for (const skuId of [...new Set(skuIds.map(String))]) {
+    const queue = await getBackorderQueue(skuId, order);
+    if (queue.length === 0) continue;
+
+    const available = await Instance.find(Instance.availableFilter({ sku_id: skuId }))
+      .sort({ acquisition_date: 1 });
+    if (available.length === 0) continue;
+
+    const sku = await SKU.findById(skuId).select('sku_code name');
+    for (const { tag, item } of queue) {
+      if (available.length === 0) break;
+
+      const picked = available.splice(0, item.backordered_quantity);
+      const pickedIds = picked.map(instance => instance._id);
+      await Instance.updateMany({ _id: { $in: pickedIds } }, { $set: { tag_id: tag._id } });
+
+      item.selected_instance_ids.push(...pickedIds);
+      item.backordered_quantity -= picked.length;
+      if (item.backordered_quantity === 0) item.backordered_at = null;
+      tag.addNote(`${picked.length} backordered ${sku ? sku.sku_code : 'unit'}(s) allocated from new stock` +
+        `${item.backordered_quantity > 0 ? `, ${item.backordered_quantity} still on backorder` : ''}`, allocatedBy, { kind: 'system' });
+      await tag.save();
+
+      await StockMovement.recordInstances(picked, {
+        movement_type: 'tag_assign',
+        from_state: 'available',
+        to_state: tag.tag_type,
+        reason: 'Backorder allocation',
+        source_type: 'tag',
+        source_id: tag._id,
+        source_reference: tag.customer_name,
+        performed_by: allocatedBy
+      });
+
+      if (sku) {
+        notifyBackorderAllocated(tag, sku, picked.length, item.backordered_quantity).catch(error => {
+          console.error('Backorder allocated notification error (non-fatal):', error.message);
+        });
+      }
+
+      allocations.push({
+        tag_id: tag._id,
+        customer_name: tag.customer_name,
+        sku_id: skuId,
+        quantity: picked.length,
+        still_backordered: item.backordered_quantity
+      });
+    }
+
+    await Inventory.refreshCounts(skuId, allocatedBy);
+  }
+
+  return allocations;
+}
+
+/**
+ * Open backorders, one row per tag line, with SKU and customer details.
+ */
+async function getOpenBackorders({ skuId, customerId } = {}) {
+  const Tag = model('Tag');
+
+  const match = { status: { $in: OPEN_STATUSES }, 'sku_items.backordered_quantity': { $gt: 0 } };
+  if (customerId) match.customer_id = new mongoose.Types.ObjectId(customerId.toString());
+
+  const rows = await Tag.aggregate([
+    { $match: match },
+    { $unwind: '$sku_items' },
+    { $match: { 'sku_items.backordered_quantity': { $gt: 0 }, ...(skuId && { 'sku_items.sku_id': new mongoose.Types.ObjectId(skuId.toString()) }) } },
+    { $lookup: { from: 'skus', localField: 'sku_items.sku_id', foreignField: '_id', as: 'sku' } },
+    { $unwind: { path: '$sku', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        tag_id: '$_id',
+        customer_id: 1,
+        customer_name: 1,
+        project_name: 1,
+        due_date: 1,
+        created_by: 1,
+        sku_id: '$sku_items.sku_id',
+        sku_code: '$sku.sku_code',
+        sku_name: '$sku.name',
+        unit_cost: { $ifNull: ['$sku.unit_cost', 0] },
+        allocated_quantity: { $size: { $ifNull: ['$sku_items.selected_instance_ids', []] } },
+        backordered_quantity: '$sku_items.backordered_quantity',
+        backordered_at: { $ifNull: ['$sku_items.backordered_at', '$createdAt'] }
+      }
+    },
+    { $sort: { backordered_at: 1 } }
+  ]);
+
+  const now = Date.now();
+  return rows.map(row => ({
+    ...row,
+    days_waiting: Math.floor((now - new Date(row.backordered_at).getTime()) / (24 * 60 * 60 * 1000))
+  }));
+}
+
+module.exports = {
+  allocateBackorders,
+  compareKeys,
+  getBackorderQueue,
+  getOpenBackorders
+};
@@ -0,0 +1,155 @@
+/**
+ * Minimal 5-field cron support for the in-process scheduler.
+ *
+ *   ┌──────── minute (0-59)
+ *   │ ┌────── hour (0-23)
+ *   │ │ ┌──── day of month (1-31)
+ *   │ │ │ ┌── month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0; 7 is accepted as Sunday)
+ *   * * * * *
+ *
+ * Supports `*`, lists (`1,15`), ranges (`1-5`) and steps (`*\/15`, `0-30/10`).
+ * As in standard cron, when both day fields are restricted a match on either is enough.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} value: ${part}`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(name === 'dayOfWeek' && i === 7 ? 0 : i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws on anything invalid.
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields (minute hour day-of-month month day-of-week)');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar parts of a date in the given IANA time zone (defaults to UTC).
+ */
+function getDateParts(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    minute: Number(get('minute')),
+    hour: Number(get('hour')),
+    dayOfMonth: Number(get('day')),
+    month: Number(get('month')),
+    dayOfWeek: weekdays.indexOf(get('weekday'))
+  };
+}
+
+/**
+ * Does the expression fire in the minute containing `date`?
+ */
+function matchesCron(expression, date = new Date(), timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const parts = getDateParts(date, timeZone);
+
+  if (!cron.minute.has(parts.minute) || !cron.hour.has(parts.hour) || !cron.month.has(parts.month)) {
+    return false;
+  }
+
+  const domMatch = cron.dayOfMonth.has(parts.dayOfMonth);
+  const dowMatch = cron.dayOfWeek.has(parts.dayOfWeek);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Next time (minute precision) after `from` that the expression fires, or null within a year.
+ */
+function getNextRun(expression, from = new Date(), timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const candidate = new Date(from);
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (candidate.getTime() <= limit) {
+    const parts = getDateParts(candidate, timeZone);
+    if (!cron.hour.has(parts.hour)) {
+      // Skip to the next hour boundary
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + (60 - parts.minute));
+      continue;
+    }
+    if (matchesCron(cron, candidate, timeZone)) {
+      return candidate;
+    }
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+  }
+  return null;
+}
+
+module.exports = { parseCron, isValidCron, matchesCron, getNextRun };
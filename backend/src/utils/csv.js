@@ -0,0 +1,23 @@
+/**
+ * Convert an array of flat objects to CSV text.
+ * Values containing commas are quoted; missing values become empty cells.
+ */
+function jsonToCsv(data, headers) {
+  if (data.length === 0) return '';
+  
+  const csvHeaders = headers.join(',');
+  const csvRows = data.map(row => 
+    headers.map(header => {
+      let value = row[header];
+      if (value === null || value === undefined) value = '';
+      if (typeof value === 'string' && value.includes(',')) {
+        value = `"${value.replace(/"/g, '""')}"`;
+      }
+      return value;
+    }).join(',')
+  );
+  
+  return csvHeaders + '\n' + csvRows.join('\n');
+}
+
+module.exports = { jsonToCsv };
@@ -0,0 +1,206 @@
+const Inventory = require('../models/Inventory');
+const Tag = require('../models/Tag');
+const { sendDiscordNotification } = require('./discord');
+
+/**
+ * Stock digest: low stock, items needing reorder and overdue tags.
+ *
+ * Each run builds a snapshot of the three lists and compares it with the
+ * snapshot from the last digest that was actually delivered, so Discord only
+ * hears about items that are new, changed or resolved since then.
+ */
+
+const DIGEST_LISTS = {
+  low_stock: { title: '🔻 Low stock', tracked: 'available_quantity' },
+  reorder: { title: '🛒 Needs reorder', tracked: 'available_quantity' },
+  overdue: { title: '⏰ Overdue tags', tracked: 'due_date' }
+};
+
+// Discord rejects embed field values over 1024 characters
+const FIELD_LIMIT = 1024;
+
+function stockEntries(inventoryItems, thresholdField) {
+  const entries = {};
+  for (const item of inventoryItems) {
+    // Skip inventory rows whose SKU has since been deleted
+    if (!item.sku_id) continue;
+    entries[item.sku_id._id.toString()] = {
+      sku_code: item.sku_id.sku_code,
+      name: item.sku_id.name,
+      available_quantity: item.available_quantity,
+      [thresholdField]: item[thresholdField]
+    };
+  }
+  return entries;
+}
+
+/**
+ * Build the current snapshot of all three lists, keyed by SKU / tag id.
+ */
+async function buildStockDigestSnapshot() {
+  const [lowStock, reorder, overdue] = await Promise.all([
+    Inventory.getLowStockItems(),
+    Inventory.getItemsNeedingReorder(),
+    Tag.getOverdueTags()
+  ]);
+
+  const overdueEntries = {};
+  for (const tag of overdue) {
+    overdueEntries[tag._id.toString()] = {
+      customer_name: tag.customer_name,
+      project_name: tag.project_name || null,
+      due_date: tag.due_date.toISOString(),
+      item_count: tag.sku_items.length
+    };
+  }
+
+  return {
+    low_stock: stockEntries(lowStock, 'minimum_stock_level'),
+    reorder: stockEntries(reorder, 'reorder_point'),
+    overdue: overdueEntries
+  };
+}
+
+/**
+ * Compare two snapshots. For each list returns the entries that are new,
+ * whose tracked value changed, and that have dropped off since `previous`.
+ */
+function diffSnapshots(previous = {}, current = {}) {
+  const diff = {};
+
+  for (const [list, { tracked }] of Object.entries(DIGEST_LISTS)) {
+    const before = previous[list] || {};
+    const after = current[list] || {};
+
+    diff[list] = {
+      added: Object.keys(after)
+        .filter(id => !before[id])
+        .map(id => ({ id, ...after[id] })),
+      changed: Object.keys(after)
+        .filter(id => before[id] && before[id][tracked] !== after[id][tracked])
+        .map(id => ({ id, ...after[id], previous: before[id][tracked] })),
+      resolved: Object.keys(before)
+        .filter(id => !after[id])
+        .map(id => ({ id, ...before[id] }))
+    };
+  }
+
+  return diff;
+}
+
+function countChanges(diff) {
+  return Object.values(diff).reduce(
+    (sum, { added, changed, resolved }) => sum + added.length + changed.length + resolved.length,
+    0
+  );
+}
+
+function formatEntry(list, entry, kind) {
+  if (list === 'overdue') {
+    const project = entry.project_name ? ` — ${entry.project_name}` : '';
+    const due = new Date(entry.due_date).toLocaleDateString();
+    if (kind === 'resolved') return `✅ **${entry.customer_name}**${project}`;
+    if (kind === 'changed') return `🔄 **${entry.customer_name}**${project} (due ${due})`;
+    return `🆕 **${entry.customer_name}**${project} (due ${due}, ${entry.item_count} SKUs)`;
+  }
+
+  const threshold = list === 'reorder'
+    ? `reorder at ${entry.reorder_point}`
+    : `min ${entry.minimum_stock_level}`;
+  if (kind === 'resolved') return `✅ **${entry.sku_code}** ${entry.name}`;
+  if (kind === 'changed') return `🔄 **${entry.sku_code}** ${entry.name}: ${entry.previous} → ${entry.available_quantity} (${threshold})`;
+  return `🆕 **${entry.sku_code}** ${entry.name}: ${entry.available_quantity} available (${threshold})`;
+}
+
+function formatField(list, { added, changed, resolved }) {
+  const lines = [
+    ...added.map(entry => formatEntry(list, entry, 'added')),
+    ...changed.map(entry => formatEntry(list, entry, 'changed')),
+    ...resolved.map(entry => formatEntry(list, entry, 'resolved'))
+  ];
+
+  let value = '';
+  for (let i = 0; i < lines.length; i++) {
+    const more = `\n…and ${lines.length - i} more`;
+    const next = value ? `${value}\n${lines[i]}` : lines[i];
+    if (next.length + more.length > FIELD_LIMIT) {
+      value += more;
+      break;
+    }
+    value = next;
+  }
+
+  return {
+    name: `${DIGEST_LISTS[list].title} (${added.length} new, ${changed.length} changed, ${resolved.length} resolved)`,
+    value
+  };
+}
+
+/**
+ * Scheduler handler for `stock_digest` jobs.
+ *
+ * job.config.lists optionally limits which lists are included.
+ * Returns { status, result, state } for the scheduler to record; the stored
+ * snapshot only advances when Discord accepted the digest, so a failed send
+ * is retried with the same changes next time.
+ */
+async function runStockDigest(job) {
+  const lists = (job.config && job.config.lists) || Object.keys(DIGEST_LISTS);
+  const previous = (job.state && job.state.last_snapshot) || {};
+  const snapshot = await buildStockDigestSnapshot();
+
+  // Only compare the lists this job reports on
+  const current = {};
+  for (const list of lists) {
+    current[list] = snapshot[list];
+  }
+  const diff = diffSnapshots(
+    Object.fromEntries(lists.map(list => [list, previous[list] || {}])),
+    current
+  );
+
+  const totals = Object.fromEntries(lists.map(list => [list, Object.keys(current[list]).length]));
+  const changes = Object.fromEntries(lists.map(list => [list, {
+    added: diff[list].added.length,
+    changed: diff[list].changed.length,
+    resolved: diff[list].resolved.length
+  }]));
+
+  if (countChanges(diff) === 0) {
+    return {
+      status: 'skipped',
+      result: { sent: false, reason: 'No changes since last digest', totals, changes }
+    };
+  }
+
+  const fields = lists
+    .filter(list => {
+      const { added, changed, resolved } = diff[list];
+      return added.length + changed.length + resolved.length > 0;
+    })
+    .map(list => formatField(list, diff[list]));
+
+  const delivery = await sendDiscordNotification({
+    title: '📦 Stock Digest',
+    description: lists.map(list => `${DIGEST_LISTS[list].title}: ${totals[list]}`).join(' • '),
+    color: 0xf57c00, // orange
+    fields,
+    footer: 'Stock Manager'
+  });
+
+  if (!delivery.sent) {
+    return {
+      status: 'failure',
+      result: { ...delivery, totals, changes },
+      error: delivery.reason
+    };
+  }
+
+  return {
+    status: 'success',
+    result: { ...delivery, totals, changes },
+    state: { ...job.state, last_snapshot: { ...previous, ...current }, last_sent_at: new Date() }
+  };
+}
+
+module.exports = { buildStockDigestSnapshot, diffSnapshots, runStockDigest };
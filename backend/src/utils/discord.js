@@ -5,12 +5,13 @@ const { URL } = require('url');
 /**
  * Send a Discord webhook notification.
  * Silently fails if DISCORD_WEBHOOK_URL is not configured.
+ * Resolves to { sent, reason } so callers that care can record the outcome.
  */
 async function sendDiscordNotification({ title, description, color = 0x28a745, fields = [], footer }) {
   const webhookUrl = process.env.DISCORD_WEBHOOK_URL;
   if (!webhookUrl) {
     console.log('Discord webhook not configured (DISCORD_WEBHOOK_URL not set), skipping notification');
-    return;
+    return { sent: false, reason: 'DISCORD_WEBHOOK_URL not configured' };
   }
 
   const embed = {
@@ -56,9 +57,11 @@ async function sendDiscordNotification({ title, description, color = 0x28a745, f
     });
 
     console.log(`✅ Discord notification sent: ${title}`);
+    return { sent: true };
   } catch (error) {
     // Don't let Discord failures break the app
     console.error('Discord webhook error (non-fatal):', error.message);
+    return { sent: false, reason: error.message };
   }
 }
 
@@ -130,14 +133,14 @@ async function notifyReadyList(tags) {
     return `• **${tag.customer_name}**${project} (${itemCount} SKUs)`;
   });
 
-  await sendDiscordNotification({
+  const result = await sendDiscordNotification({
     title: `📋 Ready to Schedule (${tags.length} tag${tags.length === 1 ? '' : 's'})`,
     description: lines.join('\n'),
     color: 0x1976d2, // blue
     footer: 'Stock Manager'
   });
 
-  return { sent: true, count: tags.length };
+  return { ...result, count: tags.length };
 }
 
 module.exports = { sendDiscordNotification, notifyTagComplete, notifyTagIncomplete, notifyReadyList };
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const { allocateBackorders } = require('./backorders');
+
+/**
+ * Kit assembly for bundle SKUs.
+ *
+ * A bundle SKU's `bundle_items` say how many of each component go into one
+ * kit. assembleKits() builds kit instances of the bundle SKU out of that many
+ * available component units per kit - oldest first. A kit costs what its
+ * components cost. The component records are kept and marked as built into
+ * their kit (Instance.kit_instance_id), which takes them off hand for their own
+ * SKU; disassembleKits() clears the mark again, so the very same units go back
+ * in stock as they were, and keeps the kit's record as taken apart.
+ *
+ * Units are only marked on the condition that they are still available; if
+ * any were tagged in the meantime the marks are cleared and nothing changes.
+ */
+
+const model = name => mongoose.model(name);
+
+// Component quantities per kit, one entry per component SKU
+const componentLines = bundleSku => {
+  const lines = new Map();
+  for (const item of bundleSku.bundle_items || []) {
+    const skuId = (item.sku_id?._id || item.sku_id).toString();
+    lines.set(skuId, (lines.get(skuId) || 0) + item.quantity);
+  }
+  return [...lines].map(([sku_id, quantity]) => ({ sku_id, quantity }));
+};
+
+const assertBundle = bundleSku => {
+  if (!bundleSku.is_bundle || componentLines(bundleSku).length === 0) {
+    const err = new Error(`${bundleSku.sku_code} is not a bundle with components`);
+    err.code = 'NOT_A_BUNDLE';
+    throw err;
+  }
+};
+
+// Put the units built into the given kits back in stock
+const unmarkKitted = (kitIds, update = {}) => model('Instance').updateMany(
+  { kit_instance_id: { $in: kitIds } },
+  { $set: { ...update, kit_instance_id: null } }
+);
+
+/**
+ * Mark component units as built into kits, on the condition that they are still available.
+ * `assignments` pairs each kit id with its units. If some units were not available any more,
+ * the marks are cleared again and it throws COMPONENTS_CHANGED.
+ */
+async function markKitted(assignments) {
+  const Instance = model('Instance');
+
+  let marked = 0;
+  let expected = 0;
+  for (const { kitId, instances } of assignments) {
+    const { modifiedCount } = await Instance.updateMany(
+      Instance.availableFilter({ _id: { $in: instances.map(instance => instance._id) } }),
+      { $set: { kit_instance_id: kitId } }
+    );
+    marked += modifiedCount;
+    expected += instances.length;
+  }
+
+  if (marked !== expected) {
+    await unmarkKitted(assignments.map(assignment => assignment.kitId));
+    const err = new Error('Some components were tagged or moved while the kits were being built; nothing was changed');
+    err.code = 'COMPONENTS_CHANGED';
+    throw err;
+  }
+}
+
+/**
+ * How many kits of a bundle SKU current component stock can build.
+ */
+async function getBuildableQuantity(bundleSku) {
+  const SKU = model('SKU');
+  const Instance = model('Instance');
+
+  const lines = componentLines(bundleSku);
+  const skus = await SKU.find({ _id: { $in: lines.map(line => line.sku_id) } }).select('sku_code name status');
+  const skuMap = new Map(skus.map(sku => [sku._id.toString(), sku]));
+
+  const components = await Promise.all(lines.map(async line => {
+    const sku = skuMap.get(line.sku_id);
+    const available = await Instance.countDocuments(Instance.availableFilter({ sku_id: line.sku_id }));
+    return {
+      sku_id: line.sku_id,
+      sku_code: sku ? sku.sku_code : null,
+      name: sku ? sku.name : null,
+      quantity_per_kit: line.quantity,
+      available,
+      buildable: Math.floor(available / line.quantity)
+    };
+  }));
+
+  const limiting = components.reduce((lowest, component) =>
+    (!lowest || component.buildable < lowest.buildable ? component : lowest), null);
+
+  return {
+    sku_id: bundleSku._id,
+    sku_code: bundleSku.sku_code,
+    buildable: limiting ? limiting.buildable : 0,
+    limiting_sku: limiting ? limiting.sku_code : null,
+    components
+  };
+}
+
+/**
+ * Build `quantity` kits of a bundle SKU from the oldest available component units.
+ * Throws with err.code NOT_A_BUNDLE, INSUFFICIENT_COMPONENTS (err.shortages),
+ * DUPLICATE_IDENTIFIER / IDENTIFIER_COUNT_MISMATCH or COMPONENTS_CHANGED.
+ */
+async function assembleKits(bundleSku, quantity, { location = 'HQ', notes = '', serialNumbers, assetTags, assembledBy }) {
+  const Instance = model('Instance');
+  const Inventory = model('Inventory');
+  const SKU = model('SKU');
+  const StockMovement = model('StockMovement');
+
+  assertBundle(bundleSku);
+  const lines = componentLines(bundleSku);
+
+  const picks = await Promise.all(lines.map(async line => ({
+    ...line,
+    instances: await Instance.find(Instance.availableFilter({ sku_id: line.sku_id }))
+      .sort({ acquisition_date: 1, _id: 1 })
+      .limit(line.quantity * quantity)
+  })));
+
+  const short = picks.filter(pick => pick.instances.length < pick.quantity * quantity);
+  if (short.length > 0) {
+    const skus = await SKU.find({ _id: { $in: short.map(pick => pick.sku_id) } }).select('sku_code');
+    const shortages = short.map(pick => ({
+      sku_id: pick.sku_id,
+      sku_code: (skus.find(sku => sku._id.toString() === pick.sku_id) || {}).sku_code || null,
+      required: pick.quantity * quantity,
+      available: pick.instances.length,
+      shortage: pick.quantity * quantity - pick.instances.length
+    }));
+    const err = new Error(`Not enough components to build ${quantity} x ${bundleSku.sku_code}: ` +
+      shortages.map(entry => `${entry.sku_code} short ${entry.shortage}`).join(', '));
+    err.code = 'INSUFFICIENT_COMPONENTS';
+    err.shortages = shortages;
+    throw err;
+  }
+
+  // Kit n gets the n-th slice of each component's oldest units
+  const now = new Date();
+  const assignments = Array.from({ length: quantity }, (_, kit) => ({
+    kitId: new mongoose.Types.ObjectId(),
+    instances: picks.flatMap(pick => pick.instances.slice(kit * pick.quantity, (kit + 1) * pick.quantity))
+  }));
+  const kitsData = await Instance.assignIdentifiers(bundleSku._id, assignments.map(({ kitId, instances }) => ({
+    _id: kitId,
+    sku_id: bundleSku._id,
+    acquisition_date: now,
+    acquisition_cost: instances.reduce((sum, instance) => sum + (instance.acquisition_cost || 0), 0),
+    location,
+    assembled_at: now,
+    notes: notes || `Assembled from ${instances.length} component unit(s)`,
+    added_by: assembledBy
+  })), { serialNumbers, assetTags });
+
+  await markKitted(assignments);
+
+  const kitIds = assignments.map(assignment => assignment.kitId);
+  let kits;
+  try {
+    kits = await Instance.create(kitsData);
+  } catch (error) {
+    // The kits are new, so removing any that were created loses nothing
+    await Instance.deleteMany({ _id: { $in: kitIds } });
+    await unmarkKitted(kitIds);
+    throw error;
+  }
+
+  const consumed = picks.flatMap(pick => pick.instances);
+
+  const movement = {
+    movement_type: 'kit_assemble',
+    reason: `Assembled ${quantity} x ${bundleSku.sku_code}${notes ? `: ${notes}` : ''}`,
+    source_type: 'kit',
+    source_id: bundleSku._id,
+    source_reference: bundleSku.sku_code,
+    performed_by: assembledBy
+  };
+  await StockMovement.recordInstances(consumed, { ...movement, from_state: 'available', to_state: 'kitted' });
+  await StockMovement.recordInstances(kits, { ...movement, from_state: 'kitted', to_state: 'available' });
+
+  for (const skuId of [bundleSku._id, ...lines.map(line => line.sku_id)]) {
+    await Inventory.refreshCounts(skuId, assembledBy);
+  }
+  const backorders = await allocateBackorders([bundleSku._id], { allocatedBy: assembledBy });
+
+  return {
+    kits,
+    components: picks.map(pick => ({
+      sku_id: pick.sku_id,
+      quantity: pick.instances.length,
+      instance_ids: pick.instances.map(instance => instance._id)
+    })),
+    total_cost: kits.reduce((sum, kit) => sum + kit.acquisition_cost, 0),
+    backorders
+  };
+}
+
+/**
+ * Take kits of a bundle SKU apart and put their components back in stock. The kit
+ * records stay, marked as disassembled and off hand.
+ * Picks the given available kit instances, or the oldest `quantity` of them.
+ * Throws with err.code KIT_NOT_AVAILABLE, INSUFFICIENT_KITS or KITS_CHANGED.
+ */
+async function disassembleKits(bundleSku, { instanceIds, quantity, notes = '', disassembledBy }) {
+  const Instance = model('Instance');
+  const Inventory = model('Inventory');
+  const StockMovement = model('StockMovement');
+
+  const kitFilter = Instance.availableFilter({ sku_id: bundleSku._id, assembled_at: { $ne: null } });
+  let kits;
+  if (instanceIds && instanceIds.length > 0) {
+    const ids = [...new Set(instanceIds.map(String))];
+    kits = await Instance.find({ ...kitFilter, _id: { $in: ids } });
+    if (kits.length !== ids.length) {
+      const found = new Set(kits.map(kit => kit._id.toString()));
+      const err = new Error(`Not an available assembled kit of ${bundleSku.sku_code}: ${ids.filter(id => !found.has(id)).join(', ')}`);
+      err.code = 'KIT_NOT_AVAILABLE';
+      throw err;
+    }
+  } else {
+    kits = await Instance.find(kitFilter).sort({ acquisition_date: 1, _id: 1 }).limit(quantity);
+    if (kits.length < quantity) {
+      const err = new Error(`Only ${kits.length} assembled kit(s) of ${bundleSku.sku_code} available to take apart`);
+      err.code = 'INSUFFICIENT_KITS';
+      throw err;
+    }
+  }
+
+  // Mark the kits as taken apart, on the condition that they are still available
+  const now = new Date();
+  const kitIds = kits.map(kit => kit._id);
+  const { modifiedCount } = await Instance.updateMany(
+    Instance.availableFilter({ _id: { $in: kitIds } }),
+    { $set: { disassembled_at: now } }
+  );
+  if (modifiedCount !== kits.length) {
+    await Instance.updateMany({ _id: { $in: kitIds }, disassembled_at: now }, { $set: { disassembled_at: null } });
+    const err = new Error('Some kits were tagged or moved while they were being taken apart; nothing was changed');
+    err.code = 'KITS_CHANGED';
+    throw err;
+  }
+
+  // Components come out wherever their kit is now
+  const componentIds = await Instance.find({ kit_instance_id: { $in: kitIds } }).distinct('_id');
+  for (const kit of kits) {
+    await unmarkKitted([kit._id], { location: kit.location || 'HQ' });
+  }
+  const restored = await Instance.find({ _id: { $in: componentIds } });
+
+  const movement = {
+    movement_type: 'kit_disassemble',
+    reason: `Took apart ${kits.length} x ${bundleSku.sku_code}${notes ? `: ${notes}` : ''}`,
+    source_type: 'kit',
+    source_id: bundleSku._id,
+    source_reference: bundleSku.sku_code,
+    performed_by: disassembledBy
+  };
+  await StockMovement.recordInstances(kits, { ...movement, from_state: 'available', to_state: 'kitted' });
+  await StockMovement.recordInstances(restored, { ...movement, from_state: 'kitted', to_state: 'available' });
+
+  const componentSkuIds = [...new Set(restored.map(instance => instance.sku_id.toString()))];
+  for (const skuId of [bundleSku._id, ...componentSkuIds]) {
+    await Inventory.refreshCounts(skuId, disassembledBy);
+  }
+  const backorders = componentSkuIds.length
+    ? await allocateBackorders(componentSkuIds, { allocatedBy: disassembledBy })
+    : [];
+
+  return { kits, restored, backorders };
+}
+
+module.exports = {
+  getBuildableQuantity,
+  assembleKits,
+  disassembleKits
+};
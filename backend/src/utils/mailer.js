@@ -0,0 +1,275 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Outbound email behind a pluggable transport.
+ *
+ * A transport is any object with `async send({ from, to, subject, text })`
+ * resolving to `{ messageId, response }`. The default is built from env:
+ *
+ *   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true = implicit TLS, e.g. 465),
+ *   SMTP_USER / SMTP_PASS (AUTH PLAIN, only over TLS), SMTP_IGNORE_TLS (skip
+ *   STARTTLS and allow AUTH on a plain connection),
+ *   MAIL_FROM (sender address), MAIL_TRANSPORT=log (print instead of send)
+ *
+ * With no SMTP_HOST email is disabled and sendMail() reports not_configured.
+ * Tests and local dev can point SMTP_HOST/SMTP_PORT at a throwaway SMTP
+ * server (MailHog, smtp4dev, ...) or call setMailTransport() directly.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+let customTransport = null;
+
+/**
+ * Minimal SMTP client: EHLO, optional STARTTLS, AUTH PLAIN, one message, QUIT.
+ * Connecting, the TLS handshake and every reply must each come within timeoutMs.
+ * Credentials are only sent over TLS unless ignoreTLS is set.
+ */
+function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  ignoreTLS = false,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  clientName = os.hostname()
+}) {
+  // Destroys a socket that sits idle (connecting, handshaking or waiting for a reply) for too long
+  const armTimeout = (target) => {
+    target.setTimeout(timeoutMs, () => target.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+  };
+
+  const openSocket = () => new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    armTimeout(socket);
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+  // Wraps a socket and hands out complete (possibly multi-line) replies in order
+  const createReader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiters = [];
+    let failure = null;
+
+    const settle = () => {
+      while (waiters.length && (replies.length || failure)) {
+        const waiter = waiters.shift();
+        if (replies.length) waiter.resolve(replies.shift());
+        else waiter.reject(failure);
+      }
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        // "250-..." continues, "250 ..." ends the reply
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)) });
+          lines = [];
+        }
+      }
+      settle();
+    };
+    const onError = (error) => { failure = error; settle(); };
+    const onClose = () => { failure = failure || new Error('SMTP connection closed'); settle(); };
+
+    socket.setEncoding('utf8');
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      }),
+      detach: () => {
+        socket.removeListener('data', onData);
+        socket.removeListener('error', onError);
+        socket.removeListener('close', onClose);
+      }
+    };
+  };
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      let socket = await openSocket();
+      let reader = createReader(socket);
+
+      const expect = async (codes, command) => {
+        if (command !== undefined) socket.write(`${command}\r\n`);
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+          const shown = command && command.startsWith('AUTH') ? 'AUTH' : command;
+          throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+      };
+
+      try {
+        await expect([220]);
+        let ehlo = await expect([250], `EHLO ${clientName}`);
+        let encrypted = secure;
+
+        const offersStartTls = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+        if (!secure && !ignoreTLS && offersStartTls) {
+          await expect([220], 'STARTTLS');
+          reader.detach();
+          socket = await new Promise((resolve, reject) => {
+            const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+            armTimeout(upgraded);
+            upgraded.once('error', reject);
+          });
+          reader = createReader(socket);
+          ehlo = await expect([250], `EHLO ${clientName}`);
+          encrypted = true;
+        }
+
+        if (user) {
+          // A missing STARTTLS may have been stripped on the way; don't hand the password out in the clear
+          if (!encrypted && !ignoreTLS) {
+            throw new Error('SMTP server did not offer STARTTLS; refusing to send credentials without TLS (set SMTP_IGNORE_TLS=true to allow it)');
+          }
+          const credentials = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+          await expect([235], `AUTH PLAIN ${credentials}`);
+        }
+
+        const recipients = [].concat(message.to);
+        await expect([250], `MAIL FROM:<${extractAddress(message.from)}>`);
+        for (const recipient of recipients) {
+          await expect([250, 251], `RCPT TO:<${extractAddress(recipient)}>`);
+        }
+        await expect([354], 'DATA');
+
+        const { raw, messageId } = buildMessage({ ...message, to: recipients, clientName });
+        // Dot-stuff lines that start with "." and terminate with <CRLF>.<CRLF>
+        const reply = await expect([250], `${raw.replace(/\r\n\./g, '\r\n..')}\r\n.`);
+
+        await expect([221], 'QUIT').catch(() => {});
+        return { messageId, response: `${reply.code} ${reply.lines.join(' ')}` };
+      } finally {
+        socket.destroy();
+      }
+    }
+  };
+}
+
+/**
+ * Transport that prints messages instead of sending them.
+ */
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send(message) {
+      const messageId = `<${crypto.randomUUID()}@log>`;
+      console.log(`📧 [mail:log] To: ${[].concat(message.to).join(', ')} | ${message.subject}\n${message.text}`);
+      return { messageId, response: 'logged' };
+    }
+  };
+}
+
+function extractAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+function encodeHeader(value) {
+  // Non-ASCII headers need RFC 2047 encoding
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, clientName }) {
+  const messageId = `<${crypto.randomUUID()}@${clientName}>`;
+  const body = Buffer.from(text || '').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  const raw = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+
+  return { raw, messageId };
+}
+
+/**
+ * Use a specific transport (or null to go back to the env configuration).
+ */
+function setMailTransport(transport) {
+  customTransport = transport;
+}
+
+function getMailTransport() {
+  if (customTransport) return customTransport;
+  if (process.env.MAIL_TRANSPORT === 'log') return createLogTransport();
+  if (!process.env.SMTP_HOST) return null;
+
+  return createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+  });
+}
+
+function isMailConfigured() {
+  return Boolean(getMailTransport());
+}
+
+/**
+ * Send a plain-text email. Never throws; resolves to
+ * { sent: true, messageId } or { sent: false, reason }.
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = getMailTransport();
+  if (!transport) {
+    return { sent: false, reason: 'not_configured' };
+  }
+
+  try {
+    const { messageId } = await transport.send({
+      from: process.env.MAIL_FROM || 'Stock Manager <stock-manager@localhost>',
+      to,
+      subject,
+      text
+    });
+    return { sent: true, messageId };
+  } catch (error) {
+    console.error('Email send error (non-fatal):', error.message);
+    return { sent: false, reason: error.message };
+  }
+}
+
+module.exports = {
+  createSmtpTransport,
+  createLogTransport,
+  setMailTransport,
+  getMailTransport,
+  isMailConfigured,
+  sendMail
+};
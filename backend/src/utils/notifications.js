@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+
+/**
+ * User notifications: in-app inbox plus an optional email copy.
+ *
+ * Who hears about what is driven by User.preferences.notifications:
+ *   lowStock      - low / out-of-stock alerts
+ *   systemAlerts  - operational alerts (tag ready to schedule, overdue tools,
+ *                   tool bookings that couldn't be handed out, backorders filled)
+ *   email         - also email the notification (when SMTP is configured)
+ *
+ * Bug report replies are direct responses to the user, so they always land
+ * in the inbox; the email flag still decides whether they're emailed.
+ */
+
+const NOTIFICATION_EVENTS = {
+  low_stock: { preference: 'lowStock', roles: ['admin', 'warehouse_manager'] },
+  tag_ready: { preference: 'systemAlerts', roles: ['admin', 'warehouse_manager'] },
+  // Overdue tool reminders go to the loan's creator until they escalate to managers
+  overdue_tool: { preference: 'systemAlerts', roles: [] },
+  overdue_tool_escalation: { preference: 'systemAlerts', roles: ['admin', 'warehouse_manager'] },
+  reservation_unfilled: { preference: 'systemAlerts', roles: ['admin', 'warehouse_manager'] },
+  // Backordered units allocated to a tag go to the tag's creator
+  backorder_allocated: { preference: 'systemAlerts', roles: [] },
+  bug_report_reply: { preference: null, roles: [] }
+};
+
+// User is looked up by name: this module is loaded from model hooks
+const model = name => mongoose.model(name);
+
+const wants = (user, preference) => {
+  const prefs = (user.preferences && user.preferences.notifications) || {};
+  return preference === null || prefs[preference] !== false;
+};
+
+/**
+ * Deliver a notification to everyone with a matching role and/or username,
+ * honouring their preferences. Resolves to the created notifications.
+ */
+async function notify(type, { usernames = [], exclude = [], title, message, link = null, entityType = null, entityId = null }) {
+  const definition = NOTIFICATION_EVENTS[type];
+  if (!definition) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const audience = [];
+  if (definition.roles.length) audience.push({ role: { $in: definition.roles } });
+  if (usernames.length) audience.push({ username: { $in: usernames.filter(Boolean) } });
+  if (audience.length === 0) return [];
+
+  const users = await model('User').find({
+    isActive: true,
+    username: { $nin: exclude.filter(Boolean) },
+    $or: audience
+  }).select('username email preferences');
+
+  const recipients = users.filter(user => wants(user, definition.preference));
+  if (recipients.length === 0) return [];
+
+  const notifications = await Notification.insertMany(recipients.map(user => ({
+    user_id: user._id,
+    username: user.username,
+    type,
+    title,
+    message,
+    link,
+    entity_type: entityType,
+    entity_id: entityId
+  })));
+
+  // Email copies go out one by one; a failure only marks that notification
+  await Promise.all(notifications.map(async (notification, index) => {
+    const user = recipients[index];
+    if (!wants(user, 'email') || !user.email) return;
+
+    const result = await sendMail({
+      to: user.email,
+      subject: `[Stock Manager] ${title}`,
+      text: `${message}${link ? `\n\nOpen: ${process.env.APP_URL || ''}${link}` : ''}\n\nChange what you receive under your notification preferences.`
+    });
+
+    notification.email_status = result.sent ? 'sent' : (result.reason === 'not_configured' ? 'not_configured' : 'failed');
+    notification.email_error = result.sent || result.reason === 'not_configured' ? null : result.reason;
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { email_status: notification.email_status, email_error: notification.email_error } }
+    );
+  }));
+
+  return notifications;
+}
+
+/**
+ * Low / out-of-stock crossing on an Inventory record.
+ */
+async function notifyLowStock(inventory, alert) {
+  const sku = await model('SKU').findById(inventory.sku_id._id || inventory.sku_id).select('sku_code name');
+  if (!sku) return [];
+
+  return notify('low_stock', {
+    title: `${alert}: ${sku.sku_code}`,
+    message: `${sku.name} (${sku.sku_code}) has ${inventory.available_quantity} available ` +
+      `(minimum ${inventory.minimum_stock_level}, reorder point ${inventory.reorder_point}).`,
+    link: '/skus',
+    entityType: 'sku',
+    entityId: sku._id
+  });
+}
+
+/**
+ * Tag marked complete and ready to schedule. Also tells the tag's creator.
+ */
+function notifyTagReady(tag, markedBy) {
+  return notify('tag_ready', {
+    usernames: [tag.created_by],
+    exclude: [markedBy],
+    title: `Ready to schedule: ${tag.customer_name}`,
+    message: `${markedBy} marked ${tag.customer_name}'s tag${tag.project_name ? ` (${tag.project_name})` : ''} complete and ready to schedule.`,
+    link: '/tags',
+    entityType: 'tag',
+    entityId: tag._id
+  });
+}
+
+/**
+ * Newly received stock was allocated to a tag's backorder. Tells the tag's creator.
+ */
+function notifyBackorderAllocated(tag, sku, quantity, stillBackordered) {
+  return notify('backorder_allocated', {
+    usernames: [tag.created_by],
+    title: `Backorder filled: ${tag.customer_name}`,
+    message: `${quantity} × ${sku.name} (${sku.sku_code}) arrived and ${quantity === 1 ? 'was' : 'were'} allocated to ` +
+      `${tag.customer_name}'s tag${tag.project_name ? ` (${tag.project_name})` : ''}.` +
+      (stillBackordered > 0 ? ` ${stillBackordered} still on backorder.` : ' Nothing left on backorder for this SKU.'),
+    link: '/tags',
+    entityType: 'tag',
+    entityId: tag._id
+  });
+}
+
+/**
+ * Someone replied on a bug report: tell the reporter and everyone else in the thread.
+ */
+function notifyBugReportReply(report, reply) {
+  const participants = [report.created_by, ...report.replies.map(r => r.author)];
+  return notify('bug_report_reply', {
+    usernames: [...new Set(participants)],
+    exclude: [reply.author],
+    title: `New reply on your ${report.type === 'bug' ? 'bug report' : 'feature request'}`,
+    message: `${reply.author} replied: ${reply.message.length > 300 ? `${reply.message.slice(0, 300)}…` : reply.message}`,
+    link: '/dashboard',
+    entityType: 'bug_report',
+    entityId: report._id
+  });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  notify,
+  notifyLowStock,
+  notifyTagReady,
+  notifyBackorderAllocated,
+  notifyBugReportReply
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { notify } = require('./notifications');
+const { sendDiscordNotification } = require('./discord');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+/**
+ * Escalating reminders for overdue tool loans.
+ *
+ * Each stage goes out once per due date (extending a loan starts again). If
+ * the job was off for a while only the latest stage reached is sent, so a
+ * contractor doesn't get three messages at once. Every stage is posted to
+ * Discord and sent to the contractor by email and SMS when we have their
+ * details; staff hear about it in-app. What went out, and over which channels,
+ * is logged on the tag (Tag.reminders).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stages in order: days after the due date, who is told in-app, Discord colour
+const ESCALATION_POLICY = [
+  { stage: 'due', after_days: 0, notification: 'overdue_tool', color: 0xffc107 },
+  { stage: 'reminder', after_days: 3, notification: 'overdue_tool', color: 0xfd7e14 },
+  { stage: 'escalation', after_days: 7, notification: 'overdue_tool_escalation', color: 0xd32f2f }
+];
+
+const model = name => mongoose.model(name);
+
+// Latest policy stage a loan has reached
+function stageFor(dueDate, now) {
+  return ESCALATION_POLICY
+    .filter(step => now.getTime() >= dueDate.getTime() + step.after_days * DAY_MS)
+    .pop() || null;
+}
+
+// "2 × Tile Saw, 1 × Laser Level" for the tools still out
+function describeTools(tag) {
+  return tag.sku_items
+    .filter(item => item.sku_id && item.selected_instance_ids.length > 0)
+    .map(item => `${item.selected_instance_ids.length} × ${item.sku_id.name}`)
+    .join(', ');
+}
+
+// Message for the contractor holding the tools
+function contractorMessage(stage, { contractorName, tools, job, dueDate, daysOverdue }) {
+  const greeting = `Hi ${contractorName},`;
+  const due = dueDate.toLocaleDateString();
+
+  if (stage === 'due') {
+    return `${greeting} the tools you have for ${job} (${tools}) were due back on ${due}. ` +
+      'Please return them to the warehouse.';
+  }
+  if (stage === 'reminder') {
+    return `${greeting} reminder: the tools you have for ${job} (${tools}) are now ${daysOverdue} days overdue ` +
+      `(due ${due}). Please return them as soon as possible.`;
+  }
+  return `${greeting} the tools you have for ${job} (${tools}) are ${daysOverdue} days overdue (due ${due}). ` +
+    'This has been escalated to our warehouse manager - please return them immediately or get in touch.';
+}
+
+/**
+ * Send one stage for one loan over every channel. Resolves to the delivery log entries.
+ */
+async function sendReminder(tag, step, { contractor, daysOverdue }) {
+  const tools = describeTools(tag);
+  const job = `${tag.customer_name}${tag.project_name ? ` (${tag.project_name})` : ''}`;
+  const deliveries = [];
+
+  const discord = await sendDiscordNotification({
+    title: step.stage === 'escalation'
+      ? `🚨 Tools ${daysOverdue} days overdue - escalated`
+      : `⏰ Tools ${daysOverdue > 0 ? `${daysOverdue} days overdue` : 'due back'}`,
+    description: `**${job}** still has ${tools}.`,
+    color: step.color,
+    fields: [
+      { name: 'Contractor', value: contractor ? contractor.name : 'Not recorded', inline: true },
+      { name: 'Due Date', value: tag.due_date.toLocaleDateString(), inline: true },
+      { name: 'Stage', value: step.stage, inline: true }
+    ],
+    footer: 'Stock Manager'
+  });
+  deliveries.push({ channel: 'discord', sent: discord.sent, reason: discord.reason || '' });
+
+  if (contractor) {
+    const text = contractorMessage(step.stage, {
+      contractorName: contractor.name,
+      tools,
+      job,
+      dueDate: tag.due_date,
+      daysOverdue
+    });
+
+    if (contractor.email) {
+      const email = await sendMail({
+        to: contractor.email,
+        subject: step.stage === 'due' ? `Tools due back: ${job}` : `Overdue tools: ${job}`,
+        text
+      });
+      deliveries.push({ channel: 'email', recipient: contractor.email, sent: email.sent, reason: email.reason || '' });
+    }
+    if (contractor.phone) {
+      const sms = await sendSms({ to: contractor.phone, text });
+      deliveries.push({ channel: 'sms', recipient: contractor.phone, sent: sms.sent, reason: sms.reason || '' });
+    }
+  }
+
+  const notifications = await notify(step.notification, {
+    usernames: [tag.created_by],
+    title: step.stage === 'escalation' ? `Escalated: tools ${daysOverdue} days overdue` : `Overdue tools: ${tag.customer_name}`,
+    message: `${job}${contractor ? ` / ${contractor.name}` : ''} was due to return ${tools} on ` +
+      `${tag.due_date.toLocaleDateString()}.`,
+    link: '/tools',
+    entityType: 'tag',
+    entityId: tag._id
+  });
+  deliveries.push({
+    channel: 'in_app',
+    recipient: notifications.map(notification => notification.username).join(', '),
+    sent: notifications.length > 0,
+    reason: notifications.length > 0 ? '' : 'No recipients'
+  });
+
+  return deliveries;
+}
+
+/**
+ * Scheduler handler for `overdue_tools` jobs: sends the next reminder stage
+ * for every overdue tool loan that hasn't had it yet.
+ */
+async function runOverdueToolReminders() {
+  const Category = model('Category');
+  const SKU = model('SKU');
+  const Tag = model('Tag');
+  const Contractor = model('Contractor');
+
+  const now = new Date();
+  const toolCategoryIds = await Category.find({ type: 'tool' }).distinct('_id');
+  const toolSkuIds = toolCategoryIds.length
+    ? await SKU.find({ category_id: { $in: toolCategoryIds } }).distinct('_id')
+    : [];
+
+  const overdue = toolSkuIds.length
+    ? await Tag.find({
+      status: 'active',
+      tag_type: 'loaned',
+      due_date: { $lte: now },
+      'sku_items.sku_id': { $in: toolSkuIds }
+    }).populate('sku_items.sku_id', 'sku_code name')
+    : [];
+
+  const contractorIds = overdue.map(tag => tag.contractor_id).filter(Boolean);
+  const contractors = new Map((await Contractor.find({ _id: { $in: contractorIds } }))
+    .map(contractor => [contractor._id.toString(), contractor]));
+
+  const sent = { due: 0, reminder: 0, escalation: 0 };
+  for (const tag of overdue) {
+    const step = stageFor(tag.due_date, now);
+    if (!step || tag.hasReminder(step.stage)) continue;
+
+    const daysOverdue = Math.floor((now - tag.due_date) / DAY_MS);
+    const deliveries = await sendReminder(tag, step, {
+      contractor: tag.contractor_id ? contractors.get(tag.contractor_id.toString()) : null,
+      daysOverdue
+    });
+    tag.recordReminder({ stage: step.stage, daysOverdue, deliveries });
+    await tag.save();
+    sent[step.stage] += 1;
+  }
+
+  const total = sent.due + sent.reminder + sent.escalation;
+  return {
+    status: total > 0 ? 'success' : 'skipped',
+    result: { overdue: overdue.length, sent, ...(total === 0 && { reason: 'No reminders due' }) }
+  };
+}
+
+/**
+ * Overdue loans a contractor already has, for warnings at checkout.
+ */
+async function getContractorOverdueLoans(contractorId, now = new Date()) {
+  const Tag = model('Tag');
+
+  const tags = await Tag.find({
+    contractor_id: contractorId,
+    status: 'active',
+    tag_type: 'loaned',
+    due_date: { $lt: now }
+  }).sort({ due_date: 1 });
+
+  return tags.map(tag => ({
+    tag_id: tag._id,
+    customer_name: tag.customer_name,
+    project_name: tag.project_name,
+    due_date: tag.due_date,
+    days_overdue: Math.floor((now - tag.due_date) / DAY_MS),
+    quantity: tag.getTotalRemainingQuantity()
+  }));
+}
+
+module.exports = {
+  ESCALATION_POLICY,
+  runOverdueToolReminders,
+  getContractorOverdueLoans
+};
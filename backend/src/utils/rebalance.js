@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const { compareKeys } = require('./backorders');
+
+/**
+ * Rebalancing scarce stock across reserved tags.
+ *
+ * When reservations for a SKU outrun supply, planRebalance() lists every
+ * active reserved tag wanting it, ranks them - earliest due date, then highest
+ * priority, then oldest tag - and works out which units each should hold.
+ * Units come from available stock first, then from the lowest ranked tags.
+ * Lines picked by hand (selection_method `manual`) keep their units.
+ *
+ * applyRebalance() carries the plan out on Instances and Tags. Every unit is
+ * moved on the condition that it is still where the plan found it; if any of
+ * them moved in the meantime the others are put back and nothing changes.
+ * The same goes for a tag that fails to save after the units have moved.
+ */
+
+const model = name => mongoose.model(name);
+
+// Earliest due date first (none goes last), then most urgent, then oldest tag
+const rankKey = ({ tag }) => [
+  tag.due_date ? tag.due_date.getTime() : Number.MAX_SAFE_INTEGER,
+  -tag.getPriorityRank(),
+  tag.createdAt.getTime()
+];
+
+/**
+ * Work out the plan against the current state of the SKU's tags and stock.
+ * Lines carry their tag documents so the plan can be applied.
+ */
+async function buildPlan(skuId) {
+  const Tag = model('Tag');
+  const Instance = model('Instance');
+
+  const tags = await Tag.find({ status: 'active', tag_type: 'reserved', 'sku_items.sku_id': skuId });
+  const lines = tags.flatMap(tag => tag.sku_items
+    .filter(item => item.sku_id.toString() === skuId.toString())
+    .map(item => {
+      const current = (item.selected_instance_ids || []).map(String);
+      return {
+        tag,
+        item,
+        locked: item.selection_method === 'manual',
+        current,
+        demand: current.length + (item.backordered_quantity || 0)
+      };
+    }))
+    .sort((a, b) => compareKeys(rankKey(a), rankKey(b)));
+
+  const available = (await Instance.find(Instance.availableFilter({ sku_id: skuId }))
+    .sort({ acquisition_date: 1 })
+    .select('_id')).map(instance => instance._id.toString());
+
+  // Hand the pool out in rank order
+  const ranked = lines.filter(line => !line.locked);
+  let remaining = available.length + ranked.reduce((sum, line) => sum + line.current.length, 0);
+  for (const line of ranked) {
+    line.target = Math.min(line.demand, remaining);
+    remaining -= line.target;
+  }
+
+  // Units to give out: available stock, then what the lowest ranked tags hold beyond their share
+  const free = available.map(instanceId => ({ instanceId, from: null }));
+  for (const line of [...ranked].reverse()) {
+    line.kept = line.current.slice(0, line.target);
+    line.losses = line.current.slice(line.target);
+    free.push(...line.losses.map(instanceId => ({ instanceId, from: line })));
+  }
+
+  const moves = [];
+  for (const line of ranked) {
+    const gained = free.splice(0, Math.max(line.target - line.kept.length, 0));
+    line.gains = gained.map(unit => unit.instanceId);
+    moves.push(...gained.map(unit => ({
+      instance_id: unit.instanceId,
+      from_tag_id: unit.from ? unit.from.tag._id.toString() : null,
+      to_tag_id: line.tag._id.toString()
+    })));
+  }
+
+  lines.filter(line => line.locked).forEach(line => {
+    Object.assign(line, { target: line.current.length, kept: line.current, gains: [], losses: [] });
+  });
+
+  return { skuId, available, lines, moves };
+}
+
+// Plain JSON view of a plan
+function describePlan({ skuId, available, lines, moves }) {
+  return {
+    sku_id: skuId,
+    available_quantity: available.length,
+    total_demand: lines.reduce((sum, line) => sum + line.demand, 0),
+    tags: lines.map((line, index) => ({
+      rank: index + 1,
+      tag_id: line.tag._id,
+      line_id: line.item._id,
+      customer_name: line.tag.customer_name,
+      project_name: line.tag.project_name,
+      due_date: line.tag.due_date || null,
+      priority: line.tag.priority,
+      created_at: line.tag.createdAt,
+      locked: line.locked,
+      demand: line.demand,
+      current_quantity: line.current.length,
+      proposed_quantity: line.target,
+      backordered_quantity: line.demand - line.target,
+      gains: line.gains,
+      losses: line.losses
+    })),
+    moves
+  };
+}
+
+/**
+ * Proposed reallocation of a SKU's units across the tags wanting it.
+ */
+async function planRebalance(skuId) {
+  return describePlan(await buildPlan(skuId));
+}
+
+/**
+ * Apply the reallocation. Throws with err.code REBALANCE_CONFLICT (nothing
+ * changed) when units moved between planning and applying. If saving a tag
+ * fails the units and the tags already saved are put back before rethrowing.
+ */
+async function applyRebalance(skuId, { appliedBy }) {
+  const Instance = model('Instance');
+  const Tag = model('Tag');
+  const SKU = model('SKU');
+  const Inventory = model('Inventory');
+  const StockMovement = model('StockMovement');
+
+  const plan = await buildPlan(skuId);
+  const { moves, lines } = plan;
+  if (moves.length === 0) {
+    return describePlan(plan);
+  }
+
+  const result = await Instance.bulkWrite(moves.map(move => ({
+    updateOne: {
+      filter: move.from_tag_id
+        ? { _id: move.instance_id, tag_id: move.from_tag_id, disposition: null }
+        : Instance.availableFilter({ _id: move.instance_id }),
+      update: { $set: { tag_id: move.to_tag_id } }
+    }
+  })), { ordered: false });
+
+  // Puts every moved unit back where the plan found it
+  const revertMoves = () => Instance.bulkWrite(moves.map(move => ({
+    updateOne: {
+      filter: { _id: move.instance_id, tag_id: move.to_tag_id },
+      update: { $set: { tag_id: move.from_tag_id } }
+    }
+  })), { ordered: false });
+
+  if (result.matchedCount !== moves.length) {
+    await revertMoves();
+
+    const err = new Error('Stock for this SKU changed while rebalancing - review the plan again');
+    err.code = 'REBALANCE_CONFLICT';
+    throw err;
+  }
+
+  const sku = await SKU.findById(skuId).select('sku_code');
+  const skuCode = sku ? sku.sku_code : skuId;
+  const now = new Date();
+
+  const changed = lines.filter(line => line.gains.length > 0 || line.losses.length > 0);
+  // Lines of the same tag share one document, so each tag is saved once
+  const changedTags = [...new Set(changed.map(line => line.tag))];
+  const originals = new Map(changedTags.map(tag => [tag._id.toString(), tag.toObject()]));
+  for (const line of changed) {
+    line.item.selected_instance_ids = [...line.kept, ...line.gains];
+    line.item.backordered_quantity = line.demand - line.target;
+    if (line.item.backordered_quantity === 0) {
+      line.item.backordered_at = null;
+    } else if (!line.item.backordered_at) {
+      line.item.backordered_at = now;
+    }
+
+    const change = line.gains.length > 0
+      ? `gained ${line.gains.length}`
+      : `gave up ${line.losses.length} to higher ranked tags`;
+    line.tag.addNote(`Rebalanced ${skuCode}: ${change} unit(s), now holding ${line.target} of ${line.demand}` +
+      `${line.demand > line.target ? ` (${line.demand - line.target} on backorder)` : ''}`, appliedBy, { kind: 'system' });
+    line.tag.last_updated_by = appliedBy;
+  }
+  // If a tag can't be saved, the tags saved so far and the units go back as they were
+  const saved = [];
+  try {
+    for (const tag of changedTags) {
+      await tag.save();
+      saved.push(tag);
+    }
+  } catch (error) {
+    for (const tag of saved) {
+      await Tag.replaceOne({ _id: tag._id }, originals.get(tag._id.toString()), { timestamps: false });
+    }
+    await revertMoves();
+    throw error;
+  }
+
+  // Ledger: one entry per source (available stock or a tag) per receiving tag
+  const instances = await Instance.find({ _id: { $in: moves.map(move => move.instance_id) } });
+  const groups = new Map();
+  for (const move of moves) {
+    const key = `${move.from_tag_id}:${move.to_tag_id}`;
+    if (!groups.has(key)) groups.set(key, { ...move, instances: [] });
+    groups.get(key).instances.push(instances.find(instance => instance._id.toString() === move.instance_id));
+  }
+  for (const group of groups.values()) {
+    await StockMovement.recordInstances(group.instances, {
+      movement_type: 'tag_assign',
+      from_state: group.from_tag_id ? 'reserved' : 'available',
+      to_state: 'reserved',
+      reason: group.from_tag_id ? `Rebalanced from tag ${group.from_tag_id}` : 'Rebalanced from available stock',
+      source_type: 'tag',
+      source_id: group.to_tag_id,
+      source_reference: lines.find(line => line.tag._id.toString() === group.to_tag_id).tag.customer_name,
+      performed_by: appliedBy
+    });
+  }
+
+  await Inventory.refreshCounts(skuId, appliedBy);
+
+  return describePlan(plan);
+}
+
+module.exports = {
+  planRebalance,
+  applyRebalance
+};
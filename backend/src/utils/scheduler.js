@@ -0,0 +1,202 @@
+const ScheduledJob = require('../models/ScheduledJob');
+const AuditLog = require('../models/AuditLog');
+const { runStockDigest } = require('./digests');
+const { retryDueDeliveries } = require('./webhooks');
+const { runOverdueToolReminders } = require('./overdueReminders');
+const { runReservationConversions } = require('./toolReservations');
+const { runTagHoldExpiry } = require('./tagHolds');
+
+/**
+ * In-process scheduler for ScheduledJob documents.
+ *
+ * Once a minute it looks for enabled jobs whose next_run_at has passed,
+ * claims each one atomically (so several app instances don't double-send)
+ * and runs the handler registered for its job_type. Every run is recorded
+ * on the job and, unless it was a quiet no-op, in the AuditLog.
+ *
+ * Started from server.js after Mongo connects; set SCHEDULER_ENABLED=false
+ * to turn it off for an instance.
+ */
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// job_type -> async (job) => { status, result, error?, state?, quiet? }
+// `quiet` outcomes are stored on the job but not written to the AuditLog.
+const JOB_HANDLERS = {
+  stock_digest: runStockDigest,
+  webhook_retry: retryDueDeliveries,
+  overdue_tools: runOverdueToolReminders,
+  tool_reservations: runReservationConversions,
+  tag_holds: runTagHoldExpiry
+};
+
+// Jobs created on first start so digests, alerts, tool bookings, tag holds and webhook retries work out of the box
+const DEFAULT_JOBS = [
+  {
+    name: 'daily-stock-digest',
+    job_type: 'stock_digest',
+    cron: '0 8 * * *',
+    timezone: process.env.SCHEDULER_TIMEZONE || 'UTC'
+  },
+  {
+    name: 'overdue-tool-alerts',
+    job_type: 'overdue_tools',
+    cron: '0 9 * * *',
+    timezone: process.env.SCHEDULER_TIMEZONE || 'UTC'
+  },
+  {
+    name: 'tag-hold-expiry',
+    job_type: 'tag_holds',
+    cron: '0 7 * * *',
+    timezone: process.env.SCHEDULER_TIMEZONE || 'UTC'
+  },
+  {
+    name: 'tool-reservation-checkouts',
+    job_type: 'tool_reservations',
+    cron: '*/15 * * * *'
+  },
+  {
+    name: 'webhook-retries',
+    job_type: 'webhook_retry',
+    cron: '* * * * *'
+  }
+];
+
+const SYSTEM_USER = { id: 'system', username: 'scheduler' };
+
+let startTimer = null;
+let intervalTimer = null;
+let ticking = false;
+
+/**
+ * Run a job now and record the outcome. `trigger` is 'schedule' or 'manual'.
+ */
+async function runJob(job, { trigger = 'schedule', user = SYSTEM_USER } = {}) {
+  const handler = JOB_HANDLERS[job.job_type];
+  let outcome;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.job_type}`);
+    }
+    outcome = await handler(job);
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} failed:`, error);
+    outcome = { status: 'failure', result: null, error: error.message };
+  }
+
+  if (trigger === 'manual') {
+    job.last_run_at = new Date();
+  }
+  await job.recordRun(outcome);
+
+  if (outcome.quiet && trigger === 'schedule') {
+    return outcome;
+  }
+
+  try {
+    await AuditLog.logEvent({
+      event_type: outcome.status === 'failure' ? 'error' : 'info',
+      entity_type: 'scheduled_job',
+      entity_id: job._id,
+      user_id: user.id,
+      user_name: user.username,
+      action: 'Scheduled Job Run',
+      description: `${job.name} (${trigger}) ${outcome.status}` +
+        (outcome.error ? `: ${outcome.error}` : outcome.result?.reason ? `: ${outcome.result.reason}` : ''),
+      changes: {
+        after: {
+          job_type: job.job_type,
+          trigger,
+          status: outcome.status,
+          result: outcome.result,
+          error: outcome.error || null
+        }
+      },
+      category: 'system',
+      severity: outcome.status === 'failure' ? 'medium' : 'low',
+      status: outcome.status === 'failure' ? 'failure' : 'success'
+    });
+  } catch (auditError) {
+    console.error('Failed to write scheduled job audit log:', auditError.message);
+  }
+
+  return outcome;
+}
+
+/**
+ * Run every job that is due. Exported for tests and manual triggering.
+ */
+async function tick(now = new Date()) {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const dueJobs = await ScheduledJob.findDue(now);
+    for (const job of dueJobs) {
+      const claimed = await ScheduledJob.claimRun(job, now);
+      if (claimed) {
+        await runJob(claimed);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler tick error:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+async function ensureDefaultJobs() {
+  for (const definition of DEFAULT_JOBS) {
+    const exists = await ScheduledJob.exists({ name: definition.name });
+    if (!exists) {
+      await ScheduledJob.create({
+        ...definition,
+        created_by: SYSTEM_USER.username,
+        last_updated_by: SYSTEM_USER.username
+      });
+      console.log(`🕒 Created default scheduled job ${definition.name} (${definition.cron})`);
+    }
+  }
+}
+
+async function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  if (startTimer || intervalTimer) return;
+
+  try {
+    await ensureDefaultJobs();
+  } catch (error) {
+    console.error('Failed to create default scheduled jobs:', error);
+  }
+
+  // Line ticks up with the start of each minute
+  const delay = TICK_INTERVAL_MS - (Date.now() % TICK_INTERVAL_MS);
+  startTimer = setTimeout(() => {
+    startTimer = null;
+    tick();
+    intervalTimer = setInterval(tick, TICK_INTERVAL_MS);
+    intervalTimer.unref();
+  }, delay);
+  startTimer.unref();
+
+  console.log('🕒 Scheduler started');
+}
+
+function stopScheduler() {
+  if (startTimer) clearTimeout(startTimer);
+  if (intervalTimer) clearInterval(intervalTimer);
+  startTimer = null;
+  intervalTimer = null;
+}
+
+module.exports = {
+  JOB_HANDLERS,
+  runJob,
+  tick,
+  startScheduler,
+  stopScheduler
+};
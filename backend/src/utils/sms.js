@@ -0,0 +1,122 @@
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * Outbound SMS behind a pluggable transport, alongside the mailer.
+ *
+ * A transport is any object with `async send({ from, to, text })` resolving
+ * to `{ messageId }`. The default is built from env:
+ *
+ *   TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN (Twilio Messages API),
+ *   SMS_FROM (sending number), SMS_TRANSPORT=log (print instead of send)
+ *
+ * With no Twilio credentials SMS is disabled and sendSms() reports
+ * not_configured. Tests can call setSmsTransport() directly.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+let customTransport = null;
+
+/**
+ * Twilio Messages API client (form-encoded POST with basic auth).
+ */
+function createTwilioTransport({ accountSid, authToken, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return {
+    name: 'twilio',
+
+    async send({ from, to, text }) {
+      const body = new URLSearchParams({ From: from, To: to, Body: text }).toString();
+
+      const response = await new Promise((resolve, reject) => {
+        const req = https.request({
+          hostname: 'api.twilio.com',
+          path: `/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+          method: 'POST',
+          auth: `${accountSid}:${authToken}`,
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(body)
+          }
+        }, (res) => {
+          let data = '';
+          res.on('data', chunk => { data += chunk; });
+          res.on('end', () => resolve({ statusCode: res.statusCode, data }));
+        });
+
+        req.setTimeout(timeoutMs, () => req.destroy(new Error(`SMS timeout after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.write(body);
+        req.end();
+      });
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw new Error(`Twilio returned ${response.statusCode}: ${response.data}`);
+      }
+      return { messageId: JSON.parse(response.data).sid };
+    }
+  };
+}
+
+/**
+ * Transport that prints messages instead of sending them.
+ */
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send({ to, text }) {
+      console.log(`📱 [sms:log] To: ${to}\n${text}`);
+      return { messageId: crypto.randomUUID() };
+    }
+  };
+}
+
+/**
+ * Use a specific transport (or null to go back to the env configuration).
+ */
+function setSmsTransport(transport) {
+  customTransport = transport;
+}
+
+function getSmsTransport() {
+  if (customTransport) return customTransport;
+  if (process.env.SMS_TRANSPORT === 'log') return createLogTransport();
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) return null;
+
+  return createTwilioTransport({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN
+  });
+}
+
+function isSmsConfigured() {
+  return Boolean(getSmsTransport());
+}
+
+/**
+ * Send a text message. Never throws; resolves to
+ * { sent: true, messageId } or { sent: false, reason }.
+ */
+async function sendSms({ to, text }) {
+  const transport = getSmsTransport();
+  if (!transport) {
+    return { sent: false, reason: 'not_configured' };
+  }
+
+  try {
+    const { messageId } = await transport.send({ from: process.env.SMS_FROM || '', to, text });
+    return { sent: true, messageId };
+  } catch (error) {
+    console.error('SMS send error (non-fatal):', error.message);
+    return { sent: false, reason: error.message };
+  }
+}
+
+module.exports = {
+  createTwilioTransport,
+  createLogTransport,
+  setSmsTransport,
+  getSmsTransport,
+  isSmsConfigured,
+  sendSms
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { allocateBackorders } = require('./backorders');
+
+/**
+ * Expiry of stale tag holds.
+ *
+ * The `tag_hold_policy` setting says, per reservation tag type, how long an
+ * active tag may hold its stock without activity - counted from its last
+ * change, or from its due date when that is later. `warn_before_days` ahead of
+ * expiry a warning note goes on the tag's thread (once per expiry date). A
+ * tag is only released once it has been warned and the grace period after the
+ * warning (`warn_before_days`, at least a day) has passed, so tags that are
+ * already stale when the policy first applies get their warning first. The tag
+ * is then cancelled and its units released back to stock, where they can fill
+ * other tags' backorders. Admins can push a hold out (Tag.extendHold).
+ *
+ * The job's own saves don't touch updatedAt, so a warning doesn't count as
+ * activity.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_AUTHOR = 'System';
+
+// Days between a warning and the release it warns about
+const graceDays = policy => Math.max(policy.warn_before_days, 1);
+
+const model = name => mongoose.model(name);
+
+/**
+ * When a tag's hold expires under the current policy (null when its type never expires).
+ */
+async function getHoldExpiry(tag) {
+  const Setting = model('Setting');
+  const Tag = model('Tag');
+  if (!Tag.HOLD_EXPIRY_TYPES.includes(tag.tag_type)) return null;
+  const policy = await Setting.getValue('tag_hold_policy');
+  return tag.getHoldExpiry(policy[tag.tag_type]);
+}
+
+/**
+ * Cancel a tag whose hold ran out and release its units.
+ */
+async function expireHold(tag, policy, now) {
+  const Inventory = model('Inventory');
+  const AuditLog = model('AuditLog');
+
+  const quantity = tag.getTotalQuantity();
+  const skuIds = [...new Set(tag.sku_items.map(item => item.sku_id.toString()))];
+
+  // Units go back first, so a failure can't leave a cancelled tag still holding stock
+  tag.hold.expired_at = now;
+  tag.cancel(SYSTEM_AUTHOR, `hold expired after ${policy.expire_after_days} days without activity, ${quantity} unit(s) released`);
+  await tag.releaseInstances(SYSTEM_AUTHOR);
+  await tag.save();
+
+  for (const skuId of skuIds) {
+    await Inventory.refreshCounts(skuId, SYSTEM_AUTHOR);
+  }
+
+  await AuditLog.logTagEvent({
+    event_type: 'tag_cancelled',
+    tag_id: tag._id,
+    customer_id: tag.customer_name,
+    user_id: 'system',
+    user_name: SYSTEM_AUTHOR,
+    tag_type: tag.tag_type,
+    items_count: tag.sku_items.length,
+    total_quantity: quantity,
+    reason: 'Hold expired'
+  });
+
+  return skuIds;
+}
+
+/**
+ * Scheduler handler for `tag_holds` jobs: warns about holds close to expiry
+ * and releases the ones that have expired.
+ */
+async function runTagHoldExpiry() {
+  const Setting = model('Setting');
+  const Tag = model('Tag');
+
+  const now = new Date();
+  const policies = await Setting.getValue('tag_hold_policy');
+  const tagTypes = Object.keys(policies).filter(tagType => Tag.HOLD_EXPIRY_TYPES.includes(tagType));
+
+  const tags = tagTypes.length
+    ? await Tag.find({ status: 'active', tag_type: { $in: tagTypes } })
+    : [];
+
+  let warned = 0;
+  let expired = 0;
+  const releasedSkuIds = new Set();
+  for (const tag of tags) {
+    const policy = policies[tag.tag_type];
+    const expiry = tag.getHoldExpiry(policy);
+    const warnedForExpiry = tag.hold.warned_for && tag.hold.warned_for.getTime() === expiry.getTime();
+
+    if (warnedForExpiry) {
+      const graceEnds = tag.hold.warned_at
+        ? tag.hold.warned_at.getTime() + graceDays(policy) * DAY_MS
+        : 0;
+      if (now >= expiry && now.getTime() >= graceEnds) {
+        (await expireHold(tag, policy, now)).forEach(skuId => releasedSkuIds.add(skuId));
+        expired += 1;
+      }
+    } else if (now.getTime() >= expiry.getTime() - policy.warn_before_days * DAY_MS) {
+      // Never released sooner than the grace period after this warning
+      const releaseOn = new Date(Math.max(expiry.getTime(), now.getTime() + graceDays(policy) * DAY_MS));
+      const days = Math.ceil((releaseOn - now) / DAY_MS);
+      tag.addNote(`Hold expires on ${releaseOn.toLocaleDateString()} (${days} day(s)) unless the tag sees activity ` +
+        'or an admin extends it; its units will then be released', SYSTEM_AUTHOR, { kind: 'system' });
+      tag.hold.warned_for = expiry;
+      tag.hold.warned_at = now;
+      await tag.save({ timestamps: false });
+      warned += 1;
+    }
+  }
+
+  const backorders = releasedSkuIds.size
+    ? await allocateBackorders([...releasedSkuIds], { allocatedBy: SYSTEM_AUTHOR })
+    : [];
+
+  return {
+    status: warned + expired > 0 ? 'success' : 'skipped',
+    result: {
+      checked: tags.length,
+      warned,
+      expired,
+      backorders_allocated: backorders.length,
+      ...(warned + expired === 0 && { reason: 'No holds near expiry' })
+    },
+    quiet: warned + expired === 0
+  };
+}
+
+module.exports = {
+  getHoldExpiry,
+  runTagHoldExpiry
+};
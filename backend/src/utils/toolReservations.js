@@ -0,0 +1,82 @@
+const ToolReservation = require('../models/ToolReservation');
+const { notify } = require('./notifications');
+
+const SYSTEM_USERNAME = 'scheduler';
+
+/**
+ * Scheduler handler for `tool_reservations` jobs: converts bookings whose start
+ * date has arrived into loaned checkout tags.
+ *
+ * A booking that can't be filled yet (tools not back, contractor at their limit)
+ * stays booked and is retried on the next run; the creator and managers are told
+ * once per failure reason. Bookings whose last day passes unconverted expire.
+ */
+async function runReservationConversions(job) {
+  const today = ToolReservation.startOfDay(new Date());
+
+  const expired = await ToolReservation.updateMany(
+    { status: 'booked', end_date: { $lt: today } },
+    { $set: { status: 'expired', last_updated_by: SYSTEM_USERNAME } }
+  );
+
+  const due = await ToolReservation.find({ status: 'booked', start_date: { $lte: today } })
+    .sort({ start_date: 1, createdAt: 1 });
+
+  const previouslyNotified = (job.state && job.state.unfilled) || {};
+  const unfilled = {};
+  const converted = [];
+  const failed = [];
+  let newlyUnfilled = 0;
+
+  for (const reservation of due) {
+    try {
+      const tag = await reservation.convert(SYSTEM_USERNAME);
+      await reservation.save();
+      converted.push({ reservation_number: reservation.reservation_number, tag_id: tag._id });
+    } catch (error) {
+      if (!error.code) throw error;
+
+      reservation.conversion_error = error.message;
+      await reservation.save();
+      failed.push({ reservation_number: reservation.reservation_number, error: error.message });
+
+      const key = reservation._id.toString();
+      unfilled[key] = error.message;
+      if (previouslyNotified[key] === error.message) continue;
+      newlyUnfilled += 1;
+
+      await notify('reservation_unfilled', {
+        usernames: [reservation.created_by],
+        title: `Tool booking not handed out: ${reservation.customer_name}`,
+        message: `${reservation.reservation_number} for ${reservation.customer_name}` +
+          `${reservation.project_name ? ` (${reservation.project_name})` : ''} couldn't be checked out: ${error.message}`,
+        link: '/tools',
+        entityType: 'tool_reservation',
+        entityId: reservation._id
+      });
+    }
+  }
+
+  // Bookings still waiting on tools are retried every run; only log when something changed
+  const changed = converted.length > 0 || expired.modifiedCount > 0 || newlyUnfilled > 0;
+  let status = 'skipped';
+  if (failed.length > 0) status = 'failure';
+  else if (changed) status = 'success';
+
+  return {
+    status,
+    result: {
+      converted,
+      failed,
+      expired: expired.modifiedCount,
+      ...(due.length === 0 && expired.modifiedCount === 0 && { reason: 'No bookings starting' })
+    },
+    ...(failed.length > 0 && { error: `${failed.length} booking(s) could not be converted` }),
+    state: { ...job.state, unfilled },
+    quiet: !changed
+  };
+}
+
+module.exports = {
+  runReservationConversions
+};
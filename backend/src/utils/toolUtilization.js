@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tool utilization and lifetime cost report.
+ *
+ * Loan periods are rebuilt from the stock ledger: an instance is checked out
+ * from the movement that takes it into the `loaned` state until the next one
+ * that takes it out again (still-open loans run to the end of the report).
+ * Retired instances are deleted (or disposed of, which hides them), so their
+ * acquisition details come from the ledger snapshot of the movement that removed them.
+ *
+ * Damage rates come from the returns recorded on tool loans (Tag.returns),
+ * repair costs from maintenance orders and service costs from service records.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOANED = 'loaned';
+const RETIRED_STATES = ['fulfilled', 'removed', 'disposed'];
+
+const model = name => mongoose.model(name);
+const toDays = ms => Math.round((ms / DAY_MS) * 10) / 10;
+const roundMoney = value => Math.round(value * 100) / 100;
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Clip [start, end] to the report window; returns milliseconds inside it
+const overlapMs = (start, end, from, to) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+
+// Blank per-instance totals
+function emptyInstance(instanceId, skuId) {
+  return {
+    instance_id: instanceId,
+    sku_id: skuId,
+    status: 'in_stock',
+    acquisition_date: null,
+    acquisition_cost: 0,
+    first_seen: null,
+    retired_at: null,
+    loans: [],
+    loaned_since: null,
+    returns: 0,
+    returns_broken: 0,
+    returns_needing_maintenance: 0,
+    repair_cost: 0,
+    service_cost: 0
+  };
+}
+
+// Turn collected instance history into report figures
+function summarizeInstance(entry, from, to) {
+  const acquired = entry.acquisition_date || entry.first_seen;
+  const ownedFrom = Math.max(from, acquired ? acquired.getTime() : to);
+  const ownedTo = entry.retired_at ? Math.min(to, entry.retired_at.getTime()) : to;
+  const ownedMs = Math.max(0, ownedTo - ownedFrom);
+
+  const loans = entry.loaned_since ? [...entry.loans, { start: entry.loaned_since, end: to }] : entry.loans;
+  const checkedOutMs = loans.reduce((total, loan) => total + overlapMs(loan.start, loan.end, from, to), 0);
+  const loansInWindow = loans.filter(loan => loan.start >= from && loan.start <= to);
+  const loanLengthMs = loansInWindow.reduce((total, loan) => total + (loan.end - loan.start), 0);
+
+  const lifetimeCost = entry.acquisition_cost + entry.repair_cost + entry.service_cost;
+  const daysCheckedOut = toDays(checkedOutMs);
+
+  return {
+    instance_id: entry.instance_id,
+    sku_id: entry.sku_id,
+    status: entry.status,
+    acquisition_date: entry.acquisition_date,
+    retired_at: entry.retired_at,
+    days_owned: toDays(ownedMs),
+    days_checked_out: daysCheckedOut,
+    days_idle: toDays(Math.max(0, ownedMs - checkedOutMs)),
+    utilization_rate: percent(checkedOutMs, ownedMs),
+    checkouts: loansInWindow.length,
+    average_checkout_days: loansInWindow.length > 0 ? toDays(loanLengthMs / loansInWindow.length) : null,
+    returns: entry.returns,
+    returns_broken: entry.returns_broken,
+    returns_needing_maintenance: entry.returns_needing_maintenance,
+    damaged_return_rate: percent(entry.returns_broken + entry.returns_needing_maintenance, entry.returns),
+    acquisition_cost: roundMoney(entry.acquisition_cost),
+    repair_cost: roundMoney(entry.repair_cost),
+    service_cost: roundMoney(entry.service_cost),
+    lifetime_cost: roundMoney(lifetimeCost),
+    cost_per_day_used: daysCheckedOut > 0 ? roundMoney(lifetimeCost / daysCheckedOut) : null,
+    // Kept for rolling up to the SKU
+    _checked_out_ms: checkedOutMs,
+    _owned_ms: ownedMs,
+    _loan_length_ms: loanLengthMs
+  };
+}
+
+// Roll instance figures up to their SKU
+function summarizeSku(sku, instances) {
+  const sum = field => instances.reduce((total, instance) => total + instance[field], 0);
+  const checkedOutMs = sum('_checked_out_ms');
+  const ownedMs = sum('_owned_ms');
+  const checkouts = sum('checkouts');
+  const returns = sum('returns');
+  const damagedReturns = sum('returns_broken') + sum('returns_needing_maintenance');
+  const lifetimeCost = sum('lifetime_cost');
+  const daysCheckedOut = toDays(checkedOutMs);
+
+  return {
+    sku_id: sku._id,
+    sku_code: sku.sku_code,
+    name: sku.name,
+    instance_count: instances.filter(instance => instance.status === 'in_stock').length,
+    retired_count: instances.filter(instance => instance.status === 'retired').length,
+    days_owned: toDays(ownedMs),
+    days_checked_out: daysCheckedOut,
+    days_idle: toDays(Math.max(0, ownedMs - checkedOutMs)),
+    utilization_rate: percent(checkedOutMs, ownedMs),
+    checkouts,
+    average_checkout_days: checkouts > 0 ? toDays(sum('_loan_length_ms') / checkouts) : null,
+    returns,
+    returns_broken: sum('returns_broken'),
+    returns_needing_maintenance: sum('returns_needing_maintenance'),
+    damaged_return_rate: percent(damagedReturns, returns),
+    acquisition_cost: roundMoney(sum('acquisition_cost')),
+    repair_cost: roundMoney(sum('repair_cost')),
+    service_cost: roundMoney(sum('service_cost')),
+    lifetime_cost: roundMoney(lifetimeCost),
+    cost_per_day_used: daysCheckedOut > 0 ? roundMoney(lifetimeCost / daysCheckedOut) : null,
+    instances: instances.map(({ _checked_out_ms, _owned_ms, _loan_length_ms, ...instance }) => instance)
+  };
+}
+
+/**
+ * Build the report for tool SKUs between `from` (null = since each tool was
+ * acquired) and `to`. Resolves to one entry per SKU with an `instances` breakdown.
+ */
+async function buildToolUtilization(skus, { from = null, to = new Date() } = {}) {
+  const Instance = model('Instance');
+  const StockMovement = model('StockMovement');
+  const Tag = model('Tag');
+  const MaintenanceOrder = model('MaintenanceOrder');
+  const ServiceRecord = model('ServiceRecord');
+
+  const skuIds = skus.map(sku => sku._id);
+  const toMs = to.getTime();
+  const fromMs = from ? from.getTime() : 0;
+
+  const [currentInstances, movements] = await Promise.all([
+    Instance.find({ sku_id: { $in: skuIds } }).select('sku_id acquisition_date acquisition_cost createdAt').lean(),
+    StockMovement.find({ sku_id: { $in: skuIds }, occurred_at: { $lte: to } })
+      .select('sku_id from_state to_state instances occurred_at')
+      .sort({ occurred_at: 1, _id: 1 })
+      .lean()
+  ]);
+
+  const history = new Map();
+  const entryFor = (instanceId, skuId) => {
+    const key = instanceId.toString();
+    if (!history.has(key)) history.set(key, emptyInstance(instanceId, skuId));
+    return history.get(key);
+  };
+
+  currentInstances.forEach(instance => {
+    const entry = entryFor(instance._id, instance.sku_id);
+    entry.acquisition_date = instance.acquisition_date || instance.createdAt;
+    entry.acquisition_cost = instance.acquisition_cost || 0;
+  });
+
+  movements.forEach(movement => {
+    const at = movement.occurred_at.getTime();
+    movement.instances.forEach(snapshot => {
+      const entry = entryFor(snapshot.instance_id, movement.sku_id);
+      if (!entry.first_seen) entry.first_seen = movement.occurred_at;
+      if (!entry.acquisition_date && snapshot.acquisition_date) entry.acquisition_date = snapshot.acquisition_date;
+      if (!entry.acquisition_cost && snapshot.acquisition_cost) entry.acquisition_cost = snapshot.acquisition_cost;
+
+      if (movement.from_state === LOANED && entry.loaned_since !== null) {
+        entry.loans.push({ start: entry.loaned_since, end: at });
+        entry.loaned_since = null;
+      }
+      if (movement.to_state === LOANED) {
+        entry.loaned_since = at;
+      }
+      if (RETIRED_STATES.includes(movement.to_state)) {
+        entry.status = 'retired';
+        entry.retired_at = movement.occurred_at;
+      } else if (RETIRED_STATES.includes(movement.from_state)) {
+        // Restored to stock
+        entry.status = 'in_stock';
+        entry.retired_at = null;
+      }
+    });
+  });
+
+  // Instances retired before the report window don't belong in it
+  history.forEach((entry, key) => {
+    if (entry.retired_at && entry.retired_at.getTime() < fromMs) history.delete(key);
+  });
+
+  const instanceIds = [...history.values()].map(entry => entry.instance_id);
+  const periodFilter = field => ({ [field]: { ...(from && { $gte: from }), $lte: to } });
+
+  const [returnTags, repairs, services] = await Promise.all([
+    Tag.find({ 'returns.instance_ids': { $in: instanceIds } }).select('returns').lean(),
+    MaintenanceOrder.find({ instance_id: { $in: instanceIds }, ...periodFilter('createdAt') })
+      .select('instance_id repair_cost')
+      .lean(),
+    ServiceRecord.find({ instance_id: { $in: instanceIds }, ...periodFilter('serviced_at') })
+      .select('instance_id cost')
+      .lean()
+  ]);
+
+  returnTags.forEach(tag => {
+    tag.returns
+      .filter(entry => entry.returned_at.getTime() >= fromMs && entry.returned_at.getTime() <= toMs)
+      .forEach(entry => {
+        entry.instance_ids.forEach(instanceId => {
+          const instance = history.get(instanceId.toString());
+          if (!instance) return;
+          instance.returns += 1;
+          if (entry.condition === 'broken') instance.returns_broken += 1;
+          if (entry.condition === 'needs_maintenance') instance.returns_needing_maintenance += 1;
+        });
+      });
+  });
+  repairs.forEach(order => {
+    const instance = history.get(order.instance_id.toString());
+    if (instance) instance.repair_cost += order.repair_cost || 0;
+  });
+  services.forEach(record => {
+    const instance = history.get(record.instance_id.toString());
+    if (instance) instance.service_cost += record.cost || 0;
+  });
+
+  const summaries = [...history.values()].map(entry => summarizeInstance(entry, fromMs, toMs));
+  return skus.map(sku => summarizeSku(
+    sku,
+    summaries.filter(summary => summary.sku_id.toString() === sku._id.toString())
+  ));
+}
+
+module.exports = {
+  buildToolUtilization
+};
@@ -0,0 +1,56 @@
+/**
+ * Outbound webhook event types and how they map onto AuditLog entries.
+ *
+ * Webhooks piggyback on the audit trail: every AuditLog save is run through
+ * resolveWebhookEvent(), and anything that maps to an event type is fanned
+ * out to the subscriptions listening for it.
+ */
+
+const WEBHOOK_EVENTS = [
+  'tag.created',
+  'tag.staged',
+  'tag.fulfilled',
+  'tag.cancelled',
+  'stock.received',
+  'sku.created',
+  'sku.updated',
+  'sku.deleted',
+  'tool.checked_out',
+  'inventory.low_stock',
+  'inventory.out_of_stock'
+];
+
+const EVENT_TYPE_MAP = {
+  tag_staged: 'tag.staged',
+  tag_fulfilled: 'tag.fulfilled',
+  tag_cancelled: 'tag.cancelled',
+  sku_created: 'sku.created',
+  sku_updated: 'sku.updated',
+  sku_deleted: 'sku.deleted'
+};
+
+/**
+ * Webhook event type for an AuditLog entry, or null if it isn't published.
+ */
+function resolveWebhookEvent(auditLog) {
+  const { event_type: eventType, entity_type: entityType, action } = auditLog;
+
+  if (eventType === 'tag_created') {
+    return action === 'CREATE_TOOL_CHECKOUT' ? 'tool.checked_out' : 'tag.created';
+  }
+
+  if (eventType === 'inventory_movement') {
+    const movement = (auditLog.changes && auditLog.changes.after) || {};
+    return !movement.from_status && movement.to_status === 'available' ? 'stock.received' : null;
+  }
+
+  if (entityType === 'inventory' && eventType === 'warning') {
+    if (action === 'Low Stock') return 'inventory.low_stock';
+    if (action === 'Out of Stock') return 'inventory.out_of_stock';
+    return null;
+  }
+
+  return EVENT_TYPE_MAP[eventType] || null;
+}
+
+module.exports = { WEBHOOK_EVENTS, resolveWebhookEvent };
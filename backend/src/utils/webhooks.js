@@ -0,0 +1,242 @@
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { resolveWebhookEvent } = require('./webhookEvents');
+
+/**
+ * Outbound webhooks.
+ *
+ * Each delivery is POSTed as JSON with these headers:
+ *   X-Webhook-Event       event type, e.g. tag.created
+ *   X-Webhook-Delivery    delivery id (changes on replay)
+ *   X-Webhook-Timestamp   unix seconds when the request was signed
+ *   X-Webhook-Signature   sha256=<hex HMAC of "<timestamp>.<body>" keyed with the subscription secret>
+ *
+ * Non-2xx responses and network errors are retried with backoff by the
+ * `webhook_retry` scheduled job (see WebhookDelivery RETRY_BACKOFF_MS).
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+// How long a retry is leased to one process before another may pick it up
+const RETRY_LEASE_MS = 5 * 60 * 1000;
+
+// Entity models are looked up by name to keep this module free of the
+// AuditLog <-> model require cycle (AuditLog's save hook loads it)
+const model = name => mongoose.model(name);
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function postJson(targetUrl, body, headers) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let url;
+    try {
+      url = new URL(targetUrl);
+    } catch (error) {
+      resolve({ error: `Invalid URL: ${targetUrl}`, durationMs: 0 });
+      return;
+    }
+    const lib = url.protocol === 'https:' ? https : http;
+
+    const req = lib.request(url, {
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'StockManager-Webhooks/1.0',
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        resolve({ responseStatus: res.statusCode, responseBody: data, durationMs: Date.now() - started });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+    req.on('error', (error) => {
+      resolve({ error: error.message, durationMs: Date.now() - started });
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Make one attempt at a delivery and save the outcome.
+ */
+async function attemptDelivery(delivery, subscription) {
+  if (!subscription) {
+    subscription = await WebhookSubscription.findById(delivery.subscription_id).select('+secret');
+  }
+  if (!subscription) {
+    delivery.recordAttempt({ error: 'Subscription no longer exists' });
+    delivery.status = 'failed';
+    delivery.next_attempt_at = null;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const outcome = await postJson(subscription.url, body, {
+    'X-Webhook-Event': delivery.event_type,
+    'X-Webhook-Delivery': delivery._id.toString(),
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+  });
+
+  delivery.recordAttempt(outcome);
+  await delivery.save();
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    delivery.status === 'success'
+      ? { $set: { last_delivery_at: new Date(), last_delivery_status: delivery.response_status, consecutive_failures: 0 } }
+      : { $set: { last_delivery_at: new Date(), last_delivery_status: delivery.response_status }, $inc: { consecutive_failures: 1 } }
+  );
+
+  return delivery;
+}
+
+/**
+ * Queue an event for every active subscription listening for it and make
+ * the first attempt straight away. Resolves to the created deliveries.
+ */
+async function emitWebhookEvent(eventType, { eventId, occurredAt = new Date(), data }) {
+  const subscriptions = await WebhookSubscription.findForEvent(eventType);
+  if (subscriptions.length === 0) return [];
+
+  const payload = {
+    id: eventId,
+    type: eventType,
+    occurred_at: occurredAt.toISOString(),
+    data
+  };
+
+  return Promise.all(subscriptions.map(async (subscription) => {
+    const delivery = await WebhookDelivery.create({
+      subscription_id: subscription._id,
+      event_type: eventType,
+      event_id: eventId,
+      payload
+    });
+    return attemptDelivery(delivery, subscription);
+  }));
+}
+
+/**
+ * Current state of the entity an audit entry is about, for the payload.
+ */
+async function loadEntity(auditLog) {
+  if (!auditLog.entity_id) return null;
+
+  switch (auditLog.entity_type) {
+    case 'tag':
+      return model('Tag').findById(auditLog.entity_id)
+        .populate('sku_items.sku_id', 'sku_code name')
+        .lean();
+    case 'sku':
+      return model('SKU').findById(auditLog.entity_id).lean();
+    case 'inventory': {
+      // Inventory audit entries are keyed by SKU id
+      const inventory = await model('Inventory').findOne({ sku_id: auditLog.entity_id })
+        .populate('sku_id', 'sku_code name')
+        .lean();
+      return inventory;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * AuditLog save hook target: publish the entry if it maps to a webhook event.
+ */
+async function dispatchAuditEvent(auditLog) {
+  const eventType = resolveWebhookEvent(auditLog);
+  if (!eventType) return [];
+
+  const hasSubscribers = await WebhookSubscription.exists({ is_active: true, event_types: eventType });
+  if (!hasSubscribers) return [];
+
+  return emitWebhookEvent(eventType, {
+    eventId: auditLog._id.toString(),
+    occurredAt: auditLog.timestamp || new Date(),
+    data: {
+      entity_type: auditLog.entity_type,
+      entity_id: auditLog.entity_id ? auditLog.entity_id.toString() : null,
+      action: auditLog.action,
+      description: auditLog.description,
+      performed_by: auditLog.user_name,
+      changes: auditLog.changes || null,
+      object: await loadEntity(auditLog)
+    }
+  });
+}
+
+/**
+ * Retry every pending delivery that is due. Used as the `webhook_retry` job handler.
+ */
+async function retryDueDeliveries() {
+  const now = new Date();
+  const due = await WebhookDelivery.findDue(now);
+
+  const summary = { attempted: 0, succeeded: 0, failed: 0, rescheduled: 0 };
+  for (const candidate of due) {
+    // Lease the delivery so a second process doesn't retry it as well
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: candidate._id, status: 'pending', next_attempt_at: candidate.next_attempt_at },
+      { $set: { next_attempt_at: new Date(now.getTime() + RETRY_LEASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) continue;
+
+    await attemptDelivery(delivery);
+    summary.attempted += 1;
+    if (delivery.status === 'success') summary.succeeded += 1;
+    else if (delivery.status === 'failed') summary.failed += 1;
+    else summary.rescheduled += 1;
+  }
+
+  if (summary.attempted === 0) {
+    // Runs every minute; don't fill the audit log with empty runs
+    return { status: 'skipped', result: { ...summary, reason: 'No deliveries due' }, quiet: true };
+  }
+  return { status: 'success', result: summary };
+}
+
+/**
+ * Send a delivery again as a new delivery with a fresh retry budget.
+ */
+async function replayDelivery(original, replayedBy) {
+  const delivery = await WebhookDelivery.create({
+    subscription_id: original.subscription_id,
+    event_type: original.event_type,
+    event_id: original.event_id,
+    payload: original.payload,
+    replayed_from: original._id,
+    replayed_by: replayedBy
+  });
+
+  return attemptDelivery(delivery);
+}
+
+module.exports = {
+  signPayload,
+  emitWebhookEvent,
+  dispatchAuditEvent,
+  attemptDelivery,
+  retryDueDeliveries,
+  replayDelivery
+};
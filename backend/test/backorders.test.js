@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Setting = require('../src/models/Setting');
+const Notification = require('../src/models/Notification');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let vanitySKU;
+let firstTag;
+let secondTag;
+
+const createTag = (customerName, quantity, extra = {}) => request(app)
+  .post('/api/tags')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: customerName,
+    tag_type: 'reserved',
+    sku_items: [{ sku_id: vanitySKU._id.toString(), quantity }],
+    ...extra
+  });
+
+const addStock = quantity => request(app)
+  .post('/api/instances/add-stock')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({ sku_id: vanitySKU._id.toString(), quantity, unit_cost: 400 })
+  .expect(201);
+
+// Notifications are sent after the response, so poll for them
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for notification');
+};
+
+describe('Tag Backorder Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Notification.deleteMany({}),
+      Setting.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'backorderTestUser',
+      email: 'backorder.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Backorder',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'backorderTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Vanities', type: 'product', description: 'Vanities' });
+    vanitySKU = await SKU.create({
+      sku_code: 'VAN-BO-001',
+      name: 'Walnut Vanity 48"',
+      category_id: category._id,
+      unit_cost: 400,
+      created_by: 'backorderTestUser',
+      last_updated_by: 'backorderTestUser'
+    });
+    await addStock(4);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Notification.deleteMany({}),
+      Setting.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should still reject a shortfall without allow_backorder', async () => {
+    await createTag('Maple Court', 6).expect(400);
+  });
+
+  test('should reserve what is in stock and backorder the rest', async () => {
+    const res = await createTag('Maple Court', 6, { allow_backorder: true }).expect(201);
+
+    firstTag = res.body.tag;
+    expect(firstTag.sku_items[0].selected_instance_ids).toHaveLength(4);
+    expect(firstTag.sku_items[0].backordered_quantity).toBe(2);
+    expect(firstTag.backordered_quantity).toBe(2);
+
+    secondTag = (await createTag('Birch Lane', 1, { allow_backorder: true }).expect(201)).body.tag;
+    expect(secondTag.sku_items[0].backordered_quantity).toBe(1);
+  });
+
+  test('should only allow backorders on reserved tags', async () => {
+    await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Warehouse',
+        tag_type: 'broken',
+        allow_backorder: true,
+        sku_items: [{ sku_id: vanitySKU._id.toString(), quantity: 1 }]
+      })
+      .expect(400);
+  });
+
+  test('should fill the oldest backorder first when stock arrives', async () => {
+    const res = await addStock(2);
+
+    expect(res.body.backorders_allocated).toHaveLength(1);
+    expect(res.body.backorders_allocated[0]).toEqual(expect.objectContaining({
+      tag_id: firstTag._id,
+      quantity: 2,
+      still_backordered: 0
+    }));
+
+    const tag = await Tag.findById(firstTag._id);
+    expect(tag.sku_items[0].selected_instance_ids).toHaveLength(6);
+    expect(tag.sku_items[0].backordered_quantity).toBe(0);
+    expect(await Instance.countDocuments({ tag_id: tag._id })).toBe(6);
+
+    const notification = await waitFor(() => Notification.findOne({ type: 'backorder_allocated' }));
+    expect(notification.username).toBe('backorderTestUser');
+  });
+
+  test('should report open backorders by SKU and customer', async () => {
+    const res = await request(app)
+      .get('/api/inventory/reports/backorders')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.summary).toEqual(expect.objectContaining({ total_backordered: 1, total_value: 400 }));
+    expect(res.body.by_sku[0]).toEqual(expect.objectContaining({ sku_code: 'VAN-BO-001', backordered_quantity: 1 }));
+    expect(res.body.by_customer[0].customer_name).toBe('Birch Lane');
+
+    const csvRes = await request(app)
+      .get('/api/inventory/reports/backorders?format=csv&group_by=customer')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(csvRes.headers['content-type']).toMatch(/text\/csv/);
+    expect(csvRes.text).toContain('Birch Lane');
+  });
+});
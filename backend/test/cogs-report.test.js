@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const CustomerReturn = require('../src/models/CustomerReturn');
+const Setting = require('../src/models/Setting');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let fulfilledTag;
+let fulfilledInstance;
+
+describe('COGS Report Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Setting.deleteMany({}),
+      CustomerReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'cogsTestUser',
+      email: 'cogs.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Cogs',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'cogsTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({
+      name: 'Tubs',
+      type: 'product',
+      description: 'Bathtubs'
+    });
+
+    const sku = await SKU.create({
+      sku_code: 'TUB-COGS-001',
+      name: 'Soaking Tub',
+      category_id: category._id,
+      unit_cost: 160,
+      created_by: 'cogsTestUser',
+      last_updated_by: 'cogsTestUser'
+    });
+
+    const [, newer] = await Instance.create([
+      { sku_id: sku._id, acquisition_cost: 100, acquisition_date: new Date('2024-01-01'), added_by: 'cogsTestUser' },
+      { sku_id: sku._id, acquisition_cost: 160, acquisition_date: new Date('2024-06-01'), added_by: 'cogsTestUser' }
+    ]);
+
+    // Customer picked the newer tub, so specific cost differs from FIFO
+    const tagRes = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Cogs Customer',
+        project_name: 'Master Bath',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: sku._id.toString(), selected_instance_ids: [newer._id.toString()] }]
+      })
+      .expect(201);
+    fulfilledTag = tagRes.body.tag;
+    fulfilledInstance = newer;
+
+    await request(app)
+      .post(`/api/tags/${tagRes.body.tag._id}/fulfill`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ fulfillment_items: [{ item_id: sku._id.toString(), quantity_fulfilled: 1 }] })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Setting.deleteMany({}),
+      CustomerReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should default to specific identification and show every method', async () => {
+    const res = await request(app)
+      .get('/api/inventory/reports/cogs?days=7')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.costing_method).toBe('specific_identification');
+    expect(res.body.summary.total_cogs).toBe(160);
+    expect(res.body.summary.by_method).toEqual({
+      specific_identification: 160,
+      fifo: 100,
+      weighted_average: 130
+    });
+    expect(res.body.by_customer[0]).toEqual(expect.objectContaining({ customer_name: 'Cogs Customer', cogs: 160 }));
+    expect(res.body.by_project[0].project_name).toBe('Master Bath');
+    expect(res.body.by_category[0].category_name).toBe('Tubs');
+    expect(res.body.by_sku[0].sku_code).toBe('TUB-COGS-001');
+  });
+
+  test('should switch costing method through settings', async () => {
+    await request(app)
+      .put('/api/settings/cogs_costing_method')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ value: 'fifo' })
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/inventory/reports/cogs?days=7')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.costing_method).toBe('fifo');
+    expect(res.body.summary.total_cogs).toBe(100);
+  });
+
+  test('should reject unknown costing methods', async () => {
+    await request(app)
+      .put('/api/settings/cogs_costing_method')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ value: 'lifo' })
+      .expect(400);
+  });
+
+  test('should export a grouping as CSV', async () => {
+    const res = await request(app)
+      .get('/api/inventory/reports/cogs?days=7&format=csv&group_by=customer')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text).toContain('Cogs Customer');
+  });
+
+  test('should take customer returns back out of COGS', async () => {
+    await request(app)
+      .post(`/api/tags/${fulfilledTag._id}/returns`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ instance_id: fulfilledInstance._id.toString(), condition: 'resellable' }] })
+      .expect(201);
+
+    const res = await request(app)
+      .get('/api/inventory/reports/cogs?days=7&method=specific_identification')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.summary).toEqual(expect.objectContaining({
+      total_quantity: 0,
+      total_cogs: 0,
+      fulfillment_count: 1,
+      return_count: 1
+    }));
+    // The return comes off at the rate its fulfillment was valued at under each method
+    expect(res.body.summary.by_method).toEqual({
+      specific_identification: 0,
+      fifo: 0,
+      weighted_average: 0
+    });
+    expect(res.body.by_customer[0]).toEqual(expect.objectContaining({ customer_name: 'Cogs Customer', quantity: 0, cogs: 0 }));
+    expect(res.body.by_project[0]).toEqual(expect.objectContaining({ project_name: 'Master Bath', cogs: 0 }));
+    expect(res.body.by_category[0]).toEqual(expect.objectContaining({ category_name: 'Tubs', cogs: 0 }));
+    expect(res.body.by_sku[0]).toEqual(expect.objectContaining({ sku_code: 'TUB-COGS-001', quantity: 0, cogs: 0 }));
+  });
+});
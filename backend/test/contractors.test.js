@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Contractor = require('../src/models/Contractor');
+const MaintenanceOrder = require('../src/models/MaintenanceOrder');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testToken;
+let toolSKU;
+let contractor;
+
+const checkout = (body, expectedStatus = 201) => request(app)
+  .post('/api/tools/checkout')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: 'Harbor View Remodel',
+    ...body,
+    sku_items: [{ sku_id: toolSKU._id.toString(), quantity: body.quantity || 1 }]
+  })
+  .expect(expectedStatus);
+
+const returnTools = (tagId, returnedCondition) => request(app)
+  .post(`/api/tools/${tagId}/return`)
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({ returned_condition: returnedCondition, return_notes: `Came back ${returnedCondition}` })
+  .expect(200);
+
+describe('Contractors Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'contractorTestUser',
+      email: 'contractor.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Contractor',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'contractorTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Saws', type: 'tool', description: 'Saws' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-CON-001',
+      name: 'Tile Saw',
+      category_id: category._id,
+      unit_cost: 600,
+      created_by: 'contractorTestUser',
+      last_updated_by: 'contractorTestUser'
+    });
+
+    await Instance.create([1, 2, 3, 4].map(() => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 600,
+      added_by: 'contractorTestUser'
+    })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should enforce the contractor tool limit on checkout', async () => {
+    const createRes = await request(app)
+      .post('/api/contractors')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'Rivera Tile', phone: '555-0100', max_tools_out: 2 })
+      .expect(201);
+    contractor = createRes.body.contractor;
+
+    const res = await checkout({
+      contractor_id: contractor._id,
+      quantity: 2,
+      due_date: new Date(Date.now() - DAY_MS).toISOString()
+    });
+    expect(res.body.tag.contractor_id).toBe(contractor._id);
+
+    const limitRes = await checkout({ contractor_id: contractor._id }, 400);
+    expect(limitRes.body.code).toBe('CONTRACTOR_LIMIT');
+
+    // Late and broken
+    await returnTools(res.body.tag._id, 'broken');
+  });
+
+  test('should show current checkouts, on-time rate and damaged returns', async () => {
+    const onTime = await checkout({ contractor_id: contractor._id, due_date: new Date(Date.now() + DAY_MS).toISOString() });
+    await returnTools(onTime.body.tag._id, 'functional');
+    await checkout({ contractor_id: contractor._id });
+
+    const res = await request(app)
+      .get(`/api/contractors/${contractor._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.tools_out).toBe(1);
+    expect(res.body.current_checkouts).toHaveLength(1);
+    expect(res.body.return_stats).toEqual(expect.objectContaining({
+      returns: 2,
+      on_time_returns: 1,
+      late_returns: 1,
+      on_time_rate: 50,
+      tools_returned: 3,
+      tools_returned_broken: 2
+    }));
+    expect(res.body.damaged_returns).toHaveLength(1);
+    expect(res.body.damaged_returns[0].condition).toBe('broken');
+    expect(res.body.damaged_returns[0].maintenance_orders).toHaveLength(2);
+  });
+
+  test('should refuse checkouts to blocked contractors', async () => {
+    await request(app)
+      .put(`/api/contractors/${contractor._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ status: 'blocked', blocked_reason: 'Unpaid damage charges' })
+      .expect(200);
+
+    const res = await checkout({ contractor_name: 'rivera tile' }, 400);
+    expect(res.body.code).toBe('CONTRACTOR_BLOCKED');
+    expect(res.body.message).toContain('Unpaid damage charges');
+  });
+
+  test('should register a new contractor name only once the checkout goes through', async () => {
+    const refused = await checkout({ contractor_name: 'Slow Pour Concrete', quantity: 10 }, 400);
+    expect(refused.body.message).toBe('Failed to assign instances to checkout');
+    expect(await Contractor.findByName('slow pour concrete')).toBeNull();
+
+    const res = await checkout({ contractor_name: 'Quick Fix Crew' });
+    const registered = await Contractor.findByName('quick fix crew');
+    expect(registered).toBeTruthy();
+    expect(res.body.tag.contractor_id).toBe(registered._id.toString());
+  });
+
+  test('should not turn customer names into contractors', async () => {
+    const res = await checkout({ customer_name: 'Lakeside Bath Refit' });
+
+    expect(res.body.tag.contractor_id).toBeNull();
+    expect(await Contractor.findByName('lakeside bath refit')).toBeNull();
+  });
+});
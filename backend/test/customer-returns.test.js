@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Project = require('../src/models/Project');
+const CustomerReturn = require('../src/models/CustomerReturn');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let vanitySKU;
+let originals;
+let tag;
+
+describe('Customer Return Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      CustomerReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Project.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'returnTestUser',
+      email: 'return.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Return',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'returnTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Vanities', type: 'product', description: 'Vanities' });
+    vanitySKU = await SKU.create({
+      sku_code: 'VAN-RET-001',
+      name: 'Oak Vanity 36"',
+      category_id: category._id,
+      unit_cost: 500,
+      created_by: 'returnTestUser',
+      last_updated_by: 'returnTestUser'
+    });
+    originals = await Instance.create([
+      { serial_number: 'OAK-1', acquisition_cost: 480, acquisition_date: new Date('2026-01-05') },
+      { serial_number: 'OAK-2', acquisition_cost: 510, acquisition_date: new Date('2026-02-10') },
+      { serial_number: 'OAK-3', acquisition_cost: 520, acquisition_date: new Date('2026-03-15') }
+    ].map(data => ({ ...data, sku_id: vanitySKU._id, added_by: 'returnTestUser' })));
+
+    const tagRes = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Oak Street Bath',
+        project_name: 'Guest Bath',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: vanitySKU._id.toString(), quantity: 3 }]
+      })
+      .expect(201);
+    tag = tagRes.body.tag;
+
+    await request(app)
+      .post(`/api/tags/${tag._id}/fulfill`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ fulfillment_items: [{ item_id: vanitySKU._id.toString(), quantity_fulfilled: 3 }] })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      CustomerReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Project.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should list the fulfilled units that can come back', async () => {
+    const res = await request(app)
+      .get(`/api/tags/${tag._id}/returns`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.returns).toHaveLength(0);
+    expect(res.body.returnable.map(item => item.serial_number).sort()).toEqual(['OAK-1', 'OAK-2', 'OAK-3']);
+  });
+
+  test('should restore returned units with their original cost and date', async () => {
+    const res = await request(app)
+      .post(`/api/tags/${tag._id}/returns`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        items: [
+          { instance_id: originals[0]._id.toString(), condition: 'resellable' },
+          { serial_number: 'oak-2', condition: 'imperfect' }
+        ],
+        notes: 'Wrong finish ordered'
+      })
+      .expect(201);
+
+    const customerReturn = res.body.customer_return;
+    expect(customerReturn.return_number).toMatch(/^CR-\d{8}-001$/);
+    expect(customerReturn.tag_id).toBe(tag._id);
+    expect(customerReturn.customer_id).toBe(tag.customer_id);
+
+    const resellable = await Instance.findById(originals[0]._id);
+    expect(resellable.acquisition_cost).toBe(480);
+    expect(resellable.acquisition_date.toISOString()).toBe('2026-01-05T00:00:00.000Z');
+    expect(resellable.tag_id).toBeNull();
+
+    // Imperfect units go onto an imperfect tag for the same customer
+    const imperfect = await Instance.findOne({ serial_number: 'OAK-2' });
+    expect(imperfect._id.toString()).toBe(originals[1]._id.toString());
+    const imperfectTag = await Tag.findById(imperfect.tag_id);
+    expect(imperfectTag.tag_type).toBe('imperfect');
+    expect(imperfectTag.customer_id.toString()).toBe(tag.customer_id);
+    expect(customerReturn.items.find(item => item.condition === 'imperfect').destination_tag_id)
+      .toBe(imperfectTag._id.toString());
+
+    const movement = await StockMovement.findOne({ movement_type: 'customer_return' });
+    expect(movement.from_state).toBe('fulfilled');
+    expect(movement.quantity_delta).toBe(2);
+    expect(movement.source_reference).toBe(customerReturn.return_number);
+  });
+
+  test('should not take the same unit back twice', async () => {
+    const res = await request(app)
+      .post(`/api/tags/${tag._id}/returns`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ instance_id: originals[0]._id.toString(), condition: 'broken' }] })
+      .expect(400);
+    expect(res.body.code).toBe('NOT_FULFILLED_ON_TAG');
+  });
+
+  test('should show the return on the customer page', async () => {
+    const res = await request(app)
+      .get(`/api/customers/${tag.customer_id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.returns).toHaveLength(1);
+    expect(res.body.returns[0].items).toHaveLength(2);
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Project = require('../src/models/Project');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+const { runCustomerBackfill } = require('../src/migration/runCustomerBackfill');
+
+let testToken;
+let sku;
+let instances;
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+const createTag = (customerName, instance, extra = {}) => request(app)
+  .post('/api/tags')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: customerName,
+    tag_type: 'reserved',
+    sku_items: [{ sku_id: sku._id.toString(), selected_instance_ids: [instance._id.toString()] }],
+    ...extra
+  })
+  .expect(201);
+
+describe('Customers and Projects Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Project.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'customerTestUser',
+      email: 'customer.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Customer',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'customerTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Vanities', type: 'product', description: 'Bathroom vanities' });
+    sku = await SKU.create({
+      sku_code: 'VAN-CUST-001',
+      name: 'Floating Vanity',
+      category_id: category._id,
+      unit_cost: 300,
+      created_by: 'customerTestUser',
+      last_updated_by: 'customerTestUser'
+    });
+
+    instances = await Instance.create([1, 2, 3].map(() => ({
+      sku_id: sku._id,
+      acquisition_cost: 250,
+      added_by: 'customerTestUser'
+    })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Project.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should link tags to customer and project records by name', async () => {
+    const first = await createTag('Smith', instances[0], { project_name: 'Master Bath' });
+    const second = await createTag('smith.', instances[1], { project_name: 'master bath' });
+
+    expect(first.body.tag.customer_id).toBeTruthy();
+    expect(second.body.tag.customer_id).toBe(first.body.tag.customer_id);
+    expect(second.body.tag.project_id).toBe(first.body.tag.project_id);
+    expect(second.body.tag.customer_name).toBe('Smith');
+    expect(await Customer.countDocuments()).toBe(1);
+    expect(await Project.countDocuments()).toBe(1);
+  });
+
+  test('should show reservations, fulfilled installs and value on the customer page', async () => {
+    const customer = await Customer.findByName('Smith');
+    const [tag] = await Tag.find({ customer_id: customer._id }).sort({ createdAt: 1 });
+
+    await request(app)
+      .post(`/api/tags/${tag._id}/fulfill`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ fulfillment_items: [{ item_id: sku._id.toString(), quantity_fulfilled: 1 }] })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/customers/${customer._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.projects).toHaveLength(1);
+    expect(res.body.counts).toEqual({ reservations: 1, fulfilled_installs: 1, loaned_tools: 0, total_tags: 2 });
+    expect(res.body.totals).toEqual(expect.objectContaining({
+      reservations_value: 250,
+      fulfilled_value: 250,
+      total_value: 500
+    }));
+  });
+
+  test('should merge duplicate customers and resolve the old name', async () => {
+    await createTag('John Smith', instances[2], { project_name: 'Master Bath' });
+    const target = await Customer.findByName('Smith');
+    const duplicate = await Customer.findByName('John Smith');
+    expect(duplicate._id.equals(target._id)).toBe(false);
+
+    const duplicatesRes = await request(app)
+      .get('/api/customers/duplicates')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(duplicatesRes.body.groups[0].customers).toHaveLength(2);
+
+    const mergeRes = await request(app)
+      .post(`/api/customers/${target._id}/merge`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ source_ids: [duplicate._id.toString()] })
+      .expect(200);
+
+    expect(mergeRes.body.tags_moved).toBe(1);
+    expect(mergeRes.body.projects_merged).toBe(1);
+    expect(mergeRes.body.customer.aliases).toContain('John Smith');
+    expect(await Customer.countDocuments()).toBe(1);
+    expect(await Project.countDocuments()).toBe(1);
+
+    const byNameRes = await request(app)
+      .get('/api/tags/customer/John%20Smith')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(byNameRes.body.customer_name).toBe('Smith');
+    expect(byNameRes.body.count).toBe(3);
+    byNameRes.body.tags.forEach(tag => expect(tag.customer_name).toBe('Smith'));
+  });
+
+  test('should backfill customers from legacy tags but skip maintenance tags', async () => {
+    await Tag.collection.insertMany([
+      { customer_name: 'Legacy Builders', project_name: 'Lot 7', tag_type: 'reserved', status: 'fulfilled', sku_items: [], notes: [], created_by: 'customerTestUser', last_updated_by: 'customerTestUser' },
+      { customer_name: 'Legacy Builders', project_name: 'Lot 7', tag_type: 'reserved', status: 'active', sku_items: [], notes: [], created_by: 'customerTestUser', last_updated_by: 'customerTestUser' },
+      { customer_name: 'LEGACY BUILDERS', project_name: 'Lot 7', tag_type: 'reserved', status: 'active', sku_items: [], notes: [], created_by: 'customerTestUser', last_updated_by: 'customerTestUser' },
+      { customer_name: 'Maintenance - Smith', project_name: '', tag_type: 'broken', status: 'active', sku_items: [], notes: [], created_by: 'customerTestUser', last_updated_by: 'customerTestUser' }
+    ]);
+
+    const result = await runCustomerBackfill({ logger: silentLogger });
+    expect(result).toEqual(expect.objectContaining({ customersCreated: 1, projectsCreated: 1, tagsLinked: 3 }));
+
+    const legacy = await Customer.findByName('legacy builders');
+    expect(legacy.name).toBe('Legacy Builders');
+    expect(await Tag.countDocuments({ customer_id: legacy._id, project_id: { $ne: null } })).toBe(3);
+    expect(await Tag.countDocuments({ customer_name: 'Maintenance - Smith', customer_id: null })).toBe(1);
+
+    // Second run finds nothing to do
+    const rerun = await runCustomerBackfill({ logger: silentLogger });
+    expect(rerun.tagsLinked).toBe(0);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const CycleCount = require('../src/models/CycleCount');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let category, shortSku, overSku;
+
+describe('Cycle Counts API Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      CycleCount.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'countTestUser',
+      email: 'count.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Count',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'countTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    category = await Category.create({
+      name: 'Shower Doors',
+      type: 'product',
+      description: 'Glass shower doors'
+    });
+
+    shortSku = await SKU.create({
+      sku_code: 'SD-COUNT-001',
+      name: 'Sliding Door',
+      category_id: category._id,
+      barcode: '700000000001',
+      unit_cost: 200,
+      created_by: 'countTestUser',
+      last_updated_by: 'countTestUser'
+    });
+
+    overSku = await SKU.create({
+      sku_code: 'SD-COUNT-002',
+      name: 'Pivot Door',
+      category_id: category._id,
+      barcode: '700000000002',
+      unit_cost: 150,
+      created_by: 'countTestUser',
+      last_updated_by: 'countTestUser'
+    });
+
+    // Three sliding doors on the books, oldest bought cheapest
+    await Instance.create([
+      { sku_id: shortSku._id, acquisition_cost: 180, acquisition_date: new Date('2024-01-01'), added_by: 'countTestUser' },
+      { sku_id: shortSku._id, acquisition_cost: 200, acquisition_date: new Date('2024-02-01'), added_by: 'countTestUser' },
+      { sku_id: shortSku._id, acquisition_cost: 220, acquisition_date: new Date('2024-03-01'), added_by: 'countTestUser' }
+    ]);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      CycleCount.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  let cycleCount;
+
+  test('should open a count with a line per SKU in the category', async () => {
+    const res = await request(app)
+      .post('/api/cycle-counts')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ category_id: category._id })
+      .expect(201);
+
+    cycleCount = res.body.cycle_count;
+    expect(cycleCount.status).toBe('open');
+    expect(cycleCount.count_number).toMatch(/^CC-\d{8}-\d{3}$/);
+    expect(cycleCount.lines).toHaveLength(2);
+    expect(res.body.summary.uncounted_lines).toBe(2);
+  });
+
+  test('should not open a second count for the same scope', async () => {
+    await request(app)
+      .post('/api/cycle-counts')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ category_id: category._id })
+      .expect(400);
+  });
+
+  test('should count by barcode scan and by quantity', async () => {
+    const res = await request(app)
+      .post(`/api/cycle-counts/${cycleCount._id}/counts`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        barcodes: ['700000000001', '700000000001', '999999999999'],
+        items: [{ sku_id: overSku._id, counted_quantity: 1 }]
+      })
+      .expect(200);
+
+    expect(res.body.rejected).toHaveLength(1);
+    const shortLine = res.body.cycle_count.lines.find(line => line.sku_id.sku_code === 'SD-COUNT-001');
+    expect(shortLine.counted_quantity).toBe(2);
+    expect(shortLine.variance).toBe(-1);
+    // FIFO - the oldest door is the one that goes
+    expect(shortLine.variance_value).toBe(-180);
+  });
+
+  test('should post variances as instance adjustments on approval', async () => {
+    await request(app)
+      .post(`/api/cycle-counts/${cycleCount._id}/submit`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/cycle-counts/${cycleCount._id}/approve`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.cycle_count.status).toBe('posted');
+    expect(res.body.adjustments).toHaveLength(2);
+
+    expect(await Instance.countDocuments({ sku_id: shortSku._id })).toBe(2);
+    expect(await Instance.countDocuments({ sku_id: shortSku._id, acquisition_cost: 180 })).toBe(0);
+
+    // The short unit is written off as lost, not deleted
+    const lost = await Instance.find({ sku_id: shortSku._id, disposition: 'lost' });
+    expect(lost).toHaveLength(1);
+    expect(lost[0].acquisition_cost).toBe(180);
+    expect(lost[0].disposition_approved_by).toBe('countTestUser');
+
+    const created = await Instance.find({ sku_id: overSku._id });
+    expect(created).toHaveLength(1);
+    expect(created[0].acquisition_cost).toBe(150);
+    expect(created[0].notes).toContain('Cycle count');
+
+    const movements = await StockMovement.find({ source_id: cycleCount._id });
+    expect(movements.map(movement => movement.movement_type).sort()).toEqual(['cycle_count', 'disposal']);
+  });
+
+  test('should report the posted variance at acquisition cost', async () => {
+    const res = await request(app)
+      .get(`/api/cycle-counts/${cycleCount._id}/variance`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.values_are_estimates).toBe(false);
+    expect(res.body.summary.value_short).toBe(180);
+    expect(res.body.summary.value_over).toBe(150);
+    expect(res.body.summary.net_variance_value).toBe(-30);
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Contractor = require('../src/models/Contractor');
+const Customer = require('../src/models/Customer');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let toolSKU;
+let contractor;
+let loan;
+
+const dispose = (instanceId, body) => request(app)
+  .post(`/api/instances/${instanceId}/dispose`)
+  .set('Authorization', `Bearer ${testToken}`)
+  .send(body);
+
+describe('Instance Disposition Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'dispositionTestUser',
+      email: 'disposition.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Disposition',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'dispositionTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Tile Saws', type: 'tool', description: 'Tile saws' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-DSP-001',
+      name: 'Wet Tile Saw',
+      category_id: category._id,
+      unit_cost: 400,
+      created_by: 'dispositionTestUser',
+      last_updated_by: 'dispositionTestUser'
+    });
+    await Instance.create([1, 2, 3].map(() => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 400,
+      added_by: 'dispositionTestUser'
+    })));
+
+    contractor = await Contractor.create({
+      name: 'Northside Tiling',
+      created_by: 'dispositionTestUser',
+      last_updated_by: 'dispositionTestUser'
+    });
+
+    const checkoutRes = await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Birch Lane Remodel',
+        contractor_id: contractor._id.toString(),
+        sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1 }]
+      })
+      .expect(201);
+    loan = checkoutRes.body.tag;
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should take a lost loaned tool off its tag and charge it to the contractor', async () => {
+    const [lost] = await Instance.find({ tag_id: loan._id });
+
+    const res = await dispose(lost._id, {
+      disposition: 'lost',
+      reason: 'Left on site, contractor cannot find it'
+    }).expect(200);
+
+    expect(res.body.instance.disposition).toBe('lost');
+    expect(res.body.instance.tag_id).toBeNull();
+    expect(res.body.instance.disposition_contractor_id).toBe(contractor._id.toString());
+    expect(res.body.inventory_summary.total_quantity).toBe(2);
+
+    // Nothing left on the loan, so it is cancelled
+    const tag = await Tag.findById(loan._id);
+    expect(tag.status).toBe('cancelled');
+
+    const movement = await StockMovement.findOne({ sku_id: toolSKU._id, movement_type: 'disposal' });
+    expect(movement.from_state).toBe('loaned');
+    expect(movement.to_state).toBe('disposed');
+    expect(movement.quantity_delta).toBe(-1);
+  });
+
+  test('should leave disposed instances out of on-hand counts but keep the record', async () => {
+    const stolen = await Instance.findOne(Instance.availableFilter({ sku_id: toolSKU._id }));
+    await dispose(stolen._id, {
+      disposition: 'stolen',
+      reason: 'Taken from the van',
+      recovered_value: 150
+    }).expect(200);
+
+    expect(await Instance.countDocuments({ sku_id: toolSKU._id })).toBe(1);
+    expect(await Instance.countDocuments({ sku_id: toolSKU._id, disposition: { $ne: null } })).toBe(2);
+
+    const listRes = await request(app)
+      .get(`/api/instances/${toolSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(listRes.body.instances).toHaveLength(1);
+
+    const inventoryRes = await request(app)
+      .get('/api/tools/inventory')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    const toolRow = inventoryRes.body.inventory.find(item => item.sku_code === 'TOOL-DSP-001');
+    expect(toolRow.total_quantity).toBe(1);
+    expect(toolRow.available_quantity).toBe(1);
+
+    const disposedRes = await request(app)
+      .get('/api/instances/disposed?disposition=stolen')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(disposedRes.body.instances).toHaveLength(1);
+    expect(disposedRes.body.instances[0].recovered_value).toBe(150);
+  });
+
+  test('should refuse to dispose of an instance twice', async () => {
+    const disposed = await Instance.findOne({ sku_id: toolSKU._id, disposition: 'stolen' });
+
+    const res = await dispose(disposed._id, { disposition: 'scrapped', reason: 'Duplicate report' }).expect(409);
+    expect(res.body.code).toBe('ALREADY_DISPOSED');
+  });
+
+  test('should report shrinkage by category and contractor', async () => {
+    const res = await request(app)
+      .get('/api/inventory/reports/shrinkage')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.summary).toEqual({
+      total_quantity: 2,
+      total_cost: 800,
+      total_recovered: 150,
+      net_loss: 650
+    });
+    expect(res.body.by_category).toEqual([
+      expect.objectContaining({ category_name: 'Tile Saws', quantity: 2, net_loss: 650 })
+    ]);
+    const contractorRow = res.body.by_contractor.find(row => row.contractor_name === 'Northside Tiling');
+    expect(contractorRow).toEqual(expect.objectContaining({ quantity: 1, cost: 400, net_loss: 400 }));
+  });
+
+  test('should put a reinstated instance back into stock', async () => {
+    const found = await Instance.findOne({ sku_id: toolSKU._id, disposition: 'lost' });
+
+    const res = await request(app)
+      .post(`/api/instances/${found._id}/reinstate`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ reason: 'Found in the back of the truck' })
+      .expect(200);
+
+    expect(res.body.instance.disposition).toBeNull();
+    expect(await Instance.countDocuments(Instance.availableFilter({ sku_id: toolSKU._id }))).toBe(2);
+
+    const reversal = await StockMovement.findOne({ sku_id: toolSKU._id, movement_type: 'disposal_reversal' });
+    expect(reversal.quantity_delta).toBe(1);
+  });
+
+  test('should recount loaned and out-of-service units apart from reserved stock', async () => {
+    await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Birch Lane Remodel',
+        sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1 }]
+      })
+      .expect(201);
+    await Instance.updateOne(Instance.availableFilter({ sku_id: toolSKU._id }), { $set: { condition: 'broken' } });
+
+    const inventory = await Inventory.refreshCounts(toolSKU._id);
+    expect(inventory.available_quantity).toBe(0);
+    expect(inventory.loaned_quantity).toBe(1);
+    expect(inventory.broken_quantity).toBe(1);
+    expect(inventory.reserved_quantity).toBe(0);
+    expect(inventory.total_quantity).toBe(2);
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let valveSKU;
+let trimSKU;
+let kitSKU;
+let kits;
+
+const addStock = (sku, quantity, unitCost) => request(app)
+  .post('/api/instances/add-stock')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({ sku_id: sku._id.toString(), quantity, unit_cost: unitCost })
+  .expect(201);
+
+describe('Kit Assembly Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'kitTestUser',
+      email: 'kit.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Kit',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'kitTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Shower Valves', type: 'product', description: 'Valves and trim' });
+    [valveSKU, trimSKU] = await SKU.create(['VALVE', 'TRIM'].map(code => ({
+      sku_code: `KIT-${code}-001`,
+      name: `Shower ${code.toLowerCase()}`,
+      category_id: category._id,
+      unit_cost: 50,
+      created_by: 'kitTestUser',
+      last_updated_by: 'kitTestUser'
+    })));
+    kitSKU = await SKU.create({
+      sku_code: 'KIT-SHOWER-001',
+      name: 'Shower valve kit',
+      category_id: category._id,
+      is_bundle: true,
+      bundle_items: [
+        { sku_id: valveSKU._id, quantity: 1 },
+        { sku_id: trimSKU._id, quantity: 2 }
+      ],
+      created_by: 'kitTestUser',
+      last_updated_by: 'kitTestUser'
+    });
+
+    // Older valves cost less - FIFO should use them first
+    await addStock(valveSKU, 2, 40);
+    await addStock(valveSKU, 1, 60);
+    await addStock(trimSKU, 5, 10);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should calculate kits buildable from component stock', async () => {
+    const res = await request(app)
+      .get(`/api/skus/${kitSKU._id}/buildable`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.buildable).toBe(2);
+    expect(res.body.limiting_sku).toBe('KIT-TRIM-001');
+    expect(res.body.kits_available).toBe(0);
+    expect(res.body.components).toEqual(expect.arrayContaining([
+      expect.objectContaining({ sku_code: 'KIT-VALVE-001', quantity_per_kit: 1, available: 3, buildable: 3 }),
+      expect.objectContaining({ sku_code: 'KIT-TRIM-001', quantity_per_kit: 2, available: 5, buildable: 2 })
+    ]));
+  });
+
+  test('should refuse to build more kits than components allow', async () => {
+    const res = await request(app)
+      .post(`/api/skus/${kitSKU._id}/assemble`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ quantity: 3 })
+      .expect(400);
+
+    expect(res.body.code).toBe('INSUFFICIENT_COMPONENTS');
+    expect(res.body.shortages).toEqual([
+      expect.objectContaining({ sku_code: 'KIT-TRIM-001', required: 6, available: 5, shortage: 1 })
+    ]);
+    expect(await Instance.countDocuments({ sku_id: kitSKU._id })).toBe(0);
+  });
+
+  test('should assemble kits from the oldest components at their combined cost', async () => {
+    const res = await request(app)
+      .post(`/api/skus/${kitSKU._id}/assemble`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ quantity: 2, notes: 'Pre-build for Unit 4' })
+      .expect(201);
+
+    kits = res.body.kits;
+    expect(kits).toHaveLength(2);
+    kits.forEach(kit => {
+      expect(kit.acquisition_cost).toBe(60);
+      expect(kit.assembled_at).toBeTruthy();
+    });
+    expect(res.body.total_cost).toBe(120);
+    expect(res.body.buildable.buildable).toBe(0);
+
+    const valves = await Instance.find({ sku_id: valveSKU._id });
+    expect(valves).toHaveLength(1);
+    expect(valves[0].acquisition_cost).toBe(60);
+    expect(await Instance.countDocuments({ sku_id: trimSKU._id })).toBe(1);
+    expect((await Inventory.findOne({ sku_id: kitSKU._id })).available_quantity).toBe(2);
+    expect((await Inventory.findOne({ sku_id: trimSKU._id })).available_quantity).toBe(1);
+
+    // The components keep their records, marked as built into their kit
+    const kitted = await Instance.find({ kit_instance_id: kits[0]._id });
+    expect(kitted).toHaveLength(3);
+    expect(kitted.every(instance => instance.added_by === 'kitTestUser')).toBe(true);
+
+    const consumed = await StockMovement.findOne({ movement_type: 'kit_assemble', sku_id: trimSKU._id });
+    expect(consumed.quantity_delta).toBe(-4);
+    const built = await StockMovement.findOne({ movement_type: 'kit_assemble', sku_id: kitSKU._id });
+    expect(built.quantity_delta).toBe(2);
+  });
+
+  test('should list bundles with kit stock', async () => {
+    const res = await request(app)
+      .get('/api/skus/bundles/buildable')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.bundles).toEqual([
+      expect.objectContaining({ sku_code: 'KIT-SHOWER-001', buildable: 0, kits_available: 2 })
+    ]);
+  });
+
+  test('should disassemble a kit and restore its original components', async () => {
+    const kit = kits[0];
+    const componentIds = (await Instance.find({ kit_instance_id: kit._id })).map(instance => instance._id.toString());
+
+    const res = await request(app)
+      .post(`/api/skus/${kitSKU._id}/disassemble`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ instance_ids: [kit._id] })
+      .expect(200);
+
+    expect(res.body.kits_disassembled).toBe(1);
+    expect(res.body.components_restored.map(instance => instance._id).sort()).toEqual(componentIds.sort());
+    expect(await Instance.countDocuments({ kit_instance_id: kit._id })).toBe(0);
+    expect(await Instance.countDocuments({ sku_id: valveSKU._id })).toBe(2);
+    expect(await Instance.countDocuments({ sku_id: trimSKU._id })).toBe(3);
+    expect(await Instance.countDocuments({ sku_id: kitSKU._id })).toBe(1);
+
+    // The kit keeps its record, marked as taken apart and off hand
+    expect(await Instance.findById(kit._id)).toBeNull();
+    const takenApart = await Instance.findOne({ _id: kit._id, disassembled_at: { $ne: null } });
+    expect(takenApart.acquisition_cost).toBe(60);
+
+    const valve = res.body.components_restored.find(instance => instance.sku_id === valveSKU._id.toString());
+    expect(valve.acquisition_cost).toBe(40);
+    expect((await Inventory.findOne({ sku_id: kitSKU._id })).available_quantity).toBe(1);
+
+    await request(app)
+      .post(`/api/skus/${kitSKU._id}/disassemble`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ instance_ids: [kit._id] })
+      .expect(400);
+  });
+});
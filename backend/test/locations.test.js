@@ -0,0 +1,184 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Location = require('../src/models/Location');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let sku;
+
+describe('Locations API Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Location.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'locationTestUser',
+      email: 'location.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Location',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'locationTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({
+      name: 'Tile',
+      type: 'product',
+      description: 'Floor and wall tile'
+    });
+
+    sku = await SKU.create({
+      sku_code: 'TILE-LOC-001',
+      name: 'Subway Tile Box',
+      category_id: category._id,
+      unit_cost: 40,
+      created_by: 'locationTestUser',
+      last_updated_by: 'locationTestUser'
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Location.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should create locations with normalised codes', async () => {
+    const hq = await request(app)
+      .post('/api/locations')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ code: 'hq', name: 'Head Office', is_default: true })
+      .expect(201);
+    expect(hq.body.location.code).toBe('HQ');
+
+    const trailer = await request(app)
+      .post('/api/locations')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ code: 'trailer 1', name: 'Job Trailer 1', type: 'trailer' })
+      .expect(201);
+    expect(trailer.body.location.code).toBe('TRAILER-1');
+  });
+
+  test('should reject stock added to an unknown location', async () => {
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 1, unit_cost: 40, location: 'Somewhere Else' })
+      .expect(400);
+  });
+
+  test('should resolve location names and default to the default location', async () => {
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 4, unit_cost: 40 })
+      .expect(201);
+
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 1, unit_cost: 40, location: 'Job Trailer 1' })
+      .expect(201);
+
+    expect(await Instance.countDocuments({ sku_id: sku._id, location: 'HQ' })).toBe(4);
+    expect(await Instance.countDocuments({ sku_id: sku._id, location: 'TRAILER-1' })).toBe(1);
+  });
+
+  test('should transfer available instances and write an audit entry', async () => {
+    const res = await request(app)
+      .post('/api/locations/transfer')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 3, from_location: 'HQ', to_location: 'TRAILER-1' })
+      .expect(200);
+
+    expect(res.body.transfer.quantity).toBe(3);
+    expect(await Instance.countDocuments({ sku_id: sku._id, location: 'TRAILER-1' })).toBe(4);
+
+    const audit = await AuditLog.findOne({ event_type: 'item_transferred', entity_id: sku._id });
+    expect(audit).not.toBeNull();
+    expect(audit.changes.after.location).toBe('TRAILER-1');
+  });
+
+  test('should refuse to transfer more than is available at the source', async () => {
+    await request(app)
+      .post('/api/locations/transfer')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 5, from_location: 'HQ', to_location: 'TRAILER-1' })
+      .expect(400);
+  });
+
+  test('should apply per-location thresholds in inventory and alerts', async () => {
+    await request(app)
+      .put(`/api/inventory/${sku._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ location_levels: [{ location: 'HQ', minimum_stock_level: 2, reorder_point: 3 }] })
+      .expect(200);
+
+    const inventoryRes = await request(app)
+      .get('/api/inventory?search=TILE-LOC')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const item = inventoryRes.body.inventory.find(row => row.sku_code === 'TILE-LOC-001');
+    const hq = item.location_breakdown.find(row => row.location === 'HQ');
+    const trailer = item.location_breakdown.find(row => row.location === 'TRAILER-1');
+    expect(hq.available_quantity).toBe(1);
+    expect(hq.is_low_stock).toBe(true);
+    expect(hq.needs_reorder).toBe(true);
+    expect(trailer.available_quantity).toBe(4);
+    expect(trailer.reorder_point).toBeNull();
+
+    const alertsRes = await request(app)
+      .get('/api/inventory/alerts/reorder')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(alertsRes.body.location_alerts).toEqual(
+      expect.arrayContaining([expect.objectContaining({ sku_code: 'TILE-LOC-001', location: 'HQ' })])
+    );
+  });
+
+  test('should not count out-of-service units as available stock', async () => {
+    const unit = await Instance.findOne({ sku_id: sku._id, location: 'TRAILER-1' });
+    unit.condition = 'broken';
+    await unit.save();
+
+    const res = await request(app)
+      .get('/api/locations/TRAILER-1')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.summary).toEqual(expect.objectContaining({ total_quantity: 4, available_quantity: 3 }));
+    expect(res.body.skus[0]).toEqual(expect.objectContaining({ sku_code: 'TILE-LOC-001', total_quantity: 4, available_quantity: 3 }));
+
+    const listRes = await request(app)
+      .get('/api/locations')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    const trailer = listRes.body.locations.find(loc => loc.code === 'TRAILER-1');
+    expect(trailer.stock.available_quantity).toBe(3);
+  });
+});
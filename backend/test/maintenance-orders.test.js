@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const MaintenanceOrder = require('../src/models/MaintenanceOrder');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+const { runToolConditionMigration } = require('../src/migration/runToolConditionMigration');
+
+let testToken;
+let toolSKU;
+let instances;
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+const openOrder = (instance, condition, issue) => request(app)
+  .post('/api/maintenance-orders')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({ instance_id: instance._id.toString(), condition, issue })
+  .expect(201);
+
+const updateOrder = (order, update, expectedStatus = 200) => request(app)
+  .put(`/api/maintenance-orders/${order._id}`)
+  .set('Authorization', `Bearer ${testToken}`)
+  .send(update)
+  .expect(expectedStatus);
+
+describe('Maintenance Orders Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'maintenanceTestUser',
+      email: 'maintenance.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Maintenance',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'maintenanceTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Power Tools', type: 'tool', description: 'Power tools' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-MO-001',
+      name: 'Hammer Drill',
+      category_id: category._id,
+      unit_cost: 180,
+      created_by: 'maintenanceTestUser',
+      last_updated_by: 'maintenanceTestUser'
+    });
+
+    instances = await Instance.create([1, 2, 3, 4].map(() => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 180,
+      added_by: 'maintenanceTestUser'
+    })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should take a tool out of service and filter the tools table on it', async () => {
+    const res = await openOrder(instances[0], 'needs_maintenance', 'Chuck wobbles');
+
+    expect(res.body.order.order_number).toMatch(/^MO-\d{8}-001$/);
+    expect(res.body.order.status).toBe('opened');
+
+    const instance = await Instance.findById(instances[0]._id);
+    expect(instance.condition).toBe('needs_maintenance');
+    expect(instance.maintenance_order_id.toString()).toBe(res.body.order._id);
+    expect(await Instance.countAvailableForSKU(toolSKU._id)).toBe(3);
+
+    const inventoryRes = await request(app)
+      .get('/api/tools/inventory?condition=needs_maintenance')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(inventoryRes.body.inventory).toHaveLength(1);
+    expect(inventoryRes.body.inventory[0]).toEqual(expect.objectContaining({
+      available_quantity: 3,
+      maintenance_quantity: 1,
+      broken_quantity: 0
+    }));
+
+    const movement = await StockMovement.findOne({ 'instances.instance_id': instances[0]._id, movement_type: 'status_move' });
+    expect(movement).toEqual(expect.objectContaining({ from_state: 'available', to_state: 'needs_maintenance' }));
+  });
+
+  test('should move an order through repair and put the tool back in service', async () => {
+    const order = await MaintenanceOrder.findOne({ instance_id: instances[0]._id });
+
+    await updateOrder(order, { status: 'in_repair', vendor: 'Tool Doctor', notes: 'Dropped off' });
+    await updateOrder(order, { status: 'awaiting_parts', repair_cost: 45.5, notes: 'New chuck ordered' });
+
+    // Orders only move forward through the repair flow
+    const invalidRes = await updateOrder(order, { status: 'opened' }, 400);
+    expect(invalidRes.body.message).toContain('Cannot move a maintenance order');
+
+    const res = await updateOrder(order, { status: 'repaired', notes: 'Chuck replaced' });
+    expect(res.body.order.status).toBe('repaired');
+    expect(res.body.order.vendor).toBe('Tool Doctor');
+    expect(res.body.order.repair_cost).toBe(45.5);
+    expect(res.body.order.closed_by).toBe('maintenanceTestUser');
+    expect(res.body.order.history.map(entry => entry.status))
+      .toEqual(['opened', 'in_repair', 'awaiting_parts', 'repaired']);
+
+    const instance = await Instance.findById(instances[0]._id);
+    expect(instance.condition).toBe('functional');
+    expect(instance.maintenance_order_id).toBeNull();
+    expect(instance.isAvailable()).toBe(true);
+
+    await updateOrder(order, { notes: 'Too late' }, 400);
+  });
+
+  test('should scrap a broken tool and take it off the books', async () => {
+    const openRes = await openOrder(instances[1], 'broken', 'Motor burned out');
+    const res = await updateOrder(openRes.body.order, { status: 'scrapped', notes: 'Not worth repairing' });
+
+    expect(res.body.order.status).toBe('scrapped');
+    expect(await Instance.findById(instances[1]._id)).toBeNull();
+    const scrapped = await Instance.findByIdIncludingDisposed(instances[1]._id);
+    expect(scrapped.disposition).toBe('scrapped');
+    expect(scrapped.maintenance_order_id).toBeNull();
+
+    const disposal = await StockMovement.findOne({ 'instances.instance_id': instances[1]._id, movement_type: 'disposal' });
+    expect(disposal.from_state).toBe('broken');
+    expect(disposal.to_state).toBe('disposed');
+    expect(disposal.reason).toContain(openRes.body.order.order_number);
+
+    const listRes = await request(app)
+      .get('/api/maintenance-orders?open=false')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(listRes.body.pagination.total_items).toBe(2);
+  });
+
+  test('should convert legacy tool condition tags into maintenance orders', async () => {
+    const legacyTag = await Tag.create({
+      customer_name: 'Maintenance - Hammer Drill',
+      project_name: 'Tool condition: broken',
+      tag_type: 'broken',
+      sku_items: [{
+        sku_id: toolSKU._id,
+        selected_instance_ids: [instances[2]._id, instances[3]._id],
+        quantity: 2,
+        remaining_quantity: 2
+      }],
+      created_by: 'maintenanceTestUser',
+      last_updated_by: 'maintenanceTestUser'
+    });
+    await Instance.updateMany({ _id: { $in: [instances[2]._id, instances[3]._id] } }, { tag_id: legacyTag._id });
+
+    const result = await runToolConditionMigration({ logger: silentLogger });
+    expect(result).toEqual(expect.objectContaining({ tagsClosed: 1, ordersOpened: 2 }));
+
+    const migrated = await Instance.find({ _id: { $in: [instances[2]._id, instances[3]._id] } });
+    migrated.forEach(instance => {
+      expect(instance.tag_id).toBeNull();
+      expect(instance.condition).toBe('broken');
+    });
+
+    const orders = await MaintenanceOrder.find({ source: 'migration' });
+    expect(orders).toHaveLength(2);
+    orders.forEach(order => expect(order.source_tag_id.toString()).toBe(legacyTag._id.toString()));
+
+    const closedTag = await Tag.findById(legacyTag._id);
+    expect(closedTag.status).toBe('fulfilled');
+    expect(closedTag.notes[closedTag.notes.length - 1].kind).toBe('system');
+
+    // Second run finds nothing to do
+    const rerun = await runToolConditionMigration({ logger: silentLogger });
+    expect(rerun.tagsClosed).toBe(0);
+  });
+});
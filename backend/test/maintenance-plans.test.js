@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const MaintenancePlan = require('../src/models/MaintenancePlan');
+const ServiceRecord = require('../src/models/ServiceRecord');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testToken;
+let toolSKU;
+let instances;
+let calibrationPlan;
+
+const checkout = (skuItem, expectedStatus = 201) => request(app)
+  .post('/api/tools/checkout')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: 'Service Test Crew',
+    sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1, ...skuItem }]
+  })
+  .expect(expectedStatus);
+
+const returnTools = (tagId) => request(app)
+  .post(`/api/tools/${tagId}/return`)
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({ returned_condition: 'functional' })
+  .expect(200);
+
+describe('Maintenance Plans Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenancePlan.deleteMany({}),
+      ServiceRecord.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'planTestUser',
+      email: 'plan.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Plan',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'planTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Measuring Tools', type: 'tool', description: 'Levels and meters' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-PM-001',
+      name: 'Laser Level',
+      category_id: category._id,
+      unit_cost: 400,
+      details: { tool_type: 'laser_level', serial_number: 'LL-1001' },
+      created_by: 'planTestUser',
+      last_updated_by: 'planTestUser'
+    });
+
+    // The oldest level was bought four months ago and never calibrated
+    instances = await Instance.create([120, 10, 5].map(daysAgo => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 400,
+      acquisition_date: new Date(Date.now() - daysAgo * DAY_MS),
+      added_by: 'planTestUser'
+    })));
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenancePlan.deleteMany({}),
+      ServiceRecord.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should list tools due or overdue for calibration', async () => {
+    const planRes = await request(app)
+      .post('/api/maintenance-plans')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'Calibration', sku_id: toolSKU._id.toString(), interval_days: 90, enforcement: 'block' })
+      .expect(201);
+    calibrationPlan = planRes.body.plan;
+
+    const res = await request(app)
+      .get('/api/maintenance-plans/due')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.counts).toEqual({ due: 0, overdue: 1 });
+    expect(res.body.tools[0]).toEqual(expect.objectContaining({
+      instance_id: instances[0]._id.toString(),
+      plan_name: 'Calibration',
+      status: 'overdue'
+    }));
+  });
+
+  test('should keep overdue tools out of checkouts under a block plan', async () => {
+    // Auto selection skips the overdue level even though it's the oldest
+    const autoRes = await checkout({ quantity: 2 });
+    const assigned = autoRes.body.tag.sku_items[0].selected_instance_ids;
+    expect(assigned).toHaveLength(2);
+    expect(assigned).not.toContain(instances[0]._id.toString());
+    expect((await Instance.findById(instances[1]._id)).checkout_count).toBe(1);
+
+    const manualRes = await checkout({
+      selection_method: 'manual',
+      selected_instance_ids: [instances[0]._id.toString()]
+    }, 400);
+    expect(manualRes.body.code).toBe('SERVICE_OVERDUE');
+
+    // Only the overdue level is left
+    const shortRes = await checkout({ quantity: 1 }, 400);
+    expect(shortRes.body.service_due[0].instance_id).toBe(instances[0]._id.toString());
+
+    await returnTools(autoRes.body.tag._id);
+  });
+
+  test('should reset the interval and log the cost when a service is recorded', async () => {
+    const res = await request(app)
+      .post(`/api/maintenance-plans/${calibrationPlan._id}/service`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ instance_id: instances[0]._id.toString(), cost: 85, vendor: 'Calibration Lab' })
+      .expect(201);
+
+    expect(res.body.status.status).toBe('ok');
+    expect(new Date(res.body.status.due_date).getTime()).toBeGreaterThan(Date.now() + 89 * DAY_MS);
+
+    const servicesRes = await request(app)
+      .get(`/api/maintenance-plans/services?instance_id=${instances[0]._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(servicesRes.body.total_cost).toBe(85);
+
+    const checkoutRes = await checkout({
+      selection_method: 'manual',
+      selected_instance_ids: [instances[0]._id.toString()]
+    });
+    await returnTools(checkoutRes.body.tag._id);
+  });
+
+  test('should warn when a checkout uses up a usage-based interval', async () => {
+    await request(app)
+      .post('/api/maintenance-plans')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'Lens cleaning', sku_id: toolSKU._id.toString(), interval_checkouts: 2, lead_checkouts: 1 })
+      .expect(201);
+
+    // Every level has been out once, so each has one checkout left before cleaning
+    const res = await checkout({ quantity: 1 });
+    expect(res.body.service_warnings).toHaveLength(1);
+    expect(res.body.service_warnings[0]).toEqual(expect.objectContaining({
+      plan_name: 'Lens cleaning',
+      status: 'due',
+      checkouts_remaining: 1
+    }));
+  });
+});
@@ -0,0 +1,252 @@
+const net = require('net');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Inventory = require('../src/models/Inventory');
+const BugReport = require('../src/models/BugReport');
+const Notification = require('../src/models/Notification');
+const AuditLog = require('../src/models/AuditLog');
+const { createSmtpTransport } = require('../src/utils/mailer');
+
+let adminToken;
+let salesToken;
+let smtpServer;
+let emails = [];
+let authAttempts = 0;
+
+// Local SMTP server that accepts everything and keeps the messages
+const startSmtpServer = () => new Promise(resolve => {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = { rcpt: [], data: '' };
+    socket.write('220 localhost test SMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            emails.push(message);
+            message = { rcpt: [], data: '' };
+            socket.write('250 queued\r\n');
+          } else {
+            message.data += `${line}\n`;
+          }
+        } else if (line.startsWith('AUTH')) {
+          authAttempts += 1;
+          socket.write('235 ok\r\n');
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250 localhost\r\n');
+        } else if (line.startsWith('RCPT TO:')) {
+          message.rcpt.push(line.slice(9, -1));
+          socket.write('250 ok\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 end with .\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, () => resolve(server));
+});
+
+// Notifications are sent after the response, so poll for them
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for notification');
+};
+
+describe('Notifications Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Notification.deleteMany({}),
+      BugReport.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    smtpServer = await startSmtpServer();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtpServer.address().port);
+
+    await User.create([
+      {
+        username: 'notifyAdmin',
+        email: 'notify.admin@test.com',
+        password: 'testpass123',
+        firstName: 'Notify',
+        lastName: 'Admin',
+        role: 'admin',
+        preferences: { notifications: { email: false } }
+      },
+      {
+        username: 'notifyWarehouse',
+        email: 'notify.warehouse@test.com',
+        password: 'testpass123',
+        firstName: 'Notify',
+        lastName: 'Warehouse',
+        role: 'warehouse_manager',
+        preferences: { notifications: { lowStock: false } }
+      },
+      {
+        username: 'notifySales',
+        email: 'notify.sales@test.com',
+        password: 'testpass123',
+        firstName: 'Notify',
+        lastName: 'Sales',
+        role: 'sales_rep'
+      }
+    ]);
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'notifyAdmin', password: 'testpass123' });
+    adminToken = adminLogin.body.accessToken;
+
+    const salesLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'notifySales', password: 'testpass123' });
+    salesToken = salesLogin.body.accessToken;
+  });
+
+  afterAll(async () => {
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => smtpServer.close(resolve));
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Notification.deleteMany({}),
+      BugReport.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should route low stock alerts by preference', async () => {
+    const category = await Category.create({ name: 'Drains', type: 'product', description: 'Shower drains' });
+    const sku = await SKU.create({
+      sku_code: 'DRN-NOTIFY-001',
+      name: 'Linear Drain',
+      category_id: category._id,
+      unit_cost: 90,
+      created_by: 'notifyAdmin',
+      last_updated_by: 'notifyAdmin'
+    });
+    const inventory = await Inventory.create({
+      sku_id: sku._id,
+      available_quantity: 10,
+      minimum_stock_level: 3,
+      last_updated_by: 'notifyAdmin'
+    });
+
+    inventory.available_quantity = 2;
+    await inventory.save();
+
+    const notification = await waitFor(() => Notification.findOne({ type: 'low_stock', username: 'notifyAdmin' }));
+    expect(notification.title).toContain('DRN-NOTIFY-001');
+    // Admin opted out of email
+    expect(notification.email_status).toBe('not_requested');
+
+    // Warehouse manager turned low stock off; sales reps aren't stock recipients
+    expect(await Notification.countDocuments({ type: 'low_stock', username: { $ne: 'notifyAdmin' } })).toBe(0);
+  });
+
+  test('should notify and email the reporter when someone replies to a bug report', async () => {
+    emails = [];
+    const report = await BugReport.create({
+      type: 'bug',
+      area: 'tags',
+      description: 'Tag list does not refresh',
+      created_by: 'notifySales',
+      created_by_role: 'sales_rep'
+    });
+
+    await request(app)
+      .post(`/api/bug-reports/${report._id}/replies`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ message: 'Fixed in the next release' })
+      .expect(200);
+
+    const notification = await waitFor(() => Notification.findOne({ type: 'bug_report_reply', email_status: 'sent' }));
+    expect(notification.username).toBe('notifySales');
+    expect(emails).toHaveLength(1);
+    expect(emails[0].rcpt).toEqual(['notify.sales@test.com']);
+    expect(Buffer.from(emails[0].data.split('\n\n')[1].replace(/\s/g, ''), 'base64').toString())
+      .toContain('Fixed in the next release');
+
+    // The replier isn't told about their own reply
+    expect(await Notification.countDocuments({ type: 'bug_report_reply', username: 'notifyAdmin' })).toBe(0);
+  });
+
+  test('should show unread counts and mark notifications read', async () => {
+    const inboxRes = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${salesToken}`)
+      .expect(200);
+
+    expect(inboxRes.body.unread_count).toBe(1);
+    expect(inboxRes.body.notifications).toHaveLength(1);
+
+    const markRes = await request(app)
+      .post('/api/notifications/mark-read')
+      .set('Authorization', `Bearer ${salesToken}`)
+      .send({ ids: [inboxRes.body.notifications[0]._id] })
+      .expect(200);
+
+    expect(markRes.body.updated).toBe(1);
+    expect(markRes.body.unread_count).toBe(0);
+
+    const countRes = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${salesToken}`)
+      .expect(200);
+    expect(countRes.body.unread_count).toBe(0);
+  });
+
+  test('should update notification preferences', async () => {
+    const res = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', `Bearer ${salesToken}`)
+      .send({ email: false })
+      .expect(200);
+
+    expect(res.body.preferences).toEqual({ email: false, lowStock: true, systemAlerts: true });
+
+    const user = await User.findOne({ username: 'notifySales' });
+    expect(user.preferences.notifications.email).toBe(false);
+  });
+
+  test('should not send SMTP credentials without TLS', async () => {
+    const transport = createSmtpTransport({
+      host: '127.0.0.1',
+      port: smtpServer.address().port,
+      user: 'mailer',
+      pass: 'secret'
+    });
+
+    await expect(transport.send({ from: 'stock@test.com', to: 'someone@test.com', subject: 'Hi', text: 'Hi' }))
+      .rejects.toThrow(/without TLS/);
+    expect(authAttempts).toBe(0);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Contractor = require('../src/models/Contractor');
+const Notification = require('../src/models/Notification');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+const { setMailTransport } = require('../src/utils/mailer');
+const { setSmsTransport } = require('../src/utils/sms');
+const { runOverdueToolReminders } = require('../src/utils/overdueReminders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testToken;
+let toolSKU;
+let contractor;
+let loan;
+let emails = [];
+let texts = [];
+
+const checkout = (dueDate) => request(app)
+  .post('/api/tools/checkout')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: 'Maple Street Remodel',
+    contractor_id: contractor._id.toString(),
+    due_date: dueDate.toISOString(),
+    sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1 }]
+  })
+  .expect(201);
+
+describe('Overdue Tool Reminders Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Notification.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    setMailTransport({ name: 'test', send: async message => { emails.push(message); return { messageId: 'mail' }; } });
+    setSmsTransport({ name: 'test', send: async message => { texts.push(message); return { messageId: 'sms' }; } });
+
+    await User.create([
+      {
+        username: 'reminderTestUser',
+        email: 'reminder.tester@test.com',
+        password: 'testpass123',
+        firstName: 'Reminder',
+        lastName: 'Tester',
+        role: 'sales_rep'
+      },
+      {
+        username: 'reminderManager',
+        email: 'reminder.manager@test.com',
+        password: 'testpass123',
+        firstName: 'Reminder',
+        lastName: 'Manager',
+        role: 'warehouse_manager'
+      }
+    ]);
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'reminderManager', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Grinders', type: 'tool', description: 'Grinders' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-REM-001',
+      name: 'Angle Grinder',
+      category_id: category._id,
+      unit_cost: 150,
+      created_by: 'reminderTestUser',
+      last_updated_by: 'reminderTestUser'
+    });
+    await Instance.create([1, 2].map(() => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 150,
+      added_by: 'reminderTestUser'
+    })));
+
+    contractor = await Contractor.create({
+      name: 'Lee Brothers Tile',
+      email: 'office@leebrothers.test',
+      phone: '+15550100',
+      created_by: 'reminderTestUser',
+      last_updated_by: 'reminderTestUser'
+    });
+
+    const res = await checkout(new Date(Date.now() - 4 * DAY_MS));
+    loan = res.body.tag;
+    // Loans belong to whoever booked them out
+    await Tag.updateOne({ _id: loan._id }, { $set: { created_by: 'reminderTestUser' } });
+  });
+
+  afterAll(async () => {
+    setMailTransport(null);
+    setSmsTransport(null);
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      Notification.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should send the contractor a reminder once a loan is three days late', async () => {
+    emails = [];
+    texts = [];
+    const outcome = await runOverdueToolReminders();
+    expect(outcome.result.sent).toEqual({ due: 0, reminder: 1, escalation: 0 });
+
+    expect(emails.map(email => email.to)).toContain('office@leebrothers.test');
+    expect(texts).toHaveLength(1);
+    expect(texts[0].to).toBe('+15550100');
+    expect(texts[0].text).toContain('4 days overdue');
+
+    const tag = await Tag.findById(loan._id);
+    expect(tag.reminders).toHaveLength(1);
+    expect(tag.reminders[0].stage).toBe('reminder');
+    expect(tag.reminders[0].deliveries.map(delivery => delivery.channel)).toEqual(['discord', 'email', 'sms', 'in_app']);
+
+    // Only the loan's creator hears about it before escalation
+    const notifications = await Notification.find({ type: 'overdue_tool' });
+    expect(notifications.map(notification => notification.username)).toEqual(['reminderTestUser']);
+  });
+
+  test('should not repeat a stage that was already sent', async () => {
+    texts = [];
+    const outcome = await runOverdueToolReminders();
+    expect(outcome.status).toBe('skipped');
+    expect(texts).toHaveLength(0);
+  });
+
+  test('should escalate to warehouse managers after seven days', async () => {
+    await Tag.updateOne({ _id: loan._id }, { $set: { due_date: new Date(Date.now() - 8 * DAY_MS) } });
+
+    const outcome = await runOverdueToolReminders();
+    expect(outcome.result.sent.escalation).toBe(1);
+
+    const escalations = await Notification.find({ type: 'overdue_tool_escalation' });
+    expect(escalations.map(notification => notification.username).sort()).toEqual(['reminderManager', 'reminderTestUser']);
+
+    const overdueRes = await request(app)
+      .get('/api/tags/overdue/list')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(overdueRes.body.overdue_tags[0].last_reminder.stage).toBe('escalation');
+  });
+
+  test('should warn at checkout when the contractor already has overdue tools', async () => {
+    const res = await checkout(new Date(Date.now() + 2 * DAY_MS));
+
+    expect(res.body.overdue_warnings).toHaveLength(1);
+    expect(res.body.overdue_warnings[0]).toEqual(expect.objectContaining({
+      tag_id: loan._id,
+      days_overdue: 8,
+      quantity: 1
+    }));
+  });
+});
@@ -0,0 +1,248 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const Tag = require('../src/models/Tag');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let category, sku;
+
+describe('Purchase Orders API Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      PurchaseOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    const user = await User.create({
+      username: 'poTestUser',
+      email: 'po.tester@test.com',
+      password: 'testpass123',
+      firstName: 'PO',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'poTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    category = await Category.create({
+      name: 'Vanities',
+      type: 'product',
+      description: 'Bathroom vanities'
+    });
+
+    sku = await SKU.create({
+      sku_code: 'VAN-PO-001',
+      name: '36in Vanity',
+      category_id: category._id,
+      unit_cost: 300,
+      supplier_info: { supplier_name: 'Acme Cabinets', supplier_sku: 'AC-36' },
+      created_by: user.username,
+      last_updated_by: user.username
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      PurchaseOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  let purchaseOrder;
+
+  test('should create a draft purchase order with SKU defaults', async () => {
+    const res = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        supplier_name: 'Acme Cabinets',
+        line_items: [{ sku_id: sku._id, quantity_ordered: 5, unit_cost: 280 }]
+      })
+      .expect(201);
+
+    purchaseOrder = res.body.purchase_order;
+    expect(purchaseOrder.status).toBe('draft');
+    expect(purchaseOrder.po_number).toMatch(/^PO-\d{8}-\d{3}$/);
+    expect(purchaseOrder.line_items[0].supplier_sku).toBe('AC-36');
+  });
+
+  test('should refuse to receive against a draft', async () => {
+    await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/receive`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ line_id: purchaseOrder.line_items[0]._id, quantity: 1 }] })
+      .expect(400);
+  });
+
+  test('should create instances at PO cost and reference when receiving', async () => {
+    await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/send`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/receive`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ line_id: purchaseOrder.line_items[0]._id, quantity: 3 }], location: 'HQ' })
+      .expect(200);
+
+    expect(res.body.purchase_order.status).toBe('partially_received');
+    expect(res.body.received[0].quantity_outstanding).toBe(2);
+
+    const instances = await Instance.find({ purchase_order_id: purchaseOrder._id });
+    expect(instances).toHaveLength(3);
+    instances.forEach(instance => {
+      expect(instance.acquisition_cost).toBe(280);
+      expect(instance.reference_number).toBe(purchaseOrder.po_number);
+      expect(instance.supplier).toBe('Acme Cabinets');
+    });
+  });
+
+  test('should not receive more than is outstanding', async () => {
+    await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/receive`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ line_id: purchaseOrder.line_items[0]._id, quantity: 3 }] })
+      .expect(400);
+  });
+
+  test('should reject a serial number repeated across items without receiving anything', async () => {
+    const lineId = purchaseOrder.line_items[0]._id;
+    const res = await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/receive`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        items: [
+          { line_id: lineId, quantity: 1, serial_numbers: ['VAN-SN-1'] },
+          { line_id: lineId, quantity: 1, serial_numbers: ['VAN-SN-1'] }
+        ]
+      })
+      .expect(409);
+
+    expect(res.body.code).toBe('DUPLICATE_IDENTIFIER');
+    expect(await Instance.countDocuments({ purchase_order_id: purchaseOrder._id })).toBe(3);
+    expect((await PurchaseOrder.findById(purchaseOrder._id)).line_items[0].quantity_received).toBe(3);
+  });
+
+  test('should report outstanding quantities per supplier', async () => {
+    const res = await request(app)
+      .get('/api/purchase-orders/outstanding')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const supplier = res.body.suppliers.find(s => s.supplier_name === 'Acme Cabinets');
+    expect(supplier).toBeDefined();
+    expect(supplier.total_outstanding_quantity).toBe(2);
+    expect(supplier.total_outstanding_value).toBe(560);
+    expect(supplier.lines[0].sku_code).toBe('VAN-PO-001');
+  });
+
+  test('should mark the PO received once every line is in', async () => {
+    const res = await request(app)
+      .post(`/api/purchase-orders/${purchaseOrder._id}/receive`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ line_id: purchaseOrder.line_items[0]._id, quantity: 2 }] })
+      .expect(200);
+
+    expect(res.body.purchase_order.status).toBe('received');
+    expect(await Instance.countDocuments({ purchase_order_id: purchaseOrder._id })).toBe(5);
+  });
+
+  describe('Reorder suggestions', () => {
+    let lowSku;
+
+    beforeAll(async () => {
+      lowSku = await SKU.create({
+        sku_code: 'VAN-PO-002',
+        name: '48in Vanity',
+        category_id: category._id,
+        unit_cost: 450,
+        supplier_info: { supplier_name: 'Acme Cabinets', lead_time_days: 21 },
+        created_by: 'poTestUser',
+        last_updated_by: 'poTestUser'
+      });
+
+      await Inventory.create({
+        sku_id: lowSku._id,
+        reorder_point: 2,
+        maximum_stock_level: 10,
+        last_updated_by: 'poTestUser'
+      });
+
+      // Reserved without any instances behind it - stock we already owe a customer
+      await Tag.create({
+        customer_name: 'Suggestion Customer',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: lowSku._id, quantity: 3, remaining_quantity: 3 }],
+        status: 'active',
+        created_by: 'poTestUser',
+        last_updated_by: 'poTestUser'
+      });
+    });
+
+    test('should suggest enough to reach the maximum after reserved commitments', async () => {
+      const res = await request(app)
+        .get('/api/purchase-orders/suggestions')
+        .set('Authorization', `Bearer ${testToken}`)
+        .expect(200);
+
+      const supplier = res.body.suppliers.find(s => s.supplier_name === 'Acme Cabinets');
+      const line = supplier.lines.find(l => l.sku_code === 'VAN-PO-002');
+      expect(line.committed_unallocated).toBe(3);
+      expect(line.suggested_quantity).toBe(13);
+      expect(line.urgency).toBe('critical');
+      expect(supplier.lines.find(l => l.sku_code === 'VAN-PO-001')).toBeUndefined();
+    });
+
+    test('should create editable drafts that count as on order', async () => {
+      const res = await request(app)
+        .post('/api/purchase-orders/suggestions/drafts')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ overrides: [{ sku_id: lowSku._id, quantity: 12 }] })
+        .expect(201);
+
+      expect(res.body.purchase_orders).toHaveLength(1);
+      const draft = res.body.purchase_orders[0];
+      expect(draft.status).toBe('draft');
+      expect(draft.line_items[0].quantity_ordered).toBe(12);
+
+      const followUp = await request(app)
+        .get('/api/purchase-orders/suggestions')
+        .set('Authorization', `Bearer ${testToken}`)
+        .expect(200);
+      const line = followUp.body.suppliers
+        .flatMap(s => s.lines)
+        .find(l => l.sku_code === 'VAN-PO-002');
+      expect(line).toBeUndefined();
+
+      const csvRes = await request(app)
+        .get(`/api/purchase-orders/${draft._id}/export?format=csv`)
+        .set('Authorization', `Bearer ${testToken}`)
+        .expect(200);
+      expect(csvRes.headers['content-type']).toMatch(/text\/csv/);
+      expect(csvRes.text).toContain('VAN-PO-002');
+    });
+  });
+});
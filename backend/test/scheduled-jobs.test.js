@@ -0,0 +1,233 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const ScheduledJob = require('../src/models/ScheduledJob');
+const AuditLog = require('../src/models/AuditLog');
+const { parseCron, matchesCron, getNextRun } = require('../src/utils/cron');
+const { tick } = require('../src/utils/scheduler');
+
+let testToken;
+let sku;
+let webhookServer;
+let webhookPayloads = [];
+
+describe('Cron Expressions', () => {
+  test('should match lists, ranges and steps', () => {
+    expect(matchesCron('*/15 8-17 * * 1-5', new Date('2026-10-19T09:30:00Z'))).toBe(true);
+    expect(matchesCron('*/15 8-17 * * 1-5', new Date('2026-10-18T09:30:00Z'))).toBe(false); // Sunday
+    expect(matchesCron('0 8 1,15 * *', new Date('2026-10-15T08:00:00Z'))).toBe(true);
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => parseCron('0 8 * *')).toThrow();
+    expect(() => parseCron('61 * * * *')).toThrow();
+    expect(() => parseCron('0 8 * * 1-9')).toThrow();
+  });
+
+  test('should compute the next run in a time zone', () => {
+    const next = getNextRun('0 8 * * *', new Date('2026-10-19T13:00:00Z'), 'America/New_York');
+    expect(next.toISOString()).toBe('2026-10-20T12:00:00.000Z');
+  });
+});
+
+describe('Scheduled Stock Digest Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      ScheduledJob.deleteMany({}),
+      Tag.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    // Stand-in for the Discord webhook
+    webhookServer = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        webhookPayloads.push(JSON.parse(data));
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => webhookServer.listen(0, resolve));
+
+    await User.create({
+      username: 'digestTestUser',
+      email: 'digest.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Digest',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'digestTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({
+      name: 'Grab Bars',
+      type: 'product',
+      description: 'Safety grab bars'
+    });
+
+    sku = await SKU.create({
+      sku_code: 'GRB-DIGEST-001',
+      name: '24in Grab Bar',
+      category_id: category._id,
+      unit_cost: 40,
+      created_by: 'digestTestUser',
+      last_updated_by: 'digestTestUser'
+    });
+
+    await Inventory.create({
+      sku_id: sku._id,
+      total_quantity: 2,
+      available_quantity: 2,
+      minimum_stock_level: 5,
+      reorder_point: 1,
+      last_updated_by: 'digestTestUser'
+    });
+
+    await Tag.create({
+      customer_name: 'Late Customer',
+      project_name: 'Hall Bath',
+      tag_type: 'reserved',
+      sku_items: [{ sku_id: sku._id, quantity: 1, remaining_quantity: 1 }],
+      status: 'active',
+      due_date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      created_by: 'digestTestUser',
+      last_updated_by: 'digestTestUser'
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.DISCORD_WEBHOOK_URL;
+    await new Promise(resolve => webhookServer.close(resolve));
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      ScheduledJob.deleteMany({}),
+      Tag.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  let jobId;
+
+  test('should reject an invalid cron expression', async () => {
+    await request(app)
+      .post('/api/scheduled-jobs')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'bad-digest', job_type: 'stock_digest', cron: '0 25 * * *' })
+      .expect(400);
+  });
+
+  test('should create a digest job with its next run time', async () => {
+    const res = await request(app)
+      .post('/api/scheduled-jobs')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'test-digest', job_type: 'stock_digest', cron: '0 8 * * *' })
+      .expect(201);
+
+    jobId = res.body.job._id;
+    expect(res.body.job.enabled).toBe(true);
+    expect(new Date(res.body.job.next_run_at).getUTCHours()).toBe(8);
+  });
+
+  test('should record a failed send and keep the changes for next time', async () => {
+    delete process.env.DISCORD_WEBHOOK_URL;
+
+    const res = await request(app)
+      .post(`/api/scheduled-jobs/${jobId}/run`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.status).toBe('failure');
+    expect(res.body.job.state.last_snapshot).toBeUndefined();
+
+    const log = await AuditLog.findOne({ entity_type: 'scheduled_job', entity_id: jobId, action: 'Scheduled Job Run' });
+    expect(log.status).toBe('failure');
+    expect(log.changes.after.result.changes.low_stock.added).toBe(1);
+  });
+
+  test('should send low stock, reorder and overdue tags the first time', async () => {
+    process.env.DISCORD_WEBHOOK_URL = `http://127.0.0.1:${webhookServer.address().port}/webhook`;
+    webhookPayloads = [];
+
+    const res = await request(app)
+      .post(`/api/scheduled-jobs/${jobId}/run`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.status).toBe('success');
+    expect(res.body.result.changes).toEqual({
+      low_stock: { added: 1, changed: 0, resolved: 0 },
+      reorder: { added: 0, changed: 0, resolved: 0 },
+      overdue: { added: 1, changed: 0, resolved: 0 }
+    });
+    expect(webhookPayloads).toHaveLength(1);
+    const fieldText = webhookPayloads[0].embeds[0].fields.map(f => f.value).join('\n');
+    expect(fieldText).toContain('GRB-DIGEST-001');
+    expect(fieldText).toContain('Late Customer');
+  });
+
+  test('should skip the send when nothing changed', async () => {
+    webhookPayloads = [];
+
+    const res = await request(app)
+      .post(`/api/scheduled-jobs/${jobId}/run`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.status).toBe('skipped');
+    expect(webhookPayloads).toHaveLength(0);
+  });
+
+  test('should only include what changed since the last digest', async () => {
+    webhookPayloads = [];
+    const inventory = await Inventory.findOne({ sku_id: sku._id });
+    inventory.available_quantity = 1;
+    await inventory.save();
+
+    const res = await request(app)
+      .post(`/api/scheduled-jobs/${jobId}/run`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.status).toBe('success');
+    expect(res.body.result.changes.low_stock).toEqual({ added: 0, changed: 1, resolved: 0 });
+    expect(res.body.result.changes.reorder).toEqual({ added: 1, changed: 0, resolved: 0 });
+    expect(res.body.result.changes.overdue).toEqual({ added: 0, changed: 0, resolved: 0 });
+
+    const fieldNames = webhookPayloads[0].embeds[0].fields.map(f => f.name);
+    expect(fieldNames.some(name => name.includes('Overdue'))).toBe(false);
+  });
+
+  test('should run due jobs once per occurrence from the scheduler tick', async () => {
+    const due = new Date(Date.now() - 60 * 1000);
+    await ScheduledJob.updateOne({ _id: jobId }, { next_run_at: due });
+
+    await Promise.all([tick(), tick()]);
+
+    const job = await ScheduledJob.findById(jobId);
+    expect(job.next_run_at.getTime()).toBeGreaterThan(Date.now());
+    const runs = await AuditLog.countDocuments({
+      entity_id: jobId,
+      action: 'Scheduled Job Run',
+      'changes.after.trigger': 'schedule'
+    });
+    expect(runs).toBe(1);
+  });
+});
@@ -0,0 +1,232 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Contractor = require('../src/models/Contractor');
+const Customer = require('../src/models/Customer');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let toolCategory;
+let toolSKU;
+let vanitySKU;
+
+const addStock = body => request(app)
+  .post('/api/instances/add-stock')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send(body);
+
+describe('Serialized Instance Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'serialTestUser',
+      email: 'serial.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Serial',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'serialTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    toolCategory = await Category.create({ name: 'Laser Levels', type: 'tool', description: 'Laser levels' });
+    const productCategory = await Category.create({ name: 'Vanities', type: 'product', description: 'Vanities' });
+
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-SER-001',
+      name: 'Rotary Laser',
+      category_id: toolCategory._id,
+      unit_cost: 900,
+      created_by: 'serialTestUser',
+      last_updated_by: 'serialTestUser'
+    });
+    vanitySKU = await SKU.create({
+      sku_code: 'VAN-SER-001',
+      name: 'Floating Vanity',
+      category_id: productCategory._id,
+      unit_cost: 650,
+      is_serialized: true,
+      created_by: 'serialTestUser',
+      last_updated_by: 'serialTestUser'
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should give existing units asset tags when a category becomes serialized', async () => {
+    await addStock({ sku_id: toolSKU._id, quantity: 1, unit_cost: 900 }).expect(201);
+
+    const res = await request(app)
+      .put(`/api/categories/${toolCategory._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'laser levels', is_serialized: true })
+      .expect(200);
+
+    expect(res.body.asset_tags_assigned).toBe(1);
+    const instance = await Instance.findOne({ sku_id: toolSKU._id });
+    expect(instance.asset_tag).toBe('AT-000001');
+  });
+
+  test('should store serial numbers and generate asset tags for serialized stock', async () => {
+    const res = await addStock({
+      sku_id: toolSKU._id,
+      quantity: 2,
+      unit_cost: 900,
+      serial_numbers: ['RL-1001', 'RL-1002']
+    }).expect(201);
+
+    expect(res.body.instances.map(instance => instance.serial_number)).toEqual(['RL-1001', 'RL-1002']);
+    expect(res.body.instances.map(instance => instance.asset_tag)).toEqual(['AT-000002', 'AT-000003']);
+
+    // The ledger keeps the identifiers too
+    const movement = await StockMovement.findOne({ sku_id: toolSKU._id, movement_type: 'add_stock' })
+      .sort({ createdAt: -1 });
+    expect(movement.instances.map(snapshot => snapshot.serial_number)).toEqual(['RL-1001', 'RL-1002']);
+  });
+
+  test('should reject duplicate or miscounted serial numbers', async () => {
+    const duplicate = await addStock({
+      sku_id: vanitySKU._id,
+      quantity: 1,
+      unit_cost: 650,
+      serial_numbers: ['RL-1001']
+    }).expect(409);
+    expect(duplicate.body.code).toBe('DUPLICATE_IDENTIFIER');
+
+    const miscounted = await addStock({
+      sku_id: vanitySKU._id,
+      quantity: 2,
+      unit_cost: 650,
+      serial_numbers: ['VAN-77']
+    }).expect(400);
+    expect(miscounted.body.code).toBe('IDENTIFIER_COUNT_MISMATCH');
+  });
+
+  test('should require an asset tag on instances of a serialized SKU', async () => {
+    await expect(Instance.create({
+      sku_id: vanitySKU._id,
+      acquisition_cost: 650,
+      added_by: 'serialTestUser'
+    })).rejects.toThrow(/Asset tag is required/);
+  });
+
+  test('should find the SKU and unit when a serial number or asset tag is scanned', async () => {
+    const bySerial = await request(app)
+      .get('/api/skus/barcode/RL-1002')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(bySerial.body.sku.sku_code).toBe('TOOL-SER-001');
+    expect(bySerial.body.instance.serial_number).toBe('RL-1002');
+    expect(bySerial.body.instance.matched_by).toBe('serial_number');
+
+    const byAssetTag = await request(app)
+      .get('/api/skus/barcode/at-000003')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(byAssetTag.body.instance.serial_number).toBe('RL-1002');
+    expect(byAssetTag.body.instance.matched_by).toBe('asset_tag');
+  });
+
+  test('should check out and return the exact units picked by serial number', async () => {
+    const checkoutRes = await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Harbor View Condo',
+        sku_items: [{ sku_id: toolSKU._id.toString(), serial_numbers: ['RL-1002', 'AT-000001'] }]
+      })
+      .expect(201);
+
+    const picked = await Instance.find({ tag_id: checkoutRes.body.tag._id });
+    expect(picked.map(instance => instance.asset_tag).sort()).toEqual(['AT-000001', 'AT-000003']);
+
+    await request(app)
+      .post(`/api/tools/${checkoutRes.body.tag._id}/partial-return`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ sku_id: toolSKU._id.toString(), serial_numbers: ['RL-1002'] }] })
+      .expect(200);
+
+    const returned = await Instance.findOne({ serial_number: 'RL-1002' });
+    expect(returned.tag_id).toBeNull();
+    const stillOut = await Instance.findOne({ asset_tag: 'AT-000001' });
+    expect(stillOut.tag_id.toString()).toBe(checkoutRes.body.tag._id);
+  });
+
+  test('should refuse a serial number that belongs to another SKU', async () => {
+    const res = await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Harbor View Condo',
+        sku_items: [{ sku_id: toolSKU._id.toString(), serial_numbers: ['NOT-A-SERIAL'] }]
+      })
+      .expect(400);
+    expect(res.body.code).toBe('IDENTIFIER_NOT_FOUND');
+  });
+
+  test('should fulfill the exact units picked by serial number', async () => {
+    await addStock({
+      sku_id: vanitySKU._id,
+      quantity: 2,
+      unit_cost: 650,
+      serial_numbers: ['VAN-501', 'VAN-502']
+    }).expect(201);
+
+    const tagRes = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Harbor View Condo',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: vanitySKU._id.toString(), quantity: 2 }]
+      })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/tags/${tagRes.body.tag._id}/fulfill`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ fulfillment_items: [{ item_id: vanitySKU._id.toString(), serial_numbers: ['VAN-502'] }] })
+      .expect(200);
+
+    expect(await Instance.exists({ serial_number: 'VAN-502' })).toBeNull();
+    expect(await Instance.exists({ serial_number: 'VAN-501' })).not.toBeNull();
+
+    const fulfill = await StockMovement.findOne({ source_id: tagRes.body.tag._id, movement_type: 'tag_fulfill' });
+    expect(fulfill.instances[0].serial_number).toBe('VAN-502');
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let sku;
+
+describe('Stock Movement Ledger Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'ledgerTestUser',
+      email: 'ledger.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Ledger',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'ledgerTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({
+      name: 'Faucets',
+      type: 'product',
+      description: 'Bathroom faucets'
+    });
+
+    sku = await SKU.create({
+      sku_code: 'FAU-LEDGER-001',
+      name: 'Widespread Faucet',
+      category_id: category._id,
+      unit_cost: 120,
+      created_by: 'ledgerTestUser',
+      last_updated_by: 'ledgerTestUser'
+    });
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should record added stock with instance snapshots', async () => {
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id, quantity: 3, unit_cost: 120, reference_number: 'INV-42' })
+      .expect(201);
+
+    const movement = await StockMovement.findOne({ sku_id: sku._id, movement_type: 'add_stock' });
+    expect(movement.quantity).toBe(3);
+    expect(movement.quantity_delta).toBe(3);
+    expect(movement.total_cost).toBe(360);
+    expect(movement.instances).toHaveLength(3);
+    expect(movement.source_reference).toBe('INV-42');
+    expect(movement.performed_by).toBe('ledgerTestUser');
+  });
+
+  test('should record reservation and fulfillment against the tag', async () => {
+    const tagRes = await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Ledger Customer',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: sku._id.toString(), quantity: 2 }]
+      })
+      .expect(201);
+
+    const tagId = tagRes.body.tag._id;
+
+    await request(app)
+      .post(`/api/tags/${tagId}/fulfill`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ fulfillment_items: [{ item_id: sku._id.toString(), quantity_fulfilled: 2 }] })
+      .expect(200);
+
+    const assign = await StockMovement.findOne({ source_id: tagId, movement_type: 'tag_assign' });
+    expect(assign.from_state).toBe('available');
+    expect(assign.to_state).toBe('reserved');
+    expect(assign.quantity_delta).toBe(0);
+
+    const fulfill = await StockMovement.findOne({ source_id: tagId, movement_type: 'tag_fulfill' });
+    expect(fulfill.quantity).toBe(2);
+    expect(fulfill.quantity_delta).toBe(-2);
+    expect(fulfill.total_cost).toBe(240);
+
+    // Fulfilled instances are gone, but the ledger still knows what they were
+    const fulfilledIds = fulfill.instances.map(inst => inst.instance_id);
+    expect(await Instance.countDocuments({ _id: { $in: fulfilledIds } })).toBe(0);
+  });
+
+  test('should refuse to modify a recorded movement', async () => {
+    const movement = await StockMovement.findOne({ sku_id: sku._id });
+    await expect(
+      StockMovement.updateOne({ _id: movement._id }, { quantity: 99 })
+    ).rejects.toThrow(/append-only/);
+  });
+
+  test('should reconcile the SKU history with what is on hand', async () => {
+    const res = await request(app)
+      .get(`/api/inventory/${sku._id}/history`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.on_hand_quantity).toBe(1);
+    expect(res.body.totals.units_in).toBe(3);
+    expect(res.body.totals.units_out).toBe(2);
+    expect(res.body.totals.net_change).toBe(1);
+    expect(res.body.movements[0].movement_type).toBe('tag_fulfill');
+  });
+
+  test('should build the movement report from the ledger', async () => {
+    const res = await request(app)
+      .get('/api/inventory/reports/movement?days=7')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const row = res.body.recent_activity.find(item => item.sku_code === 'FAU-LEDGER-001');
+    expect(row.units_in).toBe(3);
+    expect(row.units_out).toBe(2);
+    expect(res.body.summary.net_change).toBe(1);
+    expect(res.body.by_type.map(type => type.movement_type)).toEqual(
+      expect.arrayContaining(['add_stock', 'tag_assign', 'tag_fulfill'])
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Setting = require('../src/models/Setting');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+const { runTagHoldExpiry } = require('../src/utils/tagHolds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testToken;
+let toiletSKU;
+let staleTag;
+let agingTag;
+
+const createTag = customerName => request(app)
+  .post('/api/tags')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: customerName,
+    tag_type: 'reserved',
+    sku_items: [{ sku_id: toiletSKU._id.toString(), quantity: 1 }]
+  })
+  .expect(201);
+
+// Pretend the tag was last touched `days` ago
+const lastTouched = (tag, days) => Tag.updateOne(
+  { _id: tag._id },
+  { $set: { updatedAt: new Date(Date.now() - days * DAY_MS) } },
+  { timestamps: false }
+);
+
+describe('Tag Hold Expiry Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Setting.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'holdTestUser',
+      email: 'hold.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Hold',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'holdTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Toilets', type: 'product', description: 'Toilets' });
+    toiletSKU = await SKU.create({
+      sku_code: 'TOI-HLD-001',
+      name: 'Elongated Toilet',
+      category_id: category._id,
+      unit_cost: 250,
+      created_by: 'holdTestUser',
+      last_updated_by: 'holdTestUser'
+    });
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: toiletSKU._id.toString(), quantity: 2, unit_cost: 250 })
+      .expect(201);
+
+    staleTag = (await createTag('Pine Villas')).body.tag;
+    agingTag = (await createTag('Aspen Row')).body.tag;
+    await lastTouched(staleTag, 31);
+    await lastTouched(agingTag, 27);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Setting.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should warn before releasing, even holds that are already past expiry', async () => {
+    const outcome = await runTagHoldExpiry();
+    expect(outcome.result).toEqual(expect.objectContaining({ warned: 2, expired: 0 }));
+
+    // The warning is a note only - it doesn't count as activity
+    const aging = await Tag.findById(agingTag._id);
+    expect(aging.status).toBe('active');
+    expect(aging.notes[aging.notes.length - 1].message).toMatch(/^Hold expires on/);
+    expect(Date.now() - aging.updatedAt.getTime()).toBeGreaterThan(26 * DAY_MS);
+
+    const stale = await Tag.findById(staleTag._id);
+    expect(stale.status).toBe('active');
+    expect(stale.hold.warned_at).toBeTruthy();
+    expect(await Instance.countDocuments({ tag_id: stale._id })).toBe(1);
+
+    const again = await runTagHoldExpiry();
+    expect(again.result).toEqual(expect.objectContaining({ warned: 0, expired: 0 }));
+  });
+
+  test('should release an expired hold once the grace period after its warning has passed', async () => {
+    await Tag.updateOne(
+      { _id: staleTag._id },
+      { $set: { 'hold.warned_at': new Date(Date.now() - 5 * DAY_MS) } },
+      { timestamps: false }
+    );
+
+    const outcome = await runTagHoldExpiry();
+    expect(outcome.result).toEqual(expect.objectContaining({ warned: 0, expired: 1 }));
+
+    const stale = await Tag.findById(staleTag._id);
+    expect(stale.status).toBe('cancelled');
+    expect(stale.hold.expired_at).toBeTruthy();
+    expect(stale.notes[stale.notes.length - 1].kind).toBe('system');
+    expect(await Instance.countDocuments({ tag_id: stale._id })).toBe(0);
+    expect(await StockMovement.countDocuments({ movement_type: 'tag_cancel', source_id: stale._id })).toBe(1);
+    expect(await AuditLog.countDocuments({ event_type: 'tag_cancelled', user_name: 'System' })).toBe(1);
+    expect((await Tag.findById(agingTag._id)).status).toBe('active');
+  });
+
+  test('should let an admin extend a hold', async () => {
+    const until = new Date(Date.now() + 60 * DAY_MS);
+    const res = await request(app)
+      .post(`/api/tags/${agingTag._id}/hold/extend`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ until: until.toISOString(), reason: 'Customer travelling' })
+      .expect(200);
+
+    expect(new Date(res.body.hold_expires_at).getTime()).toBeGreaterThanOrEqual(until.getTime());
+    expect(res.body.tag.hold.extended_by).toBe('holdTestUser');
+
+    await lastTouched(agingTag, 45);
+    const outcome = await runTagHoldExpiry();
+    expect(outcome.result.expired).toBe(0);
+    expect((await Tag.findById(agingTag._id)).status).toBe('active');
+  });
+
+  test('should reject an invalid hold policy', async () => {
+    await request(app)
+      .put('/api/settings/tag_hold_policy')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ value: { reserved: { expire_after_days: 5, warn_before_days: 10 } } })
+      .expect(400);
+
+    // Loaned tools are out with contractors - their tags must never be released
+    await request(app)
+      .put('/api/settings/tag_hold_policy')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ value: { loaned: { expire_after_days: 30, warn_before_days: 5 } } })
+      .expect(400);
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let tubSKU;
+let earlyTag;
+let urgentTag;
+
+const createTag = (customerName, quantity, extra = {}) => request(app)
+  .post('/api/tags')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: customerName,
+    tag_type: 'reserved',
+    allow_backorder: true,
+    sku_items: [{ sku_id: tubSKU._id.toString(), quantity }],
+    ...extra
+  })
+  .expect(201);
+
+describe('Tag Rebalance Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'rebalanceTestUser',
+      email: 'rebalance.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Rebalance',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'rebalanceTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Tubs', type: 'product', description: 'Tubs' });
+    tubSKU = await SKU.create({
+      sku_code: 'TUB-RB-001',
+      name: 'Freestanding Tub',
+      category_id: category._id,
+      unit_cost: 900,
+      created_by: 'rebalanceTestUser',
+      last_updated_by: 'rebalanceTestUser'
+    });
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: tubSKU._id.toString(), quantity: 3, unit_cost: 900 })
+      .expect(201);
+
+    earlyTag = (await createTag('Cedar Homes', 3)).body.tag;
+    urgentTag = (await createTag('Spruce Remodel', 2, {
+      priority: 'urgent',
+      due_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    })).body.tag;
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should rank tags by due date and priority and propose moves', async () => {
+    expect(urgentTag.priority).toBe('urgent');
+    expect(urgentTag.sku_items[0].backordered_quantity).toBe(2);
+
+    const res = await request(app)
+      .get(`/api/tags/rebalance/${tubSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.tags.map(tag => tag.tag_id)).toEqual([urgentTag._id, earlyTag._id]);
+    expect(res.body.tags[0]).toEqual(expect.objectContaining({ demand: 2, current_quantity: 0, proposed_quantity: 2 }));
+    expect(res.body.tags[1]).toEqual(expect.objectContaining({ demand: 3, current_quantity: 3, proposed_quantity: 1 }));
+    expect(res.body.moves).toHaveLength(2);
+    expect(res.body.moves.every(move => move.from_tag_id === earlyTag._id && move.to_tag_id === urgentTag._id)).toBe(true);
+
+    // Planning changes nothing
+    expect(await Instance.countDocuments({ tag_id: earlyTag._id })).toBe(3);
+  });
+
+  test('should move the units and backorder what the lower ranked tag gave up', async () => {
+    const res = await request(app)
+      .post(`/api/tags/rebalance/${tubSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.moves).toHaveLength(2);
+    expect(await Instance.countDocuments({ tag_id: urgentTag._id })).toBe(2);
+    expect(await Instance.countDocuments({ tag_id: earlyTag._id })).toBe(1);
+
+    const [early, urgent] = await Promise.all([Tag.findById(earlyTag._id), Tag.findById(urgentTag._id)]);
+    expect(early.sku_items[0].selected_instance_ids).toHaveLength(1);
+    expect(early.sku_items[0].backordered_quantity).toBe(2);
+    expect(urgent.sku_items[0].selected_instance_ids).toHaveLength(2);
+    expect(urgent.sku_items[0].backordered_quantity).toBe(0);
+    expect(early.notes.some(note => note.kind === 'system' && note.message.startsWith('Rebalanced TUB-RB-001'))).toBe(true);
+    expect(urgent.notes.some(note => note.kind === 'system' && note.message.startsWith('Rebalanced TUB-RB-001'))).toBe(true);
+  });
+
+  test('should have nothing left to move once balanced', async () => {
+    const res = await request(app)
+      .post(`/api/tags/rebalance/${tubSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.moves).toHaveLength(0);
+    expect(res.body.message).toBe('Already balanced');
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const TagTemplate = require('../src/models/TagTemplate');
+const Customer = require('../src/models/Customer');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let baseSKU;
+let wallSKU;
+let drainSKU;
+let template;
+
+describe('Tag Template Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      TagTemplate.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'templateTestUser',
+      email: 'template.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Template',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'templateTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Bath Systems', type: 'product', description: 'Bath systems' });
+    [baseSKU, wallSKU, drainSKU] = await SKU.create(['BASE', 'WALL', 'DRAIN'].map(code => ({
+      sku_code: `TPL-${code}-001`,
+      name: `Shower ${code.toLowerCase()}`,
+      category_id: category._id,
+      unit_cost: 100,
+      created_by: 'templateTestUser',
+      last_updated_by: 'templateTestUser'
+    })));
+
+    // Enough bases and drains, one wall kit short of the default package
+    for (const [sku, quantity] of [[baseSKU, 2], [wallSKU, 1], [drainSKU, 2]]) {
+      await request(app)
+        .post('/api/instances/add-stock')
+        .set('Authorization', `Bearer ${testToken}`)
+        .send({ sku_id: sku._id.toString(), quantity, unit_cost: 100 })
+        .expect(201);
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      TagTemplate.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should save a package as a template', async () => {
+    const res = await request(app)
+      .post('/api/tag-templates')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        name: 'Standard Tub-to-Shower',
+        lines: [
+          { sku_id: baseSKU._id.toString(), quantity: 1 },
+          { sku_id: wallSKU._id.toString(), quantity: 2 },
+          { sku_id: drainSKU._id.toString(), quantity: 1 }
+        ]
+      })
+      .expect(201);
+
+    template = res.body.template;
+    expect(template.tag_type).toBe('reserved');
+    expect(template.lines).toHaveLength(3);
+
+    await request(app)
+      .post('/api/tag-templates')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'Standard Tub-to-Shower', lines: [{ sku_id: baseSKU._id.toString(), quantity: 1 }] })
+      .expect(409);
+  });
+
+  test('should report exactly which lines cannot be filled', async () => {
+    const res = await request(app)
+      .post(`/api/tag-templates/${template._id}/tags`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ customer_name: 'Harbor View' })
+      .expect(400);
+
+    expect(res.body.code).toBe('LINES_UNFILLABLE');
+    expect(res.body.unfillable_lines).toHaveLength(1);
+    expect(res.body.unfillable_lines[0]).toEqual(expect.objectContaining({
+      sku_code: 'TPL-WALL-001',
+      requested: 2,
+      available: 1,
+      shortage: 1
+    }));
+    expect(await Tag.countDocuments({})).toBe(0);
+  });
+
+  test('should create a tag with quantity overrides and assign instances', async () => {
+    const dueDate = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString();
+    const res = await request(app)
+      .post(`/api/tag-templates/${template._id}/tags`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Harbor View',
+        project_name: 'Unit 4B',
+        due_date: dueDate,
+        quantities: [
+          { sku_id: wallSKU._id.toString(), quantity: 1 },
+          { sku_id: drainSKU._id.toString(), quantity: 2 }
+        ]
+      })
+      .expect(201);
+
+    const tag = res.body.tag;
+    expect(tag.customer_name).toBe('Harbor View');
+    expect(tag.due_date).toBe(dueDate);
+    expect(tag.total_quantity).toBe(4);
+    expect(tag.notes[0].message).toBe('Created from template Standard Tub-to-Shower');
+    expect(await Instance.countDocuments({ tag_id: tag._id })).toBe(4);
+  });
+
+  test('should refuse overrides for SKUs not on the template', async () => {
+    const res = await request(app)
+      .post(`/api/tag-templates/${template._id}/tags`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Harbor View',
+        quantities: [{ sku_id: template._id, quantity: 1 }]
+      })
+      .expect(400);
+    expect(res.body.code).toBe('UNKNOWN_TEMPLATE_LINE');
+  });
+});
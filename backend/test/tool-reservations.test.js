@@ -0,0 +1,178 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Project = require('../src/models/Project');
+const Contractor = require('../src/models/Contractor');
+const ToolReservation = require('../src/models/ToolReservation');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+const { runReservationConversions } = require('../src/utils/toolReservations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = offset => new Date(Date.now() + offset * DAY_MS).toISOString().slice(0, 10);
+
+let testToken;
+let toolSKU;
+let booking;
+
+const reserve = (body, expectedStatus = 201) => request(app)
+  .post('/api/tool-reservations')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: 'Lakeside Condos',
+    project_name: 'Unit 4B Bathroom',
+    sku_items: [{ sku_id: toolSKU._id.toString(), quantity: body.quantity || 1 }],
+    ...body
+  })
+  .expect(expectedStatus);
+
+describe('Tool Reservations Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      ToolReservation.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Project.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'reservationTestUser',
+      email: 'reservation.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Reservation',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'reservationTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Demolition', type: 'tool', description: 'Demo tools' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-RSV-001',
+      name: 'Rotary Hammer',
+      category_id: category._id,
+      unit_cost: 350,
+      created_by: 'reservationTestUser',
+      last_updated_by: 'reservationTestUser'
+    });
+
+    await Instance.create([1, 2, 3].map(() => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 350,
+      added_by: 'reservationTestUser'
+    })));
+
+    // One hammer is out until the day after tomorrow
+    await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Hillside Reno',
+        due_date: `${day(2)}T17:00:00.000Z`,
+        sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1 }]
+      })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      ToolReservation.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Project.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should book tools and refuse overlapping bookings beyond capacity', async () => {
+    const res = await reserve({ quantity: 2, start_date: day(1), end_date: day(5) });
+    booking = res.body.reservation;
+    expect(booking.reservation_number).toMatch(/^RSV-\d{8}-001$/);
+    expect(booking.project_name).toBe('Unit 4B Bathroom');
+
+    // Day 2: one hammer still on loan and two booked
+    const conflictRes = await reserve({ start_date: day(2), end_date: day(3) }, 409);
+    expect(conflictRes.body.code).toBe('RESERVATION_CONFLICT');
+    expect(conflictRes.body.conflicts[0]).toEqual(expect.objectContaining({
+      sku_code: 'TOOL-RSV-001',
+      requested: 1,
+      available: 0,
+      date: day(2)
+    }));
+
+    // The loan is back by day 3
+    const checkRes = await request(app)
+      .post('/api/tool-reservations/check')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_items: [{ sku_id: toolSKU._id.toString(), quantity: 1 }], start_date: day(3), end_date: day(4) })
+      .expect(200);
+    expect(checkRes.body.available).toBe(true);
+  });
+
+  test('should show loaned, booked and free tools per day', async () => {
+    const res = await request(app)
+      .get(`/api/tool-reservations/calendar?from=${day(0)}&to=${day(6)}&sku_id=${toolSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.skus).toHaveLength(1);
+    const calendar = res.body.skus[0];
+    expect(calendar.capacity).toBe(3);
+    expect(calendar.days).toHaveLength(7);
+    expect(calendar.days.map(entry => entry.free)).toEqual([2, 0, 0, 1, 1, 1, 3]);
+    expect(calendar.days[1]).toEqual(expect.objectContaining({ date: day(1), loaned: 1, booked: 2 }));
+  });
+
+  test('should turn bookings into checkouts when their start date arrives', async () => {
+    const todayRes = await reserve({ start_date: day(0), end_date: day(0), contractor_name: 'Dan Okafor' });
+
+    const outcome = await runReservationConversions({ state: {} });
+    expect(outcome.status).toBe('success');
+    expect(outcome.result.converted).toHaveLength(1);
+
+    const converted = await ToolReservation.findById(todayRes.body.reservation._id);
+    expect(converted.status).toBe('converted');
+
+    const tag = await Tag.findById(converted.tag_id);
+    expect(tag.tag_type).toBe('loaned');
+    expect(tag.project_name).toBe('Unit 4B Bathroom');
+    expect(tag.contractor_id.toString()).toBe(converted.contractor_id.toString());
+    expect(tag.sku_items[0].selected_instance_ids).toHaveLength(1);
+    expect(tag.due_date.toISOString().slice(0, 10)).toBe(day(0));
+
+    // The future booking isn't touched
+    expect((await ToolReservation.findById(booking._id)).status).toBe('booked');
+  });
+
+  test('should free capacity when a booking is cancelled', async () => {
+    await request(app)
+      .post(`/api/tool-reservations/${booking._id}/cancel`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ reason: 'Job pushed back' })
+      .expect(200);
+
+    await reserve({ quantity: 2, start_date: day(3), end_date: day(4) });
+  });
+});
@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const Contractor = require('../src/models/Contractor');
+const MaintenanceOrder = require('../src/models/MaintenanceOrder');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+let testToken;
+let toolSKU;
+let busyDrill;
+let spareDrill;
+
+const recordLoanMovement = (instance, movementType, fromState, toState, days) => StockMovement.record({
+  movement_type: movementType,
+  sku_id: toolSKU._id,
+  from_state: fromState,
+  to_state: toState,
+  instances: [instance],
+  performed_by: 'utilizationTestUser',
+  occurred_at: daysAgo(days)
+});
+
+describe('Tool Utilization Report Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'utilizationTestUser',
+      email: 'utilization.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Utilization',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'utilizationTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Drills', type: 'tool', description: 'Drills' });
+    toolSKU = await SKU.create({
+      sku_code: 'TOOL-UTL-001',
+      name: 'Core Drill',
+      category_id: category._id,
+      unit_cost: 400,
+      created_by: 'utilizationTestUser',
+      last_updated_by: 'utilizationTestUser'
+    });
+
+    [busyDrill, spareDrill] = await Instance.create([30, 30].map(days => ({
+      sku_id: toolSKU._id,
+      acquisition_cost: 400,
+      acquisition_date: daysAgo(days),
+      added_by: 'utilizationTestUser'
+    })));
+
+    // Out for ten days, back, then out again for the last five
+    await recordLoanMovement(busyDrill, 'tool_checkout', 'available', 'loaned', 20);
+    await recordLoanMovement(busyDrill, 'tool_return', 'loaned', 'available', 10);
+    await recordLoanMovement(busyDrill, 'tool_checkout', 'available', 'loaned', 5);
+
+    // The spare goes out once and comes back broken
+    const checkoutRes = await request(app)
+      .post('/api/tools/checkout')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Basement Crew',
+        sku_items: [{
+          sku_id: toolSKU._id.toString(),
+          quantity: 1,
+          selection_method: 'manual',
+          selected_instance_ids: [spareDrill._id.toString()]
+        }]
+      })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/tools/${checkoutRes.body.tag._id}/return`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ returned_condition: 'broken', return_notes: 'Motor burnt out' })
+      .expect(200);
+
+    const order = await MaintenanceOrder.findOne({ instance_id: spareDrill._id });
+    await request(app)
+      .put(`/api/maintenance-orders/${order._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ repair_cost: 120 })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Contractor.deleteMany({}),
+      Instance.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should report days out, checkouts, damage and cost per day used', async () => {
+    const res = await request(app)
+      .get(`/api/tools/utilization?sku_id=${toolSKU._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.skus).toHaveLength(1);
+    const report = res.body.skus[0];
+    expect(report).toEqual(expect.objectContaining({
+      sku_code: 'TOOL-UTL-001',
+      instance_count: 2,
+      days_owned: 60,
+      days_checked_out: 15,
+      days_idle: 45,
+      utilization_rate: 25,
+      checkouts: 3,
+      returns: 1,
+      returns_broken: 1,
+      damaged_return_rate: 100,
+      acquisition_cost: 800,
+      repair_cost: 120,
+      lifetime_cost: 920
+    }));
+    expect(report.cost_per_day_used).toBeCloseTo(61.33, 1);
+
+    const busy = report.instances.find(instance => instance.instance_id === busyDrill._id.toString());
+    expect(busy).toEqual(expect.objectContaining({
+      days_checked_out: 15,
+      checkouts: 2,
+      average_checkout_days: 7.5,
+      utilization_rate: 50,
+      cost_per_day_used: 26.67
+    }));
+  });
+
+  test('should limit the report to a date range', async () => {
+    const res = await request(app)
+      .get(`/api/tools/utilization?sku_id=${toolSKU._id}&from=${daysAgo(12).toISOString()}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    const busy = res.body.skus[0].instances.find(instance => instance.instance_id === busyDrill._id.toString());
+    expect(busy.days_owned).toBe(12);
+    expect(busy.days_checked_out).toBe(7);
+    expect(busy.checkouts).toBe(1);
+  });
+
+  test('should export one row per instance as CSV', async () => {
+    const res = await request(app)
+      .get(`/api/tools/utilization?sku_id=${toolSKU._id}&format=csv&group_by=instance`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.headers['content-type']).toContain('text/csv');
+    const lines = res.text.split('\n');
+    expect(lines[0]).toContain('days_checked_out');
+    expect(lines).toHaveLength(3);
+  });
+});
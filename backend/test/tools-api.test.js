@@ -6,6 +6,7 @@ const SKU = require('../src/models/SKU');
 const Tag = require('../src/models/Tag');
 const Instance = require('../src/models/Instance');
 const AuditLog = require('../src/models/AuditLog');
+const MaintenanceOrder = require('../src/models/MaintenanceOrder');
 const bcrypt = require('bcryptjs');
 
 // Test data containers
@@ -23,6 +24,7 @@ describe('Tools API Integration Tests', () => {
     // Clean up test data first
     await Promise.all([
       AuditLog.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
       Instance.deleteMany({}),
       Tag.deleteMany({}),
       SKU.deleteMany({}),
@@ -160,6 +162,7 @@ describe('Tools API Integration Tests', () => {
     // Clean up all test data
     await Promise.all([
       AuditLog.deleteMany({}),
+      MaintenanceOrder.deleteMany({}),
       Instance.deleteMany({}),
       Tag.deleteMany({}),
       SKU.deleteMany({}),
@@ -666,31 +669,26 @@ describe('Tools API Integration Tests', () => {
 
       expect(res.body.condition).toBe('needs_maintenance');
       
-      // Verify a maintenance tag was created
-      const maintenanceTags = await Tag.find({ 
-        customer_name: /Maintenance -/,
-        project_name: /Tool condition: needs_maintenance/
+      // Verify each returned tool got its own maintenance order
+      expect(res.body.maintenance_orders.length).toBeGreaterThan(0);
+      const orders = await MaintenanceOrder.find({ source_tag_id: checkoutTagId });
+      expect(orders.length).toBe(res.body.instances_returned);
+      orders.forEach(order => {
+        expect(order.status).toBe('opened');
+        expect(order.reported_condition).toBe('needs_maintenance');
+        expect(order.issue).toContain('chuck is loose');
       });
-      
-      expect(maintenanceTags.length).toBeGreaterThan(0);
-      const maintenanceTag = maintenanceTags[maintenanceTags.length - 1];
-      expect(maintenanceTag.tag_type).toBe('reserved');
-      expect(maintenanceTag.notes).toContain('needs_maintenance');
-      
-      // Verify instances are tagged for maintenance (not available)
-      const availableInstances = await Instance.countDocuments({ 
-        sku_id: toolSKU._id, 
-        tag_id: null 
+
+      // Verify instances are out of service (untagged, but not available)
+      const maintenanceInstances = await Instance.find({
+        _id: { $in: orders.map(order => order.instance_id) }
       });
-      const maintenanceInstances = await Instance.countDocuments({ 
-        sku_id: toolSKU._id, 
-        tag_id: maintenanceTag._id 
+      maintenanceInstances.forEach(instance => {
+        expect(instance.tag_id).toBeNull();
+        expect(instance.condition).toBe('needs_maintenance');
+        expect(instance.isAvailable()).toBe(false);
       });
-      
-      console.log(`Available instances: ${availableInstances}`);
-      console.log(`Maintenance instances: ${maintenanceInstances}`);
-      
-      expect(maintenanceInstances).toBeGreaterThan(0);
+      expect(await Tag.countDocuments({ project_name: /Tool condition/ })).toBe(0);
       
       console.log('\u2705 Maintenance condition handling verified');
     });
@@ -711,16 +709,14 @@ describe('Tools API Integration Tests', () => {
 
       expect(res.body.condition).toBe('broken');
       
-      // Verify a broken tag was created
-      const brokenTags = await Tag.find({ 
-        customer_name: /Maintenance -/,
-        project_name: /Tool condition: broken/
-      });
-      
-      expect(brokenTags.length).toBeGreaterThan(0);
-      const brokenTag = brokenTags[brokenTags.length - 1];
-      expect(brokenTag.tag_type).toBe('broken');
-      expect(brokenTag.notes).toContain('broken');
+      // Verify the tools are marked broken with open maintenance orders
+      const orders = await MaintenanceOrder.find({ source_tag_id: checkoutTagId });
+      expect(orders.length).toBeGreaterThan(0);
+      expect(orders[0].reported_condition).toBe('broken');
+      expect(await Instance.countDocuments({
+        _id: { $in: orders.map(order => order.instance_id) },
+        condition: 'broken'
+      })).toBe(orders.length);
       
       console.log('\u2705 Broken condition handling verified');
     });
@@ -976,11 +972,8 @@ describe('Tools API Integration Tests', () => {
     let loanTagId;
     
     beforeEach(async () => {
-      // Get available instances
-      const availableInstances = await Instance.find({ 
-        sku_id: toolSKU._id, 
-        tag_id: null 
-      });
+      // Get available instances (untagged and in service)
+      const availableInstances = await Instance.find(Instance.availableFilter({ sku_id: toolSKU._id }));
       
       if (availableInstances.length > 0) {
         availableToolInstance = availableInstances[0];
@@ -1046,14 +1039,14 @@ describe('Tools API Integration Tests', () => {
       expect(res.body.previous_condition).toBe('functional');
       expect(res.body.action_description).toContain('needs_maintenance');
       
-      // Verify instance is now tagged
+      // Verify instance is out of service on an open maintenance order
       const updatedInstance = await Instance.findById(availableToolInstance._id);
-      expect(updatedInstance.tag_id).not.toBeNull();
+      expect(updatedInstance.tag_id).toBeNull();
+      expect(updatedInstance.condition).toBe('needs_maintenance');
       
-      // Verify maintenance tag was created
-      const maintenanceTag = await Tag.findById(updatedInstance.tag_id);
-      expect(maintenanceTag.tag_type).toBe('reserved');
-      expect(maintenanceTag.project_name).toContain('needs_maintenance');
+      const order = await MaintenanceOrder.findById(updatedInstance.maintenance_order_id);
+      expect(order.status).toBe('opened');
+      expect(order.issue).toContain('Chuck is loose');
       
       console.log('✅ Condition change to needs_maintenance verified');
     });
@@ -1082,14 +1075,11 @@ describe('Tools API Integration Tests', () => {
       expect(res.body.instance.condition).toBe('broken');
       expect(res.body.previous_condition).toBe('functional');
       
-      // Verify instance is now tagged as broken
+      // Verify instance is marked broken with a maintenance order
       const updatedInstance = await Instance.findById(availableToolInstance._id);
-      expect(updatedInstance.tag_id).not.toBeNull();
-      
-      // Verify broken tag was created
-      const brokenTag = await Tag.findById(updatedInstance.tag_id);
-      expect(brokenTag.tag_type).toBe('broken');
-      expect(brokenTag.project_name).toContain('broken');
+      expect(updatedInstance.condition).toBe('broken');
+      expect(updatedInstance.maintenance_order_id).not.toBeNull();
+      expect(res.body.maintenance_order.reported_condition).toBe('broken');
       
       console.log('✅ Condition change to broken verified');
     });
@@ -1127,9 +1117,11 @@ describe('Tools API Integration Tests', () => {
       expect(res.body.instance.condition).toBe('functional');
       expect(res.body.previous_condition).toBe('needs_maintenance');
       
-      // Verify instance is now available (no tag)
+      // Verify instance is now available and its order closed as repaired
       const updatedInstance = await Instance.findById(availableToolInstance._id);
       expect(updatedInstance.tag_id).toBeNull();
+      expect(updatedInstance.isAvailable()).toBe(true);
+      expect(res.body.maintenance_order.status).toBe('repaired');
       
       console.log('✅ Condition restoration to functional verified');
     });
@@ -1180,13 +1172,13 @@ describe('Tools API Integration Tests', () => {
       expect(res.body.instance.condition).toBe('broken');
       expect(res.body.action_description).toContain('broken');
       
-      // Verify instance is moved to broken tag
+      // Verify instance came off the loan and into maintenance
       const updatedInstance = await Instance.findById(loanedToolInstance._id);
-      expect(updatedInstance.tag_id).not.toBe(loanTagId); // Should be different tag now
+      expect(updatedInstance.tag_id).toBeNull();
+      expect(updatedInstance.condition).toBe('broken');
       
-      // Verify broken tag was created
-      const brokenTag = await Tag.findById(updatedInstance.tag_id);
-      expect(brokenTag.tag_type).toBe('broken');
+      const order = await MaintenanceOrder.findById(updatedInstance.maintenance_order_id);
+      expect(order.source_tag_id.toString()).toBe(loanTagId);
       
       console.log('✅ Emergency broken condition on loaned tool verified');
     });
@@ -1232,17 +1224,17 @@ describe('Tools API Integration Tests', () => {
       
       // Check if audit log was created
       const auditLogs = await AuditLog.find({ 
-        event_type: 'tool_condition_changed',
+        action: 'Tool Condition Changed',
         user_name: testUser.username
       });
       
       expect(auditLogs.length).toBeGreaterThan(0);
       const latestLog = auditLogs[auditLogs.length - 1];
-      expect(latestLog.action).toBe('CHANGE_TOOL_CONDITION');
+      expect(latestLog.event_type).toBe('update');
       expect(latestLog.description).toContain('condition changed');
-      expect(latestLog.metadata.old_condition).toBe('functional');
-      expect(latestLog.metadata.new_condition).toBe('broken');
-      expect(latestLog.category).toBe('maintenance');
+      expect(latestLog.changes.before.condition).toBe('functional');
+      expect(latestLog.changes.after.condition).toBe('broken');
+      expect(latestLog.category).toBe('business');
       
       console.log('✅ Condition change audit log verified');
     });
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const Customer = require('../src/models/Customer');
+const VendorReturn = require('../src/models/VendorReturn');
+const StockMovement = require('../src/models/StockMovement');
+const AuditLog = require('../src/models/AuditLog');
+
+let testToken;
+let faucetSKU;
+let brokenTag;
+let imperfectTag;
+let vendorReturn;
+
+const createTag = (tagType, quantity) => request(app)
+  .post('/api/tags')
+  .set('Authorization', `Bearer ${testToken}`)
+  .send({
+    customer_name: 'Warehouse',
+    tag_type: tagType,
+    sku_items: [{ sku_id: faucetSKU._id.toString(), quantity }]
+  })
+  .expect(201);
+
+describe('Vendor Return (RMA) Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      VendorReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    await User.create({
+      username: 'rmaTestUser',
+      email: 'rma.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Rma',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'rmaTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({ name: 'Faucets', type: 'product', description: 'Faucets' });
+    faucetSKU = await SKU.create({
+      sku_code: 'FAU-RMA-001',
+      name: 'Widespread Faucet',
+      category_id: category._id,
+      unit_cost: 200,
+      supplier_info: { supplier_name: 'Delta Supply', supplier_sku: 'DS-100' },
+      created_by: 'rmaTestUser',
+      last_updated_by: 'rmaTestUser'
+    });
+    await Instance.create([200, 300, 100].map(cost => ({
+      sku_id: faucetSKU._id,
+      acquisition_cost: cost,
+      added_by: 'rmaTestUser'
+    })));
+
+    brokenTag = (await createTag('broken', 2)).body.tag;
+    imperfectTag = (await createTag('imperfect', 1)).body.tag;
+  });
+
+  afterAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      VendorReturn.deleteMany({}),
+      Tag.deleteMany({}),
+      Customer.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should list broken and imperfect units by vendor', async () => {
+    const res = await request(app)
+      .get('/api/vendor-returns/returnable')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.vendors).toHaveLength(1);
+    expect(res.body.vendors[0]).toEqual(expect.objectContaining({ vendor: 'Delta Supply', quantity: 3, total_cost: 600 }));
+  });
+
+  test('should request a return for whole tags with the SKU supplier as vendor', async () => {
+    const res = await request(app)
+      .post('/api/vendor-returns')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ tag_ids: [brokenTag._id, imperfectTag._id], rma_number: 'DS-RMA-7781' })
+      .expect(201);
+
+    vendorReturn = res.body.vendor_return;
+    expect(vendorReturn.return_number).toMatch(/^RTV-\d{8}-001$/);
+    expect(vendorReturn.vendor).toBe('Delta Supply');
+    expect(vendorReturn.status).toBe('requested');
+    expect(vendorReturn.items).toHaveLength(3);
+    expect(vendorReturn.expected_credit).toBe(600);
+  });
+
+  test('should not put the same unit on two open returns', async () => {
+    const res = await request(app)
+      .post('/api/vendor-returns')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ tag_ids: [brokenTag._id] })
+      .expect(409);
+    expect(res.body.code).toBe('ALREADY_ON_RETURN');
+  });
+
+  test('should take the units out of stock when the return ships', async () => {
+    const res = await request(app)
+      .post(`/api/vendor-returns/${vendorReturn._id}/ship`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ tracking_number: '1Z999AA10123456784' })
+      .expect(200);
+
+    expect(res.body.vendor_return.status).toBe('shipped');
+    expect(await Instance.countDocuments({ sku_id: faucetSKU._id })).toBe(0);
+    expect(await Instance.countDocuments({ sku_id: faucetSKU._id, disposition: 'returned_to_vendor' })).toBe(3);
+    expect((await Tag.findById(brokenTag._id)).status).toBe('cancelled');
+    expect((await Inventory.findOne({ sku_id: faucetSKU._id })).total_quantity).toBe(0);
+  });
+
+  test('should bring a replacement in as a new instance linked to the return', async () => {
+    const cheapest = vendorReturn.items.find(item => item.acquisition_cost === 100);
+
+    const res = await request(app)
+      .post(`/api/vendor-returns/${vendorReturn._id}/replacements`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ items: [{ instance_id: cheapest.instance_id, serial_number: 'DS-SN-5501' }] })
+      .expect(200);
+
+    expect(res.body.vendor_return.status).toBe('shipped');
+    expect(res.body.replacements).toHaveLength(1);
+
+    const replacement = await Instance.findOne({ serial_number: 'DS-SN-5501' });
+    expect(replacement.vendor_return_id.toString()).toBe(vendorReturn._id);
+    expect(replacement.acquisition_cost).toBe(100);
+    expect(replacement.supplier).toBe('Delta Supply');
+
+    const movement = await StockMovement.findOne({ movement_type: 'rma_replacement' });
+    expect(movement.quantity_delta).toBe(1);
+  });
+
+  test('should split a credit by cost and reconcile it against acquisition cost', async () => {
+    const res = await request(app)
+      .post(`/api/vendor-returns/${vendorReturn._id}/credit`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ amount: 400 })
+      .expect(200);
+
+    const { status, items, reconciliation } = res.body.vendor_return;
+    expect(status).toBe('credited');
+    expect(items.find(item => item.acquisition_cost === 200).credit_amount).toBe(160);
+    expect(items.find(item => item.acquisition_cost === 300).credit_amount).toBe(240);
+    expect(reconciliation).toEqual(expect.objectContaining({
+      original_cost: 600,
+      credit_received: 400,
+      credit_variance: -100,
+      replaced_cost: 100,
+      pending_quantity: 0,
+      net_loss: 100
+    }));
+
+    // The credit is the recovered value of the written-off unit
+    const credited = await Instance.findOne({ disposition: 'returned_to_vendor', acquisition_cost: 300 });
+    expect(credited.recovered_value).toBe(240);
+  });
+});
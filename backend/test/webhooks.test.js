@@ -0,0 +1,220 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Category = require('../src/models/Category');
+const SKU = require('../src/models/SKU');
+const Instance = require('../src/models/Instance');
+const Inventory = require('../src/models/Inventory');
+const Tag = require('../src/models/Tag');
+const StockMovement = require('../src/models/StockMovement');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const AuditLog = require('../src/models/AuditLog');
+const { retryDueDeliveries } = require('../src/utils/webhooks');
+
+let testToken;
+let sku;
+let receiver;
+let received = [];
+let respondWith = 200;
+let subscription;
+
+// Deliveries are sent after the request returns, so poll for them
+const waitFor = async (check, timeoutMs = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for webhook delivery');
+};
+
+describe('Webhook Subscriptions Integration Tests', () => {
+
+  beforeAll(async () => {
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      WebhookSubscription.deleteMany({}),
+      WebhookDelivery.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+
+    receiver = http.createServer((req, res) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: data });
+        res.writeHead(respondWith);
+        res.end(respondWith === 200 ? 'ok' : 'nope');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+
+    await User.create({
+      username: 'hookTestUser',
+      email: 'hook.tester@test.com',
+      password: 'testpass123',
+      firstName: 'Hook',
+      lastName: 'Tester',
+      role: 'admin'
+    });
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'hookTestUser', password: 'testpass123' });
+    testToken = loginRes.body.accessToken;
+
+    const category = await Category.create({
+      name: 'Shower Doors',
+      type: 'product',
+      description: 'Glass shower doors'
+    });
+
+    sku = await SKU.create({
+      sku_code: 'SHD-HOOK-001',
+      name: 'Frameless Door',
+      category_id: category._id,
+      unit_cost: 600,
+      created_by: 'hookTestUser',
+      last_updated_by: 'hookTestUser'
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await Promise.all([
+      AuditLog.deleteMany({}),
+      StockMovement.deleteMany({}),
+      WebhookSubscription.deleteMany({}),
+      WebhookDelivery.deleteMany({}),
+      Tag.deleteMany({}),
+      Instance.deleteMany({}),
+      Inventory.deleteMany({}),
+      SKU.deleteMany({}),
+      Category.deleteMany({}),
+      User.deleteMany({})
+    ]);
+  });
+
+  test('should reject unknown event types', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ name: 'Bad', url: 'https://example.com/hook', event_types: ['tag.exploded'] })
+      .expect(400);
+  });
+
+  test('should create a subscription and return its secret once', async () => {
+    const res = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        name: 'Accounting',
+        url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+        event_types: ['sku.updated', 'stock.received']
+      })
+      .expect(201);
+
+    subscription = res.body.subscription;
+    expect(subscription.secret).toHaveLength(64);
+
+    const listRes = await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+    expect(listRes.body.subscriptions[0].secret).toBeUndefined();
+  });
+
+  test('should deliver a signed event when a SKU is updated', async () => {
+    received = [];
+
+    await request(app)
+      .put(`/api/skus/${sku._id}`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ unit_cost: 650 })
+      .expect(200);
+
+    const delivery = await waitFor(() => WebhookDelivery.findOne({ event_type: 'sku.updated', status: 'success' }));
+    expect(delivery.response_status).toBe(200);
+
+    const [call] = received;
+    expect(call.headers['x-webhook-event']).toBe('sku.updated');
+    const expected = crypto.createHmac('sha256', subscription.secret)
+      .update(`${call.headers['x-webhook-timestamp']}.${call.body}`)
+      .digest('hex');
+    expect(call.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+    const payload = JSON.parse(call.body);
+    expect(payload.data.object.sku_code).toBe('SHD-HOOK-001');
+    expect(payload.data.changes.after.unit_cost).toBe(650);
+  });
+
+  test('should not deliver events the subscription did not ask for', async () => {
+    received = [];
+
+    await request(app)
+      .post('/api/tags')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({
+        customer_name: 'Hook Customer',
+        tag_type: 'reserved',
+        sku_items: [{ sku_id: sku._id.toString(), quantity: 1 }]
+      });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(await WebhookDelivery.countDocuments({ event_type: 'tag.created' })).toBe(0);
+  });
+
+  test('should retry failed deliveries with backoff and allow replay', async () => {
+    respondWith = 500;
+
+    await request(app)
+      .post('/api/instances/add-stock')
+      .set('Authorization', `Bearer ${testToken}`)
+      .send({ sku_id: sku._id.toString(), quantity: 2, unit_cost: 600 })
+      .expect(201);
+
+    let delivery = await waitFor(() => WebhookDelivery.findOne({ event_type: 'stock.received', attempt_count: 1 }));
+    expect(delivery.status).toBe('pending');
+    expect(delivery.response_status).toBe(500);
+    expect(delivery.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+    // Last allowed attempt, due now
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { max_attempts: 2, next_attempt_at: new Date(Date.now() - 1000) });
+    const outcome = await retryDueDeliveries();
+    expect(outcome.result.failed).toBe(1);
+
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toHaveLength(2);
+
+    respondWith = 200;
+    const replayRes = await request(app)
+      .post(`/api/webhooks/deliveries/${delivery._id}/replay`)
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(replayRes.body.delivery.status).toBe('success');
+    expect(replayRes.body.delivery.replayed_from).toBe(delivery._id.toString());
+    expect(replayRes.body.delivery.event_id).toBe(delivery.event_id);
+  });
+
+  test('should list deliveries by status', async () => {
+    const res = await request(app)
+      .get('/api/webhooks/deliveries?status=failed')
+      .set('Authorization', `Bearer ${testToken}`)
+      .expect(200);
+
+    expect(res.body.deliveries).toHaveLength(1);
+    expect(res.body.deliveries[0].event_type).toBe('stock.received');
+  });
+});
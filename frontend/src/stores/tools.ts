@@ -54,6 +54,7 @@ export interface ToolInventoryItem {
   loaned_quantity: number;
   reserved_quantity: number;
   broken_quantity: number;
+  maintenance_quantity: number;
   createdAt: string;
   updatedAt: string;
 }
@@ -136,6 +137,12 @@ export const useToolsStore = defineStore('tools', {
             filtered = filtered.filter(tool => tool.loaned_quantity > 0);
             break;
           case 'maintenance':
+            filtered = filtered.filter(tool => tool.broken_quantity > 0 || tool.maintenance_quantity > 0);
+            break;
+          case 'needs_maintenance':
+            filtered = filtered.filter(tool => tool.maintenance_quantity > 0);
+            break;
+          case 'broken':
             filtered = filtered.filter(tool => tool.broken_quantity > 0);
             break;
           case 'out_of_stock':
@@ -382,7 +389,7 @@ export const useToolsStore = defineStore('tools', {
 
     // Helper to get condition status display
     getConditionStatus(tool: ToolInventoryItem): 'available' | 'loaned' | 'maintenance' | 'mixed' {
-      if (tool.broken_quantity > 0) {
+      if (tool.broken_quantity > 0 || tool.maintenance_quantity > 0) {
         return tool.available_quantity > 0 || tool.loaned_quantity > 0 ? 'mixed' : 'maintenance';
       }
       if (tool.loaned_quantity > 0) {
@@ -407,8 +414,11 @@ export const useToolsStore = defineStore('tools', {
       if (tool.reserved_quantity > 0) {
         parts.push(`${tool.reserved_quantity} Reserved`);
       }
+      if (tool.maintenance_quantity > 0) {
+        parts.push(`${tool.maintenance_quantity} Needs Maintenance`);
+      }
       if (tool.broken_quantity > 0) {
-        parts.push(`${tool.broken_quantity} Maintenance`);
+        parts.push(`${tool.broken_quantity} Broken`);
       }
       
       return parts.join(' • ') || 'No Stock';